@@ -2,17 +2,108 @@
    anomaly.js — Anomaly Module (ApexCharts version)
    ======================================================= */
 const AnomalyModule = (() => {
-  let anomalies=[], events=[], regions=[], currentFilter='all';
+  let anomalies=[], events=[], regions=[], clock=null, currentFilter='all', detectors=[], activeDetectors=[], overrides={}, effective=null;
+  let reviewFilter='all', assigneeFilter='', suppressed=[], showSuppressed=false;
+  const REVIEW_LABELS={open:'Open',acknowledged:'Acknowledged','false-positive':'False positive','root-caused':'Root-caused'};
+  const esc=s=>String(s??'').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
 
   async function loadAnomalies(){
     try{
-      const [aRes,eRes]=await Promise.all([fetch('/api/anomalies'),fetch('/api/anomalies/events')]);
-      anomalies=await aRes.json(); events=await eRes.json();
-      regions=buildRegions(anomalies);
+      const [aRes,eRes,sRes]=await Promise.all([fetch(dsUrl('/api/anomalies')),fetch(dsUrl('/api/anomalies/events')),fetch(dsUrl('/api/anomalies?suppressed=only'))]);
+      anomalies=await aRes.json(); events=await eRes.json(); suppressed=await sRes.json();
+      regions=buildRegions(getAnomalies());
       updateBadge();
+      await loadDetectors();
     }catch(e){ console.warn('Failed to load anomalies',e); }
   }
 
+  /* Live sessions: anomalies pushed over SSE join the list without a reload; events are re-fetched */
+  function addLive(list){
+    anomalies=anomalies.concat(list);
+    regions=buildRegions(getAnomalies());
+    updateBadge();
+  }
+
+  /* Replay clock (mission time): anomalies and events after it stay hidden until the replay reaches them; null shows everything */
+  function setClock(t){
+    clock=t;
+    regions=buildRegions(getAnomalies());
+    updateBadge();
+  }
+  async function loadEvents(){
+    try{ events=await (await fetch(dsUrl('/api/anomalies/events'))).json(); }
+    catch(e){ console.warn('Failed to load events',e); }
+  }
+
+  /* Registered detectors, and the detection config the current dataset was analysed with */
+  async function loadDetectors(){
+    try{
+      const [dRes,cRes]=await Promise.all([fetch('/api/detectors'),fetch(dsUrl('/api/anomalies/config'))]);
+      detectors=await dRes.json();
+      const cfg=await cRes.json();
+      overrides=cfg.overrides||{}; effective=cfg.effective||null;
+      activeDetectors=effective?.detectors||detectors.filter(d=>d.enabled).map(d=>d.name);
+      renderDetectorPills('detector-pills');
+      renderDetectionSettings('detection-settings-body');
+    }catch(e){ console.warn('Failed to load detectors',e); }
+  }
+
+  function renderDetectorPills(containerId){
+    const el=document.getElementById(containerId); if(!el) return;
+    el.innerHTML=detectors.map(d=>`<button class="dpill${activeDetectors.includes(d.name)?' active':''}" title="${d.description}" onclick="AnomalyModule.toggleDetector('${d.name}')">${d.label}</button>`).join('');
+  }
+
+  /* One numeric input per detector parameter, plus clustering and baseline */
+  function renderDetectionSettings(containerId){
+    const el=document.getElementById(containerId); if(!el||!effective) return;
+    const fields=[];
+    detectors.forEach(d=>Object.keys(d.parameters).forEach(k=>{
+      fields.push(`<label class="detection-field${activeDetectors.includes(d.name)?'':' off'}" title="${d.description}">${d.label} · ${k}<input type="number" step="any" min="0" data-detector="${d.name}" data-param="${k}" value="${effective.parameters[d.name]?.[k]??d.parameters[k]}"></label>`);
+    }));
+    fields.push(`<label class="detection-field" title="Anomalies closer than this are grouped into one event">Cluster · TIME_WIN (s)<input type="number" step="any" min="0" id="cfg-time-win" value="${effective.clustering.TIME_WIN}"></label>`);
+    fields.push(`<label class="detection-field">Baseline<select id="cfg-baseline">${['','phase','rolling','global'].map(b=>`<option value="${b}"${(overrides.baseline||'')===b?' selected':''}>${b||'auto ('+(effective.baseline||'phase')+')'}</option>`).join('')}</select></label>`);
+    fields.push(`<label class="detection-field">Rolling window (s)<input type="number" step="any" min="1" id="cfg-rolling" value="${effective.rollingWindow}"></label>`);
+    el.innerHTML=fields.join('');
+  }
+
+  /* Collect the panel into a detection config; only values that differ from the detector defaults are sent */
+  function readDetectionConfig(){
+    const cfg={detectors:activeDetectors,parameters:{}};
+    document.querySelectorAll('#detection-settings-body input[data-detector]').forEach(inp=>{
+      const d=detectors.find(x=>x.name===inp.dataset.detector), v=parseFloat(inp.value);
+      if(!d||isNaN(v)||v===d.parameters[inp.dataset.param]) return;
+      (cfg.parameters[d.name]=cfg.parameters[d.name]||{})[inp.dataset.param]=v;
+    });
+    const tw=parseFloat(document.getElementById('cfg-time-win')?.value);
+    if(!isNaN(tw)) cfg.clustering={TIME_WIN:tw};
+    const bl=document.getElementById('cfg-baseline')?.value;
+    if(bl) cfg.baseline=bl;
+    const rw=parseFloat(document.getElementById('cfg-rolling')?.value);
+    if(!isNaN(rw)) cfg.rollingWindow=rw;
+    return cfg;
+  }
+
+  /* Save the config on the dataset and re-run detection on the server */
+  async function runDetection(cfg){
+    try{
+      const res=await fetch(dsUrl('/api/anomalies/run'),{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(cfg)});
+      const data=await res.json();
+      if(!res.ok) throw new Error(data.error);
+      await loadAnomalies();
+      renderAnomaliesView();
+      setKPI('kpi-anomalies',getAnomalies().length);
+      showNotification(`Detection re-run: ${data.anomalies} anomalies in ${data.events} events`,'success');
+    }catch(e){ showNotification('Detection failed: '+e.message,'error'); }
+  }
+
+  function toggleDetector(name){
+    const cfg=readDetectionConfig();
+    cfg.detectors=activeDetectors.includes(name)?activeDetectors.filter(n=>n!==name):[...activeDetectors,name];
+    return runDetection(cfg);
+  }
+  function applyDetectionConfig(){ return runDetection(readDetectionConfig()); }
+  function resetDetectionConfig(){ return runDetection({}); }
+
   function buildRegions(list){
     if(!list.length) return [];
     const out=[];let cur=null;
@@ -33,20 +124,42 @@ const AnomalyModule = (() => {
   }
 
   function updateBadge(){
-    const b=document.getElementById('anomaly-badge');
-    if(b){ b.textContent=anomalies.length; b.style.display=anomalies.length?'flex':'none'; }
+    const b=document.getElementById('anomaly-badge'), n=getAnomalies().length;
+    if(b){ b.textContent=n; b.style.display=n?'flex':'none'; }
   }
 
   function getAnomalies(filter){
-    if(!filter||filter==='all') return anomalies;
-    return anomalies.filter(a=>a.severity===filter);
+    const list=clock===null?anomalies:anomalies.filter(a=>a.missionTime<=clock);
+    if(!filter||filter==='all') return list;
+    return list.filter(a=>a.severity===filter);
+  }
+  function getEvents(){ return clock===null?events:events.filter(ev=>ev.startTime<=clock); }
+
+  /* Table and timeline rows: severity filter plus the review state / assignee filters; suppressed anomalies only on request */
+  function getReviewed(filter){
+    const who=assigneeFilter.trim().toLowerCase();
+    let list=getAnomalies(filter);
+    if(showSuppressed) list=list.concat(suppressed.filter(a=>(clock===null||a.missionTime<=clock)&&(!filter||filter==='all'||a.severity===filter))).sort((a,b)=>a.missionTime-b.missionTime);
+    return list.filter(a=>(reviewFilter==='all'||(a.reviewState||'open')===reviewFilter)&&(!who||(a.reviewAssignee||'').toLowerCase().includes(who)));
+  }
+  function setReviewFilter(state,assignee){
+    if(state!==undefined) reviewFilter=state;
+    if(assignee!==undefined) assigneeFilter=assignee;
+    renderTable(currentFilter);
+    renderTimeline('anomaly-timeline-chart',currentFilter);
   }
-  function getEvents(){ return events; }
+  function setShowSuppressed(on){
+    showSuppressed=on;
+    renderTable(currentFilter);
+    renderTimeline('anomaly-timeline-chart',currentFilter);
+  }
+  function getSuppressed(){ return suppressed; }
   function getRegions(){ return regions; }
 
   /* Render anomaly summary bar */
   function renderSummaryBar(containerId){
     const el=document.getElementById(containerId); if(!el) return;
+    const anomalies=getAnomalies(), events=getEvents();
     const crit=anomalies.filter(a=>a.severity==='CRITICAL').length;
     const warn=anomalies.filter(a=>a.severity==='WARNING').length;
     const caut=anomalies.filter(a=>a.severity==='CAUTION').length;
@@ -61,23 +174,25 @@ const AnomalyModule = (() => {
 
   /* Render anomaly table */
   function renderTable(filter){
-    const list=getAnomalies(filter);
+    const list=getReviewed(filter);
     const tb=document.getElementById('anomaly-table-body'); if(!tb) return;
-    if(!list.length){ tb.innerHTML='<tr><td colspan="7" style="text-align:center;color:#94a3b8;padding:32px">No anomalies detected</td></tr>'; return; }
-    tb.innerHTML=list.map(a=>`<tr>
+    if(!list.length){ tb.innerHTML=`<tr><td colspan="8" style="text-align:center;color:#94a3b8;padding:32px">${getAnomalies(filter).length?'No anomalies match the review filters':'No anomalies detected'}</td></tr>`; return; }
+    const cnt=document.getElementById('suppressed-count'); if(cnt) cnt.textContent=suppressed.length?`(${suppressed.length})`:'';
+    tb.innerHTML=list.map(a=>`<tr${a.suppressed?' class="suppressed-row"':''}>
       <td><span class="severity-badge ${a.severity}">${a.severity}</span></td>
       <td>${a.type||''}</td>
       <td>${a.paramLabel||a.parameter}</td>
       <td style="font-family:'JetBrains Mono',monospace;font-size:12px">${typeof a.value==='number'?a.value.toFixed(2):a.value}${a.unit?' '+a.unit:''}</td>
       <td style="font-family:'JetBrains Mono',monospace;font-size:12px">T+${a.missionTime}s</td>
       <td style="font-size:12px">${a.description||''}</td>
-      <td><button class="btn-view" onclick="AnomalyModule.viewChart('${a.parameter}',${a.missionTime})">View</button></td>
+      <td>${a.suppressed?`<span class="suppressed-tag" title="Suppressed by rule ${esc(a.suppressed.ruleName)}">Suppressed · ${esc(a.suppressed.ruleName)}</span> `:''}${reviewBadge(a)}</td>
+      <td><button class="btn-view" onclick="${a.type==='Oscillation'?`openSpectrum('${a.parameter}',${a.startTime},${a.endTime})`:`AnomalyModule.viewChart('${a.parameter}',${a.missionTime}${a.type==='Data Gap'?','+a.gapEnd:''})`}">View</button></td>
     </tr>`).join('');
   }
 
   /* Render anomaly timeline bar chart */
   function renderTimeline(containerId, filter){
-    const list=getAnomalies(filter);
+    const list=getReviewed(filter);
     if(!list.length){ document.getElementById(containerId).innerHTML='<p style="text-align:center;padding:40px;color:#94a3b8">No anomalies to display</p>'; return; }
     const bins={};
     list.forEach(a=>{ const k=Math.floor(a.missionTime/10)*10; bins[k]=(bins[k]||0)+1; });
@@ -91,7 +206,8 @@ const AnomalyModule = (() => {
   }
 
   /* View anomaly in chart modal */
-  function viewChart(param, time){
+  /* gapEnd (optional) shades a data dropout from `time` to gapEnd */
+  function viewChart(param, time, gapEnd){
     let overlay=document.querySelector('.modal-overlay');
     if(overlay) overlay.remove();
     overlay=document.createElement('div');
@@ -102,12 +218,15 @@ const AnomalyModule = (() => {
 
     // Fetch data around anomaly
     const t0=Math.max(0,time-30), t1=time+30;
-    fetch(`/api/telemetry?startTime=${t0}&endTime=${t1}`).then(r=>r.json()).then(data=>{
+    fetch(dsUrl(`/api/telemetry?startTime=${t0}&endTime=${t1}`)).then(r=>r.json()).then(data=>{
       if(!data.length) return;
+      /* Whole-row gaps have no channel of their own; show the first numeric one */
+      if(param==='mission_time_s') param=Object.keys(data[0]).find(k=>k!=='mission_time_s'&&typeof data[0][k]==='number')||param;
       const labels=data.map(d=>d.mission_time_s);
       const vals=data.map(d=>d[param]);
       const annotations={};
-      annotations['anomaly_line']={type:'line',xMin:String(time),xMax:String(time),borderColor:'#ef4444',borderDash:[0],label:{content:'Anomaly',color:'#fff',backgroundColor:'#ef4444'}};
+      if(gapEnd!=null) annotations['gap_box']={type:'box',xMin:String(time),xMax:String(gapEnd),backgroundColor:'rgba(239,68,68,.12)'};
+      annotations['anomaly_line']={type:'line',xMin:String(time),xMax:String(time),borderColor:'#ef4444',borderDash:[0],label:{content:gapEnd!=null?'Data Gap':'Anomaly',color:'#fff',backgroundColor:'#ef4444'}};
       ChartModule.createLineChart('anomaly-zoom-chart',labels,[{label:param,data:vals,color:'#0ea5e9'}],{xTitle:'Mission Time (s)',yTitle:param,annotations,hideLegend:true});
     }).catch(e=>console.error(e));
   }
@@ -115,22 +234,83 @@ const AnomalyModule = (() => {
   /* Render events list */
   function renderEventsList(containerId){
     const el=document.getElementById(containerId); if(!el) return;
+    const events=getEvents();
     if(!events.length){ el.innerHTML='<div class="card" style="text-align:center;color:#94a3b8;padding:40px">No anomaly events detected</div>'; return; }
     el.innerHTML=events.map(ev=>{
       const params=ev.affectedParams||[...new Set(ev.anomalies.map(a=>a.paramLabel||a.parameter))];
       return `<div class="event-card ${ev.severity}">
         <div class="event-header">
-          <span class="event-id">${ev.id} <span class="severity-badge ${ev.severity}">${ev.severity}</span></span>
+          <span class="event-id">${ev.id} <span class="severity-badge ${ev.severity}">${ev.severity}</span> ${reviewBadge(ev)}</span>
           <span class="event-time">T+${ev.startTime}s – T+${ev.endTime}s</span>
         </div>
         <div class="event-params">${params.map(p=>`<span class="event-param-tag">${p}</span>`).join('')}</div>
         <div class="event-details">${ev.anomalies.slice(0,4).map(a=>`<div class="event-anomaly-item"><span class="severity-badge ${a.severity}">${a.severity}</span> ${a.description||''}</div>`).join('')}
         ${ev.anomalies.length>4?`<div style="font-size:11px;color:#94a3b8;margin-top:4px">+ ${ev.anomalies.length-4} more anomalies</div>`:''}</div>
+        ${ev.review?.comments.length?`<div class="review-last">${esc(ev.review.comments[ev.review.comments.length-1].author)}: ${esc(ev.review.comments[ev.review.comments.length-1].text)}</div>`:''}
       </div>`;
     }).join('');
   }
 
-  return {loadAnomalies,getAnomalies,getEvents,getRegions,renderSummaryBar,renderTable,renderTimeline,viewChart,renderEventsList,
+  /* Review state pill (with assignee and comment count); opens the review dialog */
+  function reviewBadge(x){
+    const st=x.reviewState||'open', r=x.review, id=x.key||x.id, who=x.reviewAssignee;
+    if(!id) return '';
+    const inherited=!r&&(st!=='open'||who)?' title="From its event"':'';
+    return `<button class="review-badge ${st}${inherited?' inherited':''}"${inherited} onclick="AnomalyModule.openReview('${id}')">${REVIEW_LABELS[st]||st}${who?' · '+esc(who):''}${r?.comments.length?' · 💬'+r.comments.length:''}</button>`;
+  }
+
+  /* Review dialog for an anomaly (ANM-...) or event key (EVT-...) */
+  async function openReview(id){
+    let review;
+    try{
+      const res=await fetch(dsUrl(`/api/anomalies/${id}/review`));
+      review=await res.json();
+      if(!res.ok) throw new Error(review.error);
+    }catch(e){ return showNotification('Review: '+e.message,'error'); }
+    const target=review.kind==='event'?events.find(ev=>ev.key===id):anomalies.concat(suppressed).find(a=>a.id===id);
+    const title=review.kind==='event'?`${target?.id||id} · ${target?.count||''} anomalies`:`${target?.paramLabel||''} ${target?.type||''} at T+${target?.missionTime}s`;
+    document.querySelector('.modal-overlay')?.remove();
+    const overlay=document.createElement('div');
+    overlay.className='modal-overlay';
+    overlay.onclick=e=>{ if(e.target===overlay) overlay.remove(); };
+    overlay.innerHTML=`<div class="modal-card review-card"><div class="modal-head"><h3>Review — ${esc(title)}</h3><button class="modal-close" onclick="this.closest('.modal-overlay').remove()">&times;</button></div>
+      <div class="review-form">
+        <label class="detection-field">State<select id="review-state">${Object.entries(REVIEW_LABELS).map(([k,l])=>`<option value="${k}"${review.state===k?' selected':''}>${l}</option>`).join('')}</select></label>
+        <label class="detection-field">Assignee<input type="text" id="review-assignee" maxlength="100" value="${esc(review.assignee||'')}" placeholder="unassigned"></label>
+        <button class="btn btn-primary" onclick="AnomalyModule.saveReview('${id}')">Save</button>
+      </div>
+      <div class="review-comments">${review.comments.length?review.comments.map(c=>`<div class="review-comment"><div class="review-comment-head"><strong>${esc(c.author)}</strong><span>${new Date(c.createdAt).toLocaleString()}</span></div>${esc(c.text)}</div>`).join(''):'<p class="review-empty">No comments yet.</p>'}</div>
+      <div class="review-form">
+        <input type="text" id="review-author" class="review-author" maxlength="100" placeholder="Your name">
+        <textarea id="review-text" rows="2" maxlength="2000" placeholder="Add a comment, e.g. expected throttle bucket"></textarea>
+        <button class="btn btn-outline" onclick="AnomalyModule.addComment('${id}')">Comment</button>
+      </div></div>`;
+    document.body.appendChild(overlay);
+  }
+
+  async function sendReview(id,method,path,body){
+    const res=await fetch(dsUrl(`/api/anomalies/${id}/review${path}`),{method,headers:{'Content-Type':'application/json'},body:JSON.stringify(body)});
+    const data=await res.json();
+    if(!res.ok) throw new Error(data.error);
+    await loadAnomalies();
+    const active=document.querySelector('.view.active')?.id.replace('view-','');
+    if(active) switchView(active);
+    return openReview(id);
+  }
+  async function saveReview(id){
+    const assignee=document.getElementById('review-assignee').value.trim();
+    try{ await sendReview(id,'PUT','',{state:document.getElementById('review-state').value,assignee:assignee||null}); showNotification('Review saved','success'); }
+    catch(e){ showNotification('Review: '+e.message,'error'); }
+  }
+  async function addComment(id){
+    const text=document.getElementById('review-text').value;
+    if(!text.trim()) return;
+    try{ await sendReview(id,'POST','/comments',{author:document.getElementById('review-author').value,text}); }
+    catch(e){ showNotification('Comment: '+e.message,'error'); }
+  }
+
+  return {loadAnomalies,addLive,loadEvents,setClock,getAnomalies,getEvents,getRegions,renderSummaryBar,renderTable,renderTimeline,viewChart,renderEventsList,toggleDetector,applyDetectionConfig,resetDetectionConfig,
+    setReviewFilter,setShowSuppressed,getSuppressed,openReview,saveReview,addComment,reviewBadge,
     set currentFilter(v){currentFilter=v}, get currentFilter(){return currentFilter}};
 })();
 
@@ -2,11 +2,11 @@
    app.js — Main App Controller (ApexCharts / Sky-Blue)
    ======================================================= */
 
-/* -------- MISSION EVENTS (from anomalyDetector) -------- */
-const MISSION_EVENTS={throttle_down_start:{time:48,label:'Throttle Down'},maxq:{time:54,label:'Max Q'},throttle_down_end:{time:68,label:'Throttle Up'},meco:{time:145,label:'MECO'},ses1:{time:156,label:'SES-1'}};
-
 /* -------- STATE -------- */
 let telemetryData=[], statsData=[], columnsData=[], redlineData=[];
+let missionEvents={};   // detected per dataset: {key:{time,label,confidence}}
+let currentDatasetId=null, datasetList=[], qualityReport=null;
+let liveSource=null, liveEventsTimer=null;   // SSE stream of the active live session
 
 const VIEW_TITLES={
   dashboard:'Mission Control',telemetry:'Telemetry Explorer',anomalies:'Anomaly Detection',
@@ -16,6 +16,7 @@ const VIEW_TITLES={
 /* -------- INIT -------- */
 document.addEventListener('DOMContentLoaded',()=>{
   initApp();
+  setInterval(pollLiveSessions,5000);
   // Close param dropdown when clicking outside
   document.addEventListener('click',e=>{
     const dd=document.getElementById('param-dropdown');
@@ -29,23 +30,12 @@ document.addEventListener('DOMContentLoaded',()=>{
 async function initApp(){
   showNotification('Loading telemetry data…','info');
   try{
-    const [statusRes,telRes,colRes,statsRes,rlRes]=await Promise.all([
-      fetch('/api/status'),fetch('/api/telemetry'),fetch('/api/telemetry/columns'),fetch('/api/stats'),fetch('/api/redlines')
-    ]);
-    const status=await statusRes.json();
-    telemetryData=await telRes.json();
-    columnsData=await colRes.json();          // [{name,label,unit,isNumeric}]
-    const statsObj=await statsRes.json();      // object keyed by param name
-    statsData=Object.values(statsObj);          // → array
-    const rlObj=await rlRes.json();             // object keyed by param name
-    redlineData=Object.entries(rlObj).map(([k,v])=>({parameter:k,...v})); // → array with {parameter,min,max,unit,label}
-
-    if(status.currentFile) document.getElementById('current-file').textContent=status.currentFile;
-    await AnomalyModule.loadAnomalies();
+    const status=await (await fetch('/api/status')).json();
+    currentDatasetId=status.datasetId;
+    await loadDatasetList();
+    await loadDatasetData();
     SettingsModule.loadStatus();
-
-    renderDashboard();
-    populateTelemetrySelects();
+    SettingsModule.loadPacketDefinitions();
     const numericCols=columnsData.filter(c=>c.isNumeric);
     showNotification(`Loaded ${telemetryData.length} records, ${numericCols.length} parameters`,'success');
   }catch(e){
@@ -54,6 +44,124 @@ async function initApp(){
   }
 }
 
+/* -------- DATASETS -------- */
+/* Append the active dataset ID to an API URL */
+function dsUrl(url){
+  if(!currentDatasetId) return url;
+  return url+(url.includes('?')?'&':'?')+'dataset='+encodeURIComponent(currentDatasetId);
+}
+
+async function loadDatasetList(){
+  const res=await fetch('/api/datasets');
+  const data=await res.json();
+  datasetList=data.datasets||[];
+  const sel=document.getElementById('current-file'); if(!sel) return;
+  sel.innerHTML=datasetList.map(d=>`<option value="${d.id}"${d.id===currentDatasetId?' selected':''}>${d.live?.status==='live'?'● LIVE · ':''}${d.filename} (${d.records.toLocaleString()})</option>`).join('');
+  populateCompareSelect();
+}
+
+function populateCompareSelect(){
+  const sel=document.getElementById('compare-dataset'); if(!sel) return;
+  const prev=sel.value;
+  const others=datasetList.filter(d=>d.id!==currentDatasetId);
+  sel.innerHTML='<option value="">No comparison</option>'+others.map(d=>`<option value="${d.id}">vs ${d.filename}${d.isDefault?' (reference)':''}</option>`).join('');
+  if(others.some(d=>d.id===prev)) sel.value=prev;
+}
+
+/* Fetch telemetry, columns, stats, redlines and anomalies for the active dataset */
+async function loadDatasetData(){
+  const [telRes,colRes,statsRes,rlRes,evRes,qRes]=await Promise.all([
+    fetch(dsUrl('/api/telemetry')),fetch(dsUrl('/api/telemetry/columns')),fetch(dsUrl('/api/stats')),fetch(dsUrl('/api/redlines')),fetch(dsUrl('/api/mission-events')),fetch(dsUrl('/api/quality'))
+  ]);
+  telemetryData=await telRes.json();
+  columnsData=await colRes.json();          // [{name,label,unit,isNumeric}]
+  const statsObj=await statsRes.json();      // object keyed by param name
+  statsData=Object.values(statsObj);          // → array
+  const rlObj=await rlRes.json();             // object keyed by param name
+  redlineData=Object.entries(rlObj).map(([k,v])=>({parameter:k,...v})); // → array with {parameter,min,max,unit,label}
+  missionEvents=await evRes.json();
+  qualityReport=qRes.ok?await qRes.json():null;
+
+  await AnomalyModule.loadAnomalies();
+  await loadRedlineProfiles();
+  populateTelemetrySelects();
+  const active=document.querySelector('.view.active')?.id.replace('view-','')||'dashboard';
+  switchView(active);
+  connectLive();
+  ReplayModule.connect();
+}
+
+async function switchDataset(id){
+  if(!id||id===currentDatasetId) return;
+  currentDatasetId=id;
+  populateCompareSelect();
+  try{
+    await loadDatasetData();
+    const d=datasetList.find(x=>x.id===id);
+    showNotification(`Switched to ${d?d.filename:id}`,'success');
+  }catch(e){ showNotification('Failed to load dataset','error'); }
+}
+
+/* -------- LIVE MODE -------- */
+/* Live sessions (POST /api/live, e.g. from scripts/liveReplay.js) stream samples and anomalies over SSE */
+const LIVE_CHARTS=[['dash-velocity-chart','velocity_ms'],['dash-altitude-chart','altitude_km'],['dash-q-chart','dynamic_pressure_pa']];
+
+function isLive(){ return datasetList.find(d=>d.id===currentDatasetId)?.live?.status==='live'; }
+
+function connectLive(){
+  if(liveSource){ liveSource.close(); liveSource=null; }
+  if(!isLive()) return;
+  const id=currentDatasetId;
+  const src=liveSource=new EventSource(`/api/live/${id}/stream`);
+  src.addEventListener('samples',e=>{ if(id===currentDatasetId) onLiveSamples(JSON.parse(e.data)); });
+  src.addEventListener('anomalies',e=>{ if(id===currentDatasetId) onLiveAnomalies(JSON.parse(e.data)); });
+  src.addEventListener('end',async()=>{
+    src.close();
+    if(liveSource===src) liveSource=null;
+    await loadDatasetList();
+    if(id!==currentDatasetId) return;
+    await loadDatasetData();
+    showNotification(`Live session ended — full analysis found ${AnomalyModule.getAnomalies().length} anomalies`,'success');
+  });
+}
+
+/* New samples extend the dashboard charts in place; the first batch (or a new channel) draws them */
+function onLiveSamples({rows}){
+  const first=!telemetryData.length;
+  telemetryData.push(...rows);
+  const last=rows[rows.length-1];
+  setKPI('kpi-records',telemetryData.length.toLocaleString());
+  setKPI('kpi-duration',Math.round(last.mission_time_s-telemetryData[0].mission_time_s)+'s');
+  const missing=LIVE_CHARTS.some(([id,key])=>last[key]!==undefined&&!ChartModule.getInstances()[id]);
+  if(first||missing){ renderDashboard(); return; }
+  LIVE_CHARTS.forEach(([id,key])=>ChartModule.appendPoints(id,[rows.map(r=>({x:r.mission_time_s,y:r[key]??null}))]));
+}
+
+function onLiveAnomalies({anomalies}){
+  AnomalyModule.addLive(anomalies);
+  refreshAnomalyPanels();
+  /* Alert once per redline excursion, not on every sample above the limit */
+  const onsets=anomalies.filter(a=>a.onset&&a.severity!=='CAUTION');
+  if(onsets.length) showNotification(onsets.slice(0,2).map(a=>a.description).join(' · '),'error');
+  if(liveEventsTimer) return;
+  liveEventsTimer=setTimeout(async()=>{
+    liveEventsTimer=null;
+    await AnomalyModule.loadEvents();
+    refreshAnomalyPanels();
+  },1500);
+}
+
+/* Announce live sessions started elsewhere and add them to the dataset picker */
+async function pollLiveSessions(){
+  try{
+    const sessions=await (await fetch('/api/live')).json();
+    const fresh=sessions.filter(s=>!datasetList.some(d=>d.id===s.id));
+    if(!fresh.length) return;
+    await loadDatasetList();
+    showNotification(`Live session started: ${fresh[0].filename} — pick it in the dataset list`,'info');
+  }catch(e){}
+}
+
 /* -------- VIEW SWITCHING -------- */
 function switchView(name){
   document.querySelectorAll('.view').forEach(v=>v.classList.remove('active'));
@@ -69,7 +177,7 @@ function switchView(name){
   else if(name==='analysis') renderAnalysisView();
   else if(name==='events') renderEventsView();
   else if(name==='chatbot') ChatModule.init();
-  else if(name==='settings') SettingsModule.loadStatus();
+  else if(name==='settings'){ SettingsModule.loadStatus(); SettingsModule.loadPacketDefinitions(); }
 }
 
 /* ========================================================
@@ -79,25 +187,21 @@ function renderDashboard(){
   const anomalies=AnomalyModule.getAnomalies();
   const events=AnomalyModule.getEvents();
   const T=k=>k.mission_time_s;  // time accessor
-  const duration=telemetryData.length?T(telemetryData[telemetryData.length-1])-T(telemetryData[0]):0;
+  const rows=ReplayModule.visibleRows(telemetryData);
+  const duration=rows.length?T(rows[rows.length-1])-T(rows[0]):0;
 
   // KPIs
-  setKPI('kpi-records',telemetryData.length.toLocaleString());
+  setKPI('kpi-records',rows.length.toLocaleString());
   setKPI('kpi-anomalies',anomalies.length);
   setKPI('kpi-critical',anomalies.filter(a=>a.severity==='CRITICAL').length);
   setKPI('kpi-events',events.length);
   setKPI('kpi-duration',Math.round(duration)+'s');
   setKPI('kpi-params',columnsData.filter(c=>c.isNumeric).length);
 
-  // Status indicator
-  const crit=anomalies.filter(a=>a.severity==='CRITICAL').length;
-  const eng=document.getElementById('engine-status');
-  if(crit>0) eng.innerHTML='<span class="status-dot red"></span><span>Critical Anomalies</span>';
-  else if(anomalies.length) eng.innerHTML='<span class="status-dot yellow"></span><span>Anomalies Detected</span>';
-  else eng.innerHTML='<span class="status-dot green"></span><span>System Nominal</span>';
+  renderEngineStatus();
 
-  if(!telemetryData.length) return;
-  const ds=downsample(telemetryData,200);
+  if(!rows.length) return;
+  const ds=downsample(rows,200);
   const labels=ds.map(d=>String(d.mission_time_s));
   const ann=buildMissionAnnotations(AnomalyModule.getRegions());
 
@@ -124,12 +228,36 @@ function renderDashboard(){
   renderDashEvents();
 }
 
+/* Anomaly KPIs, donut, status and recent events, without redrawing the line charts (live and replay updates) */
+function refreshAnomalyPanels(){
+  const all=AnomalyModule.getAnomalies();
+  setKPI('kpi-anomalies',all.length);
+  setKPI('kpi-critical',all.filter(a=>a.severity==='CRITICAL').length);
+  setKPI('kpi-events',AnomalyModule.getEvents().length);
+  const sev={CRITICAL:0,WARNING:0,CAUTION:0};
+  all.forEach(a=>{ if(sev[a.severity]!==undefined) sev[a.severity]++; });
+  ChartModule.updateSeries('dash-anomaly-chart',Object.values(sev));
+  renderEngineStatus();
+  renderDashEvents();
+}
+
+/* Status indicator */
+function renderEngineStatus(){
+  const anomalies=AnomalyModule.getAnomalies();
+  const crit=anomalies.filter(a=>a.severity==='CRITICAL').length;
+  const eng=document.getElementById('engine-status');
+  const live=isLive()?'<span class="live-tag">LIVE</span>':ReplayModule.isActive()?'<span class="live-tag replay">REPLAY</span>':'';
+  if(crit>0) eng.innerHTML=live+'<span class="status-dot red"></span><span>Critical Anomalies</span>';
+  else if(anomalies.length) eng.innerHTML=live+'<span class="status-dot yellow"></span><span>Anomalies Detected</span>';
+  else eng.innerHTML=live+'<span class="status-dot green"></span><span>System Nominal</span>';
+}
+
 function renderDashEvents(){
   const evts=AnomalyModule.getEvents().slice(0,5);
   const el=document.getElementById('dash-events-list'); if(!el) return;
   if(!evts.length){ el.innerHTML='<p style="color:#94a3b8;padding:12px">No events yet.</p>'; return; }
   el.innerHTML=evts.map(ev=>`<div class="event-card ${ev.severity}">
-    <div class="event-header"><span class="event-id">${ev.id} <span class="severity-badge ${ev.severity}">${ev.severity}</span></span>
+    <div class="event-header"><span class="event-id">${ev.id} <span class="severity-badge ${ev.severity}">${ev.severity}</span> ${AnomalyModule.reviewBadge(ev)}</span>
     <span class="event-time">T+${ev.startTime}s – T+${ev.endTime}s</span></div>
     <div style="font-size:12px;color:#64748b;margin-top:4px">${ev.count||ev.anomalies.length} anomalies — ${(ev.anomalyTypes||[...new Set(ev.anomalies.map(a=>a.type))]).join(', ')}</div>
   </div>`).join('');
@@ -218,6 +346,9 @@ function loadTelemetryChart(){
   if(!params.length) return;
   const s=parseInt(document.getElementById('time-start').value);
   const e=parseInt(document.getElementById('time-end').value);
+  const ref=document.getElementById('compare-dataset')?.value;
+  if(ref) return loadComparisonChart(params,s,e,ref);
+  document.getElementById('compare-summary-card').style.display='none';
   const filtered=telemetryData.filter(d=>d.mission_time_s>=s&&d.mission_time_s<=e);
   const ds=downsample(filtered,300);
   const labels=ds.map(d=>String(d.mission_time_s));
@@ -230,6 +361,43 @@ function loadTelemetryChart(){
   renderParamCards(params);
 }
 
+/* Overlay the active flight with a reference flight and shade divergent regions */
+async function loadComparisonChart(params,s,e,ref){
+  const align=document.getElementById('compare-align').value;
+  const tol=(parseFloat(document.getElementById('compare-tolerance').value)||0)/100;
+  try{
+    const res=await fetch(dsUrl(`/api/compare?reference=${encodeURIComponent(ref)}&align=${align}&params=${params.join(',')}&tolerance=${tol}&startTime=${s}&endTime=${e}&maxPoints=400`));
+    const cmp=await res.json();
+    if(cmp.error){ showNotification(cmp.error,'error'); return; }
+    const colMap=Object.fromEntries(columnsData.map(c=>[c.name,c.label||c.name]));
+    const entries=Object.entries(cmp.parameters);
+    if(!entries.length){ showNotification('No overlapping data between the two flights','error'); return; }
+
+    const labels=entries[0][1].series.map(p=>String(p.t));
+    const datasets=[];
+    const ann={};
+    entries.forEach(([p,r],i)=>{
+      const color=ChartModule.COLORS[i%ChartModule.COLORS.length];
+      const byT=Object.fromEntries(r.series.map(x=>[x.t,x]));
+      datasets.push({label:colMap[p]||p,data:labels.map(t=>byT[t]?.target??null),color});
+      datasets.push({label:`${colMap[p]||p} (${cmp.reference.filename})`,data:labels.map(t=>byT[t]?.reference??null),color,dash:5});
+      r.divergentRegions.forEach((g,j)=>{ ann[`div_${p}_${j}`]={type:'box',xMin:g.start,xMax:g.end,backgroundColor:'rgba(239,68,68,.12)'}; });
+    });
+    ChartModule.createLineChart('telemetry-main-chart',labels,datasets,{xTitle:'Mission Time (s)',yTitle:params.map(p=>colMap[p]||p).join(', '),annotations:ann});
+
+    const tb=document.getElementById('compare-summary-body');
+    tb.innerHTML=entries.map(([p,r])=>`<tr>
+      <td style="font-weight:600">${colMap[p]||p}</td>
+      <td class="mono">${fmt(r.meanDelta)}</td><td class="mono">${fmt(r.rms)}</td>
+      <td class="mono">${fmt(r.maxDivergence?.delta)}</td><td class="mono">T+${r.maxDivergence?.missionTime}s</td>
+      <td class="mono">±${fmt(r.toleranceAbs)}</td>
+      <td><span class="${r.divergentRegions.length?'status-crit':'status-ok'}">${r.divergentRegions.length}</span></td>
+    </tr>`).join('');
+    document.getElementById('compare-summary-card').style.display='';
+    renderParamCards(params);
+  }catch(err){ console.error(err); showNotification('Comparison failed','error'); }
+}
+
 function plotAllParams(){
   const keyParams=['velocity_ms','altitude_km','acceleration_ms2','dynamic_pressure_pa','mach_number','angle_deg'];
   _selectedParams=new Set(keyParams);
@@ -275,11 +443,84 @@ function selectParam(p){
    ANOMALIES VIEW
    ======================================================== */
 function renderAnomaliesView(){
+  renderQualityReport();
+  loadSuppressionRules();
   AnomalyModule.renderSummaryBar('anomaly-summary-bar');
   AnomalyModule.renderTimeline('anomaly-timeline-chart',AnomalyModule.currentFilter);
   AnomalyModule.renderTable(AnomalyModule.currentFilter);
 }
 
+/* -------- SUPPRESSION RULES -------- */
+async function loadSuppressionRules(){
+  const tb=document.getElementById('rules-table-body'); if(!tb) return;
+  try{
+    const [rules,detectors]=await Promise.all([(await fetch('/api/suppression-rules')).json(),(await fetch('/api/detectors')).json()]);
+    fillRuleForm(detectors);
+    const hidden=AnomalyModule.getSuppressed().reduce((m,a)=>(m[a.suppressed.ruleId]=(m[a.suppressed.ruleId]||0)+1,m),{});
+    const label=d=>detectors.find(x=>x.name===d)?.label||d;
+    tb.innerHTML=rules.length?rules.map(r=>{
+      const cond=[r.detector&&label(r.detector),r.parameter&&`<span class="mono">${r.parameter}</span>`,r.event&&`±${r.window}s of ${missionEvents[r.event]?.label||r.event}`,r.phase&&`phase ${r.phase}`,
+        (r.startTime!==null||r.endTime!==null)&&`T+${r.startTime??'…'}s – T+${r.endTime??'…'}s`].filter(Boolean).join(' · ');
+      return `<tr${r.enabled?'':' class="suppressed-row"'}>
+      <td style="font-weight:600">${r.name}${r.reason?`<div class="derived-skipped">${r.reason}</div>`:''}</td>
+      <td style="font-size:12px">${cond}</td>
+      <td>${hidden[r.id]?`${hidden[r.id]} hidden`:'<span class="derived-skipped">none</span>'}</td>
+      <td><input type="checkbox"${r.enabled?' checked':''} onchange="toggleSuppressionRule('${r.id}',this.checked)"></td>
+      <td><button class="btn btn-outline" onclick="deleteSuppressionRule('${r.id}')">Delete</button></td>
+    </tr>`;}).join(''):'<tr><td colspan="5" class="derived-skipped">No suppression rules defined</td></tr>';
+  }catch(e){ console.warn('Failed to load suppression rules',e); }
+}
+
+/* Choices for the add-rule form: detectors, numeric columns, this dataset's mission events and phases */
+function fillRuleForm(detectors){
+  const fill=(id,first,opts)=>{ const el=document.getElementById(id); if(el&&!el.matches(':focus')){ const v=el.value; el.innerHTML=`<option value="">${first}</option>`+opts.map(([k,l])=>`<option value="${k}">${l}</option>`).join(''); el.value=v; } };
+  fill('rule-detector','any detector',detectors.map(d=>[d.name,d.label]));
+  fill('rule-parameter','any parameter',columnsData.filter(c=>c.isNumeric&&c.name!=='mission_time_s').map(c=>[c.name,c.label]));
+  fill('rule-event','any time',Object.entries(missionEvents).map(([k,ev])=>[k,`${ev.label} (T+${ev.time}s)`]));
+  const phases=[...new Set(telemetryData.map(d=>d.flight_phase??d.test_phase).filter(p=>typeof p==='string'))];
+  document.getElementById('rule-phases').innerHTML=phases.map(p=>`<option value="${p}">`).join('');
+}
+
+async function sendSuppressionRule(method,path,body,done){
+  try{
+    const res=await fetch('/api/suppression-rules'+path,{method,headers:{'Content-Type':'application/json'},body:body?JSON.stringify(body):undefined});
+    const data=await res.json();
+    if(!res.ok){ showNotification(data.error||'Suppression rule failed','error'); return false; }
+    await loadDatasetList();
+    await loadDatasetData();
+    const here=data.datasets.find(d=>d.id===currentDatasetId);
+    showNotification(`${done}${here?` — ${here.suppressed} anomalies suppressed here`:''}`,'success');
+    return true;
+  }catch(e){ showNotification('Suppression rule failed','error'); return false; }
+}
+
+async function addSuppressionRule(){
+  const v=id=>document.getElementById(id).value.trim();
+  const body={name:v('rule-name'),detector:v('rule-detector')||undefined,parameter:v('rule-parameter')||undefined,event:v('rule-event')||undefined,window:v('rule-window')||undefined,
+    phase:v('rule-phase')||undefined,startTime:v('rule-start')||undefined,endTime:v('rule-end')||undefined,reason:v('rule-reason')};
+  if(await sendSuppressionRule('POST','',body,`Rule "${body.name}" added`))
+    ['rule-name','rule-window','rule-phase','rule-start','rule-end','rule-reason'].forEach(id=>{document.getElementById(id).value='';});
+}
+function toggleSuppressionRule(id,enabled){ return sendSuppressionRule('PUT','/'+id,{enabled},enabled?'Rule enabled':'Rule disabled'); }
+function deleteSuppressionRule(id){ return sendSuppressionRule('DELETE','/'+id,null,'Rule deleted'); }
+
+/* Data-quality report from ingest, shown above the anomalies */
+function renderQualityReport(){
+  const body=document.getElementById('quality-body'), badge=document.getElementById('quality-status');
+  if(!body||!qualityReport) return;
+  const q=qualityReport, t=q.time||{};
+  badge.className='quality-status '+q.status;
+  badge.textContent=q.status==='ok'?'No issues':`${q.issues.filter(i=>i.severity!=='info').length} issues`;
+  const types=q.columns.reduce((m,c)=>(m[c.type]=(m[c.type]||0)+1,m),{});
+  body.innerHTML=`<div class="quality-meta">
+      <span>Rows <b>${q.rows.toLocaleString()}</b></span>
+      <span>Columns <b>${Object.entries(types).map(([k,v])=>`${v} ${k}`).join(', ')}</b></span>
+      ${t.sampleRate?`<span>Sample rate <b>${t.sampleRate} Hz</b></span><span>Jitter <b>${(t.jitter.cv*100).toFixed(1)}%</b></span>`:''}
+      <span>Duplicate / out-of-order times <b>${t.duplicates||0} / ${t.outOfOrder||0}</b></span>
+    </div>`
+    +(q.issues.length?`<ul class="quality-issues">${q.issues.map(i=>`<li><span class="q-sev ${i.severity}">${i.severity}</span><span class="q-col">${i.column||''}</span><span>${i.message}</span></li>`).join('')}</ul>`:'');
+}
+
 /* ========================================================
    ANALYSIS VIEW
    ======================================================== */
@@ -309,10 +550,96 @@ function renderAnalysisView(){
     ChartModule.createLineChart('analysis-angle-chart',labels,[{label:'Flight Angle',data:ds.map(d=>d.angle_deg),color:'#14b8a6'}],{xTitle:'Mission Time (s)',yTitle:'degrees',annotations:ann});
   }
 
+  loadSpectrum();
+  loadDerivedChannels();
+
   // Stats table
   renderStatsTable();
 }
 
+/* -------- DERIVED CHANNELS -------- */
+async function loadDerivedChannels(){
+  const tb=document.getElementById('derived-table-body'); if(!tb) return;
+  try{
+    const channels=await (await fetch('/api/derived')).json();
+    const applied=new Set(columnsData.filter(c=>c.derived).map(c=>c.name));
+    tb.innerHTML=channels.length?channels.map(c=>`<tr>
+      <td style="font-weight:600">${c.label||c.name}<div class="derived-skipped mono">${c.name}</div></td>
+      <td class="derived-expression">${c.expression}</td>
+      <td class="mono">${c.unit||'–'}</td>
+      <td>${applied.has(c.name)?'<span class="status-ok">APPLIED</span>':`<span class="derived-skipped">not available (missing inputs)</span>`}</td>
+      <td><button class="btn btn-outline" onclick="deleteDerivedChannel('${c.name}')">Delete</button></td>
+    </tr>`).join(''):'<tr><td colspan="5" class="derived-skipped">No derived channels defined</td></tr>';
+  }catch(e){ console.warn('Failed to load derived channels',e); }
+}
+
+async function addDerivedChannel(){
+  const body={name:document.getElementById('derived-name').value.trim(),expression:document.getElementById('derived-expression').value.trim(),unit:document.getElementById('derived-unit').value.trim()};
+  try{
+    const res=await fetch('/api/derived',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(body)});
+    const data=await res.json();
+    if(!res.ok){ showNotification(data.error||'Failed to add channel','error'); return; }
+    ['derived-name','derived-expression','derived-unit'].forEach(id=>{document.getElementById(id).value='';});
+    const here=data.datasets.find(d=>d.id===currentDatasetId);
+    const skip=here?.skipped.find(s=>s.name===data.name);
+    showNotification(skip?`Channel ${data.name} saved, but not available here: ${skip.reason}`:`Derived channel ${data.name} added`,skip?'info':'success');
+    _selectedParams.add(data.name);
+    await loadDatasetList();
+    await loadDatasetData();
+  }catch(e){ showNotification('Failed to add channel','error'); }
+}
+
+async function deleteDerivedChannel(name){
+  try{
+    const res=await fetch('/api/derived/'+encodeURIComponent(name),{method:'DELETE'});
+    const data=await res.json();
+    if(!res.ok){ showNotification(data.error||'Failed to delete channel','error'); return; }
+    _selectedParams.delete(name);
+    await loadDatasetList();
+    await loadDatasetData();
+    showNotification(`Derived channel ${name} removed`,'success');
+  }catch(e){ showNotification('Failed to delete channel','error'); }
+}
+
+/* Frequency analysis card: PSD or spectrogram of one parameter, optionally over a time window */
+let spectrumParam=null, spectrumWindow=null;
+async function loadSpectrum(param){
+  const sel=document.getElementById('spectrum-param'); if(!sel) return;
+  const numeric=columnsData.filter(c=>c.isNumeric&&c.name!=='mission_time_s');
+  if(sel.dataset.datasetId!==currentDatasetId){
+    sel.innerHTML=numeric.map(c=>`<option value="${c.name}">${c.label||c.name}</option>`).join('');
+    sel.dataset.datasetId=currentDatasetId;
+  }
+  if(param){ spectrumParam=param; spectrumWindow=null; }
+  if(spectrumParam&&numeric.some(c=>c.name===spectrumParam)) sel.value=spectrumParam;
+  if(!sel.value) return;
+  const mode=document.getElementById('spectrum-mode').value;
+  const info=document.getElementById('spectrum-info');
+  let url=`/api/spectrum?param=${encodeURIComponent(sel.value)}`;
+  if(spectrumWindow) url+=`&startTime=${spectrumWindow.startTime}&endTime=${spectrumWindow.endTime}`;
+  try{
+    const res=await fetch(dsUrl(url)); const sp=await res.json();
+    if(!res.ok) throw new Error(sp.error);
+    const col=numeric.find(c=>c.name===sel.value);
+    info.textContent=`${sp.samples} samples at ${sp.sampleRate} Hz (Nyquist ${sp.nyquist} Hz, resolution ${sp.resolution} Hz), T+${sp.startTime}s to T+${sp.endTime}s`
+      +(sp.psd.segments<4?` · short window: ${sp.psd.segments} segment${sp.psd.segments>1?'s':''} averaged`:'')
+      +(sp.peaks.length?` · peaks: ${sp.peaks.map(p=>`${p.frequency.toFixed(2)} Hz (+${p.ratioDb} dB)`).join(', ')}`:' · no narrow-band peaks');
+    if(mode==='spectrogram') ChartModule.createSpectrogramChart('analysis-spectrum-chart',sp.spectrogram);
+    else ChartModule.createPSDChart('analysis-spectrum-chart',sp.psd.frequencies,sp.psd.power,{label:col?.label||sp.param,yTitle:`Power (${col?.unit||'unit'}²/Hz)`,peaks:sp.peaks});
+  }catch(e){
+    ChartModule.destroyChart('analysis-spectrum-chart');
+    document.getElementById('analysis-spectrum-chart').innerHTML='';
+    info.textContent=e.message;
+  }
+}
+
+/* Jump from an oscillation anomaly to its spectrum, with some context either side */
+function openSpectrum(param,startTime,endTime){
+  spectrumParam=param;
+  spectrumWindow={startTime:Math.max(0,startTime-10),endTime:endTime+10};
+  switchView('analysis');
+}
+
 function renderStatsTable(){
   const tb=document.getElementById('stats-table-body'); if(!tb) return;
   const colMap=Object.fromEntries(columnsData.map(c=>[c.name,c.label||c.name]));
@@ -330,6 +657,55 @@ function renderStatsTable(){
   }).join('');
 }
 
+/* Flight anomaly report: HTML download, or opened in a new tab to print / save as PDF */
+function downloadReport(print){
+  const narrative=document.getElementById('report-narrative')?.checked;
+  if(narrative) showNotification('Generating report with AI narrative…','info');
+  const url=dsUrl(`/api/report?narrative=${!!narrative}`+(print?'&print=true':''));
+  if(print) window.open(url,'_blank');
+  else window.location.href=url;
+}
+
+/* -------- REDLINE PROFILES -------- */
+async function loadRedlineProfiles(){
+  const sel=document.getElementById('redline-profile-select'); if(!sel) return;
+  try{
+    const profiles=await (await fetch('/api/redlines/profiles')).json();
+    const active=datasetList.find(d=>d.id===currentDatasetId)?.redlineProfileId;
+    sel.innerHTML=profiles.map(p=>`<option value="${p.id}"${p.id===active?' selected':''}>${p.name} (${p.parameters.length})</option>`).join('');
+  }catch(e){ console.warn('Failed to load redline profiles',e); }
+}
+
+async function changeRedlineProfile(profileId){
+  if(!currentDatasetId) return;
+  showNotification('Re-running detection…','info');
+  try{
+    const res=await fetch(`/api/datasets/${currentDatasetId}/redline-profile`,{method:'PUT',headers:{'Content-Type':'application/json'},body:JSON.stringify({profileId})});
+    const data=await res.json();
+    if(data.error){ showNotification(data.error,'error'); return; }
+    await loadDatasetList();
+    await loadDatasetData();
+    showNotification(`Analysed with ${document.getElementById('redline-profile-select').selectedOptions[0]?.textContent||profileId}: ${data.anomalies} anomalies`,'success');
+  }catch(e){ showNotification('Failed to change redline profile','error'); }
+}
+
+function exportRedlineProfile(){
+  const id=document.getElementById('redline-profile-select')?.value; if(!id) return;
+  window.location.href=`/api/redlines/${encodeURIComponent(id)}/export`;
+}
+
+async function importRedlineProfile(input){
+  const file=input.files[0]; if(!file) return;
+  try{
+    const json=JSON.parse(await file.text());
+    const res=await fetch('/api/redlines',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(json)});
+    const data=await res.json();
+    if(data.error) showNotification(data.error,'error');
+    else{ showNotification(`Imported redline profile "${data.name}"`,'success'); await loadRedlineProfiles(); }
+  }catch(e){ showNotification('Invalid redline profile JSON','error'); }
+  input.value='';
+}
+
 /* ========================================================
    EVENTS VIEW
    ======================================================== */
@@ -342,38 +718,84 @@ function renderEventsView(){
    ======================================================== */
 async function uploadCSV(input){
   const file=input.files[0]; if(!file) return;
-  showNotification('Uploading '+file.name+'…','info');
   const fd=new FormData(); fd.append('csvFile',file);
+  /* Only binary (CCSDS) files use the definition; text formats ignore it */
+  const packetDef=document.getElementById('packet-def-select')?.value;
+  if(packetDef) fd.append('packetDefinitionId',packetDef);
+  const uploadId=Date.now().toString(36)+Math.random().toString(36).slice(2,8);
+  setUploadProgress(file.name,'Uploading',0);
+  /* Transfer progress comes from the browser; once the file is sent, poll the server's parse progress */
+  let poll=null;
   try{
-    const res=await fetch('/api/upload',{method:'POST',body:fd});
-    const data=await res.json();
+    const data=await postWithProgress('/api/upload?uploadId='+uploadId,fd,(loaded,total)=>{
+      setUploadProgress(file.name,'Uploading',loaded/total*100);
+      if(loaded===total&&!poll) poll=setInterval(()=>pollUploadProgress(uploadId,file.name),500);
+    });
     if(data.success){
-      showNotification(`Loaded ${data.records||data.recordCount||'?'} records from ${data.filename}`,'success');
-      document.getElementById('current-file').textContent=data.filename;
-      // Reload everything
-      const [telRes,colRes,sRes,rlRes]=await Promise.all([
-        fetch('/api/telemetry'),fetch('/api/telemetry/columns'),fetch('/api/stats'),fetch('/api/redlines')
-      ]);
-      telemetryData=await telRes.json(); columnsData=await colRes.json();
-      const sObj=await sRes.json(); statsData=Object.values(sObj);
-      const rObj=await rlRes.json(); redlineData=Object.entries(rObj).map(([k,v])=>({parameter:k,...v}));
-      await AnomalyModule.loadAnomalies();
-      populateTelemetrySelects();
-      renderDashboard();
+      const qs=data.quality?.status;
+      showNotification(`Loaded ${data.records||data.recordCount||'?'} records from ${data.filename}`+(qs&&qs!=='ok'?` (data quality: ${qs})`:''),qs==='error'?'error':'success');
+      const pk=data.format?.packets;
+      if(pk&&(pk.sequenceGaps||Object.keys(pk.unknownApids).length)) showNotification(`Decoded ${pk.total} packets: ${pk.sequenceGaps} sequence gaps, ${Object.keys(pk.unknownApids).length} unknown APIDs`,'info');
+      currentDatasetId=data.datasetId;
+      await loadDatasetList();
+      await loadDatasetData();
+      /* Surface quality problems before anything else */
+      if(qs&&qs!=='ok') switchView('anomalies');
+      if(data.mapping?.status==='proposed') MappingModule.open(data.datasetId);
+      else if(data.mapping?.status==='applied') showNotification('Column mapping template applied','info');
     } else {
       showNotification(data.error||'Upload failed','error');
     }
   }catch(e){ showNotification('Upload failed','error'); }
+  clearInterval(poll);
+  setUploadProgress(null);
   input.value='';
 }
 
+/* POST a form with upload progress (fetch cannot report it); resolves to the JSON response */
+function postWithProgress(url,body,onProgress){
+  return new Promise((resolve,reject)=>{
+    const xhr=new XMLHttpRequest();
+    xhr.open('POST',url);
+    xhr.responseType='json';
+    xhr.upload.onprogress=e=>{ if(e.lengthComputable) onProgress(e.loaded,e.total); };
+    xhr.onload=()=>resolve(xhr.response||{error:'Upload failed'});
+    xhr.onerror=()=>reject(new Error('Upload failed'));
+    xhr.send(body);
+  });
+}
+
+async function pollUploadProgress(uploadId,name){
+  try{
+    const res=await fetch('/api/upload/'+uploadId+'/progress');
+    if(!res.ok) return;
+    const p=await res.json();
+    if(p.phase==='parsing') setUploadProgress(name,`Parsing ${p.rows.toLocaleString()} rows`,p.totalBytes?p.bytes/p.totalBytes*100:null);
+    else if(p.phase==='analysing') setUploadProgress(name,`Analysing ${p.rows.toLocaleString()} rows`+(p.step?` (${p.step})`:''),null);
+  }catch(e){}
+}
+
+/* Upload progress panel; pct null shows an indeterminate bar, name null hides the panel */
+function setUploadProgress(name,label,pct){
+  const box=document.getElementById('upload-progress');
+  if(!name){ box.hidden=true; return; }
+  box.hidden=false;
+  document.getElementById('upload-progress-file').textContent=name;
+  document.getElementById('upload-progress-text').textContent=label+(pct!=null?` ${Math.round(pct)}%`:'…');
+  const fill=document.getElementById('upload-progress-fill');
+  fill.classList.toggle('busy',pct==null);
+  fill.style.width=pct!=null?pct+'%':'';
+}
+
 /* ========================================================
    HELPERS
    ======================================================== */
 function buildMissionAnnotations(regions){
   const ann=ChartModule.buildAnnotations(regions);
-  for(const [key,ev] of Object.entries(MISSION_EVENTS)){
-    ann['event_'+key]={type:'line',xMin:String(ev.time),xMax:String(ev.time),borderColor:'#64748b',borderDash:[5,3],label:{content:ev.label,color:'#fff',backgroundColor:'#64748b'}};
+  for(const [key,ev] of Object.entries(missionEvents)){
+    const sure=ev.confidence>=0.6;
+    const clr=sure?'#64748b':'#94a3b8';
+    ann['event_'+key]={type:'line',xMin:String(ev.time),xMax:String(ev.time),borderColor:clr,borderDash:[5,3],label:{content:sure?ev.label:ev.label+'?',color:'#fff',backgroundColor:clr}};
   }
   return ann;
 }
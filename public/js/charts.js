@@ -53,7 +53,7 @@ const ChartModule = (() => {
       yaxis,
       annotations:{xaxis:toApexAnnotations(options.annotations)},
       colors:datasets.map((d,i)=>d.color||getColor(i)),
-      stroke:{curve:'smooth',width:datasets.length>3?1.5:2.2},
+      stroke:{curve:'smooth',width:datasets.length>3?1.5:2.2,dashArray:datasets.map(d=>d.dash||0)},
       fill:{type:'gradient',gradient:{shadeIntensity:1,opacityFrom:0.4,opacityTo:0.05,stops:[0,92,100]}},
       dataLabels:{enabled:false},
       tooltip:{theme:'light',x:{formatter:v=>`T+${v}s`},style:{fontSize:'12px',fontFamily:font}},
@@ -129,6 +129,53 @@ const ChartModule = (() => {
   }
 
   /* ---- BUILD ANNOTATIONS (same API as before) ---- */
+  /* ---- POWER SPECTRAL DENSITY (log scale) ---- */
+  function createPSDChart(containerId, frequencies, power, options={}){
+    destroyChart(containerId);
+    const el=document.getElementById(containerId); if(!el) return null; el.innerHTML='';
+    /* Log axis cannot show zero; clamp to the smallest positive bin */
+    const minPos=power.reduce((m,v)=>v>0&&v<m?v:m,Infinity), floor=isFinite(minPos)?minPos:1e-12;
+    const cfg={
+      chart:{type:'line',height:'100%',background:'transparent',fontFamily:font,toolbar:{show:true,tools:{download:false}},zoom:{enabled:true,type:'x'},animations:{enabled:false}},
+      series:[{name:options.label||'PSD',data:frequencies.map((f,i)=>({x:f,y:power[i]>0?power[i]:floor}))}],
+      xaxis:{type:'numeric',title:{text:'Frequency (Hz)',style:{fontSize:'12px',fontFamily:font}},labels:{formatter:v=>(+v).toFixed(2),style:{fontSize:'11px'}},tickAmount:10},
+      yaxis:{logarithmic:true,title:{text:options.yTitle||'Power (unit²/Hz)',style:{fontSize:'12px',fontFamily:font}},labels:{formatter:v=>v!=null?v.toExponential(1):'',style:{fontSize:'11px'}}},
+      annotations:{xaxis:(options.peaks||[]).map(p=>({x:p.frequency,borderColor:'#ef4444',strokeDashArray:3,
+        label:{text:`${p.frequency.toFixed(2)} Hz`,orientation:'horizontal',style:{color:'#fff',background:'#ef4444',fontSize:'10px'}}}))},
+      colors:[options.color||COLORS[0]],
+      stroke:{curve:'straight',width:1.8},
+      dataLabels:{enabled:false},
+      tooltip:{theme:'light',x:{formatter:v=>`${(+v).toFixed(3)} Hz`},y:{formatter:v=>v.toExponential(3)},style:{fontSize:'12px',fontFamily:font}},
+      grid:{borderColor:'rgba(0,0,0,0.05)',strokeDashArray:3},
+      legend:{show:false}
+    };
+    const c=new ApexCharts(el,cfg); c.render(); instances[containerId]=c; return c;
+  }
+
+  /* ---- SPECTROGRAM (heatmap: rows = frequency bins, columns = mission time, dB) ---- */
+  function createSpectrogramChart(containerId, spec, options={}){
+    destroyChart(containerId);
+    const el=document.getElementById(containerId); if(!el) return null; el.innerHTML='';
+    let lo=Infinity,hi=-Infinity;
+    spec.power.forEach(col=>col.forEach(v=>{ if(v<lo) lo=v; if(v>hi) hi=v; }));
+    const shades=['#e0f2fe','#7dd3fc','#0ea5e9','#6366f1','#f59e0b','#ef4444'];
+    const band=(hi-lo)/shades.length||1;
+    /* ApexCharts draws the first series at the bottom, so low frequencies come first */
+    const series=spec.frequencies.map((f,k)=>({name:`${f.toFixed(2)} Hz`,data:spec.times.map((t,j)=>({x:String(t),y:spec.power[j][k]}))})).slice(1).reverse();
+    const cfg={
+      chart:{type:'heatmap',height:'100%',background:'transparent',fontFamily:font,toolbar:{show:false},animations:{enabled:false}},
+      series,
+      dataLabels:{enabled:false},
+      plotOptions:{heatmap:{radius:0,enableShades:false,colorScale:{ranges:shades.map((c,i)=>({from:lo+band*i,to:i===shades.length-1?hi+1:lo+band*(i+1),color:c}))}}},
+      xaxis:{title:{text:'Mission Time (s)',style:{fontSize:'12px',fontFamily:font}},tickAmount:12,labels:{formatter:v=>Math.round(v),style:{fontSize:'11px'}}},
+      yaxis:{title:{text:'Frequency',style:{fontSize:'12px',fontFamily:font}},labels:{style:{fontSize:'10px'}}},
+      stroke:{width:0},
+      tooltip:{theme:'light',y:{formatter:v=>`${v} dB`},style:{fontSize:'12px',fontFamily:font}},
+      legend:{show:false}
+    };
+    const c=new ApexCharts(el,cfg); c.render(); instances[containerId]=c; return c;
+  }
+
   function buildAnnotations(anomalyRegions, redlines){
     const ann={};
     if(anomalyRegions){
@@ -140,6 +187,19 @@ const ChartModule = (() => {
     return ann;
   }
 
+  /* ---- IN-PLACE UPDATES (live mode) ---- */
+  /* points[k] = [{x,y},...] appended to series k; false when the chart does not exist yet */
+  function appendPoints(containerId, points){
+    const c=instances[containerId]; if(!c) return false;
+    c.appendData(points.map(data=>({data})));
+    return true;
+  }
+  function updateSeries(containerId, series){
+    const c=instances[containerId]; if(!c) return false;
+    c.updateSeries(series);
+    return true;
+  }
+
   function getInstances(){ return instances; }
-  return {createLineChart,createBarChart,createScatterChart,createDoughnutChart,destroyChart,buildAnnotations,getInstances,COLORS};
+  return {createLineChart,createBarChart,createScatterChart,createDoughnutChart,createPSDChart,createSpectrogramChart,destroyChart,buildAnnotations,appendPoints,updateSeries,getInstances,COLORS};
 })();
@@ -6,6 +6,7 @@ const ChatModule = (() => {
   let currentSessionId = null;
   let sessions = [];
   let initialised = false;
+  let streaming = null;   // AbortController of the reply being generated
 
   /* ──────────── Initialise ──────────── */
   async function init() {
@@ -112,6 +113,7 @@ const ChatModule = (() => {
 
       messages.forEach(m => {
         const role = m.role === 'User' ? 'user' : 'ai';
+        if (m.toolCalls) addToolCalls(m.toolCalls, false);
         addBubble(role, m.content, false);
         if (m.chartRequest) renderChatChart(m.chartRequest);
       });
@@ -148,7 +150,7 @@ const ChatModule = (() => {
   async function sendMessage() {
     const input = document.getElementById('chat-input');
     const msg = input.value.trim();
-    if (!msg) return;
+    if (!msg || streaming) return;
     input.value = '';
 
     // Auto-create session if none active
@@ -169,26 +171,128 @@ const ChatModule = (() => {
 
     addBubble('user', msg);
     showTyping();
+    const controller = new AbortController();
+    setStreaming(controller);
 
+    const reply = { raw: '', bubble: null, tools: null, chart: false, frame: 0 };
     try {
-      const res = await fetch('/api/chat', {
+      const res = await fetch('/api/chat/stream', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ message: msg, sessionId: currentSessionId })
+        body: JSON.stringify({ message: msg, sessionId: currentSessionId, datasetId: currentDatasetId }),
+        signal: controller.signal
       });
-      const data = await res.json();
-      hideTyping();
-
-      if (data.error) { addBubble('ai', '⚠️ ' + data.error); return; }
-      addBubble('ai', data.text || data.response || data.message || 'No response received.');
-      if (data.chartRequest) renderChatChart(data.chartRequest);
-
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        hideTyping();
+        addBubble('ai', '⚠️ ' + (data.error || 'Request failed.'));
+        return;
+      }
+      await readEvents(res, (event, data) => {
+        if (event === 'tool') addStreamTool(reply, data);
+        else if (event === 'text') { reply.raw += data.text; scheduleRender(reply); }
+        else if (event === 'done') finishReply(reply, data);
+        else if (event === 'error') finishReply(reply, { text: '⚠️ ' + data.error });
+      });
+    } catch (e) {
+      if (e.name === 'AbortError') { if (!controller.discarded) finishReply(reply, { text: `${visibleText(reply.raw)}\n\n*[generation cancelled]*`.trim() }); }
+      else { hideTyping(); addBubble('ai', '⚠️ Connection error. Please try again.'); }
+    } finally {
+      if (streaming === controller) setStreaming(null);
       // Refresh sidebar to show updated session
       await loadSessions();
-    } catch (e) {
+    }
+  }
+
+  /* Stop the reply being generated; the server keeps what was written so far */
+  function stopGeneration() {
+    if (streaming) streaming.abort();
+  }
+
+  function setStreaming(controller) {
+    streaming = controller;
+    const send = document.querySelector('.chat-send'), stop = document.getElementById('chat-stop');
+    if (send) send.hidden = !!controller;
+    if (stop) stop.hidden = !controller;
+  }
+
+  /* Parse a server-sent event stream from a fetch response, calling onEvent(event, data) per event */
+  async function readEvents(res, onEvent) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buf = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+      let end;
+      while ((end = buf.indexOf('\n\n')) >= 0) {
+        const block = buf.slice(0, end);
+        buf = buf.slice(end + 2);
+        let event = 'message', data = '';
+        for (const line of block.split('\n')) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        if (data) onEvent(event, JSON.parse(data));
+      }
+    }
+  }
+
+  /* Reply text without <chart> blocks, including one still being written (or its opening tag) */
+  function visibleText(raw) {
+    return raw.replace(/<chart>[\s\S]*?<\/chart>/g, '').replace(/<chart>[\s\S]*$|<(c(h(a(r(t)?)?)?)?)?$/, '');
+  }
+
+  function streamBubble(reply) {
+    if (!reply.bubble) {
       hideTyping();
-      addBubble('ai', '⚠️ Connection error. Please try again.');
+      reply.bubble = addBubble('ai', '');
+      reply.bubble.classList.add('streaming');
     }
+    return reply.bubble;
+  }
+
+  /* Tools arrive before or between text; they are listed above the reply */
+  function addStreamTool(reply, call) {
+    if (!reply.tools) {
+      reply.tools = addToolCalls([call]);
+      if (reply.bubble) reply.bubble.before(reply.tools);
+      else showTyping();   // keep the indicator below the tools
+    } else {
+      reply.tools.insertAdjacentHTML('beforeend', toolHtml(call));
+    }
+  }
+
+  /* Re-render the markdown at most once a frame; a chart is drawn once its block is complete */
+  function scheduleRender(reply) {
+    if (reply.frame) return;
+    reply.frame = requestAnimationFrame(() => {
+      reply.frame = 0;
+      const bubble = streamBubble(reply);
+      bubble.querySelector('.msg-bubble').innerHTML = markdown(visibleText(reply.raw));
+      const block = reply.raw.match(/<chart>([\s\S]*?)<\/chart>/);
+      if (block && !reply.chart) {
+        reply.chart = true;
+        try { renderChatChart(JSON.parse(block[1])); } catch (e) { console.warn('Chart block is not valid JSON', e); }
+      }
+      const wrap = document.getElementById('chat-messages');
+      if (wrap) wrap.scrollTop = wrap.scrollHeight;
+    });
+  }
+
+  /* Final text from the server (or the partial one when cancelled) replaces the streamed render */
+  function finishReply(reply, data) {
+    if (reply.frame) { cancelAnimationFrame(reply.frame); reply.frame = 0; }
+    const bubble = streamBubble(reply);
+    bubble.classList.remove('streaming');
+    bubble.querySelector('.msg-bubble').innerHTML = markdown(data.text || (data.cancelled ? '' : 'No response received.'));
+    if (data.chartRequest && !reply.chart) {
+      reply.chart = true;
+      renderChatChart(data.chartRequest);
+    }
+    const wrap = document.getElementById('chat-messages');
+    if (wrap) wrap.scrollTop = wrap.scrollHeight;
   }
 
   function sendSuggestion(text) {
@@ -198,6 +302,8 @@ const ChatModule = (() => {
 
   /* ──────────── UI Helpers ──────────── */
   function clearChatArea() {
+    /* A reply still streaming belongs to the conversation being left */
+    if (streaming) { streaming.discarded = true; streaming.abort(); setStreaming(null); hideTyping(); }
     const wrap = document.getElementById('chat-messages');
     if (wrap) wrap.innerHTML = '';
   }
@@ -226,12 +332,34 @@ const ChatModule = (() => {
     const div = document.createElement('div');
     div.className = `chat-msg ${role}`;
     const avatar = role === 'ai' ? 'AI' : 'You';
-    const body = role === 'ai'
-      ? (typeof marked !== 'undefined' ? marked.parse(content) : content)
-      : escapeHtml(content);
+    const body = role === 'ai' ? markdown(content) : escapeHtml(content);
     div.innerHTML = `<div class="msg-avatar">${avatar}</div><div class="msg-bubble">${body}</div>`;
     wrap.appendChild(div);
     if (scroll) wrap.scrollTop = wrap.scrollHeight;
+    return div;
+  }
+
+  function markdown(content) {
+    return typeof marked !== 'undefined' ? marked.parse(content) : content;
+  }
+
+  /* Tools the analyst called for the next reply: one collapsible line each, arguments inside */
+  function addToolCalls(calls, scroll = true) {
+    const wrap = document.getElementById('chat-messages');
+    if (!wrap) return;
+    const div = document.createElement('div');
+    div.className = 'chat-tools';
+    div.innerHTML = calls.map(toolHtml).join('');
+    wrap.appendChild(div);
+    if (scroll) wrap.scrollTop = wrap.scrollHeight;
+    return div;
+  }
+
+  function toolHtml(c) {
+    return `<details class="chat-tool">
+  <summary><span class="chat-tool-name">${escapeHtml(c.name)}</span> ${escapeHtml(c.summary || '')}</summary>
+  <pre>${escapeHtml(JSON.stringify(c.args || {}, null, 2))}</pre>
+</details>`;
   }
 
   function renderChatChart(chartData) {
@@ -246,7 +374,9 @@ const ChatModule = (() => {
     wrap.scrollTop = wrap.scrollHeight;
 
     setTimeout(() => {
-      if (chartData.type === 'line' || chartData.type === 'area') {
+      if (chartData.params && !chartData.datasets) {
+        renderParamsChart(id, chartData);
+      } else if (chartData.type === 'line' || chartData.type === 'area') {
         ChartModule.createLineChart(id, chartData.labels || [], chartData.datasets || [], { xTitle: chartData.xTitle || '', yTitle: chartData.yTitle || '', hideLegend: false });
       } else if (chartData.type === 'bar') {
         ChartModule.createBarChart(id, chartData.labels || [], chartData.datasets || [], { xTitle: chartData.xTitle || '', yTitle: chartData.yTitle || '' });
@@ -258,6 +388,17 @@ const ChatModule = (() => {
     }, 100);
   }
 
+  /* Chart the analyst described by column names ({ params, timeRange, highlightAnomalies }) from the loaded telemetry */
+  function renderParamsChart(id, c) {
+    const [s, e] = c.timeRange || [-Infinity, Infinity];
+    const rows = downsample(telemetryData.filter(d => d.mission_time_s >= s && d.mission_time_s <= e), 300);
+    const colMap = Object.fromEntries(columnsData.map(x => [x.name, x.label || x.name]));
+    const params = c.params.filter(p => colMap[p]);
+    const datasets = params.map((p, i) => ({ label: colMap[p], data: rows.map(d => d[p]), color: ChartModule.COLORS[i % ChartModule.COLORS.length] }));
+    const ann = buildMissionAnnotations(c.highlightAnomalies ? AnomalyModule.getRegions() : null);
+    ChartModule.createLineChart(id, rows.map(d => String(d.mission_time_s)), datasets, { xTitle: 'Mission Time (s)', yTitle: c.title || params.map(p => colMap[p]).join(', '), annotations: ann });
+  }
+
   function showTyping() {
     const wrap = document.getElementById('chat-messages');
     if (!wrap) return;
@@ -300,7 +441,7 @@ const ChatModule = (() => {
     return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
   }
 
-  return { init, sendMessage, sendSuggestion, resetChat, newChat, switchSession, deleteSession, loadSessions, toggleSidebar };
+  return { init, sendMessage, stopGeneration, sendSuggestion, resetChat, newChat, switchSession, deleteSession, loadSessions, toggleSidebar };
 })();
 
 /* Global helpers called from HTML */
@@ -0,0 +1,78 @@
+/* =======================================================
+   mapping.js — Column Mapping Module (import mapping editor)
+   ======================================================= */
+const MappingModule = (() => {
+  let mapping=null, schema=null, datasetId=null;
+
+  /* Open the editor for a dataset's proposed mapping */
+  async function open(id){
+    datasetId=id;
+    try{
+      const [mRes,sRes]=await Promise.all([fetch('/api/mapping?dataset='+encodeURIComponent(id)),fetch('/api/mapping/schema')]);
+      if(!mRes.ok) return;
+      mapping=await mRes.json(); schema=await sRes.json();
+    }catch(e){ console.warn('Failed to load column mapping',e); return; }
+    render();
+  }
+
+  function render(){
+    document.querySelector('.modal-overlay')?.remove();
+    const overlay=document.createElement('div');
+    overlay.className='modal-overlay';
+    const allUnits=Object.values(schema.units).flatMap(u=>u.units);
+    const reasons={known:'known',alias:'renamed',unit:'unit',unmapped:'kept',template:'template'};
+    const rows=mapping.columns.map((c,i)=>{
+      const sample=mapping.samples?.[c.source];
+      return `<tr>
+        <td class="map-source">${c.source}</td>
+        <td class="map-sample">${sample==null?'—':sample}</td>
+        <td><input class="map-input" list="map-targets" data-i="${i}" data-field="target" value="${c.target||''}" placeholder="(drop)"></td>
+        <td><select class="map-input" data-i="${i}" data-field="unit"><option value="">—</option>${allUnits.map(u=>`<option${u===c.unit?' selected':''}>${u}</option>`).join('')}</select></td>
+        <td><span class="map-reason ${c.reason||''}">${reasons[c.reason]||''}${c.conversion?` ${c.conversion.from}→${c.conversion.to}`:''}</span></td>
+      </tr>`;
+    }).join('');
+    overlay.innerHTML=`<div class="modal-card">
+      <div class="modal-head"><h3>Column mapping</h3><button class="modal-close" onclick="MappingModule.close()">&times;</button></div>
+      <p class="card-desc">Proposed mapping from the file's columns to the standard telemetry schema. Edit a target or unit, or clear a target to drop the column. Units are converted to the target column's unit.</p>
+      <div class="map-table"><table class="data-table">
+        <thead><tr><th>Source column</th><th>Sample</th><th>Target column</th><th>Source unit</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table></div>
+      <datalist id="map-targets">${schema.columns.map(c=>`<option value="${c.name}">`).join('')}</datalist>
+      <div class="btn-row">
+        <button class="btn btn-primary" onclick="MappingModule.apply()">Apply mapping</button>
+        <label class="map-save"><input type="checkbox" id="map-save" checked> Save as template</label>
+        <input class="map-input" id="map-name" placeholder="Template name (optional)">
+        <button class="btn btn-outline" onclick="MappingModule.close()">Keep original columns</button>
+      </div>
+    </div>`;
+    document.body.appendChild(overlay);
+  }
+
+  function readColumns(){
+    const cols=mapping.columns.map(c=>({source:c.source,target:c.target,unit:c.unit}));
+    document.querySelectorAll('.modal-overlay .map-input[data-i]').forEach(el=>{
+      cols[+el.dataset.i][el.dataset.field]=el.value.trim()||null;
+    });
+    return cols;
+  }
+
+  async function apply(){
+    const body={columns:readColumns(),saveTemplate:document.getElementById('map-save').checked,name:document.getElementById('map-name').value.trim()||undefined};
+    try{
+      const res=await fetch('/api/mapping/apply?dataset='+encodeURIComponent(datasetId),{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(body)});
+      const data=await res.json();
+      if(!res.ok){ showNotification(data.error||'Mapping failed','error'); return; }
+      close();
+      showNotification(`Mapping applied${data.template?' and saved as “'+data.template.name+'”':''}: ${data.anomalies} anomalies`,'success');
+      await loadDatasetList();
+      await loadDatasetData();
+    }catch(e){ showNotification('Mapping failed','error'); }
+  }
+
+  function close(){
+    document.querySelector('.modal-overlay')?.remove();
+  }
+
+  return { open, apply, close };
+})();
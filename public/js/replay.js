@@ -0,0 +1,93 @@
+/* =======================================================
+   replay.js — Flight Replay Module (server-driven clock)
+   ======================================================= */
+const ReplayModule = (() => {
+  let source=null, datasetId=null, state=null, clock=null, scrubbing=false;
+
+  /* Follow the active dataset's replay clock; every browser on the dataset gets the same state */
+  function connect(){
+    if(source&&datasetId===currentDatasetId) return render();
+    if(source){ source.close(); source=null; }
+    const had=clock!==null;
+    datasetId=currentDatasetId; state=null; clock=null;
+    AnomalyModule.setClock(null);
+    if(had) redraw();
+    render();
+    if(!datasetId) return;
+    source=new EventSource(dsUrl('/api/replay/stream'));
+    source.addEventListener('state',e=>onState(JSON.parse(e.data)));
+  }
+
+  function onState(s){
+    if(s.datasetId!==currentDatasetId) return;
+    const prev=clock;
+    state=s.status==='stopped'?null:s;
+    clock=state?state.position:null;
+    AnomalyModule.setClock(clock);
+    if(prev!==null&&clock!==null&&clock>=prev) advance(prev,clock);
+    else if(prev!==clock) redraw();
+    render();
+  }
+
+  /* Seeks, starts and stops redraw the current view up to the clock */
+  function redraw(){
+    const active=document.querySelector('.view.active')?.id.replace('view-','')||'dashboard';
+    if(['dashboard','anomalies','events'].includes(active)) switchView(active);
+    else renderEngineStatus();
+  }
+
+  /* Ticks extend the dashboard charts in place and refresh the counters when anomalies are passed */
+  function advance(from,to){
+    const rows=telemetryData.filter(d=>d.mission_time_s>from&&d.mission_time_s<=to);
+    if(rows.length){
+      LIVE_CHARTS.forEach(([id,key])=>ChartModule.appendPoints(id,[rows.map(r=>({x:r.mission_time_s,y:r[key]??null}))]));
+      const visible=visibleRows(telemetryData);
+      setKPI('kpi-records',visible.length.toLocaleString());
+      setKPI('kpi-duration',Math.round(to-visible[0].mission_time_s)+'s');
+    }
+    if(!AnomalyModule.getAnomalies().some(a=>a.missionTime>from)) return;
+    refreshAnomalyPanels();
+    const crit=AnomalyModule.getEvents().find(ev=>ev.startTime>from&&ev.severity==='CRITICAL');
+    if(crit) showNotification(`${crit.id} at T+${crit.startTime}s — ${crit.anomalies[0]?.description||crit.count+' anomalies'}`,'error');
+  }
+
+  function render(){
+    const bar=document.getElementById('replay-bar'); if(!bar) return;
+    const t0=telemetryData[0]?.mission_time_s??0, t1=telemetryData[telemetryData.length-1]?.mission_time_s??0;
+    const start=state?.start??t0, end=state?.end??t1;
+    bar.classList.toggle('active',!!state);
+    const play=document.getElementById('replay-play');
+    play.textContent=state?.status==='playing'?'Pause':state?'Play':'Replay';
+    play.disabled=isLive();
+    if(state) document.getElementById('replay-speed').value=String(state.speed);
+    const seek=document.getElementById('replay-seek');
+    seek.min=start; seek.max=end; seek.disabled=isLive();
+    if(!scrubbing) seek.value=clock??end;
+    document.getElementById('replay-stop').disabled=!state;
+    setClockLabel(scrubbing?+seek.value:clock,end);
+  }
+
+  function setClockLabel(t,end){
+    const el=document.getElementById('replay-clock'); if(!el) return;
+    el.textContent=t===null?'Full flight':`T+${Math.round(t)}s / ${Math.round(end)}s${state?.status==='ended'?' · ended':''}`;
+  }
+
+  async function send(method,body){
+    try{
+      const res=await fetch(dsUrl('/api/replay'),{method,headers:{'Content-Type':'application/json'},body:body?JSON.stringify(body):undefined});
+      const data=await res.json();
+      if(!res.ok) throw new Error(data.error);
+    }catch(e){ showNotification('Replay: '+e.message,'error'); }
+  }
+
+  function toggle(){ return send('PUT',{status:state?.status==='playing'?'paused':'playing',speed:+document.getElementById('replay-speed').value}); }
+  function setSpeed(v){ if(state) return send('PUT',{speed:+v}); }
+  function scrub(v){ scrubbing=true; setClockLabel(+v,state?.end??+document.getElementById('replay-seek').max); }
+  function seek(v){ scrubbing=false; return send('PUT',{position:+v}); }
+  function stop(){ return send('DELETE'); }
+
+  function visibleRows(rows){ return clock===null?rows:rows.filter(d=>d.mission_time_s<=clock); }
+  function isActive(){ return !!state; }
+
+  return {connect,toggle,setSpeed,scrub,seek,stop,visibleRows,isActive};
+})();
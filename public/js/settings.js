@@ -3,34 +3,87 @@
    ======================================================= */
 const SettingsModule = (() => {
 
+  let llm=null;   // GET /api/settings/llm: selected provider, model, baseUrl and every provider's key status
+
+  function selectedProvider(){
+    const name=document.getElementById('llm-provider')?.value;
+    return llm?.providers.find(p=>p.name===name)||null;
+  }
+
   async function loadStatus(){
     try{
-      const res=await fetch('/api/settings/status');
-      const data=await res.json();
-      const banner=document.getElementById('api-key-status-banner');
-      if(banner){
-        if(data.hasKey){
-          banner.innerHTML=`<div class="api-key-info connected">✓ Gemini API key configured${data.keyPreview?' — '+data.keyPreview:''}</div>`;
-        } else {
-          banner.innerHTML=`<div class="api-key-info disconnected">✗ No API key configured — AI features in fallback mode</div>`;
-        }
-      }
+      llm=await (await fetch('/api/settings/llm')).json();
+      const select=document.getElementById('llm-provider');
+      if(!select) return;
+      select.innerHTML=llm.providers.map(p=>`<option value="${p.name}">${p.label}</option>`).join('');
+      select.value=llm.provider;
+      document.getElementById('llm-model').value=llm.model||'';
+      document.getElementById('llm-base-url').value=llm.baseUrl||'';
+      renderProvider();
     }catch(e){ console.warn('Settings status fetch failed',e); }
   }
 
+  /* Re-read key status without touching the provider form */
+  async function refreshKeys(){
+    try{ llm=await (await fetch('/api/settings/llm')).json(); renderProvider(); }
+    catch(e){ console.warn('Settings status fetch failed',e); }
+  }
+
+  /* Model/endpoint fields and key card for the provider in the select */
+  function renderProvider(){
+    const p=selectedProvider();
+    if(!p) return;
+    document.getElementById('llm-model').placeholder=p.defaultModel;
+    document.getElementById('llm-base-url').placeholder=p.defaultBaseUrl||'';
+    document.getElementById('llm-base-url-group').hidden=!p.usesBaseUrl;
+    document.getElementById('api-key-card').hidden=!p.usesKey;
+    document.getElementById('api-key-title').textContent=`${p.label} API Key`;
+    const banner=document.getElementById('api-key-status-banner');
+    if(banner){
+      if(p.keyConfigured){
+        banner.innerHTML=`<div class="api-key-info connected">✓ ${p.label} API key configured</div>`;
+      } else if(p.needsKey){
+        banner.innerHTML=`<div class="api-key-info disconnected">✗ No API key configured — chat answers come from the offline analyst</div>`;
+      } else {
+        banner.innerHTML=`<div class="api-key-info disconnected">No API key — only needed if the endpoint requires one</div>`;
+      }
+    }
+  }
+
+  function onProviderChange(){
+    const p=selectedProvider();
+    /* Another provider's model name means nothing here; fall back to this one's default */
+    document.getElementById('llm-model').value=p?.name===llm.provider?(llm.model||''):'';
+    document.getElementById('llm-base-url').value=p?.name===llm.provider?(llm.baseUrl||''):'';
+    renderProvider();
+  }
+
+  async function saveProvider(){
+    const status=document.getElementById('llm-status');
+    const body={provider:document.getElementById('llm-provider').value,model:document.getElementById('llm-model').value.trim()||null,baseUrl:document.getElementById('llm-base-url').value.trim()||null};
+    try{
+      const res=await fetch('/api/settings/llm',{method:'PUT',headers:{'Content-Type':'application/json'},body:JSON.stringify(body)});
+      const data=await res.json();
+      if(!res.ok){ showStatus(status,data.error||'Failed to save','error'); return; }
+      showStatus(status,`Using ${selectedProvider().label} (${data.model})`,'saved');
+      loadStatus();
+    }catch(e){ showStatus(status,'Connection error','error'); }
+  }
+
   async function saveApiKey(){
     const input=document.getElementById('settings-api-key');
     const key=input.value.trim();
     const status=document.getElementById('settings-status');
+    const provider=document.getElementById('llm-provider').value;
     if(!key){ showStatus(status,'Please enter an API key','error'); return; }
     showStatus(status,'Saving…','info');
     try{
-      const res=await fetch('/api/settings/api-key',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({apiKey:key})});
+      const res=await fetch('/api/settings/api-key',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({apiKey:key,provider})});
       const data=await res.json();
       if(data.success){
         showStatus(status,'API key saved & activated!','saved');
         input.value='';
-        loadStatus();
+        refreshKeys();
       } else {
         showStatus(status,data.error||'Failed to save','error');
       }
@@ -39,12 +92,13 @@ const SettingsModule = (() => {
 
   async function removeApiKey(){
     const status=document.getElementById('settings-status');
+    const provider=document.getElementById('llm-provider').value;
     try{
-      const res=await fetch('/api/settings/api-key',{method:'DELETE'});
+      const res=await fetch('/api/settings/api-key?provider='+encodeURIComponent(provider),{method:'DELETE'});
       const data=await res.json();
       if(data.success){
         showStatus(status,'API key removed','saved');
-        loadStatus();
+        refreshKeys();
       } else {
         showStatus(status,data.error||'Failed to remove','error');
       }
@@ -58,6 +112,47 @@ const SettingsModule = (() => {
     else { input.type='password'; btn.textContent='Show'; }
   }
 
+  /* Packet definitions for binary (CCSDS) uploads; the select's value is sent with every upload */
+  async function loadPacketDefinitions(){
+    const select=document.getElementById('packet-def-select');
+    if(!select) return;
+    try{
+      const defs=await (await fetch('/api/packet-definitions')).json();
+      const current=select.value;
+      select.innerHTML=defs.map(d=>`<option value="${d.id}">${d.name} — ${d.apids.map(a=>a.name).join(', ')}${d.builtIn?' (built-in)':''}</option>`).join('');
+      if(defs.some(d=>d.id===current)) select.value=current;
+    }catch(e){ console.warn('Packet definitions fetch failed',e); }
+  }
+
+  async function savePacketDefinition(){
+    const input=document.getElementById('packet-def-json');
+    const status=document.getElementById('packet-def-status');
+    let def;
+    try{ def=JSON.parse(input.value); }catch(e){ showStatus(status,'Definition must be valid JSON','error'); return; }
+    try{
+      const res=await fetch('/api/packet-definitions',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(def)});
+      const data=await res.json();
+      if(!res.ok){ showStatus(status,data.error||'Failed to save','error'); return; }
+      input.value='';
+      await loadPacketDefinitions();
+      document.getElementById('packet-def-select').value=data.id;
+      showStatus(status,`Saved “${data.name}”`,'saved');
+    }catch(e){ showStatus(status,'Connection error','error'); }
+  }
+
+  async function deletePacketDefinition(){
+    const select=document.getElementById('packet-def-select');
+    const status=document.getElementById('packet-def-status');
+    if(!select?.value) return;
+    try{
+      const res=await fetch('/api/packet-definitions/'+encodeURIComponent(select.value),{method:'DELETE'});
+      const data=await res.json();
+      if(!res.ok){ showStatus(status,data.error||'Failed to delete','error'); return; }
+      await loadPacketDefinitions();
+      showStatus(status,'Definition deleted','saved');
+    }catch(e){ showStatus(status,'Connection error','error'); }
+  }
+
   function showStatus(el,msg,cls){
     if(!el) return;
     el.className='status-text '+(cls||'');
@@ -65,5 +160,5 @@ const SettingsModule = (() => {
     if(cls!=='info') setTimeout(()=>{el.textContent='';},4000);
   }
 
-  return {loadStatus,saveApiKey,removeApiKey,toggleKeyVisibility};
+  return {loadStatus,onProviderChange,saveProvider,saveApiKey,removeApiKey,toggleKeyVisibility,loadPacketDefinitions,savePacketDefinition,deletePacketDefinition};
 })();
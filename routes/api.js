@@ -1,5 +1,6 @@
 /**
  * API Routes  -  SpaceX CRS-16 telemetry
+ * Every data endpoint accepts ?dataset=<id>; without it the default dataset is used.
  */
 
 const express = require('express');
@@ -7,115 +8,893 @@ const router = express.Router();
 const path = require('path');
 const multer = require('multer');
 const CSVParser = require('../services/csvParser');
-const { AnomalyDetector, REDLINE_LIMITS, MISSION_EVENTS } = require('../services/anomalyDetector');
+const registry = require('../services/datasetRegistry');
+const FlightComparator = require('../services/flightComparator');
+const redlineProfiles = require('../services/redlineProfiles');
+const packetDefinitions = require('../services/packetDefinitions');
+const CCSDSParser = require('../services/ccsdsParser');
+const derivedChannels = require('../services/derivedChannels');
+const { AnomalyDetector, REDLINE_LIMITS } = require('../services/anomalyDetector');
+const { EventDetector } = require('../services/eventDetector');
+const detectorRegistry = require('../services/detectorRegistry');
+const detectionConfig = require('../services/detectionConfig');
+const SpectrumAnalyzer = require('../services/spectrumAnalyzer');
+const DataQuality = require('../services/dataQuality');
+const columnMapping = require('../services/columnMapping');
+const telemetryIngest = require('../services/telemetryIngest');
+const liveSessions = require('../services/liveSessions');
+const replaySessions = require('../services/replaySessions');
+const anomalyReviews = require('../services/anomalyReviews');
+const suppressionRules = require('../services/suppressionRules');
+const reportGenerator = require('../services/reportGenerator');
+require('../services/oscillationDetector');
 
 /* Vercel only allows writes to /tmp; fallback to data/uploads locally */
 const uploadDest = process.env.VERCEL
   ? '/tmp/uploads'
   : path.join(__dirname, '..', 'data', 'uploads');
 
+/* Any file name is accepted; services/telemetryIngest.js detects the format from the content */
 const upload = multer({
   dest: uploadDest,
-  fileFilter: (_, file, cb) => cb(null, file.originalname.endsWith('.csv') || file.mimetype === 'text/csv'),
   limits: { fileSize: 100 * 1024 * 1024 },
 });
 
-let currentData = null;
-let currentAnomalies = null;
-let currentStats = null;
-let currentSummary = null;
-let currentFilename = null;
-
+/* Restore stored datasets (see services/storage.js), then load the bundled flight unless it was among them */
 async function loadDefaultData() {
   const fs = require('fs');
+  const restored = registry.restoreDatasets();
+  for (const ds of restored) {
+    Object.assign(ds, CSVParser.summarise(ds.table));
+    ds.stats = CSVParser.getTableStats(ds.table, ds.runningStats);
+    /* Findings made with a profile that is no longer stored would name limits nobody can look up */
+    if (!redlineProfiles.getProfile(ds.redlineProfileId)) {
+      ds.redlineProfileId = redlineProfiles.matchProfile(ds.table.columns);
+      runDetection(ds);
+    }
+  }
+  if (restored.length) console.log(`  [data] Restored ${restored.length} stored dataset(s)`);
   const defaultPath = path.join(__dirname, '..', 'data', 'spacex_crs16_telemetry.csv');
-  if (fs.existsSync(defaultPath)) {
-    currentData = await CSVParser.parseFile(defaultPath);
-    currentFilename = 'spacex_crs16_telemetry.csv';
-    runDetection();
-    console.log(`  [data] Loaded default dataset: ${currentData.length} records`);
+  if (!restored.some(ds => ds.sample) && fs.existsSync(defaultPath)) {
+    const { table, runningStats, preview } = await CSVParser.ingest(defaultPath);
+    const ds = registry.addDataset('spacex_crs16_telemetry.csv', table, { redlineProfileId: redlineProfiles.DEFAULT_PROFILE_ID, runningStats, preview, format: { format: 'csv', gzip: false }, sample: true });
+    assessQuality(ds);
+    applyDerivedChannels(ds);
+    runDetection(ds);
+    console.log(`  [data] Loaded default dataset: ${table.length} records (${ds.id})`);
   }
 }
 
-function runDetection() {
-  if (!currentData) return;
-  const det = new AnomalyDetector(currentData);
+/*
+ * Assess a dataset's data quality as received, then put its rows in mission-time order when
+ * they are not: time windows (table.lowerBound / upperBound) and the detectors assume it.
+ */
+function assessQuality(ds) {
+  ds.quality = DataQuality.assess(ds.data);
+  if (!ds.quality.time.outOfOrder) return;
+  ds.table = ds.table.sortedByTime();
+  ds.runningStats = null;   // the preview indexes rows in file order
+  ds.preview = null;
+  ds.quality.issues.push({ severity: 'info', column: 'mission_time_s', message: 'Rows were sorted by mission time for analysis' });
+}
+
+/* AnomalyDetector for a dataset: its redline profile's limits and the given detection config */
+function detectorFor(ds, config) {
+  const profile = redlineProfiles.getProfile(ds.redlineProfileId) || redlineProfiles.getProfile();
+  return new AnomalyDetector(ds.data, {
+    redlines: profile.limits,
+    missionEvents: ds.missionEvents,
+    ...detectionConfig.detectorOptions(config),
+  });
+}
+
+/* Run the detectors over a dataset with the given detection config, then the suppression rules; does not modify the dataset */
+function analyse(ds, config) {
+  const det = detectorFor(ds, config);
   det.detectAll();
-  currentAnomalies = det.anomalies;
-  currentSummary = det.getSummary();
-  const cols = CSVParser.getNumericColumns(currentData);
-  currentStats = {};
-  for (const c of cols) currentStats[c] = CSVParser.getStats(currentData, c);
+  return findings(det, ds);
+}
+
+/* Findings of a finished detector run once the suppression rules have been applied */
+function findings(det, ds) {
+  applySuppression(det, ds);
+  return { anomalies: det.anomalies, suppressed: det.suppressed, summary: det.getSummary() };
+}
+
+/* Set aside the anomalies the suppression rules claim and re-cluster the rest */
+function applySuppression(det, ds) {
+  const { table } = ds;
+  det.suppress(suppressionRules.matcher({
+    eventTimes: missionEventsFor(ds),
+    phaseAt: t => {
+      const i = table.lowerBound(t);
+      return det.phaseColumn && i < table.length ? table.get(det.phaseColumn, i) : null;
+    },
+  }));
+}
+
+function runDetection(ds) {
+  if (!ds?.data) return;
+  prepareDetection(ds);
+  storeFindings(ds, analyse(ds, ds.detectionConfig));
+}
+
+/*
+ * runDetection() for uploads: yields to the event loop between steps, so other requests
+ * (progress polls included) are answered while a long record is analysed. onStep(name)
+ * reports each step and resolves when the loop has had its turn.
+ */
+async function runDetectionAsync(ds, onStep) {
+  prepareDetection(ds);
+  const det = detectorFor(ds, ds.detectionConfig);
+  await det.detectAllAsync(onStep);
+  await onStep('suppression rules');
+  const result = findings(det, ds);
+  await onStep('saving');
+  storeFindings(ds, result);
+}
+
+/* Settle the redline profile and detect mission events ahead of a detection run */
+function prepareDetection(ds) {
+  const profile = redlineProfiles.getProfile(ds.redlineProfileId) || redlineProfiles.getProfile();
+  ds.redlineProfileId = profile.id;
+  if (!ds.missionEvents) ds.missionEvents = EventDetector.detect(ds.data);
+}
+
+function storeFindings(ds, { anomalies, suppressed, summary }) {
+  ds.anomalies = anomalies;
+  ds.suppressed = suppressed;
+  ds.summary = summary;
+  anomalyReviews.annotate(ds);
+  if (!ds.runningStats) Object.assign(ds, CSVParser.summarise(ds.table));
+  ds.stats = CSVParser.getTableStats(ds.table, ds.runningStats);
+  registry.saveDataset(ds);
+}
+
+/*
+ * Replace a dataset's columns using a resolved column mapping and re-analyse it.
+ * Stats, mission events, redline profile match and quality all depend on the column names.
+ */
+function applyDatasetMapping(ds, resolved) {
+  ds.table = columnMapping.applyMapping(ds.table, resolved);
+  ds.runningStats = null;
+  ds.preview = null;
+  ds.missionEvents = null;
+  ds.derived = null;
+  ds.redlineProfileId = redlineProfiles.matchProfile(ds.table.columns);
+  assessQuality(ds);
+  applyDerivedChannels(ds);
+  runDetection(ds);
+}
+
+/*
+ * (Re)compute derived channels on a dataset's table. Quality is assessed on the source
+ * columns only, so this runs after DataQuality; stats for the new columns join the running stats.
+ */
+function applyDerivedChannels(ds) {
+  const previous = ds.derived?.applied || [];
+  ds.derived = derivedChannels.applyChannels(ds.table, previous);
+  if (!ds.runningStats) return;
+  for (const name of previous) delete ds.runningStats[name];
+  for (const name of ds.derived.applied) ds.runningStats[name] = CSVParser.columnStats(ds.table, name);
+}
+
+/* Re-apply the suppression rules to a dataset's findings, without running the detectors again */
+function resuppress(ds) {
+  if (!ds.summary) return runDetection(ds);
+  const det = detectorFor(ds, ds.detectionConfig);
+  det.reuse([...ds.anomalies, ...ds.suppressed], ds.summary);
+  applySuppression(det, ds);
+  ds.anomalies = det.anomalies;
+  ds.suppressed = det.suppressed;
+  ds.summary = det.getSummary();
+  anomalyReviews.annotate(ds);
+  registry.saveDataset(ds);
+}
+
+/* Re-filter every finished dataset after a suppression rule changes; live ones pick rules up when they end */
+function rerunSuppression() {
+  const affected = registry.getAllDatasets().filter(ds => ds.live?.status !== 'live');
+  for (const ds of affected) resuppress(ds);
+  return affected.map(ds => ({ id: ds.id, anomalies: ds.anomalies.length, suppressed: ds.suppressed.length }));
+}
+
+/* Derived-channel re-runs are queued, so channels edited in quick succession are applied in order */
+let derivedRerun = Promise.resolve();
+
+/*
+ * Recompute derived channels and re-analyse every finished dataset after a channel changes,
+ * yielding between steps as uploads do; live sessions pick the channels up when they end.
+ * Datasets deleted while the run waits for its turn are skipped.
+ */
+function rerunDerived() {
+  const run = derivedRerun.then(async () => {
+    const out = [];
+    for (const ds of registry.getAllDatasets()) {
+      if (ds.live?.status === 'live' || registry.getDataset(ds.id) !== ds) continue;
+      applyDerivedChannels(ds);
+      await runDetectionAsync(ds, () => new Promise(resolve => setImmediate(resolve)));
+      out.push({ id: ds.id, ...ds.derived });
+    }
+    return out;
+  });
+  derivedRerun = run.catch(() => {});
+  return run;
+}
+
+/* First non-blank value of a column, shown next to it in the mapping editor */
+function firstValue(table, name) {
+  for (let i = 0; i < table.length; i++) {
+    const v = table.get(name, i);
+    if (v !== null && !(typeof v === 'number' && isNaN(v))) return v;
+  }
+  return null;
+}
+
+/* Progress of uploads in flight, keyed by the client-supplied ?uploadId= */
+const uploadProgress = new Map();
+
+function setUploadProgress(id, progress) {
+  if (!id) return;
+  uploadProgress.set(id, { ...uploadProgress.get(id), ...progress });
+  if (progress.phase === 'done' || progress.phase === 'error') setTimeout(() => uploadProgress.delete(id), 60000).unref();
+}
+
+/* Resolve ?dataset=<id> (or the default dataset) onto req.dataset */
+function withDataset(req, res, next) {
+  const id = req.query.dataset;
+  const ds = registry.getDataset(id);
+  if (!ds) return res.status(404).json({ error: id ? `Dataset not found: ${id}` : 'No data loaded' });
+  req.dataset = ds;
+  next();
+}
+
+/* Redline limits the dataset was analysed with */
+function redlinesFor(ds) {
+  return (redlineProfiles.getProfile(ds?.redlineProfileId) || redlineProfiles.getProfile()).limits;
+}
+
+/* Column list with display labels and units, as served by GET /api/telemetry/columns */
+function describeColumns(ds) {
+  const { table } = ds;
+  const limits = redlinesFor(ds);
+  const numeric = table.numericColumns();
+  const derived = new Set(ds.derived?.applied || []);
+  return table.columns.map(col => {
+    const channel = derived.has(col) ? derivedChannels.getChannel(col) : null;
+    return {
+      name: col,
+      label: limits[col]?.label || REDLINE_LIMITS[col]?.label || channel?.label || col.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+      unit: limits[col]?.unit || REDLINE_LIMITS[col]?.unit || channel?.unit || '',
+      isNumeric: col === 'mission_time_s' ? table.column(col).kind === 'numeric' : numeric.includes(col),
+      hasRedline: !!limits[col],
+      ...(channel ? { derived: true, expression: channel.expression } : {}),
+    };
+  });
+}
+
+/* Re-run detection on every dataset analysed with the given profile */
+function rerunForProfile(profileId) {
+  const affected = registry.getAllDatasets().filter(ds => ds.redlineProfileId === profileId);
+  for (const ds of affected) runDetection(ds);
+  return affected.map(ds => ds.id);
+}
+
+/*
+ * Start a server-sent event response and return send(event, data).
+ * Comment lines every 15 s keep proxies from closing an idle stream.
+ */
+function openEventStream(req, res) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  req.on('close', () => clearInterval(heartbeat));
+  return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/* Mission event times (seconds) for a dataset */
+function missionEventsFor(ds) {
+  return EventDetector.toTimes(ds.missionEvents);
 }
 
 loadDefaultData();
 
-router.get('/status', (_, res) => {
+router.get('/status', (req, res) => {
+  const ds = registry.getDataset(req.query.dataset);
   res.json({
-    loaded: !!currentData,
-    currentFile: currentFilename,
-    filename: currentFilename,
-    records: currentData?.length || 0,
-    anomalies: currentAnomalies?.length || 0,
-    events: currentSummary?.totalEvents || 0,
+    loaded: !!ds,
+    datasetId: ds?.id || null,
+    currentFile: ds?.filename || null,
+    filename: ds?.filename || null,
+    records: ds?.table.length || 0,
+    anomalies: ds?.anomalies?.length || 0,
+    events: ds?.summary?.totalEvents || 0,
+    datasets: registry.listDatasets().length,
   });
 });
 
+/* GET /api/datasets  -  list every loaded dataset */
+router.get('/datasets', (_, res) => {
+  res.json({ defaultId: registry.getDefaultId(), datasets: registry.listDatasets() });
+});
+
+/* GET /api/datasets/:id  -  metadata for one dataset */
+router.get('/datasets/:id', (req, res) => {
+  const ds = registry.getDataset(req.params.id);
+  if (!ds) return res.status(404).json({ error: `Dataset not found: ${req.params.id}` });
+  res.json(registry.describeDataset(ds));
+});
+
+/* DELETE /api/datasets/:id  -  drop a dataset from the workspace */
+router.delete('/datasets/:id', (req, res) => {
+  liveSessions.discardSession(req.params.id);
+  replaySessions.stopReplay(req.params.id);
+  if (!registry.deleteDataset(req.params.id)) return res.status(404).json({ error: `Dataset not found: ${req.params.id}` });
+  res.json({ success: true, id: req.params.id, defaultId: registry.getDefaultId() });
+});
+
+/* POST /api/upload?uploadId=  -  ingest a telemetry file (CSV, TSV, JSON, JSON Lines, CCSDS packets, optionally gzipped); poll /api/upload/:uploadId/progress while it runs
+   CCSDS files need packetDefinitionId (a saved definition) or packetDefinition (JSON) in the form */
 router.post('/upload', upload.single('csvFile'), async (req, res) => {
+  const uploadId = req.query.uploadId;
+  const fail = (status, error) => {
+    setUploadProgress(uploadId, { phase: 'error', error });
+    res.status(status).json({ error });
+  };
   try {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-    currentData = await CSVParser.parseFile(req.file.path);
-    currentFilename = req.file.originalname;
-    runDetection();
-    res.json({ success: true, filename: currentFilename, records: currentData.length, columns: Object.keys(currentData[0]), anomalies: currentAnomalies.length, events: currentSummary.totalEvents });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    if (!req.file) return fail(400, 'No file uploaded');
+    const requested = req.body.redlineProfile;
+    if (requested && !redlineProfiles.getProfile(requested)) return fail(400, `Redline profile not found: ${requested}`);
+    let config;
+    try {
+      config = detectionConfig.normaliseConfig(req.body.detectionConfig);
+      const detectors = detectorRegistry.parseDetectorList(req.body.detectors);
+      if (detectors) config = detectionConfig.normaliseConfig({ ...config, detectors });
+    } catch (e) { return fail(400, e.message); }
+    let packetDefinition = null;
+    try {
+      if (req.body.packetDefinition) packetDefinition = CCSDSParser.normaliseDefinition(req.body.packetDefinition);
+      else if (req.body.packetDefinitionId) {
+        const saved = packetDefinitions.getDefinition(req.body.packetDefinitionId);
+        if (!saved) return fail(400, `Packet definition not found: ${req.body.packetDefinitionId}`);
+        packetDefinition = CCSDSParser.normaliseDefinition(saved.definition);
+      }
+    } catch (e) { return fail(400, e.message); }
+
+    let ingested;
+    try {
+      ingested = await telemetryIngest.ingestFile(req.file.path, {
+        packetDefinition,
+        onProgress: p => setUploadProgress(uploadId, { phase: 'parsing', ...p }),
+      });
+    } catch (e) { return fail(400, e.message); }
+    const { table, runningStats, preview, format, gzip, packets } = ingested;
+    if (!table.length) return fail(400, 'File contains no rows');
+    if (!table.columns.some(c => table.column(c).kind === 'numeric')) return fail(400, 'File contains no numeric data');
+    /* Each analysis step is reported, and yields first so pending progress polls are answered */
+    const step = name => {
+      setUploadProgress(uploadId, { phase: 'analysing', rows: table.length, step: name });
+      return new Promise(resolve => setImmediate(resolve));
+    };
+    await step('mapping');
+
+    /* A saved template for these headers is applied straight away; otherwise the proposal waits for confirmation */
+    const headers = [...table.columns];
+    const proposal = columnMapping.proposeMapping(headers);
+    const samples = Object.fromEntries(headers.map(h => [h, firstValue(table, h)]));
+    let mapping, mapped = table;
+    if (proposal.templateId) {
+      const resolved = columnMapping.resolveMapping(headers, proposal.columns);
+      mapped = columnMapping.applyMapping(table, resolved);
+      mapping = { ...proposal, headers, samples, columns: resolved, status: 'applied' };
+    } else {
+      const resolved = proposal.columns.map(c => ({ ...c, conversion: columnMapping.conversionFor(c) }));
+      mapping = { ...proposal, headers, samples, columns: resolved, status: columnMapping.isIdentity(proposal.columns) ? 'identity' : 'proposed' };
+    }
+
+    const redlineProfileId = requested || redlineProfiles.matchProfile(mapped.columns);
+    const ds = registry.addDataset(req.file.originalname, mapped, {
+      redlineProfileId, detectionConfig: config, mapping,
+      format: packets ? { format, gzip, packetDefinition: packetDefinition.name, packets } : { format, gzip },
+      ...(mapped === table ? { runningStats, preview } : {}),
+    });
+    await step('quality');
+    assessQuality(ds);
+    await step('derived channels');
+    applyDerivedChannels(ds);
+    await step('mission events');
+    await runDetectionAsync(ds, step);
+    setUploadProgress(uploadId, { phase: 'done', datasetId: ds.id });
+    res.json({ success: true, datasetId: ds.id, filename: ds.filename, format: ds.format, records: mapped.length, columns: mapped.columns, redlineProfileId, detectionConfig: detectionConfig.effectiveConfig(config, ds.summary), mapping, quality: ds.quality, anomalies: ds.anomalies.length, events: ds.summary.totalEvents });
+  } catch (e) { fail(500, e.message); }
+});
+
+/* GET /api/upload/:uploadId/progress  -  { phase: parsing | analysing | done | error, bytes, totalBytes, rows, step (while analysing) } */
+router.get('/upload/:uploadId/progress', (req, res) => {
+  const p = uploadProgress.get(req.params.uploadId);
+  if (!p) return res.status(404).json({ error: `Upload not found: ${req.params.uploadId}` });
+  res.json(p);
 });
 
-router.get('/telemetry', (req, res) => {
-  if (!currentData) return res.status(404).json({ error: 'No data loaded' });
+router.get('/telemetry', withDataset, (req, res) => {
   const max = parseInt(req.query.maxPoints) || 1000;
   const params = req.query.params?.split(',') || null;
   const st = parseFloat(req.query.startTime) || null;
   const et = parseFloat(req.query.endTime) || null;
 
-  let d = currentData;
-  if (st !== null || et !== null) d = d.filter(r => (st === null || r.mission_time_s >= st) && (et === null || r.mission_time_s <= et));
-  d = CSVParser.downsample(d, max);
-  if (params) {
-    d = d.map(r => {
-      const row = { mission_time_s: r.mission_time_s, flight_phase: r.flight_phase };
-      for (const p of params) if (r[p] !== undefined) row[p] = r[p];
-      return row;
-    });
+  /* Rows are picked by index from the table; the full-range view reuses the ingest preview */
+  const { table, preview } = req.dataset;
+  let idx;
+  if (st === null && et === null && preview && preview.indices.length >= Math.min(max, table.length)) {
+    const keep = preview.indices;
+    idx = keep.length <= max ? keep : Array.from({ length: max }, (_, k) => keep[Math.floor(k * keep.length / max)]);
+  } else {
+    const lo = st === null ? 0 : table.lowerBound(st);
+    const hi = et === null ? table.length : table.upperBound(et);
+    idx = [];
+    for (let i = lo; i < hi; i++) idx.push(i);
+    idx = CSVParser.downsample(idx, max);
   }
-  res.json(d);
+  const cols = params ? ['mission_time_s', 'flight_phase', ...params].filter(c => table.column(c)) : table.columns;
+  res.json(idx.map(i => {
+    const row = {};
+    for (const c of cols) row[c] = table.get(c, i);
+    return row;
+  }));
 });
 
-router.get('/telemetry/columns', (_, res) => {
-  if (!currentData) return res.status(404).json({ error: 'No data loaded' });
-  res.json(Object.keys(currentData[0]).map(col => ({
-    name: col,
-    label: REDLINE_LIMITS[col]?.label || col.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-    unit: REDLINE_LIMITS[col]?.unit || '',
-    isNumeric: typeof currentData[0][col] === 'number',
-    hasRedline: !!REDLINE_LIMITS[col],
-  })));
+router.get('/telemetry/columns', withDataset, (req, res) => res.json(describeColumns(req.dataset)));
+
+/* GET /api/quality  -  data-quality report produced when the dataset was ingested */
+router.get('/quality', withDataset, (req, res) => {
+  if (!req.dataset.quality) req.dataset.quality = DataQuality.assess(req.dataset.data);
+  res.json(req.dataset.quality);
 });
 
-router.get('/stats', (_, res) => { if (!currentStats) return res.status(404).json({ error: 'No data' }); res.json(currentStats); });
-router.get('/anomalies', (req, res) => {
-  if (!currentAnomalies) return res.status(404).json({ error: 'No data' });
-  let f = currentAnomalies;
+router.get('/stats', withDataset, (req, res) => res.json(req.dataset.stats));
+/* GET /api/anomalies  -  filters: severity, type, param, detector, review (state), assignee
+   Suppressed anomalies are left out unless ?suppressed=include (all, by time) or ?suppressed=only
+   ?config=<JSON detection config> runs an ad-hoc analysis without saving it */
+router.get('/anomalies', withDataset, (req, res) => {
+  let { anomalies, suppressed } = req.dataset;
+  if (req.query.config) {
+    try { ({ anomalies, suppressed } = analyse(req.dataset, detectionConfig.normaliseConfig(req.query.config))); } catch (e) { return res.status(400).json({ error: e.message }); }
+  }
+  suppressed ||= [];
+  let f = req.query.suppressed === 'only' ? suppressed
+    : req.query.suppressed === 'include' ? [...anomalies, ...suppressed].sort((a, b) => a.missionTime - b.missionTime)
+    : anomalies;
   if (req.query.severity) f = f.filter(a => a.severity === req.query.severity);
   if (req.query.type) f = f.filter(a => a.type === req.query.type);
   if (req.query.param) f = f.filter(a => a.parameter === req.query.param);
+  if (req.query.detector) f = f.filter(a => a.detector === req.query.detector);
+  if (req.query.review) f = f.filter(a => (a.reviewState || 'open') === req.query.review);
+  if (req.query.assignee) f = f.filter(a => a.reviewAssignee === req.query.assignee);
   res.json(f);
 });
-router.get('/anomalies/summary', (_, res) => { if (!currentSummary) return res.status(404).json({ error: 'No data' }); res.json(currentSummary); });
-router.get('/anomalies/events', (_, res) => { if (!currentSummary) return res.status(404).json({ error: 'No data' }); res.json(currentSummary.events); });
-router.get('/redlines', (_, res) => res.json(REDLINE_LIMITS));
-router.get('/mission-events', (_, res) => res.json(MISSION_EVENTS));
 
-router.getDataContext = () => ({ stats: currentStats, summary: currentSummary, data: currentData });
+/* GET /api/anomalies/config  -  detection config the dataset was analysed with (overrides + resolved values) */
+router.get('/anomalies/config', withDataset, (req, res) => {
+  res.json({ overrides: req.dataset.detectionConfig || {}, effective: detectionConfig.effectiveConfig(req.dataset.detectionConfig, req.dataset.summary) });
+});
+
+/* POST /api/anomalies/run?dataset=  -  save a detection config (body) on the dataset and re-analyse */
+router.post('/anomalies/run', withDataset, (req, res) => {
+  let config;
+  try { config = detectionConfig.normaliseConfig(req.body || {}); } catch (e) { return res.status(400).json({ error: e.message }); }
+  req.dataset.detectionConfig = config;
+  runDetection(req.dataset);
+  res.json({ datasetId: req.dataset.id, detectionConfig: detectionConfig.effectiveConfig(config, req.dataset.summary), anomalies: req.dataset.anomalies.length, events: req.dataset.summary.totalEvents });
+});
+router.get('/anomalies/summary', withDataset, (req, res) => res.json(req.dataset.summary));
+router.get('/anomalies/events', withDataset, (req, res) => res.json(req.dataset.summary.events));
+
+/* GET /api/anomalies/reviews  -  every review on the dataset; present: false once its finding is no longer detected */
+router.get('/anomalies/reviews', withDataset, (req, res) => res.json(anomalyReviews.listReviews(req.dataset)));
+
+/* GET /api/anomalies/:id/review  -  review of an anomaly (ANM-...) or event (key EVT-<hash>, or number EVT-004) */
+router.get('/anomalies/:id/review', withDataset, (req, res) => {
+  const review = anomalyReviews.getReview(req.dataset, req.params.id);
+  if (!review) return res.status(404).json({ error: `Anomaly or event not found: ${req.params.id}` });
+  res.json(review);
+});
+
+/* PUT /api/anomalies/:id/review  -  { state?: open | acknowledged | false-positive | root-caused, assignee?: name | null } */
+router.put('/anomalies/:id/review', withDataset, (req, res) => {
+  try {
+    const review = anomalyReviews.updateReview(req.dataset, req.params.id, req.body || {});
+    if (!review) return res.status(404).json({ error: `Anomaly or event not found: ${req.params.id}` });
+    registry.saveDataset(req.dataset);
+    res.json(review);
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* POST /api/anomalies/:id/review/comments  -  { author?, text } */
+router.post('/anomalies/:id/review/comments', withDataset, (req, res) => {
+  try {
+    const comment = anomalyReviews.addComment(req.dataset, req.params.id, req.body || {});
+    if (!comment) return res.status(404).json({ error: `Anomaly or event not found: ${req.params.id}` });
+    registry.saveDataset(req.dataset);
+    res.status(201).json(comment);
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* DELETE /api/anomalies/:id/review  -  discard the review (back to open, unassigned, no comments) */
+router.delete('/anomalies/:id/review', withDataset, (req, res) => {
+  if (!anomalyReviews.deleteReview(req.dataset, req.params.id)) return res.status(404).json({ error: `No review for: ${req.params.id}` });
+  registry.saveDataset(req.dataset);
+  res.json({ success: true, id: req.params.id });
+});
+/*
+ * GET /api/spectrum?param=&startTime=&endTime=&nfft=  -  PSD, spectrogram and narrow-band peaks.
+ * Windows under 64 samples get a shorter segment; under SpectrumAnalyzer.MIN_SAMPLES they are a 400.
+ */
+router.get('/spectrum', withDataset, (req, res) => {
+  const param = req.query.param;
+  if (!param) return res.status(400).json({ error: 'param is required' });
+  if (!req.dataset.table.numericColumns().includes(param)) return res.status(400).json({ error: `Not a numeric parameter: ${param}` });
+  const st = parseFloat(req.query.startTime);
+  const et = parseFloat(req.query.endTime);
+  const result = SpectrumAnalyzer.analyse(req.dataset.data, param, {
+    startTime: isNaN(st) ? null : st,
+    endTime: isNaN(et) ? null : et,
+    nfft: parseInt(req.query.nfft) || undefined,
+  });
+  if (!result) return res.status(400).json({ error: `Not enough samples in the selected window for a spectrum (at least ${SpectrumAnalyzer.MIN_SAMPLES} numeric samples are needed)` });
+  res.json(result);
+});
+
+/* GET /api/compare?dataset=&reference=&align=&params=&tolerance=  -  flight-to-flight comparison */
+router.get('/compare', withDataset, (req, res) => {
+  const ref = registry.getDataset(req.query.reference || registry.getDefaultId());
+  if (!ref) return res.status(404).json({ error: `Reference dataset not found: ${req.query.reference}` });
+
+  const align = req.query.align || 'mission_time_s';
+  let offset = 0;
+  if (align !== 'mission_time_s') {
+    const tEv = missionEventsFor(req.dataset)[align];
+    const rEv = missionEventsFor(ref)[align];
+    if (typeof tEv !== 'number' || typeof rEv !== 'number') {
+      return res.status(400).json({ error: `Mission event '${align}' is not available for both datasets` });
+    }
+    offset = rEv - tEv;
+  }
+
+  const tol = parseFloat(req.query.tolerance);
+  const st = parseFloat(req.query.startTime);
+  const et = parseFloat(req.query.endTime);
+  const result = FlightComparator.compare(req.dataset.data, ref.data, {
+    params: req.query.params?.split(',').filter(Boolean),
+    offset,
+    tolerance: isNaN(tol) ? undefined : tol,
+    startTime: isNaN(st) ? null : st,
+    endTime: isNaN(et) ? null : et,
+    maxPoints: parseInt(req.query.maxPoints) || 500,
+  });
+  res.json({
+    target: { id: req.dataset.id, filename: req.dataset.filename },
+    reference: { id: ref.id, filename: ref.filename },
+    align,
+    ...result,
+  });
+});
+
+/* GET /api/redlines  -  limits of the profile the dataset was analysed with */
+router.get('/redlines', (req, res) => res.json(redlinesFor(registry.getDataset(req.query.dataset))));
+
+/* GET /api/redlines/profiles  -  list redline profiles */
+router.get('/redlines/profiles', (_, res) => res.json(redlineProfiles.listProfiles()));
+
+/* GET /api/redlines/:id  -  full profile */
+router.get('/redlines/:id', (req, res) => {
+  const p = redlineProfiles.getProfile(req.params.id);
+  if (!p) return res.status(404).json({ error: `Redline profile not found: ${req.params.id}` });
+  res.json(p);
+});
+
+/* GET /api/redlines/:id/export  -  profile as a downloadable JSON document */
+router.get('/redlines/:id/export', (req, res) => {
+  const json = redlineProfiles.exportProfile(req.params.id);
+  if (!json) return res.status(404).json({ error: `Redline profile not found: ${req.params.id}` });
+  res.setHeader('Content-Disposition', `attachment; filename="redlines-${req.params.id}.json"`);
+  res.json(json);
+});
+
+/* POST /api/redlines  -  create a profile, or import an exported one */
+router.post('/redlines', (req, res) => {
+  try {
+    const p = redlineProfiles.importProfile(req.body || {});
+    res.status(201).json(p);
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* PUT /api/redlines/:id  -  edit a profile and re-analyse datasets that use it */
+router.put('/redlines/:id', (req, res) => {
+  try {
+    const p = redlineProfiles.updateProfile(req.params.id, req.body || {});
+    if (!p) return res.status(404).json({ error: `Redline profile not found: ${req.params.id}` });
+    res.json({ ...p, reanalysed: rerunForProfile(p.id) });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* DELETE /api/redlines/:id  -  remove a profile; its datasets fall back to the best match */
+router.delete('/redlines/:id', (req, res) => {
+  try {
+    if (!redlineProfiles.deleteProfile(req.params.id)) return res.status(404).json({ error: `Redline profile not found: ${req.params.id}` });
+    const reanalysed = [];
+    for (const ds of registry.getAllDatasets().filter(d => d.redlineProfileId === req.params.id)) {
+      ds.redlineProfileId = redlineProfiles.matchProfile(ds.table.columns);
+      runDetection(ds);
+      reanalysed.push(ds.id);
+    }
+    res.json({ success: true, id: req.params.id, reanalysed });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* PUT /api/datasets/:id/redline-profile  -  re-analyse a dataset with another profile */
+router.put('/datasets/:id/redline-profile', (req, res) => {
+  const ds = registry.getDataset(req.params.id);
+  if (!ds) return res.status(404).json({ error: `Dataset not found: ${req.params.id}` });
+  const profileId = req.body?.profileId;
+  if (!redlineProfiles.getProfile(profileId)) return res.status(400).json({ error: `Redline profile not found: ${profileId}` });
+  ds.redlineProfileId = profileId;
+  runDetection(ds);
+  res.json(registry.describeDataset(ds));
+});
+
+/* GET /api/detectors  -  registered anomaly detectors and their settings */
+router.get('/detectors', (_, res) => res.json(detectorRegistry.listDetectors()));
+
+/* PUT /api/detectors/:name  -  enable/disable a detector or change its defaults ({ enabled, parameters }) */
+router.put('/detectors/:name', (req, res) => {
+  try {
+    const d = detectorRegistry.updateDetector(req.params.name, req.body || {});
+    if (!d) return res.status(404).json({ error: `Detector not found: ${req.params.name}` });
+    /* Datasets without an explicit subset follow the registry defaults */
+    const affected = registry.getAllDatasets().filter(ds => !ds.detectionConfig?.detectors || ds.detectionConfig.detectors.includes(d.name));
+    for (const ds of affected) runDetection(ds);
+    res.json({ ...detectorRegistry.listDetectors().find(x => x.name === d.name), reanalysed: affected.map(ds => ds.id) });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* GET /api/suppression-rules  -  known-behaviour rules applied after detection */
+router.get('/suppression-rules', (_, res) => res.json(suppressionRules.listRules()));
+
+/* POST /api/suppression-rules  -  { name, detector?, parameter?, event?, window?, phase?, startTime?, endTime?, reason?, enabled? }; re-analyses every dataset */
+router.post('/suppression-rules', (req, res) => {
+  try {
+    const rule = suppressionRules.createRule(req.body || {});
+    res.status(201).json({ ...rule, datasets: rerunSuppression() });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* PUT /api/suppression-rules/:id  -  change a rule, or enable / disable it ({ enabled }) */
+router.put('/suppression-rules/:id', (req, res) => {
+  try {
+    const rule = suppressionRules.updateRule(req.params.id, req.body || {});
+    if (!rule) return res.status(404).json({ error: `Suppression rule not found: ${req.params.id}` });
+    res.json({ ...rule, datasets: rerunSuppression() });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* DELETE /api/suppression-rules/:id  -  remove a rule; the anomalies it hid are reported again */
+router.delete('/suppression-rules/:id', (req, res) => {
+  if (!suppressionRules.deleteRule(req.params.id)) return res.status(404).json({ error: `Suppression rule not found: ${req.params.id}` });
+  res.json({ success: true, id: req.params.id, datasets: rerunSuppression() });
+});
+
+/* GET /api/derived  -  derived channel definitions */
+router.get('/derived', (_, res) => res.json(derivedChannels.listChannels()));
+
+/* POST /api/derived  -  define a channel ({ name, expression, unit, label, description }) and add it to every dataset */
+router.post('/derived', async (req, res) => {
+  try {
+    const channel = derivedChannels.createChannel(req.body || {});
+    res.status(201).json({ ...channel, datasets: await rerunDerived() });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* PUT /api/derived/:name  -  change a channel's expression, unit or label */
+router.put('/derived/:name', async (req, res) => {
+  try {
+    const channel = derivedChannels.updateChannel(req.params.name, req.body || {});
+    if (!channel) return res.status(404).json({ error: `Derived channel not found: ${req.params.name}` });
+    res.json({ ...channel, datasets: await rerunDerived() });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* DELETE /api/derived/:name  -  remove a channel and its column from every dataset */
+router.delete('/derived/:name', async (req, res) => {
+  try {
+    if (!derivedChannels.deleteChannel(req.params.name)) return res.status(404).json({ error: `Derived channel not found: ${req.params.name}` });
+    res.json({ success: true, name: req.params.name, datasets: await rerunDerived() });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* GET /api/packet-definitions  -  saved CCSDS packet definitions */
+router.get('/packet-definitions', (_, res) => res.json(packetDefinitions.listDefinitions()));
+
+/* GET /api/packet-definitions/:id  -  full definition (APID field layouts) */
+router.get('/packet-definitions/:id', (req, res) => {
+  const d = packetDefinitions.getDefinition(req.params.id);
+  if (!d) return res.status(404).json({ error: `Packet definition not found: ${req.params.id}` });
+  res.json(d);
+});
+
+/* POST /api/packet-definitions  -  save a definition ({ name, byteOrder, syncMarker, time, packets }) */
+router.post('/packet-definitions', (req, res) => {
+  try {
+    const d = packetDefinitions.createDefinition(req.body || {});
+    res.status(201).json(d);
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* DELETE /api/packet-definitions/:id */
+router.delete('/packet-definitions/:id', (req, res) => {
+  try {
+    if (!packetDefinitions.deleteDefinition(req.params.id)) return res.status(404).json({ error: `Packet definition not found: ${req.params.id}` });
+    res.json({ success: true, id: req.params.id });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* GET /api/mapping/schema  -  canonical columns and convertible units for the mapping editor */
+router.get('/mapping/schema', (_, res) => res.json(columnMapping.describeSchema()));
+
+/* GET /api/mapping/templates  -  saved column-mapping templates */
+router.get('/mapping/templates', (_, res) => res.json(columnMapping.listTemplates()));
+
+/* DELETE /api/mapping/templates/:id */
+router.delete('/mapping/templates/:id', (req, res) => {
+  if (!columnMapping.deleteTemplate(req.params.id)) return res.status(404).json({ error: `Mapping template not found: ${req.params.id}` });
+  res.json({ success: true, id: req.params.id });
+});
+
+/* GET /api/mapping?dataset=  -  proposed (or applied) column mapping for a dataset */
+router.get('/mapping', withDataset, (req, res) => {
+  if (!req.dataset.mapping) return res.status(404).json({ error: 'Dataset was not imported with a column mapping' });
+  res.json(req.dataset.mapping);
+});
+
+/* POST /api/mapping/apply?dataset=  -  confirm or edit the mapping ({ columns, saveTemplate, name }) and re-analyse */
+router.post('/mapping/apply', withDataset, (req, res) => {
+  const ds = req.dataset;
+  const mapping = ds.mapping;
+  if (!mapping) return res.status(404).json({ error: 'Dataset was not imported with a column mapping' });
+  if (mapping.status === 'applied') return res.status(409).json({ error: 'A column mapping has already been applied to this dataset' });
+  let resolved;
+  try { resolved = columnMapping.resolveMapping(mapping.headers, req.body?.columns); } catch (e) { return res.status(400).json({ error: e.message }); }
+  if (!resolved.some(c => c.target === 'mission_time_s')) return res.status(400).json({ error: 'One column must map to mission_time_s' });
+
+  const template = req.body.saveTemplate === false ? null : columnMapping.saveTemplate(mapping.headers, resolved, req.body.name);
+  applyDatasetMapping(ds, resolved);
+  ds.mapping = { ...mapping, columns: resolved, templateId: template?.id || mapping.templateId, status: 'applied' };
+  registry.saveDataset(ds);
+  res.json({ ...registry.describeDataset(ds), mapping: ds.mapping, template });
+});
+
+/* POST /api/live  -  open a live session: { name?, redlineProfile?, detectionConfig? }; returns the new dataset */
+router.post('/live', (req, res) => {
+  const { name, redlineProfile, detectionConfig: config } = req.body || {};
+  try {
+    const ds = liveSessions.startSession({ name, redlineProfileId: redlineProfile, detectionConfig: config });
+    res.status(201).json(registry.describeDataset(ds));
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* GET /api/live  -  sessions still accepting frames */
+router.get('/live', (_, res) => res.json(liveSessions.listSessions()));
+
+/* POST /api/live/:id/frames  -  append one frame or an array of frames ({ mission_time_s, ...channels }) */
+router.post('/live/:id/frames', (req, res) => {
+  try {
+    const result = liveSessions.appendFrames(req.params.id, req.body?.frames ?? req.body);
+    if (!result) return res.status(404).json({ error: `Live session not found: ${req.params.id}` });
+    res.json(result);
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* GET /api/live/:id/stream  -  server-sent events: samples, anomalies, end */
+router.get('/live/:id/stream', (req, res) => {
+  const ds = registry.getDataset(req.params.id);
+  if (!ds?.live) return res.status(404).json({ error: `Live session not found: ${req.params.id}` });
+  const send = openEventStream(req, res);
+  const unsubscribe = liveSessions.subscribe(ds.id, (event, data) => {
+    send(event, data);
+    if (event === 'end') res.end();
+  });
+  if (!unsubscribe) {
+    send('end', registry.describeDataset(ds));
+    return res.end();
+  }
+  req.on('close', unsubscribe);
+});
+
+/* POST /api/live/:id/end  -  stop accepting frames and run the full analysis */
+router.post('/live/:id/end', (req, res) => {
+  try {
+    const ds = liveSessions.endSession(req.params.id, ds => {
+      ds.missionEvents = null;
+      assessQuality(ds);
+      applyDerivedChannels(ds);
+      runDetection(ds);
+    });
+    if (!ds) return res.status(404).json({ error: `Live session not found: ${req.params.id}` });
+    res.json(registry.describeDataset(ds));
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* GET /api/replay  -  the dataset's replay clock ({ status: 'stopped' } when none is running) */
+router.get('/replay', withDataset, (req, res) => res.json(replaySessions.getReplay(req.dataset.id)));
+
+/* PUT /api/replay  -  play, pause, seek or change speed: { status?: 'playing' | 'paused', speed?: 0.5-50, position?: mission time (s) } */
+router.put('/replay', withDataset, (req, res) => {
+  const { table, live } = req.dataset;
+  if (live?.status === 'live') return res.status(400).json({ error: 'A live session cannot be replayed until it ends' });
+  if (!table.length) return res.status(400).json({ error: 'Dataset has no rows to replay' });
+  const range = { start: table.get('mission_time_s', 0), end: table.get('mission_time_s', table.length - 1) };
+  try {
+    res.json(replaySessions.updateReplay(req.dataset.id, range, req.body || {}));
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+/* DELETE /api/replay  -  stop the replay; every browser goes back to the whole dataset */
+router.delete('/replay', withDataset, (req, res) => {
+  replaySessions.stopReplay(req.dataset.id);
+  res.json(replaySessions.getReplay(req.dataset.id));
+});
+
+/* GET /api/replay/stream  -  server-sent `state` events: on connect, on every change and every 250 ms while playing */
+router.get('/replay/stream', withDataset, (req, res) => {
+  const send = openEventStream(req, res);
+  send('state', replaySessions.getReplay(req.dataset.id));
+  req.on('close', replaySessions.subscribe(req.dataset.id, state => send('state', state)));
+});
+
+/* GET /api/mission-events  -  events detected from the dataset, with confidence */
+router.get('/mission-events', withDataset, (req, res) => res.json(req.dataset.missionEvents || {}));
+
+/*
+ * GET /api/report  -  flight anomaly report as a self-contained HTML download
+ *   ?narrative=true  adds a summary written by the active AI provider (takes as long as a chat reply)
+ *   ?print=true      serves it inline and opens the print dialog, to save it as PDF
+ */
+router.get('/report', withDataset, async (req, res) => {
+  const ds = req.dataset;
+  try {
+    if (!ds.quality) ds.quality = DataQuality.assess(ds.data);
+    const narrative = req.query.narrative === 'true' ? await reportGenerator.writeNarrative(router.getDataContext(ds.id)) : null;
+    const print = req.query.print === 'true';
+    const html = reportGenerator.generate(ds, {
+      columns: Object.fromEntries(describeColumns(ds).map(c => [c.name, c])),
+      redlines: redlinesFor(ds),
+      profile: redlineProfiles.getProfile(ds.redlineProfileId) || redlineProfiles.getProfile(),
+      narrative,
+      print,
+    });
+    const name = `flight-report-${path.parse(ds.filename || ds.id).name.replace(/[^\w.-]+/g, '_')}.html`;
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `${print ? 'inline' : 'attachment'}; filename="${name}"`);
+    res.send(html);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* Everything the chat analyst may look at for one dataset (see services/analystTools.js) */
+router.getDataContext = (datasetId) => {
+  const ds = registry.getDataset(datasetId);
+  return {
+    stats: ds?.stats || null,
+    summary: ds?.summary || null,
+    data: ds?.data || null,
+    filename: ds?.filename || null,
+    datasetId: ds?.id || null,
+    table: ds?.table || null,
+    anomalies: ds?.anomalies || [],
+    suppressed: ds?.suppressed || [],
+    missionEvents: ds?.missionEvents || {},
+    redlines: ds ? redlinesFor(ds) : {},
+    info: ds ? registry.describeDataset(ds) : null,
+  };
+};
 
 module.exports = router;
@@ -1,24 +1,34 @@
 /**
- * Chatbot Routes  -  Gemini-powered rocket analyst with persistent chat history
+ * Chatbot Routes  -  LLM-powered rocket analyst with persistent chat history
+ * The provider chosen in Settings (services/llmProviders.js) answers by calling the analyst
+ * tools (services/analystTools.js) on the selected dataset; the calls are returned and stored
+ * with the reply as toolCalls. Without a usable provider the offline analyst
+ * (services/offlineAnalyst.js) answers from the same tools.
  */
 
 const express = require('express');
 const router = express.Router();
-const GeminiService = require('../services/geminiService');
+const llm = require('../services/llmProviders');
+const offlineAnalyst = require('../services/offlineAnalyst');
 const db = require('../services/database');
 const { v4: uuidv4 } = require('uuid');
 
-let geminiService = null;
+let provider = null;   // { name, model, service } from llm.createProvider()
 let getDataContext = null;
 
-router.initialize = (apiKey, dataContextGetter) => {
-  if (apiKey && apiKey !== 'YOUR_GEMINI_API_KEY_HERE') {
-    geminiService = new GeminiService(apiKey);
-    console.log('  [chat] Gemini chatbot initialised');
+router.initialize = (dataContextGetter) => {
+  getDataContext = dataContextGetter;
+  router.reload();
+};
+
+/* Re-create the provider after its settings or key change */
+router.reload = () => {
+  provider = llm.createProvider();
+  if (provider.service) {
+    console.log(`  [chat] ${llm.getProvider(provider.name).label} chatbot initialised (${provider.model})`);
   } else {
-    console.log('  [chat] No Gemini API key. Chatbot runs in fallback mode.');
+    console.log(`  [chat] ${provider.reason}. Chatbot runs as the offline analyst.`);
   }
-  getDataContext = dataContextGetter;
 };
 
 /* POST /api/chat/session  -  create a new chat session */
@@ -78,34 +88,47 @@ router.get('/history/:sessionId', (req, res) => {
   }
 });
 
-/* POST /api/chat  -  send a message (supports legacy and session-based) */
+/*
+ * Answer a message with the active provider (or the offline analyst) and persist both sides.
+ * hooks { onText, onTool, signal } stream the reply; returns the response body for the client.
+ */
+async function answer({ message, sessionId, datasetId }, hooks = {}) {
+  const actualSessionId = sessionId || 'default';
+  const ctx = getDataContext ? getDataContext(datasetId) : {};
+  const history = db.getChatHistory(actualSessionId, 50);
+
+  // Persist user message
+  db.addChatMessage(actualSessionId, 'User', message);
+
+  const active = provider?.service ? provider : null;
+  let response;
+  if (active) {
+    response = await active.service.chat(message, ctx, history, hooks);
+  } else {
+    response = offlineAnalyst.answer(message, ctx);
+    response.toolCalls.forEach(call => hooks.onTool?.(call));
+    hooks.onText?.(response.text);
+  }
+
+  // Persist assistant response, with the tools it called for the transcript
+  const text = response.cancelled ? `${response.text}\n\n*[generation cancelled]*`.trim() : response.text;
+  db.addChatMessage(actualSessionId, 'Assistant', text || '', response.chartRequest || null, response.toolCalls);
+
+  return {
+    ...response,
+    text,
+    sessionId: actualSessionId,
+    provider: active ? active.name : 'offline',
+    model: active ? active.model : null,
+    persistedToDB: true
+  };
+}
+
+/* POST /api/chat  -  send a message and wait for the whole reply (supports legacy and session-based) */
 router.post('/', async (req, res) => {
   try {
-    const { message, sessionId } = req.body;
-    if (!message) return res.status(400).json({ error: 'Message is required' });
-    
-    const actualSessionId = sessionId || 'default';
-    const ctx = getDataContext ? getDataContext() : {};
-    
-    // Persist user message
-    db.addChatMessage(actualSessionId, 'User', message);
-    
-    if (!geminiService) return res.json(fallback(message, ctx, actualSessionId));
-    
-    const response = await geminiService.chat(
-      message, 
-      ctx.stats, 
-      ctx.summary,
-      actualSessionId
-    );
-    
-    // Persist assistant response
-    db.addChatMessage(actualSessionId, 'Assistant', response.text || '', response.chartRequest || null);
-    
-    res.json({
-      ...response,
-      sessionId: actualSessionId
-    });
+    if (!req.body.message) return res.status(400).json({ error: 'Message is required' });
+    res.json(await answer(req.body));
   } catch (e) { 
     res.status(500).json({ 
       text: `Error: ${e.message}`, 
@@ -115,15 +138,44 @@ router.post('/', async (req, res) => {
   }
 });
 
+/*
+ * POST /api/chat/stream  -  send a message and stream the reply as server-sent events:
+ *   tool   { name, args, summary }  a tool the analyst called
+ *   text   { text }                 the next piece of the reply (may contain a <chart> block)
+ *   done   same body as POST /api/chat, with cancelled: true if generation was stopped
+ *   error  { error }
+ * Closing the connection cancels generation; the partial reply is kept in the history.
+ */
+router.post('/stream', async (req, res) => {
+  if (!req.body.message) return res.status(400).json({ error: 'Message is required' });
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  const send = (event, data) => { if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);   // slow local models can think for a while
+  const controller = new AbortController();
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+  try {
+    const body = await answer(req.body, {
+      onText: text => send('text', { text }),
+      onTool: call => send('tool', call),
+      signal: controller.signal,
+    });
+    send('done', body);
+  } catch (e) {
+    send('error', { error: e.message });
+  }
+  res.end();
+});
+
 /* POST /api/chat/reset  -  clear chat history for a session */
 router.post('/reset', (req, res) => { 
   try {
     const { sessionId } = req.body;
     const actualSessionId = sessionId || 'default';
     
-    if (geminiService) {
-      geminiService.resetChat(actualSessionId);
-    }
+    db.clearChatHistory(actualSessionId);
     
     res.json({ 
       success: true,
@@ -135,55 +187,4 @@ router.post('/reset', (req, res) => {
   }
 });
 
-function fallback(msg, ctx, sessionId = 'default') {
-  const m = msg.toLowerCase();
-  const s = ctx.summary;
-
-  if (m.includes('anomal') || m.includes('issue') || m.includes('problem')) {
-    if (s) {
-      const text = `## Anomaly Summary\n\nDetected **${s.totalAnomalies} anomalies** in **${s.totalEvents} events**.\n\n**By Severity:**\n- CRITICAL: ${s.bySeverity.CRITICAL}\n- WARNING: ${s.bySeverity.WARNING}\n- CAUTION: ${s.bySeverity.CAUTION}\n\n**By Type:**\n${Object.entries(s.byType).map(([k,v])=>`- ${k}: ${v}`).join('\n')}\n\n**Most Affected:**\n${Object.entries(s.byParameter).sort((a,b)=>b[1]-a[1]).slice(0,5).map(([k,v])=>`- ${k}: ${v}`).join('\n')}\n\n> Connect your Gemini API key for full AI analysis.`;
-      db.addChatMessage(sessionId, 'Assistant', text);
-      return { text, chartRequest: null, sessionId, persistedToDB: true };
-    }
-  }
-  if (m.includes('velocity') || m.includes('speed')) {
-    const text = '## Velocity Profile\n\nDisplaying velocity over mission time:';
-    const chartRequest = { type:'line', params:['velocity_ms'], title:'Velocity', highlightAnomalies:true };
-    db.addChatMessage(sessionId, 'Assistant', text, chartRequest);
-    return { text, chartRequest, sessionId, persistedToDB: true };
-  }
-  if (m.includes('altitude') || m.includes('height')) {
-    const text = '## Altitude Profile\n\nDisplaying altitude over mission time:';
-    const chartRequest = { type:'line', params:['altitude_km'], title:'Altitude', highlightAnomalies:true };
-    db.addChatMessage(sessionId, 'Assistant', text, chartRequest);
-    return { text, chartRequest, sessionId, persistedToDB: true };
-  }
-  if (m.includes('pressure') || m.includes('max q') || m.includes('dynamic')) {
-    const text = '## Dynamic Pressure (Q)\n\nShowing dynamic pressure profile:';
-    const chartRequest = { type:'line', params:['dynamic_pressure_pa'], title:'Dynamic Pressure', highlightAnomalies:true };
-    db.addChatMessage(sessionId, 'Assistant', text, chartRequest);
-    return { text, chartRequest, sessionId, persistedToDB: true };
-  }
-  if (m.includes('accel')) {
-    const text = '## Acceleration Profile\n\nDisplaying acceleration:';
-    const chartRequest = { type:'line', params:['acceleration_ms2'], title:'Acceleration', highlightAnomalies:true };
-    db.addChatMessage(sessionId, 'Assistant', text, chartRequest);
-    return { text, chartRequest, sessionId, persistedToDB: true };
-  }
-  if (m.includes('angle') || m.includes('pitch') || m.includes('gravity turn')) {
-    const text = '## Flight Angle\n\nShowing pitch angle over time:';
-    const chartRequest = { type:'line', params:['angle_deg'], title:'Flight Angle', highlightAnomalies:true };
-    db.addChatMessage(sessionId, 'Assistant', text, chartRequest);
-    return { text, chartRequest, sessionId, persistedToDB: true };
-  }
-  if (m.includes('overview') || m.includes('summary') || m.includes('hello') || m.includes('hi')) {
-    const text = `## SpaceX CRS-16 Telemetry Analysis\n\nWelcome. I am your flight data analyst.\n\n${s ? `**Dataset:** ${ctx.data?.length||0} samples\n**Anomalies:** ${s.totalAnomalies} (${s.totalEvents} events)\n**Critical:** ${s.bySeverity.CRITICAL}` : 'Load data to begin.'}\n\nAsk me about:\n- "Show anomalies"\n- "Analyse velocity profile"\n- "What happened at Max Q?"\n- "Show acceleration"\n\n> Add your Gemini API key in .env for full AI analysis.`;
-    db.addChatMessage(sessionId, 'Assistant', text);
-    return { text, chartRequest: null, sessionId, persistedToDB: true };
-  }
-  const text = 'I can help analyse SpaceX CRS-16 telemetry. Try asking about:\n- **Anomalies** - "Show all anomalies"\n- **Velocity** - "Analyse velocity"\n- **Altitude** - "Show altitude profile"\n- **Dynamic Pressure** - "Show Max Q"\n- **Acceleration** - "Check acceleration"\n- **Overview** - "Give me a summary"\n\n> Add your Gemini API key to .env for full analysis.';
-  db.addChatMessage(sessionId, 'Assistant', text);
-  return { text, chartRequest: null, sessionId, persistedToDB: true };
-}
-
 module.exports = router;
@@ -1,63 +1,98 @@
 /**
- * Settings Routes  -  API key management with in-memory AES-256-GCM encryption
+ * Settings Routes  -  AI provider selection and per-provider API keys
+ * Keys are encrypted with AES-256-GCM and stored by services/storage.js under the provider name.
  */
 
 const express = require('express');
 const router = express.Router();
 const db = require('../services/database');
+const llm = require('../services/llmProviders');
 
-/* Callback set by server.js to re-init chatbot when key changes */
-let onApiKeyChanged = null;
-router.setOnApiKeyChanged = (cb) => { onApiKeyChanged = cb; };
+/* Where keys are kept, e.g. "JSON files on disk (encrypted)" */
+function storageLabel() {
+  return `${db.getStorageInfo().label} (encrypted)`;
+}
 
-/* Get the currently stored API key (decrypted), for internal use */
-router.getStoredApiKey = () => {
-  return db.getApiKey('gemini');
-};
+/* Callback set by server.js to re-init the chatbot when the provider or a key changes */
+let onProviderChanged = null;
+router.setOnProviderChanged = (cb) => { onProviderChanged = cb; };
 
-/* GET /api/settings/status  -  check if a key is configured */
-router.get('/status', (_, res) => {
-  const status = db.getApiKeyStatus('gemini');
+/* Provider a key request is for (?provider= or body.provider, default gemini); null if it takes no key */
+function keyProvider(req) {
+  const name = req.body?.provider || req.query.provider || 'gemini';
+  return llm.getProvider(name)?.usesKey ? name : null;
+}
+
+function llmSettings() {
+  return { ...llm.getSettings(), providers: llm.listProviders() };
+}
+
+/* GET /api/settings/llm  -  selected provider, model and endpoint, with every provider's key status */
+router.get('/llm', (_, res) => {
+  res.json(llmSettings());
+});
+
+/* PUT /api/settings/llm  -  select the provider ({ provider, model?, baseUrl? }) */
+router.put('/llm', (req, res) => {
+  try {
+    llm.saveSettings(req.body || {});
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  if (onProviderChanged) onProviderChanged();
+  res.json(llmSettings());
+});
+
+/* GET /api/settings/status  -  check if a key is configured (?provider=, default gemini) */
+router.get('/status', (req, res) => {
+  const provider = keyProvider(req);
+  if (!provider) return res.status(400).json({ error: `Provider takes no API key: ${req.query.provider}` });
+  const status = db.getApiKeyStatus(provider);
   
   if (status) {
     res.json({
+      provider,
       hasKey: true,
       keyPreview: '***...***',
       encryption: 'AES-256-GCM',
-      storage: 'In-Memory (encrypted)',
+      storage: storageLabel(),
       ...status
     });
   } else {
     res.json({
+      provider,
       hasKey: false,
       keyPreview: null,
       encryption: 'AES-256-GCM',
-      storage: 'In-Memory (encrypted)',
+      storage: storageLabel(),
       configured: false
     });
   }
 });
 
-/* POST /api/settings/api-key  -  save encrypted API key to SQLite */
+/* POST /api/settings/api-key  -  save a provider's encrypted API key ({ apiKey, provider? }) */
 router.post('/api-key', (req, res) => {
   try {
     const { apiKey } = req.body;
+    const provider = keyProvider(req);
+    if (!provider) return res.status(400).json({ error: `Provider takes no API key: ${req.body.provider}` });
     if (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length < 10) {
       return res.status(400).json({ error: 'Invalid API key. Must be at least 10 characters.' });
     }
 
     const trimmed = apiKey.trim();
-    db.saveApiKey('gemini', trimmed, 'Google Gemini API Key');
+    db.saveApiKey(provider, trimmed, `${llm.getProvider(provider).label} API Key`);
 
     /* Re-initialise chatbot with new key */
-    if (onApiKeyChanged) onApiKeyChanged(trimmed);
+    if (onProviderChanged) onProviderChanged();
 
     const preview = trimmed.substring(0, 6) + '...' + trimmed.substring(trimmed.length - 4);
     res.json({ 
       success: true, 
+      provider,
       keyPreview: preview, 
       encryption: 'AES-256-GCM',
-      storage: 'In-Memory (encrypted)'
+      storage: storageLabel()
     });
   } catch (e) {
     console.error('  [settings] Save error:', e);
@@ -65,15 +100,17 @@ router.post('/api-key', (req, res) => {
   }
 });
 
-/* DELETE /api/settings/api-key  -  remove stored API key from SQLite */
-router.delete('/api-key', (_, res) => {
+/* DELETE /api/settings/api-key  -  remove a provider's stored API key (?provider=, default gemini) */
+router.delete('/api-key', (req, res) => {
   try {
-    db.deleteApiKey('gemini');
+    const provider = keyProvider(req);
+    if (!provider) return res.status(400).json({ error: `Provider takes no API key: ${req.query.provider}` });
+    db.deleteApiKey(provider);
 
-    /* Re-init chatbot without key (fallback mode) */
-    if (onApiKeyChanged) onApiKeyChanged(null);
+    /* Re-init chatbot without the key (offline analyst if the provider needs one) */
+    if (onProviderChanged) onProviderChanged();
 
-    res.json({ success: true });
+    res.json({ success: true, provider });
   } catch (e) {
     res.status(500).json({ error: 'Failed to remove API key: ' + e.message });
   }
@@ -0,0 +1,86 @@
+/**
+ * CCSDS Packet Generator
+ * Encodes the CRS-16 telemetry CSV as a stream of CCSDS space packets using the built-in
+ * "CRS-16 Flight Recorder" packet definition, for exercising the binary ingest path.
+ *
+ *   node scripts/generatePackets.js [output] [--sync] [--drop=N]
+ *     --sync     prefix every packet with the 1ACFFC1D attached sync marker (add "syncMarker" to the definition to read it back)
+ *     --drop=N   leave out every Nth packet to simulate sequence-count gaps
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CSVParser = require('../services/csvParser');
+const packetDefinitions = require('../services/packetDefinitions');
+
+const INPUT_PATH = path.join(__dirname, '..', 'data', 'spacex_crs16_telemetry.csv');
+const args = process.argv.slice(2);
+const OUTPUT_PATH = args.find(a => !a.startsWith('--')) || path.join(__dirname, '..', 'data', 'spacex_crs16_packets.bin');
+const SYNC = args.includes('--sync');
+const DROP = Number((args.find(a => a.startsWith('--drop=')) || '').split('=')[1]) || 0;
+const ASM = Buffer.from('1ACFFC1D', 'hex');
+const TYPE_SIZES = { u8: 1, i8: 1, u16: 2, i16: 2, u32: 4, i32: 4, u64: 8, i64: 8, f32: 4, f64: 8 };
+
+/* Inverse of CCSDSParser.decodeFields for the big-endian layouts used here */
+function encodeField(buf, pos, field, value) {
+  let raw = value;
+  if (field.enum) raw = Number(Object.keys(field.enum).find(k => field.enum[k] === value) ?? 0);
+  else raw = Math.round(((value ?? 0) - (field.bias || 0)) / (field.scale || 1) * 1e6) / 1e6;
+  switch (field.type) {
+    case 'u8': buf.writeUInt8(Math.round(raw), pos); break;
+    case 'i8': buf.writeInt8(Math.round(raw), pos); break;
+    case 'u16': buf.writeUInt16BE(Math.round(raw), pos); break;
+    case 'i16': buf.writeInt16BE(Math.round(raw), pos); break;
+    case 'u32': buf.writeUInt32BE(Math.round(raw), pos); break;
+    case 'i32': buf.writeInt32BE(Math.round(raw), pos); break;
+    case 'u64': buf.writeBigUInt64BE(BigInt(Math.round(raw)), pos); break;
+    case 'i64': buf.writeBigInt64BE(BigInt(Math.round(raw)), pos); break;
+    case 'f32': buf.writeFloatBE(raw, pos); break;
+    case 'f64': buf.writeDoubleBE(raw, pos); break;
+  }
+}
+
+function encodePacket(layout, row, sequenceCount) {
+  let pos = layout.secondaryHeaderLength || 0;
+  const placed = layout.fields.map(f => {
+    const at = f.byteOffset ?? pos;
+    pos = at + TYPE_SIZES[f.type];
+    return { f, at };
+  });
+  const data = Buffer.alloc(Math.max(...placed.map(p => p.at + TYPE_SIZES[p.f.type])));
+  for (const { f, at } of placed) encodeField(data, at, f, f.name === 'met' ? row.mission_time_s : row[f.name]);
+
+  const header = Buffer.alloc(6);
+  header.writeUInt16BE(layout.apid & 0x7ff, 0);               // version 0, telemetry, no secondary header
+  header.writeUInt16BE(0xc000 | (sequenceCount & 0x3fff), 2); // unsegmented
+  header.writeUInt16BE(data.length - 1, 4);
+  return Buffer.concat(SYNC ? [ASM, header, data] : [header, data]);
+}
+
+async function generate() {
+  const { definition } = packetDefinitions.getDefinition(packetDefinitions.DEFAULT_DEFINITION_ID);
+  const rows = await CSVParser.parseFile(INPUT_PATH);
+  const counts = new Map();
+  const chunks = [];
+  let n = 0, dropped = 0;
+
+  for (const row of rows) {
+    for (const layout of definition.packets) {
+      const seq = counts.get(layout.apid) || 0;
+      counts.set(layout.apid, seq + 1);
+      n++;
+      if (DROP && n % DROP === 0) { dropped++; continue; }
+      chunks.push(encodePacket(layout, row, seq));
+    }
+  }
+
+  fs.writeFileSync(OUTPUT_PATH, Buffer.concat(chunks));
+  console.log(`✅ Encoded ${rows.length} samples as ${chunks.length} packets -> ${OUTPUT_PATH}`);
+  console.log(`📦 APIDs: ${definition.packets.map(p => `${p.apid} ${p.name}`).join(', ')}${SYNC ? ' (with sync markers)' : ''}`);
+  if (dropped) console.log(`⚠️  Dropped ${dropped} packets to simulate sequence gaps`);
+}
+
+generate().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+/**
+ * Live Replay Client
+ * Feeds an existing telemetry CSV to a running server as a live session, pacing the frames by
+ * their mission_time_s, so the dashboard's live mode can be tried without hardware.
+ *
+ *   node scripts/liveReplay.js [csv] [--url=http://localhost:3000] [--speed=1] [--name=...] [--profile=<redline profile id>]
+ *     csv        defaults to data/spacex_crs16_telemetry.csv
+ *     --speed=N  replay N times faster than real time
+ */
+
+const path = require('path');
+const CSVParser = require('../services/csvParser');
+
+const args = process.argv.slice(2);
+const option = name => (args.find(a => a.startsWith(`--${name}=`)) || '').split('=').slice(1).join('=') || null;
+const INPUT_PATH = args.find(a => !a.startsWith('--')) || path.join(__dirname, '..', 'data', 'spacex_crs16_telemetry.csv');
+const BASE_URL = (option('url') || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const SPEED = Number(option('speed')) || 1;
+const TICK_MS = 100;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function post(url, body) {
+  const res = await fetch(`${BASE_URL}/api${url}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const json = await res.json();
+  if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+  return json;
+}
+
+async function replay() {
+  const rows = (await CSVParser.parseFile(INPUT_PATH)).filter(r => typeof r.mission_time_s === 'number');
+  if (!rows.length) throw new Error(`No rows with mission_time_s in ${INPUT_PATH}`);
+  const session = await post('/live', { name: option('name') || `${path.basename(INPUT_PATH)} (live)`, redlineProfile: option('profile') || undefined });
+  const t0 = rows[0].mission_time_s;
+  const span = rows[rows.length - 1].mission_time_s - t0;
+  console.log(`📡 Live session ${session.id}: replaying ${rows.length} samples (${span.toFixed(1)} s) at ${SPEED}x to ${BASE_URL}`);
+
+  const start = Date.now();
+  let next = 0, anomalies = 0, rejected = 0;
+  while (next < rows.length) {
+    const until = t0 + ((Date.now() - start) / 1000) * SPEED;
+    const batch = [];
+    while (next < rows.length && rows[next].mission_time_s <= until) batch.push(rows[next++]);
+    if (batch.length) {
+      const result = await post(`/live/${session.id}/frames`, batch);
+      anomalies += result.anomalies;
+      rejected += result.rejected.length;
+      if (result.anomalies) console.log(`⚠️  T+${batch[batch.length - 1].mission_time_s}s: ${result.anomalies} new anomalies`);
+    }
+    await sleep(TICK_MS);
+  }
+
+  const ended = await post(`/live/${session.id}/end`, {});
+  console.log(`✅ Sent ${rows.length - rejected} frames (${rejected} rejected); ${anomalies} live anomalies, ${ended.anomalies} after full analysis`);
+}
+
+replay().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
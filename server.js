@@ -26,16 +26,11 @@ app.use('/api', apiRoutes);
 app.use('/api/chat', chatbotRoutes);
 app.use('/api/settings', settingsRoutes);
 
-/* Initialise chatbot: prefer stored encrypted key from DB, then .env key */
-const storedKey = db.getApiKey('gemini');
-const envKey = process.env.GEMINI_API_KEY;
-const activeKey = storedKey || (envKey && envKey !== 'YOUR_GEMINI_API_KEY_HERE' ? envKey : null);
-chatbotRoutes.initialize(activeKey, apiRoutes.getDataContext);
-
-/* Allow settings route to re-initialise chatbot when key changes */
-settingsRoutes.setOnApiKeyChanged((newKey) => {
-  chatbotRoutes.initialize(newKey, apiRoutes.getDataContext);
-});
+/* Initialise chatbot with the provider selected in Settings (stored encrypted key, then .env key) */
+chatbotRoutes.initialize(apiRoutes.getDataContext);
+
+/* Allow settings route to re-initialise chatbot when the provider or a key changes */
+settingsRoutes.setOnProviderChanged(() => chatbotRoutes.reload());
 
 app.get('/', (_, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
 
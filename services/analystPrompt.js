@@ -0,0 +1,75 @@
+/**
+ * Analyst Prompt  -  what every LLM provider is told about the loaded dataset
+ * The system prompt describes the dataset; figures come from the tools in analystTools.js.
+ * Replies may carry one <chart>{...}</chart> block, split off with splitChart().
+ */
+
+const { medianStep } = require('./timeSeries');
+
+const MAX_TOOL_ROUNDS = 6;   // model turns that may call tools before it must answer
+const MAX_PROMPT_EVENTS = 40;
+
+const INTRO = 'You are an expert aerospace engineer and flight data analyst AI assistant embedded in a Rocket Data Logger & Analyzer application. You help engineers understand the telemetry of the dataset below, its anomalies and the vehicle behaviour.';
+
+const RULES = `RULES:
+1. Only state figures you got from a tool call; call get_samples, window_stats, list_anomalies or compare_windows rather than guessing. Mission times are seconds (T+).
+2. Use proper aerospace terminology and SI units.
+3. When asked to visualise, return a JSON chart config inside <chart> tags:
+   <chart>{"type":"line","params":["velocity_ms"],"timeRange":[0,150],"title":"Velocity","highlightAnomalies":true}</chart>
+4. Reference anomaly event IDs (EVT-XXX) when relevant.
+5. Always provide a comprehensive text response alongside any chart requests.
+6. Be concise and technical.`;
+
+/* Median step between the first samples, for the prompt */
+function promptStep(table) {
+  const step = medianStep(Array.from({ length: Math.min(table.length, 1000) }, (_, i) => table.get('mission_time_s', i)));
+  return step === null ? null : +step.toPrecision(3);
+}
+
+/**
+ * System prompt for a data context from routes/api.js getDataContext()
+ */
+function buildSystemPrompt(ctx = {}) {
+  const info = ctx.info;
+  if (!info) return `${INTRO}\n\nNo dataset is loaded yet. Ask the user to upload telemetry.\n\n${RULES}`;
+  const table = ctx.table;
+  const unit = c => ctx.redlines[c]?.unit;
+  const columns = table.columns.map(c => (unit(c) ? `${c} (${unit(c)})` : c)).join(', ');
+  const events = Object.entries(ctx.missionEvents)
+    .sort((a, b) => a[1].time - b[1].time)
+    .map(([, e]) => `- ${e.label}: T+${e.time} s (confidence ${e.confidence})`).join('\n') || '- none detected';
+  const s = ctx.summary;
+  const anomalyEvents = (s?.events || []).slice(0, MAX_PROMPT_EVENTS)
+    .map(ev => `- ${ev.id} ${ev.severity} T+${ev.startTime}-${ev.endTime} s: ${ev.count} anomalies on ${ev.affectedParams.join(', ')}${ev.reviewState && ev.reviewState !== 'open' ? ` [${ev.reviewState}]` : ''}`).join('\n');
+
+  return `${INTRO}
+
+CURRENT DATASET:
+- File: ${info.filename}${info.format ? ` (${info.format.format}${info.format.gzip ? ', gzip' : ''})` : ''}${info.live ? ` - live session, ${info.live.status}` : ''}
+- Records: ${info.records}  |  Mission time T+${table.get('mission_time_s', 0)} s to T+${table.get('mission_time_s', table.length - 1)} s  |  Median sample step: ${promptStep(table)} s
+- Columns: ${columns}
+
+DETECTED MISSION EVENTS:
+${events}
+
+ANOMALIES: ${s ? `${s.totalAnomalies} in ${s.totalEvents} events (CRITICAL ${s.bySeverity.CRITICAL}, WARNING ${s.bySeverity.WARNING}, CAUTION ${s.bySeverity.CAUTION})${s.suppressed?.total ? `; ${s.suppressed.total} more suppressed as known behaviour` : ''}` : 'not analysed'}
+${anomalyEvents}${(s?.events.length || 0) > MAX_PROMPT_EVENTS ? `\n- ... ${s.events.length - MAX_PROMPT_EVENTS} more (use list_anomalies)` : ''}
+
+${RULES}`;
+}
+
+/* Split a reply into its text and the first <chart>{...}</chart> block (a reply cut off mid-block loses it) */
+function splitChart(response) {
+  response = response.replace(/<chart>(?![\s\S]*<\/chart>)[\s\S]*$/, '');
+  const chartMatch = response.match(/<chart>([\s\S]*?)<\/chart>/);
+  if (!chartMatch) return { text: response, chartRequest: null };
+  let chartRequest = null;
+  try {
+    chartRequest = JSON.parse(chartMatch[1]);
+  } catch (_) {
+    console.warn('  [chat] Failed to parse chart JSON');
+  }
+  return { text: response.replace(/<chart>[\s\S]*?<\/chart>/, '').trim(), chartRequest };
+}
+
+module.exports = { MAX_TOOL_ROUNDS, buildSystemPrompt, splitChart };
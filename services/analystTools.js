@@ -0,0 +1,188 @@
+/**
+ * Analyst Tools  -  functions the AI analyst can call to query the active dataset itself
+ * instead of being handed a dump of the whole-flight stats.
+ *
+ * TOOLS are declared as JSON schemas (the subset Gemini and OpenAI-style function calling
+ * both accept). runTool(ctx, name, args) runs one against a data context from
+ * routes/api.js getDataContext() and returns { result, summary }: the JSON given back to the
+ * model, and a one-line description for the chat transcript. Bad arguments come back as
+ * { result: { error } } so the model can correct itself.
+ */
+
+const MAX_SAMPLES = 500;
+const DEFAULT_SAMPLES = 100;
+const MAX_ANOMALIES = 100;
+
+const TIME_RANGE = {
+  startTime: { type: 'number', description: 'Window start, mission time in seconds (default: start of the record)' },
+  endTime: { type: 'number', description: 'Window end, mission time in seconds (default: end of the record)' },
+};
+const PARAMS = { type: 'array', items: { type: 'string' }, description: 'Column names, e.g. ["velocity_ms", "altitude_km"]' };
+
+const TOOLS = [
+  {
+    name: 'get_samples',
+    description: 'Raw telemetry samples in a time range, evenly thinned to at most maxPoints rows. Use it to look at what the data actually does around a moment.',
+    parameters: {
+      type: 'object',
+      properties: { ...TIME_RANGE, params: PARAMS, maxPoints: { type: 'integer', description: `Rows to return (default ${DEFAULT_SAMPLES}, at most ${MAX_SAMPLES})` } },
+      required: ['params'],
+    },
+  },
+  {
+    name: 'window_stats',
+    description: 'Count, min, max (with the times they occur), mean, std, first and last value of columns over a time window.',
+    parameters: {
+      type: 'object',
+      properties: { ...TIME_RANGE, params: PARAMS },
+      required: ['params'],
+    },
+  },
+  {
+    name: 'list_anomalies',
+    description: 'Detected anomalies matching the filters, in time order, with the event each belongs to. Suppressed (known-behaviour) anomalies are left out unless includeSuppressed is true.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...TIME_RANGE,
+        severity: { type: 'string', description: 'CRITICAL, WARNING or CAUTION' },
+        parameter: { type: 'string', description: 'Column name' },
+        type: { type: 'string', description: 'Anomaly type, e.g. "Rapid Change", "Redline Violation"' },
+        event: { type: 'string', description: 'Event ID, e.g. "EVT-004"' },
+        includeSuppressed: { type: 'boolean' },
+        limit: { type: 'integer', description: `Most anomalies to return (default and maximum ${MAX_ANOMALIES})` },
+      },
+    },
+  },
+  {
+    name: 'compare_windows',
+    description: 'Stats of the same columns over two time windows side by side, with the change in mean, min and max from window A to window B (e.g. before and after MECO).',
+    parameters: {
+      type: 'object',
+      properties: {
+        params: PARAMS,
+        a: { type: 'object', properties: TIME_RANGE, description: 'Window A' },
+        b: { type: 'object', properties: TIME_RANGE, description: 'Window B' },
+      },
+      required: ['params', 'a', 'b'],
+    },
+  },
+];
+
+const round = v => (typeof v === 'number' && Number.isFinite(v) ? +v.toPrecision(6) : v ?? null);
+
+/* Row index range [lo, hi) for a window; throws on a reversed window */
+function rowRange(table, { startTime, endTime } = {}) {
+  const st = typeof startTime === 'number' ? startTime : null;
+  const et = typeof endTime === 'number' ? endTime : null;
+  if (st !== null && et !== null && et < st) throw new Error('endTime is before startTime');
+  return { lo: st === null ? 0 : table.lowerBound(st), hi: et === null ? table.length : table.upperBound(et) };
+}
+
+/* Known column names; throws listing what is available */
+function checkParams(table, params) {
+  if (!Array.isArray(params) || !params.length) throw new Error('params must be a non-empty array of column names');
+  const unknown = params.filter(p => !table.column(p));
+  if (unknown.length) throw new Error(`Unknown columns: ${unknown.join(', ')}. Available: ${table.columns.join(', ')}`);
+  return params;
+}
+
+function statsOver(table, param, lo, hi) {
+  const col = table.column(param);
+  if (col.kind !== 'numeric') return { count: 0, note: 'not numeric' };
+  let n = 0, sum = 0, sq = 0, min = Infinity, max = -Infinity, tMin = null, tMax = null, first = null, last = null;
+  for (let i = lo; i < hi; i++) {
+    if (!col.isNumber(i)) continue;
+    const v = col.values[i];
+    const t = table.get('mission_time_s', i);
+    if (first === null) first = v;
+    last = v;
+    n++; sum += v; sq += v * v;
+    if (v < min) { min = v; tMin = t; }
+    if (v > max) { max = v; tMax = t; }
+  }
+  if (!n) return { count: 0 };
+  const mean = sum / n;
+  return { count: n, min: round(min), minAt: tMin, max: round(max), maxAt: tMax, mean: round(mean), std: round(Math.sqrt(Math.max(0, sq / n - mean * mean))), first: round(first), last: round(last) };
+}
+
+function windowOf(table, lo, hi) {
+  return hi > lo ? { startTime: table.get('mission_time_s', lo), endTime: table.get('mission_time_s', hi - 1), rows: hi - lo } : { rows: 0 };
+}
+
+const handlers = {
+  get_samples(ctx, args) {
+    const { table } = ctx;
+    const params = checkParams(table, args.params);
+    const { lo, hi } = rowRange(table, args);
+    const max = Math.min(MAX_SAMPLES, Math.max(1, Math.floor(args.maxPoints) || DEFAULT_SAMPLES));
+    const step = Math.max(1, Math.ceil((hi - lo) / max));
+    const rows = [];
+    for (let i = lo; i < hi; i += step) {
+      const row = { mission_time_s: table.get('mission_time_s', i) };
+      for (const p of params) row[p] = round(table.get(p, i));
+      rows.push(row);
+    }
+    return {
+      result: { window: windowOf(table, lo, hi), everyNthRow: step, rows },
+      summary: `${rows.length} samples of ${params.join(', ')}${step > 1 ? ` (every ${step}th row)` : ''}`,
+    };
+  },
+
+  window_stats(ctx, args) {
+    const { table } = ctx;
+    const params = checkParams(table, args.params);
+    const { lo, hi } = rowRange(table, args);
+    const stats = Object.fromEntries(params.map(p => [p, statsOver(table, p, lo, hi)]));
+    return { result: { window: windowOf(table, lo, hi), stats }, summary: `stats of ${params.join(', ')} over ${hi - lo} rows` };
+  },
+
+  list_anomalies(ctx, args) {
+    const eventOf = new Map();
+    for (const ev of ctx.summary?.events || []) for (const a of ev.anomalies) eventOf.set(a.id, ev.id);
+    let list = args.includeSuppressed ? [...(ctx.anomalies || []), ...(ctx.suppressed || [])] : [...(ctx.anomalies || [])];
+    if (args.severity) list = list.filter(a => a.severity === String(args.severity).toUpperCase());
+    if (args.parameter) list = list.filter(a => a.parameter === args.parameter);
+    if (args.type) list = list.filter(a => a.type?.toLowerCase() === String(args.type).toLowerCase());
+    if (args.event) list = list.filter(a => eventOf.get(a.id) === args.event);
+    if (typeof args.startTime === 'number') list = list.filter(a => a.missionTime >= args.startTime);
+    if (typeof args.endTime === 'number') list = list.filter(a => a.missionTime <= args.endTime);
+    list.sort((a, b) => a.missionTime - b.missionTime);
+    const limit = Math.min(MAX_ANOMALIES, Math.max(1, Math.floor(args.limit) || MAX_ANOMALIES));
+    const anomalies = list.slice(0, limit).map(a => ({
+      id: a.id, event: eventOf.get(a.id) || null, missionTime: a.missionTime, severity: a.severity, type: a.type, parameter: a.parameter,
+      value: round(a.value), unit: a.unit || '', description: a.description,
+      ...(a.reviewState && a.reviewState !== 'open' ? { review: a.reviewState } : {}),
+      ...(a.suppressed ? { suppressedBy: a.suppressed.ruleName } : {}),
+    }));
+    return { result: { total: list.length, returned: anomalies.length, anomalies }, summary: `${list.length} matching anomalies` };
+  },
+
+  compare_windows(ctx, args) {
+    const { table } = ctx;
+    const params = checkParams(table, args.params);
+    const a = rowRange(table, args.a), b = rowRange(table, args.b);
+    const comparison = Object.fromEntries(params.map(p => {
+      const sa = statsOver(table, p, a.lo, a.hi), sb = statsOver(table, p, b.lo, b.hi);
+      const delta = k => (sa.count && sb.count ? round(sb[k] - sa[k]) : null);
+      return [p, { a: sa, b: sb, change: { mean: delta('mean'), min: delta('min'), max: delta('max') } }];
+    }));
+    return { result: { a: windowOf(table, a.lo, a.hi), b: windowOf(table, b.lo, b.hi), comparison }, summary: `compared ${params.join(', ')} across two windows` };
+  },
+};
+
+/**
+ * Run a tool against a data context; returns { result, summary }
+ */
+function runTool(ctx, name, args = {}) {
+  const handler = handlers[name];
+  if (!handler) return { result: { error: `Unknown tool: ${name}` }, summary: 'unknown tool' };
+  if (!ctx?.table) return { result: { error: 'No dataset loaded' }, summary: 'no dataset loaded' };
+  try {
+    return handler(ctx, args || {});
+  } catch (e) {
+    return { result: { error: e.message }, summary: `error: ${e.message}` };
+  }
+}
+
+module.exports = { TOOLS, runTool };
@@ -5,8 +5,25 @@
  *   - Rate-of-change spikes
  *   - Threshold / redline violations
  *   - Sustained window deviations
+ *
+ * Z-score and sustained-deviation checks are measured against a baseline:
+ *   - phase    statistics of the row's flight_phase / test_phase (default when a phase column exists)
+ *   - rolling  trailing window of recent samples (default otherwise)
+ *   - global   whole-flight statistics
+ *
+ * Anomaly IDs (ANM-...) are hashes of what was found, so re-running detection gives a finding the
+ * same ID again; an event's key (EVT-<hash>) is that of its earliest anomaly. Reviews hang off these.
  */
 
+const crypto = require('crypto');
+const { registerDetector, resolveDetectors } = require('./detectorRegistry');
+const { medianStep } = require('./timeSeries');
+
+const PHASE_COLUMNS = ['flight_phase', 'test_phase'];
+const MIN_PHASE_SAMPLES = 20;   // smaller phases fall back to the rolling baseline
+const MIN_ROLLING_SAMPLES = 5;
+const ROLLING_STD_FLOOR = 0.1;  // fraction of the flight-wide std; stops smooth trends producing tiny sigmas
+
 const REDLINE_LIMITS = {
   velocity_ms:           { min: -50,   max: 8200,  unit: 'm/s',   label: 'Velocity' },
   altitude_km:           { min: -1,    max: 250,   unit: 'km',    label: 'Altitude' },
@@ -23,182 +40,490 @@ const REDLINE_LIMITS = {
   mach_number:           { min: 0,     max: 25,    unit: '',      label: 'Mach Number' },
 };
 
-const MISSION_EVENTS = {
-  maxq:                 54,
-  throttle_down_start:  48,
-  throttle_down_end:    68,
-  meco:                 145,
-  ses1:                 156,
-};
+/* Stable ID of an anomaly: detector, parameter, type and sample time */
+function anomalyId(a) {
+  const key = [a.detector, a.parameter, a.type, a.missionTime].join('|');
+  return `ANM-${crypto.createHash('sha1').update(key).digest('hex').slice(0, 10)}`;
+}
 
 class AnomalyDetector {
-  constructor(data) {
+  /**
+   * options.redlines       limits keyed by parameter (defaults to REDLINE_LIMITS)
+   * options.missionEvents  detected mission events reported in the summary
+   * options.baseline       'phase' | 'rolling' | 'global' (default: phase when available)
+   * options.rollingWindow  rolling baseline length in seconds (default 30)
+   * options.detectors      names of the detectors to run (default: every enabled detector)
+   * options.detectorParams per-detector parameter overrides, e.g. { zscore: { Z: 4 } }
+   * options.clusterWindow  seconds within which anomalies are grouped into one event (default 10)
+   */
+  constructor(data, options = {}) {
     this.data = data;
+    this.redlines = options.redlines || REDLINE_LIMITS;
+    this.missionEvents = options.missionEvents || {};
+    this.baselineMode = options.baseline || null;
+    this.rollingWindow = options.rollingWindow || 30;
+    this.detectorNames = options.detectors || null;
+    this.detectorParams = options.detectorParams || {};
+    this.detectorsRun = [];
+    this.clusterWindow = options.clusterWindow ?? 10;
     this.anomalies = [];
+    this.suppressed = [];
     this.stats = {};
   }
 
   detectAll() {
+    for (const det of this._begin()) this._run(det);
+    return this._finish();
+  }
+
+  /**
+   * detectAll() that gives the event loop a turn before each detector, so a server stays
+   * responsive while a long record is analysed; onDetector(name) is told which one runs next.
+   */
+  async detectAllAsync(onDetector) {
+    for (const det of this._begin()) {
+      onDetector?.(det.name);
+      await new Promise(resolve => setImmediate(resolve));
+      this._run(det);
+    }
+    return this._finish();
+  }
+
+  /* Read the working rows and prepare stats and baselines; returns the detectors to run (none without rows) */
+  _begin() {
     this.anomalies = [];
-    const working = this.data.filter(d =>
+    this.suppressed = [];
+    this.ids = new Set();
+    this.working = this.data.filter(d =>
       typeof d.mission_time_s === 'number' && d.mission_time_s >= 0
     );
-    if (working.length === 0) return this.anomalies;
+    this.selected = [];
+    if (this.working.length === 0) return this.selected;
 
-    this._computeStats(working);
-    this._detectZScoreAnomalies(working);
-    this._detectRateOfChange(working);
-    this._detectRedlineViolations(working);
-    this._detectSustainedDeviations(working);
+    this._readColumns(this.working);
+    this._computeStats();
+    this.sampleStep = medianStep(this.times) ?? 1;
+    this._prepareBaselines(this.working);
+    this.selected = resolveDetectors(this.detectorNames);
+    return this.selected;
+  }
+
+  _run(det) {
+    const params = { ...det.parameters, ...(this.detectorParams[det.name] || {}) };
+    for (const a of det.detect(this, this.working, params) || []) this.anomalies.push({ ...a, detector: det.name });
+  }
+
+  _finish() {
+    if (this.working.length === 0) return this.anomalies;
+    this.detectorsRun = this.selected.map(d => d.name);
+    this._assignIds(this.anomalies);
     this._clusterAnomalies();
+    return this.anomalies;
+  }
 
+  /**
+   * Take the findings of an earlier run instead of running the detectors: `found` is every
+   * anomaly it reported, suppressed or not, and `summary` its getSummary(). Lets suppression
+   * rules be re-applied with suppress() without detecting again; returns the anomalies.
+   */
+  reuse(found, summary) {
+    this.anomalies = found.map(a => {
+      const copy = { ...a };
+      delete copy.suppressed;
+      return copy;
+    });
+    this.suppressed = [];
+    this.baselineMode = summary.baseline;
+    this.detectorsRun = summary.detectors;
+    this.phaseColumn = PHASE_COLUMNS.find(k => this.data.some(d => typeof d[k] === 'string')) || null;
+    this._clusterAnomalies();
     return this.anomalies;
   }
 
-  _computeStats(data) {
-    for (const param of Object.keys(REDLINE_LIMITS)) {
-      const values = data.map(d => d[param]).filter(v => typeof v === 'number' && !isNaN(v));
-      if (values.length === 0) continue;
-      const sum = values.reduce((a, b) => a + b, 0);
-      const mean = sum / values.length;
-      const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length;
-      this.stats[param] = { mean, std: Math.sqrt(variance), min: Math.min(...values), max: Math.max(...values) };
+  /**
+   * Set aside the anomalies match(a) claims (it returns { ruleId, ruleName } or null) and
+   * re-cluster the rest into events. Runs after detectAll(); returns the set-aside anomalies,
+   * which keep their IDs and carry `suppressed`.
+   */
+  suppress(match) {
+    const kept = [];
+    for (const a of this.anomalies) {
+      const by = match(a);
+      if (by) this.suppressed.push(Object.assign(a, { suppressed: by }));
+      else kept.push(a);
     }
+    this.anomalies = kept;
+    this._clusterAnomalies();
+    return this.suppressed;
   }
 
-  _detectZScoreAnomalies(data) {
-    const Z = 3.0;
-    for (const [param, s] of Object.entries(this.stats)) {
-      if (s.std === 0) continue;
-      const lim = REDLINE_LIMITS[param];
+  /*
+   * The working rows as typed columns, which the built-in detectors read instead of the rows:
+   * this.times, this.columns[param] (NaN where a row has no number) and, once the phase
+   * column is known, this.phases
+   */
+  _readColumns(data) {
+    this.times = Float64Array.from(data, d => d.mission_time_s);
+    this.columns = {};
+    for (const param of Object.keys(this.redlines)) {
+      const col = new Float64Array(data.length);
       for (let i = 0; i < data.length; i++) {
         const v = data[i][param];
-        if (typeof v !== 'number') continue;
-        const z = Math.abs((v - s.mean) / s.std);
+        col[i] = typeof v === 'number' ? v : NaN;
+      }
+      this.columns[param] = col;
+    }
+  }
+
+  _computeStats() {
+    for (const [param, col] of Object.entries(this.columns)) {
+      /* Loops rather than Math.min(...values), which overflows the stack on very long records */
+      let n = 0, sum = 0, min = Infinity, max = -Infinity;
+      for (let i = 0; i < col.length; i++) {
+        const v = col[i];
+        if (isNaN(v)) continue;
+        n++;
+        sum += v;
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+      if (n === 0) continue;
+      const mean = sum / n;
+      let sq = 0;
+      for (let i = 0; i < col.length; i++) if (!isNaN(col[i])) sq += (col[i] - mean) ** 2;
+      this.stats[param] = { mean, std: Math.sqrt(sq / n), min, max };
+    }
+  }
+
+  /* Per-phase statistics and rolling prefix sums for the baseline lookups */
+  _prepareBaselines(data) {
+    this.phaseColumn = PHASE_COLUMNS.find(k => data.some(d => typeof d[k] === 'string')) || null;
+    this.phases = this.phaseColumn ? data.map(d => d[this.phaseColumn]) : null;
+    let mode = this.baselineMode || (this.phaseColumn ? 'phase' : 'rolling');
+    if (mode === 'phase' && !this.phaseColumn) mode = 'rolling';
+    this.baselineMode = mode;
+    this.phaseStats = {};
+    this.rollingSums = {};
+    const times = this.times;
+
+    /* Start index of the trailing window [t - rollingWindow, t) for every row */
+    this.rollStart = new Uint32Array(times.length);
+    for (let i = 0, lo = 0; i < times.length; i++) {
+      while (lo < i && times[lo] < times[i] - this.rollingWindow) lo++;
+      this.rollStart[i] = lo;
+    }
+
+    /* Prefix sums of t, t^2, v, t*v, v^2 let each trailing window be fitted with a line in O(1) */
+    const t0 = times[0];
+    for (const param of Object.keys(this.stats)) {
+      const col = this.columns[param];
+      const n1 = times.length + 1;
+      const sums = { N: new Uint32Array(n1), T: new Float64Array(n1), TT: new Float64Array(n1), V: new Float64Array(n1), TV: new Float64Array(n1), VV: new Float64Array(n1) };
+      for (let i = 0; i < times.length; i++) {
+        const v = col[i];
+        const ok = !isNaN(v);
+        const t = times[i] - t0;
+        sums.N[i + 1] = sums.N[i] + (ok ? 1 : 0);
+        sums.T[i + 1] = sums.T[i] + (ok ? t : 0);
+        sums.TT[i + 1] = sums.TT[i] + (ok ? t * t : 0);
+        sums.V[i + 1] = sums.V[i] + (ok ? v : 0);
+        sums.TV[i + 1] = sums.TV[i] + (ok ? t * v : 0);
+        sums.VV[i + 1] = sums.VV[i] + (ok ? v * v : 0);
+      }
+      this.rollingSums[param] = sums;
+
+      if (mode !== 'phase') continue;
+      const groups = {};
+      for (let i = 0; i < col.length; i++) {
+        const v = col[i];
+        if (isNaN(v)) continue;
+        const g = groups[this.phases[i]] || (groups[this.phases[i]] = { sum: 0, sq: 0, n: 0 });
+        g.sum += v; g.sq += v * v; g.n++;
+      }
+      this.phaseStats[param] = {};
+      for (const [phase, g] of Object.entries(groups)) {
+        const mean = g.sum / g.n;
+        this.phaseStats[param][phase] = { mean, std: Math.sqrt(Math.max(0, g.sq / g.n - mean * mean)), count: g.n };
+      }
+    }
+  }
+
+  /**
+   * Baseline {mean, std, label} for `param` at row i, or null when there is not enough history.
+   * `at` is the time the rolling trend is evaluated at (defaults to row i's time).
+   */
+  _baseline(param, i, at) {
+    if (this.baselineMode === 'global') {
+      const s = this.stats[param];
+      return { mean: s.mean, std: s.std, label: 'global' };
+    }
+    if (this.baselineMode === 'phase') {
+      const phase = this.phases[i];
+      const ps = this.phaseStats[param]?.[phase];
+      if (ps && ps.count >= MIN_PHASE_SAMPLES) return { mean: ps.mean, std: ps.std, label: `phase:${phase}` };
+    }
+
+    /* Rolling: least-squares line through the trailing window, so a steady climb is nominal */
+    const { N, T, TT, V, TV, VV } = this.rollingSums[param];
+    const lo = this.rollStart[i];
+    const n = N[i] - N[lo];
+    if (n < MIN_ROLLING_SAMPLES) return null;
+    const st = T[i] - T[lo], stt = TT[i] - TT[lo], sv = V[i] - V[lo], stv = TV[i] - TV[lo], svv = VV[i] - VV[lo];
+    const denom = n * stt - st * st;
+    const slope = denom > 0 ? (n * stv - st * sv) / denom : 0;
+    const icept = (sv - slope * st) / n;
+    const sse = svv - icept * sv - slope * stv;
+    const t = (at ?? this.times[i]) - this.times[0];
+    const std = Math.max(Math.sqrt(Math.max(0, sse / n)), this.stats[param].std * ROLLING_STD_FLOOR);
+    return { mean: icept + slope * t, std, label: `rolling:${this.rollingWindow}s` };
+  }
+
+  _describeBaseline(label) {
+    if (label.startsWith('phase:')) return `${label.slice(6)} phase baseline`;
+    if (label.startsWith('rolling:')) return `trailing ${label.slice(8)} baseline`;
+    return 'flight-wide baseline';
+  }
+
+  _detectZScoreAnomalies(data, { Z }) {
+    const out = [];
+    for (const [param, s] of Object.entries(this.stats)) {
+      if (s.std === 0) continue;
+      const lim = this.redlines[param];
+      const col = this.columns[param];
+      for (let i = 0; i < col.length; i++) {
+        const v = col[i];
+        if (isNaN(v)) continue;
+        const b = this._baseline(param, i);
+        if (!b || b.std === 0) continue;
+        const z = Math.abs((v - b.mean) / b.std);
         if (z > Z) {
-          this.anomalies.push({
+          out.push({
             type: 'Z-Score Outlier',
             severity: z > 5 ? 'CRITICAL' : z > 4 ? 'WARNING' : 'CAUTION',
             parameter: param,
             paramLabel: lim?.label || param,
             value: +v.toFixed(2),
-            expected: +s.mean.toFixed(2),
+            expected: +b.mean.toFixed(2),
             zScore: +z.toFixed(2),
+            baseline: b.label,
             unit: lim?.unit || '',
-            missionTime: data[i].mission_time_s,
+            missionTime: this.times[i],
             index: i,
-            description: `${lim?.label || param} z-score ${z.toFixed(1)} (value ${v.toFixed(1)} ${lim?.unit || ''}, nominal ${s.mean.toFixed(1)} ${lim?.unit || ''})`,
+            description: `${lim?.label || param} z-score ${z.toFixed(1)} (value ${v.toFixed(1)} ${lim?.unit || ''}, nominal ${b.mean.toFixed(1)} ${lim?.unit || ''}, ${this._describeBaseline(b.label)})`,
           });
         }
       }
     }
+    return out;
   }
 
-  _detectRateOfChange(data) {
-    const MULT = 5;
-    for (const [param, s] of Object.entries(this.stats)) {
-      const lim = REDLINE_LIMITS[param];
-      const rocs = [];
-      for (let i = 1; i < data.length; i++) {
-        const a = data[i - 1][param], b = data[i][param];
-        if (typeof a === 'number' && typeof b === 'number') rocs.push(Math.abs(b - a));
-      }
-      if (rocs.length === 0) continue;
-      const avg = rocs.reduce((a, b) => a + b, 0) / rocs.length;
+  /**
+   * Rate of change per second between each sample and the previous one with a value.
+   * Duplicate or backwards timestamps are skipped, and pairs further apart than
+   * GAP_FACTOR sample steps are left to the data-gap detector.
+   */
+  _detectRateOfChange(data, { MULT, GAP_FACTOR }) {
+    const out = [];
+    const maxDt = this.sampleStep * GAP_FACTOR;
+    const times = this.times;
+    for (const param of Object.keys(this.stats)) {
+      const lim = this.redlines[param];
+      const col = this.columns[param];
+      /* Calls visit(i, prev, dt) for every rate; walked once for the average and once to flag */
+      const eachRate = visit => {
+        let prev = -1;
+        for (let i = 0; i < col.length; i++) {
+          if (isNaN(col[i])) continue;
+          if (prev >= 0) {
+            const dt = times[i] - times[prev];
+            if (dt <= 0) continue;
+            if (dt <= maxDt) visit(i, prev, dt);
+          }
+          prev = i;
+        }
+      };
+      let sum = 0, count = 0;
+      eachRate((i, j, dt) => { sum += Math.abs((col[i] - col[j]) / dt); count++; });
+      if (count === 0) continue;
+      const avg = sum / count;
       const threshold = avg * MULT;
       if (threshold === 0) continue;
 
-      for (let i = 1; i < data.length; i++) {
-        const a = data[i - 1][param], b = data[i][param];
-        if (typeof a !== 'number' || typeof b !== 'number') continue;
-        const roc = Math.abs(b - a);
-        if (roc > threshold) {
-          this.anomalies.push({
-            type: 'Rapid Change',
-            severity: roc > threshold * 3 ? 'CRITICAL' : roc > threshold * 2 ? 'WARNING' : 'CAUTION',
-            parameter: param,
-            paramLabel: lim?.label || param,
-            value: +b.toFixed(2),
-            previousValue: +a.toFixed(2),
-            rateOfChange: +roc.toFixed(2),
-            unit: lim?.unit || '',
-            missionTime: data[i].mission_time_s,
-            index: i,
-            description: `Rapid ${b > a ? 'increase' : 'decrease'} in ${lim?.label || param}: delta ${roc.toFixed(1)} ${lim?.unit || ''}/s (avg ${avg.toFixed(2)})`,
-          });
+      eachRate((i, j, dt) => {
+        if (Math.abs((col[i] - col[j]) / dt) > threshold) out.push(this._rapidChange(param, lim, col[j], data[i], i, dt, threshold, avg));
+      });
+    }
+    return out;
+  }
+
+  /* One Rapid Change anomaly: row i changed from `previous` over dt seconds */
+  _rapidChange(param, lim, previous, row, i, dt, threshold, avg) {
+    const a = previous, b = row[param];
+    const roc = Math.abs((b - a) / dt);
+    return {
+      type: 'Rapid Change',
+      severity: roc > threshold * 3 ? 'CRITICAL' : roc > threshold * 2 ? 'WARNING' : 'CAUTION',
+      parameter: param,
+      paramLabel: lim?.label || param,
+      value: +b.toFixed(2),
+      previousValue: +a.toFixed(2),
+      rateOfChange: +roc.toFixed(2),
+      dt: +dt.toFixed(4),
+      unit: lim?.unit || '',
+      missionTime: row.mission_time_s,
+      index: i,
+      description: `Rapid ${b > a ? 'increase' : 'decrease'} in ${lim?.label || param}: ${roc.toFixed(1)} ${lim?.unit || ''}/s over ${+dt.toFixed(3)}s (avg ${avg.toFixed(2)} ${lim?.unit || ''}/s)`,
+    };
+  }
+
+  /**
+   * Dropouts: stretches longer than GAP_FACTOR sample steps with no rows at all,
+   * or with rows but no value for a parameter.
+   */
+  _detectDataGaps(data, { GAP_FACTOR }) {
+    const out = [];
+    const times = this.times;
+    const step = this.sampleStep;
+    const maxDt = step * GAP_FACTOR;
+    const severity = dt => (dt >= step * 100 ? 'CRITICAL' : dt >= step * 10 ? 'WARNING' : 'CAUTION');
+    const gap = (fields, start, end, text) => {
+      const dt = times[end] - times[start];
+      const missing = Math.max(1, Math.round(dt / step) - 1);
+      out.push({
+        type: 'Data Gap',
+        severity: severity(dt),
+        ...fields,
+        value: +dt.toFixed(3),
+        expected: +step.toFixed(4),
+        gapStart: times[start],
+        gapEnd: times[end],
+        missingSamples: missing,
+        unit: 's',
+        missionTime: times[start],
+        index: start,
+        description: `${text} for ${dt.toFixed(2)} s (~${missing} missing samples at ${(1 / step).toFixed(1)} Hz) between T+${times[start]}s and T+${times[end]}s`,
+      });
+    };
+
+    for (let i = 1; i < times.length; i++) {
+      if (times[i] - times[i - 1] > maxDt) {
+        gap({ parameter: 'mission_time_s', paramLabel: 'All channels' }, i - 1, i, 'No telemetry received');
+      }
+    }
+
+    for (const param of Object.keys(this.stats)) {
+      const lim = this.redlines[param];
+      const col = this.columns[param];
+      let last = -1;
+      for (let i = 0; i < col.length; i++) {
+        if (isNaN(col[i])) continue;
+        /* Only dropouts where other rows kept arriving; whole-row gaps are reported above */
+        if (last >= 0 && i - last > 1 && times[i] - times[last] > maxDt) {
+          gap({ parameter: param, paramLabel: lim?.label || param }, last, i, `${lim?.label || param} dropout`);
         }
+        last = i;
       }
     }
+    return out;
   }
 
   _detectRedlineViolations(data) {
-    for (const [param, lim] of Object.entries(REDLINE_LIMITS)) {
-      for (let i = 0; i < data.length; i++) {
-        const v = data[i][param];
-        if (typeof v !== 'number') continue;
-        let viol = null;
-        if (v > lim.max) viol = { dir: 'HIGH', exc: +(v - lim.max).toFixed(2), limit: lim.max };
-        else if (v < lim.min) viol = { dir: 'LOW', exc: +(lim.min - v).toFixed(2), limit: lim.min };
-        if (viol) {
-          const pct = (viol.exc / Math.abs(viol.limit || 1)) * 100;
-          this.anomalies.push({
-            type: 'Redline Violation',
-            severity: pct > 10 ? 'CRITICAL' : pct > 5 ? 'WARNING' : 'CAUTION',
-            parameter: param,
-            paramLabel: lim.label,
-            value: +v.toFixed(2),
-            redlineLimit: viol.limit,
-            exceedance: viol.exc,
-            direction: viol.dir,
-            percentOver: +pct.toFixed(2),
-            unit: lim.unit,
-            missionTime: data[i].mission_time_s,
-            index: i,
-            description: `${lim.label} ${viol.dir} redline: ${v.toFixed(1)} ${lim.unit} (limit ${viol.limit} ${lim.unit}, ${pct.toFixed(1)}% over)`,
-          });
-        }
+    const out = [];
+    for (const [param, lim] of Object.entries(this.redlines)) {
+      const col = this.columns[param];
+      for (let i = 0; i < col.length; i++) {
+        /* Only rows outside the limits are looked at as rows (for the phase check and the anomaly) */
+        if (!(col[i] > lim.max || col[i] < lim.min)) continue;
+        const a = this._redlineViolation(param, lim, data[i], i);
+        if (a) out.push(a);
       }
     }
+    return out;
+  }
+
+  /* Redline Violation anomaly for row i, or null when the value is within limits (or out of phase) */
+  _redlineViolation(param, lim, row, i) {
+    const v = row[param];
+    if (typeof v !== 'number') return null;
+    if (lim.phases && !lim.phases.includes(row.flight_phase ?? row.test_phase)) return null;
+    let viol = null;
+    if (v > lim.max) viol = { dir: 'HIGH', exc: +(v - lim.max).toFixed(2), limit: lim.max };
+    else if (v < lim.min) viol = { dir: 'LOW', exc: +(lim.min - v).toFixed(2), limit: lim.min };
+    if (!viol) return null;
+    const pct = (viol.exc / Math.abs(viol.limit || 1)) * 100;
+    return {
+      type: 'Redline Violation',
+      severity: pct > 10 ? 'CRITICAL' : pct > 5 ? 'WARNING' : 'CAUTION',
+      parameter: param,
+      paramLabel: lim.label,
+      value: +v.toFixed(2),
+      redlineLimit: viol.limit,
+      exceedance: viol.exc,
+      direction: viol.dir,
+      percentOver: +pct.toFixed(2),
+      unit: lim.unit,
+      missionTime: row.mission_time_s,
+      index: i,
+      description: `${lim.label} ${viol.dir} redline: ${v.toFixed(1)} ${lim.unit} (limit ${viol.limit} ${lim.unit}, ${pct.toFixed(1)}% over)`,
+    };
   }
 
-  _detectSustainedDeviations(data) {
-    const WIN = 20;
-    const SIG = 2.0;
+  _detectSustainedDeviations(data, { WIN: win, SIG }) {
+    const WIN = Math.max(2, Math.round(win));
+    const out = [];
+    const times = this.times;
     for (const [param, s] of Object.entries(this.stats)) {
       if (s.std === 0) continue;
-      const lim = REDLINE_LIMITS[param];
-      for (let i = WIN; i < data.length; i++) {
-        const vals = data.slice(i - WIN, i).map(d => d[param]).filter(v => typeof v === 'number');
-        if (vals.length < WIN * 0.8) continue;
-        const wm = vals.reduce((a, b) => a + b, 0) / vals.length;
-        const dev = Math.abs(wm - s.mean) / s.std;
-        if (dev > SIG) {
-          const dup = this.anomalies.find(a =>
-            a.type === 'Sustained Deviation' && a.parameter === param && Math.abs(a.index - i) < WIN
-          );
-          if (!dup) {
-            this.anomalies.push({
-              type: 'Sustained Deviation',
-              severity: dev > 4 ? 'CRITICAL' : dev > 3 ? 'WARNING' : 'CAUTION',
-              parameter: param,
-              paramLabel: lim?.label || param,
-              value: +wm.toFixed(2),
-              expected: +s.mean.toFixed(2),
-              deviationSigma: +dev.toFixed(2),
-              unit: lim?.unit || '',
-              missionTime: data[i].mission_time_s,
-              index: i,
-              description: `Sustained ${dev.toFixed(1)} sigma deviation in ${lim?.label || param} over ${WIN}s window (mean ${wm.toFixed(1)}, nominal ${s.mean.toFixed(1)})`,
-            });
-          }
+      const lim = this.redlines[param];
+      /* Window counts and sums come from the baseline prefix sums, so each window is O(1) */
+      const { N, V } = this.rollingSums[param];
+      let last = -Infinity;   // index of this parameter's latest anomaly
+      for (let i = WIN; i < times.length; i++) {
+        const n = N[i] - N[i - WIN];
+        if (n < WIN * 0.8) continue;
+        /* Rolling baselines are fitted before the window (so it cannot absorb the deviation) and extrapolated to its centre */
+        const tMid = (times[i - WIN] + times[i - 1]) / 2;
+        const b = this._baseline(param, this.baselineMode === 'phase' ? i : i - WIN, tMid);
+        if (!b || b.std === 0) continue;
+        const wm = (V[i] - V[i - WIN]) / n;
+        const dev = Math.abs(wm - b.mean) / b.std;
+        if (dev > SIG && i - last >= WIN) {
+          last = i;
+          out.push({
+            type: 'Sustained Deviation',
+            severity: dev > 4 ? 'CRITICAL' : dev > 3 ? 'WARNING' : 'CAUTION',
+            parameter: param,
+            paramLabel: lim?.label || param,
+            value: +wm.toFixed(2),
+            expected: +b.mean.toFixed(2),
+            deviationSigma: +dev.toFixed(2),
+            baseline: b.label,
+            unit: lim?.unit || '',
+            missionTime: times[i],
+            index: i,
+            description: `Sustained ${dev.toFixed(1)} sigma deviation in ${lim?.label || param} over ${WIN}s window (mean ${wm.toFixed(1)}, nominal ${b.mean.toFixed(1)}, ${this._describeBaseline(b.label)})`,
+          });
         }
       }
     }
+    return out;
+  }
+
+  /* Give each anomaly its stable ID; a repeated key gets a numeric suffix */
+  _assignIds(list) {
+    this.ids ||= new Set();
+    for (const a of list) {
+      const base = anomalyId(a);
+      let id = base;
+      for (let n = 2; this.ids.has(id); n++) id = `${base}-${n}`;
+      this.ids.add(id);
+      a.id = id;
+    }
   }
 
   _clusterAnomalies() {
     this.anomalies.sort((a, b) => a.missionTime - b.missionTime);
-    const TIME_WIN = 10;
+    const TIME_WIN = this.clusterWindow;
     let eid = 1;
     const used = new Set();
     this.events = [];
@@ -207,6 +532,7 @@ class AnomalyDetector {
       if (used.has(i)) continue;
       const ev = {
         id: `EVT-${String(eid).padStart(3, '0')}`,
+        key: this.anomalies[i].id?.replace('ANM-', 'EVT-') ?? null,
         anomalies: [this.anomalies[i]],
         startTime: this.anomalies[i].missionTime,
         endTime: this.anomalies[i].missionTime,
@@ -214,11 +540,11 @@ class AnomalyDetector {
       used.add(i);
       for (let j = i + 1; j < this.anomalies.length; j++) {
         if (used.has(j)) continue;
-        if (Math.abs(this.anomalies[j].missionTime - ev.startTime) < TIME_WIN) {
-          ev.anomalies.push(this.anomalies[j]);
-          ev.endTime = Math.max(ev.endTime, this.anomalies[j].missionTime);
-          used.add(j);
-        }
+        /* Sorted by time, so nothing after the first anomaly outside the window can join */
+        if (this.anomalies[j].missionTime - ev.startTime >= TIME_WIN) break;
+        ev.anomalies.push(this.anomalies[j]);
+        ev.endTime = Math.max(ev.endTime, this.anomalies[j].missionTime);
+        used.add(j);
       }
       const sevs = ev.anomalies.map(a => a.severity);
       ev.severity = sevs.includes('CRITICAL') ? 'CRITICAL' : sevs.includes('WARNING') ? 'WARNING' : 'CAUTION';
@@ -240,17 +566,64 @@ class AnomalyDetector {
       byType[a.type] = (byType[a.type] || 0) + 1;
       byParam[a.paramLabel] = (byParam[a.paramLabel] || 0) + 1;
     }
+    const byRule = {};
+    for (const a of this.suppressed) byRule[a.suppressed.ruleId] = (byRule[a.suppressed.ruleId] || 0) + 1;
     return {
       totalAnomalies: total,
       totalEvents: this.events?.length || 0,
+      suppressed: { total: this.suppressed.length, byRule },
       bySeverity,
       byType,
       byParameter: byParam,
       events: this.events || [],
-      redlineLimits: REDLINE_LIMITS,
-      missionEvents: MISSION_EVENTS,
+      baseline: this.baselineMode,
+      detectors: this.detectorsRun,
+      redlineLimits: this.redlines,
+      missionEvents: this.missionEvents,
     };
   }
 }
 
-module.exports = { AnomalyDetector, REDLINE_LIMITS, MISSION_EVENTS };
+/* Built-in detectors; more can be added through services/detectorRegistry.js */
+registerDetector({
+  name: 'zscore',
+  label: 'Z-Score Outlier',
+  description: 'Samples more than Z standard deviations from the baseline',
+  parameters: { Z: 3.0 },
+  builtIn: true,
+  detect: (ctx, data, params) => ctx._detectZScoreAnomalies(data, params),
+});
+registerDetector({
+  name: 'rate-of-change',
+  label: 'Rapid Change',
+  description: 'Per-second rates of change larger than MULT times the average rate',
+  parameters: { MULT: 5, GAP_FACTOR: 3 },
+  builtIn: true,
+  detect: (ctx, data, params) => ctx._detectRateOfChange(data, params),
+});
+registerDetector({
+  name: 'redline',
+  label: 'Redline Violation',
+  description: 'Values outside the redline profile limits',
+  parameters: {},
+  builtIn: true,
+  detect: (ctx, data, params) => ctx._detectRedlineViolations(data, params),
+});
+registerDetector({
+  name: 'sustained',
+  label: 'Sustained Deviation',
+  description: 'WIN-sample window means more than SIG standard deviations from the baseline',
+  parameters: { WIN: 20, SIG: 2.0 },
+  builtIn: true,
+  detect: (ctx, data, params) => ctx._detectSustainedDeviations(data, params),
+});
+registerDetector({
+  name: 'data-gap',
+  label: 'Data Gap',
+  description: 'Dropouts longer than GAP_FACTOR times the nominal sample step',
+  parameters: { GAP_FACTOR: 3 },
+  builtIn: true,
+  detect: (ctx, data, params) => ctx._detectDataGaps(data, params),
+});
+
+module.exports = { AnomalyDetector, REDLINE_LIMITS };
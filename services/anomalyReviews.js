@@ -0,0 +1,157 @@
+/**
+ * Anomaly Reviews  -  analyst review state for anomalies and events
+ *
+ * Reviews live on the dataset (ds.reviews, keyed by anomaly ID or event key) rather than on
+ * the anomaly objects, which every detection run regenerates; annotate() copies them back on
+ * afterwards. Because the IDs are stable (see anomalyDetector.js) a review follows its finding
+ * across re-runs; a review whose finding is no longer detected is kept but listed as absent.
+ * An event's key is that of its earliest anomaly, so suppression or re-clustering can change it;
+ * event reviews remember their member anomalies and move to the event that now holds them.
+ *
+ * Review: { id, kind: 'anomaly' | 'event', state, assignee, comments: [{ id, author, text, createdAt }], createdAt, updatedAt }
+ * Event reviews also carry anomalies: [member anomaly IDs when the event was last seen].
+ * An anomaly without a review of its own takes its event's state and assignee.
+ */
+
+const STATES = ['open', 'acknowledged', 'false-positive', 'root-caused'];
+const MAX_ASSIGNEE = 100;
+const MAX_COMMENT = 2000;
+
+/* The anomaly or event `id` refers to: anomaly ID, event key, or event number (EVT-004) */
+function findTarget(ds, id) {
+  const ev = (ds.summary?.events || []).find(e => e.key === id || e.id === id);
+  if (ev) return { kind: 'event', key: ev.key, target: ev };
+  const a = (ds.anomalies || []).find(x => x.id === id) || (ds.suppressed || []).find(x => x.id === id);
+  return a ? { kind: 'anomaly', key: a.id, target: a } : null;
+}
+
+/**
+ * Review of an anomaly or event: its stored review, or a blank open one.
+ * Returns null when the dataset has no such anomaly or event.
+ */
+function getReview(ds, id) {
+  const found = findTarget(ds, id);
+  if (!found) return null;
+  return ds.reviews?.[found.key] || { id: found.key, kind: found.kind, state: 'open', assignee: null, comments: [], createdAt: null, updatedAt: null };
+}
+
+function listReviews(ds) {
+  return Object.values(ds.reviews || {}).map(r => ({ ...r, present: !!findTarget(ds, r.id) }));
+}
+
+/* The stored review for a target, created on first change */
+function reviewFor(ds, found) {
+  ds.reviews ||= {};
+  const now = new Date().toISOString();
+  return ds.reviews[found.key] ||= { id: found.key, kind: found.kind, state: 'open', assignee: null, comments: [], createdAt: now, updatedAt: now };
+}
+
+/**
+ * Set the state and/or assignee ({ state?, assignee? }; assignee null unassigns).
+ * Returns the review, or null for an unknown target; throws on invalid input.
+ */
+function updateReview(ds, id, { state, assignee } = {}) {
+  if (state !== undefined && !STATES.includes(state)) throw new Error(`state must be one of ${STATES.join(', ')}`);
+  if (assignee !== undefined && assignee !== null && (typeof assignee !== 'string' || assignee.length > MAX_ASSIGNEE)) throw new Error(`assignee must be a string of at most ${MAX_ASSIGNEE} characters, or null`);
+  const found = findTarget(ds, id);
+  if (!found) return null;
+  const review = reviewFor(ds, found);
+  if (state !== undefined) review.state = state;
+  if (assignee !== undefined) review.assignee = assignee?.trim() || null;
+  review.updatedAt = new Date().toISOString();
+  annotate(ds);
+  return review;
+}
+
+/**
+ * Add a comment ({ author?, text }). Returns the comment, or null for an unknown target.
+ */
+function addComment(ds, id, { author, text } = {}) {
+  if (typeof text !== 'string' || !text.trim()) throw new Error('Comment text is required');
+  if (text.length > MAX_COMMENT) throw new Error(`Comments are limited to ${MAX_COMMENT} characters`);
+  const found = findTarget(ds, id);
+  if (!found) return null;
+  const review = reviewFor(ds, found);
+  const comment = {
+    id: `c${review.comments.length + 1}`,
+    author: (typeof author === 'string' && author.trim().slice(0, MAX_ASSIGNEE)) || 'anonymous',
+    text: text.trim(),
+    createdAt: new Date().toISOString(),
+  };
+  review.comments.push(comment);
+  review.updatedAt = comment.createdAt;
+  annotate(ds);
+  return comment;
+}
+
+/* Drop a review entirely (back to open, unassigned, no comments); works for absent findings too */
+function deleteReview(ds, id) {
+  const key = findTarget(ds, id)?.key || id;
+  if (!ds.reviews?.[key]) return false;
+  delete ds.reviews[key];
+  annotate(ds);
+  return true;
+}
+
+/*
+ * Move each event review whose key no longer exists to the event without a review of its own that
+ * holds most of its member anomalies. Reviews saved before members were recorded know one: the
+ * earliest anomaly, whose ID their key was made from.
+ */
+function carryOverEventReviews(ds) {
+  const reviews = ds.reviews || {};
+  const events = (ds.summary?.events || []).filter(ev => ev.key);
+  const keys = new Set(events.map(ev => ev.key));
+  for (const review of Object.values(reviews)) {
+    if (review.kind !== 'event' || keys.has(review.id)) continue;
+    const members = new Set(review.anomalies || [review.id.replace('EVT-', 'ANM-')]);
+    let best = null, shared = 0;
+    for (const ev of events) {
+      if (reviews[ev.key]) continue;
+      const n = ev.anomalies.filter(a => members.has(a.id)).length;
+      if (n > shared) { best = ev; shared = n; }
+    }
+    if (!best) continue;
+    delete reviews[review.id];
+    review.id = best.key;
+    reviews[best.key] = review;
+  }
+}
+
+/*
+ * Copy review state onto the dataset's anomalies and events (after carrying event reviews over):
+ *   review          the object's own review (or null)
+ *   reviewState     its own state, else (anomalies) its event's state, else 'open'
+ *   reviewAssignee  likewise for the assignee
+ */
+function annotate(ds) {
+  carryOverEventReviews(ds);
+  const reviews = ds.reviews || {};
+  const inherited = new Map();
+  for (const ev of ds.summary?.events || []) {
+    ev.review = reviews[ev.key] || null;
+    if (ev.review) ev.review.anomalies = ev.anomalies.map(a => a.id);
+    ev.reviewState = ev.review?.state || 'open';
+    ev.reviewAssignee = ev.review?.assignee || null;
+    if (ev.review) for (const a of ev.anomalies) inherited.set(a.id, ev.review);
+  }
+  const mark = a => {
+    a.review = reviews[a.id] || null;
+    a.reviewState = a.review?.state || inherited.get(a.id)?.state || 'open';
+    a.reviewAssignee = a.review?.assignee || inherited.get(a.id)?.assignee || null;
+  };
+  for (const a of ds.anomalies || []) mark(a);
+  for (const a of ds.suppressed || []) mark(a);
+  /* Events restored from storage hold their own copies of the anomalies */
+  for (const ev of ds.summary?.events || []) ev.anomalies.forEach(mark);
+}
+
+module.exports = {
+  STATES,
+  getReview,
+  listReviews,
+  updateReview,
+  addComment,
+  deleteReview,
+  annotate,
+};
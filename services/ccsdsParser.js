@@ -0,0 +1,337 @@
+/**
+ * CCSDS Parser  -  decodes CCSDS Space Packet Protocol streams (CCSDS 133.0-B) into telemetry rows
+ *
+ * Each packet is a 6-byte primary header (version, type, secondary-header flag, APID,
+ * sequence flags/count, data length - 1) followed by its data field. What the data field
+ * holds comes from a packet definition:
+ *
+ * {
+ *   name:       'Flight recorder',
+ *   byteOrder:  'big' | 'little'          default big (CCSDS is big-endian)
+ *   syncMarker: '1ACFFC1D'                optional sync marker before every packet (the standard
+ *                                         1ACFFC1D is recognised without being declared)
+ *   time:       { field: 'met', epoch: 0 } mission_time_s = field value - epoch
+ *            or { step: 0.1 }              fixed interval per row when packets carry no time
+ *   packets: [{
+ *     apid: 100, name: 'NAV',
+ *     secondaryHeaderLength: 0,            bytes skipped before the first sequential field
+ *     fields: [{ name, type, byteOffset?, scale?, bias?, mask?, shift?, enum? }]
+ *   }]
+ * }
+ *
+ * Field types: u8 i8 u16 i16 u32 i32 u64 i64 f32 f64. byteOffset counts from the start of the
+ * data field (so secondary-header time codes can be read as fields); without it fields follow
+ * each other. Values are raw * scale + bias; mask/shift extract bit fields first; enum maps
+ * raw values to text (e.g. a phase code to flight_phase).
+ *
+ * A bit field is given by its width and position: mask is low-order ones (0x0f for 4 bits) and
+ * shift the bit it starts at, so bits 4-7 of a u8 are { mask: 0x0f, shift: 4 }. In-place masks
+ * such as 0xf0 are rejected rather than guessed at; integer types only, signed ones read as
+ * their two's-complement bits.
+ *
+ * Packets sharing a timestamp are merged into one row, so several APIDs sampled together read
+ * like one CSV line.
+ */
+
+const fs = require('fs');
+const TelemetryTable = require('./telemetryTable');
+const CSVParser = require('./csvParser');
+
+const PRIMARY_HEADER = 6;
+const IDLE_APID = 0x7ff;
+const SNIFF_BYTES = 4096;
+const ATTACHED_SYNC_MARKER = Buffer.from('1ACFFC1D', 'hex');
+const TYPE_SIZES = { u8: 1, i8: 1, u16: 2, i16: 2, u32: 4, i32: 4, u64: 8, i64: 8, f32: 4, f64: 8 };
+
+/*
+ * Check a field's mask / shift (see the header); returns { mask, shift }, or null when the field
+ * is read whole. `where` prefixes error messages.
+ */
+function bitField(where, f, size) {
+  if (f.mask === undefined || f.mask === null) {
+    if (f.shift) throw new Error(`${where} has a shift but no mask`);
+    return null;
+  }
+  if (f.type.startsWith('f')) throw new Error(`${where}: mask and shift only apply to integer types`);
+  const { mask } = f, shift = f.shift ?? 0;
+  if (!Number.isSafeInteger(mask) || mask <= 0) throw new Error(`${where}: mask must be a positive integer`);
+  if (!Number.isInteger(shift) || shift < 0) throw new Error(`${where}: shift must be a whole number of bits`);
+  const width = Math.log2(mask + 1);
+  if (!Number.isInteger(width)) {
+    /* An in-place mask such as 0xf0: say what the same bits are written as */
+    let low = 0;
+    while ((mask / 2 ** low) % 2 === 0) low++;
+    const field = mask / 2 ** low;
+    const hint = Number.isInteger(Math.log2(field + 1)) ? ` (write 0x${mask.toString(16)} as mask 0x${field.toString(16)} with shift ${shift + low})` : '';
+    throw new Error(`${where}: mask must be contiguous low-order bits such as 0x0f, with shift giving their position${hint}`);
+  }
+  if (shift + width > size * 8) throw new Error(`${where}: mask and shift reach past bit ${size * 8 - 1} of a ${f.type}`);
+  return { mask, shift };
+}
+
+class CCSDSParser {
+  /**
+   * Validate a packet definition (object or JSON string) and fill in defaults. Throws on invalid input.
+   */
+  static normaliseDefinition(input) {
+    let def = input;
+    if (typeof def === 'string') {
+      try { def = JSON.parse(def); } catch { throw new Error('Packet definition must be valid JSON'); }
+    }
+    if (!def || typeof def !== 'object' || Array.isArray(def)) throw new Error('Packet definition must be an object');
+    const byteOrder = def.byteOrder || 'big';
+    if (!['big', 'little'].includes(byteOrder)) throw new Error('byteOrder must be big or little');
+    let syncMarker = null;
+    if (def.syncMarker) {
+      if (!/^([0-9a-fA-F]{2})+$/.test(def.syncMarker)) throw new Error('syncMarker must be a hex string');
+      syncMarker = Buffer.from(def.syncMarker, 'hex');
+    }
+
+    const time = def.time || {};
+    if (time.field === undefined && !(time.step > 0)) throw new Error('time needs a field name or a positive step');
+    const list = Array.isArray(def.packets) ? def.packets : Object.entries(def.packets || {}).map(([apid, p]) => ({ apid: Number(apid), ...p }));
+    if (!list.length) throw new Error('Packet definition needs at least one packet');
+
+    const packets = new Map();
+    for (const p of list) {
+      if (!Number.isInteger(p.apid) || p.apid < 0 || p.apid >= IDLE_APID) throw new Error(`Invalid APID: ${p.apid}`);
+      if (packets.has(p.apid)) throw new Error(`APID ${p.apid} is defined twice`);
+      if (!Array.isArray(p.fields) || !p.fields.length) throw new Error(`APID ${p.apid} needs a fields array`);
+      let pos = p.secondaryHeaderLength || 0;
+      const fields = p.fields.map(f => {
+        if (!f || typeof f.name !== 'string' || !f.name) throw new Error(`APID ${p.apid}: every field needs a name`);
+        const size = TYPE_SIZES[f.type];
+        if (!size) throw new Error(`APID ${p.apid}: field ${f.name} has unknown type ${f.type}`);
+        const byteOffset = f.byteOffset ?? pos;
+        pos = byteOffset + size;
+        const bits = bitField(`APID ${p.apid}: field ${f.name}`, f, size);
+        return {
+          name: f.name,
+          type: f.type,
+          size,
+          byteOffset,
+          scale: f.scale ?? 1,
+          bias: f.bias ?? 0,
+          mask: bits?.mask ?? null,
+          shift: bits?.shift ?? 0,
+          enum: f.enum || null,
+        };
+      });
+      if (time.field !== undefined && !fields.some(f => f.name === time.field)) throw new Error(`APID ${p.apid} has no time field ${time.field}`);
+      packets.set(p.apid, { apid: p.apid, name: p.name || `APID ${p.apid}`, fields, length: Math.max(...fields.map(f => f.byteOffset + f.size)) });
+    }
+
+    return {
+      name: def.name || 'Packet definition',
+      byteOrder,
+      syncMarker,
+      time: { field: time.field, epoch: time.epoch || 0, step: time.step || null },
+      packets,
+    };
+  }
+
+  /**
+   * Read the primary header at `pos`: { version, type, secondaryHeader, apid, sequenceFlags, sequenceCount, length }
+   * (length is the whole packet in bytes)
+   */
+  static readHeader(buf, pos) {
+    const w0 = buf.readUInt16BE(pos), w1 = buf.readUInt16BE(pos + 2), len = buf.readUInt16BE(pos + 4);
+    return {
+      version: w0 >> 13,
+      type: (w0 >> 12) & 1,
+      secondaryHeader: (w0 >> 11) & 1,
+      apid: w0 & 0x7ff,
+      sequenceFlags: w1 >> 14,
+      sequenceCount: w1 & 0x3fff,
+      length: PRIMARY_HEADER + len + 1,
+    };
+  }
+
+  /**
+   * Decode one packet's data field with its APID layout; returns { name: value }
+   */
+  static decodeFields(buf, start, dataLength, layout, byteOrder) {
+    const le = byteOrder === 'little';
+    const out = {};
+    for (const f of layout.fields) {
+      if (f.byteOffset + f.size > dataLength) { out[f.name] = null; continue; }
+      const p = start + f.byteOffset;
+      let raw;
+      switch (f.type) {
+        case 'u8': raw = buf.readUInt8(p); break;
+        case 'i8': raw = buf.readInt8(p); break;
+        case 'u16': raw = le ? buf.readUInt16LE(p) : buf.readUInt16BE(p); break;
+        case 'i16': raw = le ? buf.readInt16LE(p) : buf.readInt16BE(p); break;
+        case 'u32': raw = le ? buf.readUInt32LE(p) : buf.readUInt32BE(p); break;
+        case 'i32': raw = le ? buf.readInt32LE(p) : buf.readInt32BE(p); break;
+        case 'u64': raw = Number(le ? buf.readBigUInt64LE(p) : buf.readBigUInt64BE(p)); break;
+        case 'i64': raw = Number(le ? buf.readBigInt64LE(p) : buf.readBigInt64BE(p)); break;
+        /* A float32 holds about 7 significant digits; trimming keeps 0.277 from reading 0.27700001 */
+        case 'f32': raw = +(le ? buf.readFloatLE(p) : buf.readFloatBE(p)).toPrecision(7); break;
+        case 'f64': raw = le ? buf.readDoubleLE(p) : buf.readDoubleBE(p); break;
+      }
+      if (f.mask !== null) {
+        if (raw < 0) raw += 2 ** (f.size * 8);
+        raw = Math.floor(raw / 2 ** f.shift) % (f.mask + 1);
+      }
+      if (f.enum) out[f.name] = f.enum[raw] ?? String(raw);
+      else if (f.scale === 1 && f.bias === 0) out[f.name] = raw;
+      else out[f.name] = +(raw * f.scale + f.bias).toPrecision(15);
+    }
+    return out;
+  }
+
+  /**
+   * Whether a buffer starts with a run of well-formed packets (version 0, lengths chaining
+   * exactly). Used to recognise binary uploads before a definition is chosen.
+   */
+  static looksLikePackets(buf, syncMarker = null, minPackets = 3) {
+    let pos = 0, count = 0;
+    while (count < minPackets) {
+      if (syncMarker) {
+        if (!buf.subarray(pos, pos + syncMarker.length).equals(syncMarker)) return false;
+        pos += syncMarker.length;
+      }
+      if (pos + PRIMARY_HEADER > buf.length) return count > 0 && pos >= buf.length;
+      const h = CCSDSParser.readHeader(buf, pos);
+      if (h.version !== 0) return false;
+      pos += h.length;
+      count++;
+      if (pos === buf.length) return true;
+      if (pos > buf.length) return count > 1;
+    }
+    return true;
+  }
+
+  /**
+   * Stream packets into a TelemetryTable. Resolves to
+   * { table, runningStats, preview, bytes, packets: { total, byApid, unknownApids, idle, sequenceGaps, trailingBytes } }
+   */
+  static ingestStream(input, definition, { source = input, totalBytes = null, onProgress = null, previewPoints } = {}) {
+    const def = definition.packets instanceof Map ? definition : CCSDSParser.normaliseDefinition(definition);
+    return new Promise((resolve, reject) => {
+      const table = new TelemetryTable(['mission_time_s']);
+      const acc = CSVParser.createAccumulator(previewPoints);
+      const report = { total: 0, byApid: {}, unknownApids: {}, idle: 0, sequenceGaps: 0, trailingBytes: 0 };
+      const lastSeq = new Map();
+      let pending = null, pendingTime, rowIndex = 0;
+      let carry = Buffer.alloc(0), consumed = 0, bytes = 0, failed = false;
+
+      const flush = () => {
+        if (!pending) return;
+        table.append(pending);
+        CSVParser.accumulate(table, table.length - 1, acc);
+        pending = null;
+      };
+
+      const handlePacket = (buf, pos, h) => {
+        report.total++;
+        if (h.apid === IDLE_APID) { report.idle++; return; }
+        const layout = def.packets.get(h.apid);
+        if (!layout) { report.unknownApids[h.apid] = (report.unknownApids[h.apid] || 0) + 1; return; }
+        const stats = report.byApid[h.apid] ||= { name: layout.name, packets: 0, sequenceGaps: 0 };
+        stats.packets++;
+        /* Sequence counts wrap at 2^14; a jump means packets were lost */
+        const prev = lastSeq.get(h.apid);
+        if (prev !== undefined && h.sequenceCount !== ((prev + 1) & 0x3fff)) { stats.sequenceGaps++; report.sequenceGaps++; }
+        lastSeq.set(h.apid, h.sequenceCount);
+
+        const values = CCSDSParser.decodeFields(buf, pos + PRIMARY_HEADER, h.length - PRIMARY_HEADER, layout, def.byteOrder);
+        let t;
+        if (def.time.field !== undefined) {
+          t = values[def.time.field];
+          delete values[def.time.field];
+          t = typeof t === 'number' ? +(t - def.time.epoch).toFixed(9) : null;
+        } else {
+          t = +(rowIndex * def.time.step).toFixed(9);
+        }
+        if (pending && pendingTime === t && def.time.field !== undefined) {
+          Object.assign(pending, values);
+          return;
+        }
+        flush();
+        rowIndex++;
+        pending = { mission_time_s: t, ...values };
+        pendingTime = t;
+      };
+
+      source.on('data', chunk => {
+        bytes += chunk.length;
+        if (onProgress) onProgress({ bytes, totalBytes, rows: table.length });
+      });
+      const fail = e => {
+        if (failed) return;
+        failed = true;
+        source.destroy();
+        reject(e);
+      };
+      source.on('error', fail);
+      input.on('error', fail);
+      let syncMarker = def.syncMarker, sniffed = !!syncMarker;
+      const consume = buf => {
+        if (!sniffed) {
+          /* A marker in front of every packet is unambiguous, whereas a marked stream can pass for bare packets */
+          if (CCSDSParser.looksLikePackets(buf, ATTACHED_SYNC_MARKER)) syncMarker = ATTACHED_SYNC_MARKER;
+          sniffed = true;
+        }
+        let pos = 0;
+        for (;;) {
+          let start = pos;
+          if (syncMarker) {
+            if (buf.length - start < syncMarker.length) break;
+            if (!buf.subarray(start, start + syncMarker.length).equals(syncMarker)) {
+              fail(new Error(`Sync marker not found at byte ${consumed + start}`));
+              return;
+            }
+            start += syncMarker.length;
+          }
+          if (buf.length - start < PRIMARY_HEADER) break;
+          const h = CCSDSParser.readHeader(buf, start);
+          if (h.version !== 0) {
+            fail(new Error(`Not a CCSDS packet at byte ${consumed + start} (version ${h.version})`));
+            return;
+          }
+          if (buf.length - start < h.length) break;
+          handlePacket(buf, start, h);
+          pos = start + h.length;
+        }
+        carry = buf.subarray(pos);
+        consumed += pos;
+      };
+      input.on('data', chunk => {
+        if (failed) return;
+        const buf = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+        /* Hold back until there is enough to tell whether a sync marker is in use */
+        if (!sniffed && buf.length < SNIFF_BYTES) { carry = buf; return; }
+        consume(buf);
+      });
+      input.on('end', () => {
+        if (failed) return;
+        if (!sniffed) consume(carry);
+        if (failed) return;
+        flush();
+        report.trailingBytes = carry.length;
+        resolve({ table, ...acc, bytes, packets: report });
+      });
+    });
+  }
+
+  static async ingestFile(filePath, definition, options = {}) {
+    const totalBytes = (await fs.promises.stat(filePath)).size;
+    return CCSDSParser.ingestStream(fs.createReadStream(filePath), definition, { ...options, totalBytes });
+  }
+
+  /**
+   * Decode a packet file into plain row objects, like CSVParser.parseFile
+   */
+  static async parseFile(filePath, definition) {
+    const { table } = await CCSDSParser.ingestFile(filePath, definition);
+    const rows = [];
+    for (let i = 0; i < table.length; i++) rows.push(table.row(i));
+    return rows;
+  }
+}
+
+CCSDSParser.ATTACHED_SYNC_MARKER = ATTACHED_SYNC_MARKER;
+
+module.exports = CCSDSParser;
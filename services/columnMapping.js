@@ -0,0 +1,267 @@
+/**
+ * Column Mapping  -  maps vendor CSV headers onto the canonical telemetry schema
+ *   - proposeMapping()   guesses a target column and source unit for every header
+ *   - resolveMapping()   validates a (possibly user-edited) mapping and works out conversions
+ *   - applyMapping()     renames / converts / drops columns of a TelemetryTable
+ *   - templates          confirmed mappings saved by header signature and reused on upload
+ *
+ * Columns that already use a canonical or redline-profile name are kept untouched, so the
+ * built-in datasets map onto themselves.
+ *
+ * Templates are saved through services/storage.js, like redline profiles.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const redlineProfiles = require('./redlineProfiles');
+
+/*
+ * Units per dimension as [scale, offset] to the dimension's SI unit: si = value * scale + offset
+ * Velocity comes before time so a bare `_ms` suffix reads as m/s, as in the rest of the app.
+ */
+const DIMENSIONS = {
+  velocity:     { si: 'ms',   units: { ms: [1], mps: [1], kms: [1000], kmh: [1 / 3.6], kph: [1 / 3.6], fps: [0.3048], fts: [0.3048], mph: [0.44704], kts: [0.514444] } },
+  time:         { si: 's',    units: { s: [1], sec: [1], ms: [0.001], min: [60] } },
+  length:       { si: 'km',   units: { km: [1], m: [0.001], ft: [0.0003048], kft: [0.3048], mi: [1.609344], nmi: [1.852] } },
+  acceleration: { si: 'ms2',  units: { ms2: [1], mps2: [1], g: [9.80665], fps2: [0.3048] } },
+  jerk:         { si: 'ms3',  units: { ms3: [1], mps3: [1], fps3: [0.3048] } },
+  pressure:     { si: 'pa',   units: { pa: [1], kpa: [1000], mpa: [1e6], psi: [6894.757293], bar: [1e5], mbar: [100], atm: [101325] } },
+  temperature:  { si: 'k',    units: { k: [1], c: [1, 273.15], degc: [1, 273.15], f: [5 / 9, 255.3722222], degf: [5 / 9, 255.3722222], r: [5 / 9] } },
+  angle:        { si: 'deg',  units: { deg: [1], rad: [180 / Math.PI] } },
+  angularRate:  { si: 'degs', units: { degs: [1], rads: [180 / Math.PI] } },
+};
+
+/* Canonical schema: target columns, their unit and the header words that mean them */
+const CANONICAL = [
+  { name: 'mission_time_s',        dimension: 'time',         unit: 's',    aliases: ['time', 't', 'mission_time', 'met', 'elapsed', 'elapsed_time', 'time_since_launch'] },
+  { name: 'velocity_ms',           dimension: 'velocity',     unit: 'ms',   aliases: ['vel', 'velocity', 'speed', 'v', 'inertial_velocity'] },
+  { name: 'velocity_x_ms',         dimension: 'velocity',     unit: 'ms',   aliases: ['vel_x', 'vx', 'velocity_x', 'horizontal_velocity', 'horiz_vel'] },
+  { name: 'velocity_y_ms',         dimension: 'velocity',     unit: 'ms',   aliases: ['vel_y', 'vy', 'velocity_y', 'vertical_velocity', 'vert_vel'] },
+  { name: 'altitude_km',           dimension: 'length',       unit: 'km',   aliases: ['alt', 'altitude', 'height', 'h'] },
+  { name: 'downrange_distance_km', dimension: 'length',       unit: 'km',   aliases: ['downrange', 'downrange_distance', 'range', 'dr'] },
+  { name: 'acceleration_ms2',      dimension: 'acceleration', unit: 'ms2',  aliases: ['acc', 'accel', 'acceleration'] },
+  { name: 'jerk_ms3',              dimension: 'jerk',         unit: 'ms3',  aliases: ['jerk'] },
+  { name: 'angle_deg',             dimension: 'angle',        unit: 'deg',  aliases: ['angle', 'pitch', 'flight_angle', 'pitch_angle', 'flight_path_angle'] },
+  { name: 'dynamic_pressure_pa',   dimension: 'pressure',     unit: 'pa',   aliases: ['q', 'qbar', 'dynamic_pressure', 'dyn_press', 'dyn_pressure'] },
+  { name: 'altitude_rate_kms',     dimension: 'velocity',     unit: 'kms',  aliases: ['altitude_rate', 'alt_rate', 'climb_rate'] },
+  { name: 'velocity_rate_ms2',     dimension: 'acceleration', unit: 'ms2',  aliases: ['velocity_rate', 'vel_rate'] },
+  { name: 'angle_rate_degs',       dimension: 'angularRate',  unit: 'degs', aliases: ['angle_rate', 'pitch_rate'] },
+  { name: 'mach_number',           dimension: null,           unit: null,   aliases: ['mach', 'mach_no'] },
+  { name: 'flight_phase',          dimension: null,           unit: null,   aliases: ['phase', 'stage', 'flight_stage'] },
+];
+
+const templates = new Map();
+let loaded = false;
+
+/* Stored templates are read on first use, so the storage driver is chosen before then */
+function all() {
+  if (!loaded) {
+    loaded = true;
+    for (const t of storage.list('mappingTemplates').sort((a, b) => a.createdAt.localeCompare(b.createdAt))) templates.set(t.id, t);
+  }
+  return templates;
+}
+
+/**
+ * Lower-case snake_case header with any bracketed unit moved to the end: "Alt (ft)" -> "alt_ft"
+ */
+function normaliseHeader(header) {
+  return String(header).trim().toLowerCase()
+    .replace(/°/g, 'deg')
+    .replace(/\/s\^?2\b/g, 's2').replace(/\/s\b/g, 's').replace(/\/h\b/g, 'h')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/* Dimension a unit token belongs to (the first listed wins for shared tokens) */
+function unitDimension(unit, preferred) {
+  if (preferred && DIMENSIONS[preferred]?.units[unit]) return preferred;
+  return Object.keys(DIMENSIONS).find(d => DIMENSIONS[d].units[unit]) || null;
+}
+
+/**
+ * Header signature: hash of the normalised, sorted headers, so column order does not matter
+ */
+function headerSignature(headers) {
+  const key = headers.map(normaliseHeader).sort().join('|');
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+}
+
+/* Column names that are already meaningful (canonical schema + every redline profile) */
+function knownColumns() {
+  const names = new Set(CANONICAL.map(c => c.name));
+  for (const p of redlineProfiles.listProfiles()) for (const n of p.parameters) names.add(n);
+  return names;
+}
+
+/**
+ * Guess the mapping for one header: { source, target, unit, reason }
+ *   reason: 'known' (kept as is), 'alias' (renamed), 'unit' (unit normalised), 'unmapped' (kept as is)
+ */
+function proposeColumn(header, known = knownColumns()) {
+  if (known.has(header)) return { source: header, target: header, unit: null, reason: 'known' };
+  const norm = normaliseHeader(header);
+  const tokens = norm.split('_');
+  const last = tokens[tokens.length - 1];
+
+  for (const split of [tokens.length - 1, tokens.length]) {
+    const base = tokens.slice(0, split).join('_');
+    const unit = split < tokens.length ? last : null;
+    if (!base) continue;
+    const c = CANONICAL.find(k => (k.aliases.includes(base) || k.name === base) && (!unit || unitDimension(unit, k.dimension) === k.dimension));
+    if (c) return { source: header, target: c.name, unit: unit || c.unit, reason: 'alias' };
+  }
+
+  /* Not in the schema, but the unit is recognisable: convert to the SI unit and rename */
+  const dim = tokens.length > 1 ? unitDimension(last) : null;
+  if (dim && last !== DIMENSIONS[dim].si) {
+    const base = tokens.slice(0, -1).join('_');
+    return { source: header, target: `${base}_${DIMENSIONS[dim].si}`, unit: last, reason: 'unit' };
+  }
+  return { source: header, target: header, unit: null, reason: 'unmapped' };
+}
+
+/**
+ * Proposed mapping for a header list. A saved template for the same signature wins.
+ */
+function proposeMapping(headers) {
+  const signature = headerSignature(headers);
+  const template = findTemplate(signature);
+  if (template) {
+    /* Signatures ignore case and punctuation, so match the template's sources the same way */
+    const saved = h => template.columns.find(c => normaliseHeader(c.source) === normaliseHeader(h));
+    return { signature, templateId: template.id, columns: headers.map(h => ({ ...(saved(h) || { target: h, unit: null }), source: h, reason: 'template' })) };
+  }
+  const known = knownColumns();
+  return { signature, templateId: null, columns: headers.map(h => proposeColumn(h, known)) };
+}
+
+/* True when a mapping would change nothing */
+function isIdentity(columns) {
+  return columns.every(c => c.target === c.source && !conversionFor(c));
+}
+
+/**
+ * Conversion { scale, offset, from, to } for a column, or null when none is needed.
+ * The target unit is the canonical column's unit, or the SI unit of the source unit's dimension.
+ */
+function conversionFor(col) {
+  if (!col.unit || !col.target) return null;
+  const canon = CANONICAL.find(c => c.name === col.target);
+  const dim = unitDimension(col.unit, canon?.dimension);
+  if (!dim || (canon && canon.dimension !== dim)) return null;
+  const to = canon ? canon.unit : DIMENSIONS[dim].si;
+  if (to === col.unit) return null;
+  const [sFrom, oFrom = 0] = DIMENSIONS[dim].units[col.unit];
+  const [sTo, oTo = 0] = DIMENSIONS[dim].units[to];
+  /* value -> SI -> target unit */
+  const scale = sFrom / sTo, offset = (oFrom - oTo) / sTo;
+  return scale === 1 && offset === 0 ? null : { from: col.unit, to, scale, offset };
+}
+
+/**
+ * Validate a mapping ([{ source, target, unit }], target null/'' drops the column) against
+ * the headers it is for. Returns the columns with their conversions; throws on invalid input.
+ */
+function resolveMapping(headers, columns) {
+  if (!Array.isArray(columns)) throw new Error('columns must be an array of { source, target, unit }');
+  const out = [];
+  const targets = new Set();
+  for (const h of headers) {
+    const c = columns.find(x => x && x.source === h) || { source: h, target: h, unit: null };
+    const target = c.target === null || c.target === '' ? null : String(c.target).trim();
+    if (target !== null && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(target)) throw new Error(`Invalid column name: ${target}`);
+    if (target !== null && targets.has(target)) throw new Error(`Two columns map to ${target}`);
+    const unit = c.unit ? normaliseHeader(c.unit) : null;
+    if (unit && !unitDimension(unit)) throw new Error(`Unknown unit for ${h}: ${c.unit}`);
+    const canon = CANONICAL.find(k => k.name === target);
+    if (unit && canon && unitDimension(unit, canon.dimension) !== canon.dimension) throw new Error(`Cannot convert ${h} from ${unit} to ${target}`);
+    const col = { source: h, target, unit };
+    const conv = target ? conversionFor(col) : null;
+    if (target) targets.add(target);
+    out.push({ ...col, conversion: conv });
+  }
+  for (const c of columns) {
+    if (c && !headers.includes(c.source)) throw new Error(`Unknown source column: ${c.source}`);
+  }
+  return out;
+}
+
+/**
+ * New TelemetryTable with the resolved mapping applied
+ */
+function applyMapping(table, resolved) {
+  return table.remap(resolved.filter(c => c.target).map(c => ({
+    source: c.source,
+    target: c.target,
+    scale: c.conversion?.scale,
+    offset: c.conversion?.offset,
+  })));
+}
+
+function findTemplate(signature) {
+  return [...all().values()].find(t => t.signature === signature) || null;
+}
+
+/**
+ * Save a confirmed mapping as the template for its header signature (replacing any previous one)
+ */
+function saveTemplate(headers, resolved, name) {
+  const signature = headerSignature(headers);
+  const existing = findTemplate(signature);
+  const now = new Date().toISOString();
+  const t = {
+    id: existing?.id || uuidv4(),
+    name: name || existing?.name || `Mapping for ${headers.slice(0, 3).join(', ')}${headers.length > 3 ? '…' : ''}`,
+    signature,
+    headers: [...headers],
+    columns: resolved.map(c => ({ source: c.source, target: c.target, unit: c.unit })),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+  templates.set(t.id, t);
+  storage.put('mappingTemplates', t.id, t);
+  return t;
+}
+
+function listTemplates() {
+  return [...all().values()];
+}
+
+function getTemplate(id) {
+  return all().get(id) || null;
+}
+
+function deleteTemplate(id) {
+  if (!all().delete(id)) return false;
+  storage.remove('mappingTemplates', id);
+  return true;
+}
+
+/* Schema and unit lists for the mapping editor */
+function describeSchema() {
+  return {
+    columns: CANONICAL.map(c => ({ name: c.name, dimension: c.dimension, unit: c.unit })),
+    units: Object.fromEntries(Object.entries(DIMENSIONS).map(([d, v]) => [d, { si: v.si, units: Object.keys(v.units) }])),
+  };
+}
+
+module.exports = {
+  CANONICAL,
+  DIMENSIONS,
+  normaliseHeader,
+  headerSignature,
+  proposeColumn,
+  proposeMapping,
+  isIdentity,
+  conversionFor,
+  resolveMapping,
+  applyMapping,
+  saveTemplate,
+  findTemplate,
+  listTemplates,
+  getTemplate,
+  deleteTemplate,
+  describeSchema,
+};
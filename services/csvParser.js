@@ -1,10 +1,21 @@
 /**
  * CSV Parser Service
  * Parses rocket telemetry CSV files into structured data
+ *
+ * ingest() streams a file into a columnar TelemetryTable, updating per-column running
+ * stats and a downsampled preview as rows arrive, so no array of row objects is built.
  */
 
 const fs = require('fs');
 const csv = require('csv-parser');
+const TelemetryTable = require('./telemetryTable');
+const { RunningStats, PreviewSampler } = require('./runningStats');
+
+/* Whole-cell numbers only: "12abc" stays text instead of becoming 12 */
+const NUMBER_RE = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const NAN_TOKENS = new Set(['nan', 'NaN', 'NAN']);
+/* "12,5" in semicolon-delimited files, where the comma is the decimal separator */
+const DECIMAL_COMMA_RE = /^[+-]?\d+,\d+([eE][+-]?\d+)?$/;
 
 class CSVParser {
   /**
@@ -16,12 +27,8 @@ class CSVParser {
       fs.createReadStream(filePath)
         .pipe(csv())
         .on('data', (row) => {
-          // Convert numeric fields
           const parsed = {};
-          for (const [key, value] of Object.entries(row)) {
-            const num = parseFloat(value);
-            parsed[key] = isNaN(num) ? value : num;
-          }
+          for (const [key, value] of Object.entries(row)) parsed[key] = CSVParser.parseValue(value);
           results.push(parsed);
         })
         .on('end', () => resolve(results))
@@ -29,6 +36,87 @@ class CSVParser {
     });
   }
 
+  /**
+   * Stream a CSV file into a TelemetryTable.
+   * options.onProgress({ bytes, totalBytes, rows }) is called as chunks are read.
+   * Resolves to { table, runningStats, preview, bytes }.
+   */
+  static async ingest(filePath, options = {}) {
+    const totalBytes = (await fs.promises.stat(filePath)).size;
+    return CSVParser.ingestStream(fs.createReadStream(filePath), { ...options, totalBytes });
+  }
+
+  /**
+   * Stream delimited text into a TelemetryTable. `input` is the text stream; `source` (default:
+   * input) is the stream whose bytes count towards progress, e.g. the file under a gunzip.
+   */
+  static ingestStream(input, { source = input, separator = ',', totalBytes = null, onProgress = null, previewPoints } = {}) {
+    return new Promise((resolve, reject) => {
+      const acc = CSVParser.createAccumulator(previewPoints);
+      let table = null, bytes = 0;
+      source.on('data', chunk => {
+        bytes += chunk.length;
+        if (onProgress) onProgress({ bytes, totalBytes, rows: table ? table.length : 0 });
+      });
+      source.on('error', reject);
+      if (input !== source) input.on('error', reject);
+      input
+        .pipe(csv({
+          separator,
+          mapValues: ({ value }) => CSVParser.parseValue(separator === ';' && DECIMAL_COMMA_RE.test(value) ? value.replace(',', '.') : value),
+        }))
+        .on('headers', headers => { table = new TelemetryTable(headers); })
+        .on('data', row => {
+          table.append(row);
+          CSVParser.accumulate(table, table.length - 1, acc);
+        })
+        .on('end', () => resolve({ table: table || new TelemetryTable(), ...acc, bytes }))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Running stats per numeric column plus preview indices; fed one row at a time
+   */
+  static createAccumulator(previewPoints) {
+    return { runningStats: {}, preview: new PreviewSampler(previewPoints) };
+  }
+
+  static accumulate(table, i, acc) {
+    for (const name of table.columns) {
+      const col = table.column(name);
+      if (!col.isNumber(i)) continue;
+      (acc.runningStats[name] ||= new RunningStats()).push(col.values[i]);
+    }
+    acc.preview.push(i);
+  }
+
+  /* Accumulator for a table that was not built by ingest() */
+  static summarise(table, previewPoints) {
+    const acc = CSVParser.createAccumulator(previewPoints);
+    for (let i = 0; i < table.length; i++) CSVParser.accumulate(table, i, acc);
+    return acc;
+  }
+
+  /* Running stats of one column, for columns added after ingest (derived channels) */
+  static columnStats(table, name) {
+    const rs = new RunningStats();
+    const col = table.column(name);
+    for (let i = 0; i < table.length; i++) if (col.isNumber(i)) rs.push(col.values[i]);
+    return rs;
+  }
+
+  /**
+   * Convert one cell: blank -> null, NaN tokens -> NaN, whole-cell numbers -> number, else trimmed text
+   */
+  static parseValue(value) {
+    if (value === undefined || value === null) return null;
+    const v = String(value).trim();
+    if (v === '') return null;
+    if (NAN_TOKENS.has(v)) return NaN;
+    return NUMBER_RE.test(v) ? Number(v) : v;
+  }
+
   /**
    * Get parameter statistics
    */
@@ -56,13 +144,54 @@ class CSVParser {
     };
   }
 
+  /**
+   * Stats for every numeric column of a table. Count, min, max, mean and std come from
+   * the running stats; quantiles sort a typed copy of the column.
+   */
+  static getTableStats(table, runningStats) {
+    const out = {};
+    for (const name of table.numericColumns()) {
+      const rs = runningStats[name];
+      if (!rs?.count) continue;
+      const col = table.column(name);
+      const values = new Float64Array(rs.count);
+      for (let i = 0, k = 0; i < table.length; i++) if (col.isNumber(i)) values[k++] = col.values[i];
+      values.sort();
+      const q = f => values[Math.floor(values.length * f)];
+      out[name] = {
+        parameter: name,
+        count: rs.count,
+        min: rs.min,
+        max: rs.max,
+        mean: parseFloat(rs.mean.toFixed(4)),
+        std: parseFloat(rs.std.toFixed(4)),
+        median: q(0.5),
+        q1: q(0.25),
+        q3: q(0.75),
+        iqr: q(0.75) - q(0.25),
+      };
+    }
+    return out;
+  }
+
+  /**
+   * Column names of parsed rows or of a table's row views
+   */
+  static getColumns(data) {
+    if (data.columns) return data.columns;
+    return data.length ? Object.keys(data[0]) : [];
+  }
+
   /**
    * Get all numeric column names
    */
   static getNumericColumns(data) {
     if (data.length === 0) return [];
-    return Object.keys(data[0]).filter(key => {
-      return typeof data[0][key] === 'number' && key !== 'mission_time_s';
+    return CSVParser.getColumns(data).filter(key => {
+      if (key === 'mission_time_s') return false;
+      /* Judge by the first non-blank cell so a missing first value does not hide the column */
+      const first = data.find(d => d[key] !== null && d[key] !== undefined);
+      return typeof first?.[key] === 'number';
     });
   }
 
@@ -0,0 +1,169 @@
+/**
+ * Data Quality  -  ingest checks run on every uploaded dataset
+ *   - per-column type consistency (numeric / text / mixed) and missing / NaN counts
+ *   - duplicate and out-of-order mission_time_s values
+ *   - sample-rate jitter
+ *   - flatlined sensors (a varying channel stuck on one value)
+ *
+ * The report lists `issues` (error / warning / info) for the UI, plus the raw numbers.
+ */
+
+const CSVParser = require('./csvParser');
+
+const TIME_COLUMN = 'mission_time_s';
+const FLATLINE_MIN_SECONDS = 10;
+const FLATLINE_MIN_SAMPLES = 20;
+const FLATLINE_MIN_CHANGE_RATIO = 0.5;
+const MAX_EXAMPLES = 5;
+
+class DataQuality {
+  /**
+   * Build the quality report for parsed rows
+   */
+  static assess(data) {
+    const columns = CSVParser.getColumns(data);
+    const report = {
+      rows: data.length,
+      columns: columns.map(c => DataQuality._checkColumn(data, c)),
+      time: DataQuality._checkTime(data),
+      issues: [],
+      generatedAt: new Date().toISOString(),
+    };
+    for (const col of report.columns) {
+      if (col.type === 'numeric') col.flatlines = DataQuality._findFlatlines(data, col.name);
+    }
+    report.issues = DataQuality._issues(report);
+    report.status = report.issues.some(i => i.severity === 'error') ? 'error'
+      : report.issues.some(i => i.severity === 'warning') ? 'warning' : 'ok';
+    return report;
+  }
+
+  static _checkColumn(data, name) {
+    let numeric = 0, text = 0, missing = 0, nan = 0;
+    const badValues = [];
+    for (const row of data) {
+      const v = row[name];
+      if (v === null || v === undefined) missing++;
+      else if (typeof v === 'number') {
+        if (isNaN(v)) nan++;
+        else numeric++;
+      } else text++;
+    }
+    const present = numeric + text + nan;
+    let type = 'empty';
+    if (present) type = text === 0 ? 'numeric' : numeric === 0 && nan === 0 ? 'text' : 'mixed';
+
+    /* In a mostly-numeric column the text cells are the suspicious ones, and vice versa */
+    if (type === 'mixed') {
+      const wantNumbers = numeric >= text;
+      for (let i = 0; i < data.length && badValues.length < MAX_EXAMPLES; i++) {
+        const v = data[i][name];
+        if (v === null || v === undefined) continue;
+        if (wantNumbers ? typeof v !== 'number' : typeof v === 'number') badValues.push({ row: i + 1, value: String(v) });
+      }
+    }
+    return { name, type, numeric, text, missing, nan, badValues };
+  }
+
+  static _checkTime(data) {
+    const out = { column: TIME_COLUMN, present: false, duplicates: 0, outOfOrder: 0, nonNumeric: 0, examples: [] };
+    const times = [];
+    for (let i = 0; i < data.length; i++) {
+      const t = data[i][TIME_COLUMN];
+      if (typeof t === 'number' && !isNaN(t)) times.push({ t, row: i + 1 });
+      else out.nonNumeric++;
+    }
+    if (!times.length) return out;
+    out.present = true;
+
+    const steps = [];
+    for (let i = 1; i < times.length; i++) {
+      const dt = times[i].t - times[i - 1].t;
+      if (dt === 0) {
+        out.duplicates++;
+        if (out.examples.length < MAX_EXAMPLES) out.examples.push({ row: times[i].row, issue: 'duplicate', time: times[i].t });
+      } else if (dt < 0) {
+        out.outOfOrder++;
+        if (out.examples.length < MAX_EXAMPLES) out.examples.push({ row: times[i].row, issue: 'out of order', time: times[i].t });
+      } else {
+        steps.push(dt);
+      }
+    }
+    if (!steps.length) return out;
+
+    const sorted = [...steps].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const mean = steps.reduce((a, b) => a + b, 0) / steps.length;
+    const std = Math.sqrt(steps.reduce((a, v) => a + (v - mean) ** 2, 0) / steps.length);
+    out.start = times[0].t;
+    out.end = times[times.length - 1].t;
+    out.medianStep = +median.toFixed(6);
+    out.sampleRate = +(1 / median).toFixed(3);
+    out.jitter = {
+      std: +std.toFixed(6),
+      cv: +(std / mean).toFixed(4),
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      /* Steps more than 10% away from nominal (gaps included) */
+      irregular: steps.filter(dt => Math.abs(dt - median) > median * 0.1).length,
+    };
+    return out;
+  }
+
+  /**
+   * Runs of one repeated value lasting >= FLATLINE_MIN_SECONDS in a channel that usually
+   * changes from sample to sample (constant or coarsely quantised channels are skipped)
+   */
+  static _findFlatlines(data, name) {
+    const idx = [];
+    for (let i = 0; i < data.length; i++) if (typeof data[i][name] === 'number' && !isNaN(data[i][name])) idx.push(i);
+    let changes = 0;
+    for (let k = 1; k < idx.length; k++) if (data[idx[k]][name] !== data[idx[k - 1]][name]) changes++;
+    if (idx.length < 2 || changes < (idx.length - 1) * FLATLINE_MIN_CHANGE_RATIO) return [];
+
+    const runs = [];
+    let s = 0;
+    for (let k = 1; k <= idx.length; k++) {
+      if (k < idx.length && data[idx[k]][name] === data[idx[s]][name]) continue;
+      const first = data[idx[s]], last = data[idx[k - 1]];
+      const t0 = first[TIME_COLUMN], t1 = last[TIME_COLUMN];
+      if (k - s >= FLATLINE_MIN_SAMPLES && typeof t0 === 'number' && typeof t1 === 'number' && t1 - t0 >= FLATLINE_MIN_SECONDS) {
+        runs.push({ start: t0, end: t1, samples: k - s, value: first[name] });
+      }
+      s = k;
+    }
+    return runs;
+  }
+
+  static _issues(report) {
+    const issues = [];
+    const add = (severity, column, message) => issues.push({ severity, column, message });
+    const n = report.rows;
+
+    if (!report.time.present) add('error', TIME_COLUMN, 'No numeric mission_time_s column; time-based analysis is unavailable');
+    if (report.time.nonNumeric && report.time.present) add('warning', TIME_COLUMN, `${report.time.nonNumeric} rows have no usable mission_time_s`);
+    if (report.time.duplicates) add('warning', TIME_COLUMN, `${report.time.duplicates} duplicate timestamps`);
+    if (report.time.outOfOrder) add('error', TIME_COLUMN, `${report.time.outOfOrder} out-of-order timestamps`);
+    if (report.time.jitter && report.time.jitter.cv > 0.1) {
+      add('warning', TIME_COLUMN, `Irregular sampling: step jitter ${(report.time.jitter.cv * 100).toFixed(0)}% of the mean (${report.time.jitter.irregular} irregular steps)`);
+    }
+
+    for (const c of report.columns) {
+      if (c.name === TIME_COLUMN) continue;
+      if (c.type === 'empty') { add('warning', c.name, 'Column is empty'); continue; }
+      if (c.type === 'mixed') {
+        const bad = c.numeric >= c.text ? c.text : c.numeric;
+        add('error', c.name, `Mixed types: ${bad} of ${c.numeric + c.text} values do not match the column (e.g. ${c.badValues.map(b => `"${b.value}" at row ${b.row}`).join(', ')})`);
+      }
+      if (c.missing) add(c.missing > n * 0.05 ? 'warning' : 'info', c.name, `${c.missing} missing values (${((c.missing / n) * 100).toFixed(1)}%)`);
+      if (c.nan) add('warning', c.name, `${c.nan} NaN values`);
+      for (const f of c.flatlines || []) {
+        /* Zero runs are often genuine (pre-launch, vacuum), so they are informational */
+        add(f.value === 0 ? 'info' : 'warning', c.name, `Flatlined at ${f.value} for ${(f.end - f.start).toFixed(1)} s (T+${f.start}s to T+${f.end}s)`);
+      }
+    }
+    return issues;
+  }
+}
+
+module.exports = DataQuality;
@@ -1,25 +1,27 @@
 /**
- * In-Memory Database Module - Chat History & API Key Storage
- * Pure JS replacement for better-sqlite3 (Vercel-compatible, no native addons)
- *
- * NOTE: Data is ephemeral on serverless — each cold-start resets state.
- * For persistent storage on Vercel, swap this for Vercel KV / Postgres / Turso.
+ * Database Module - Chat History & API Key Storage
+ * Pure JS, no native addons (Vercel-compatible). Documents live in services/storage.js:
+ *   chats    { sessionId, createdAt, updatedAt, metadata, messages: [...] }
+ *   apiKeys  { keyName, encryptedKey, iv, authTag, ... } (AES-256-GCM)
+ * With the memory driver (the serverless default) each cold-start resets state.
  */
 
 const crypto = require('crypto');
 const os = require('os');
+const storage = require('./storage');
 
 const ALGORITHM = 'aes-256-gcm';
 
-/* -------- In-memory stores -------- */
-const chatSessions = new Map();
-const chatMessages = new Map();
-const apiKeys = new Map();
-let msgAutoId = 0;
+/* -------- Init -------- */
+function initializeDatabase(options) {
+  storage.init(options);
+  const { label, location } = storage.describe();
+  console.log(`  [database] ${label} store initialised${location ? ` (${location})` : ''}`);
+}
 
-/* -------- Init (no-op for in-memory) -------- */
-function initializeDatabase() {
-  console.log('  [database] In-memory store initialised (Vercel-compatible, no native addons)');
+/* { driver, label, persistent, location } of the active storage driver */
+function getStorageInfo() {
+  return storage.describe();
 }
 
 /* -------- Encryption helpers -------- */
@@ -54,72 +56,73 @@ function decryptValue(data) {
 
 function createChatSession(sessionId, metadata = null) {
   const now = new Date().toISOString();
-  chatSessions.set(sessionId, {
+  const existing = storage.get('chats', sessionId);
+  storage.put('chats', sessionId, {
     sessionId,
     createdAt: now,
     updatedAt: now,
     metadata: metadata ? JSON.stringify(metadata) : null,
+    messages: existing?.messages || [],
   });
-  if (!chatMessages.has(sessionId)) chatMessages.set(sessionId, []);
   return sessionId;
 }
 
 function getChatSession(sessionId) {
-  return chatSessions.get(sessionId) || null;
+  const doc = storage.get('chats', sessionId);
+  if (!doc) return null;
+  const { messages, ...session } = doc;
+  return session;
 }
 
-function addChatMessage(sessionId, role, content, chartRequest = null) {
+/* toolCalls: [{ name, args, summary }] the analyst ran for this reply, shown in the transcript */
+function addChatMessage(sessionId, role, content, chartRequest = null, toolCalls = null) {
   if (!getChatSession(sessionId)) createChatSession(sessionId);
 
-  const msgs = chatMessages.get(sessionId) || [];
-  const id = ++msgAutoId;
-  msgs.push({
+  const doc = storage.get('chats', sessionId);
+  const id = (doc.messages.length ? doc.messages[doc.messages.length - 1].id : 0) + 1;
+  doc.messages.push({
     id,
     role,
     content,
-    chartRequest: chartRequest ? JSON.stringify(chartRequest) : null,
+    chartRequest: chartRequest || null,
+    ...(toolCalls?.length ? { toolCalls } : {}),
     createdAt: new Date().toISOString(),
   });
-  chatMessages.set(sessionId, msgs);
-
-  const session = chatSessions.get(sessionId);
-  if (session) session.updatedAt = new Date().toISOString();
+  doc.updatedAt = new Date().toISOString();
+  storage.put('chats', sessionId, doc);
   return id;
 }
 
 function getChatHistory(sessionId, limit = 50) {
-  const msgs = chatMessages.get(sessionId) || [];
-  return msgs.slice(-limit).map((m) => ({
-    ...m,
-    chartRequest: m.chartRequest ? JSON.parse(m.chartRequest) : null,
-  }));
+  const doc = storage.get('chats', sessionId);
+  return doc ? doc.messages.slice(-limit) : [];
 }
 
 function clearChatHistory(sessionId) {
-  chatMessages.set(sessionId, []);
-  const session = chatSessions.get(sessionId);
-  if (session) session.updatedAt = new Date().toISOString();
+  const doc = storage.get('chats', sessionId);
+  if (doc) {
+    doc.messages = [];
+    doc.updatedAt = new Date().toISOString();
+    storage.put('chats', sessionId, doc);
+  }
   return true;
 }
 
 function getAllChatSessions() {
-  const sessions = [];
-  for (const [id, session] of chatSessions) {
-    const msgs = chatMessages.get(id) || [];
-    const firstUserMsg = msgs.find(m => m.role === 'User');
-    sessions.push({
+  const sessions = storage.list('chats').map(({ messages, ...session }) => {
+    const firstUserMsg = messages.find(m => m.role === 'User');
+    return {
       ...session,
       title: firstUserMsg ? firstUserMsg.content.substring(0, 80) : 'New Chat',
-      messageCount: msgs.length,
-    });
-  }
+      messageCount: messages.length,
+    };
+  });
   sessions.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
   return sessions;
 }
 
 function deleteChatSession(sessionId) {
-  chatSessions.delete(sessionId);
-  chatMessages.delete(sessionId);
+  storage.remove('chats', sessionId);
   return true;
 }
 
@@ -128,7 +131,8 @@ function deleteChatSession(sessionId) {
 function saveApiKey(keyName, apiKeyValue, description = null) {
   const { encrypted, iv, authTag } = encryptValue(apiKeyValue);
   const now = new Date().toISOString();
-  apiKeys.set(keyName, {
+  storage.put('apiKeys', keyName, {
+    keyName,
     encryptedKey: encrypted,
     iv,
     authTag,
@@ -144,11 +148,12 @@ function saveApiKey(keyName, apiKeyValue, description = null) {
 }
 
 function getApiKey(keyName = 'gemini') {
-  const row = apiKeys.get(keyName);
+  const row = storage.get('apiKeys', keyName);
   if (!row || !row.isActive) return null;
   try {
-    const decrypted = decryptValue(row);
+    const decrypted = decryptValue({ encrypted: row.encryptedKey, iv: row.iv, authTag: row.authTag });
     row.lastUsed = new Date().toISOString();
+    storage.put('apiKeys', keyName, row);
     return decrypted;
   } catch {
     return null;
@@ -156,7 +161,7 @@ function getApiKey(keyName = 'gemini') {
 }
 
 function getApiKeyStatus(keyName = 'gemini') {
-  const row = apiKeys.get(keyName);
+  const row = storage.get('apiKeys', keyName);
   if (!row) return null;
   return {
     keyName,
@@ -170,7 +175,7 @@ function getApiKeyStatus(keyName = 'gemini') {
 }
 
 function deleteApiKey(keyName = 'gemini') {
-  apiKeys.delete(keyName);
+  storage.remove('apiKeys', keyName);
   console.log(`  [database] API key removed (${keyName})`);
   return true;
 }
@@ -178,6 +183,7 @@ function deleteApiKey(keyName = 'gemini') {
 /* -------- Exports -------- */
 module.exports = {
   initializeDatabase,
+  getStorageInfo,
   createChatSession,
   getChatSession,
   addChatMessage,
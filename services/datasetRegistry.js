@@ -0,0 +1,143 @@
+/**
+ * Dataset Registry  -  keeps every loaded telemetry dataset side by side
+ * Each upload gets its own ID so one user's upload never replaces another's view.
+ *
+ * Telemetry is held column-wise in `table`; `data` gives row views over it for code
+ * that works on arrays of rows.
+ *
+ * The Map below is the working set. With a persistent storage driver (services/storage.js)
+ * saveDataset() also writes each dataset to two documents, restored by restoreDatasets():
+ *   datasets  everything but the table and the figures recomputed from it (running stats,
+ *             preview, stats); this includes the anomaly results and summary
+ *   tables    the table, rewritten only when its revision has changed
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const TelemetryTable = require('./telemetryTable');
+const storage = require('./storage');
+
+const datasets = new Map();
+const savedRevisions = new WeakMap();   // table -> revision last written
+let defaultId = null;
+
+/**
+ * Register a dataset (a TelemetryTable, or an array of parsed rows) and return its record
+ */
+function addDataset(filename, data, extra = {}) {
+  const id = extra.id || uuidv4();
+  const record = {
+    id,
+    filename,
+    table: data instanceof TelemetryTable ? data : TelemetryTable.fromRows(data),
+    anomalies: null,
+    stats: null,
+    summary: null,
+    createdAt: new Date().toISOString(),
+    ...extra,
+  };
+  Object.defineProperty(record, 'data', { get() { return this.table.rowViews(); }, enumerable: false });
+  datasets.set(id, record);
+  if (!defaultId) defaultId = id;
+  return record;
+}
+
+/**
+ * Look up a dataset by ID; falls back to the default dataset when no ID is given
+ */
+function getDataset(id) {
+  if (id) return datasets.get(id) || null;
+  return defaultId ? datasets.get(defaultId) || null : null;
+}
+
+function getAllDatasets() {
+  return [...datasets.values()];
+}
+
+function getDefaultId() {
+  return defaultId;
+}
+
+/**
+ * Lightweight listing (no row data) for the dataset picker
+ */
+function listDatasets() {
+  return [...datasets.values()].map(describeDataset);
+}
+
+function describeDataset(ds) {
+  const t = ds.table;
+  const n = t.length;
+  return {
+    id: ds.id,
+    filename: ds.filename,
+    records: n,
+    columns: n ? t.columns.length : 0,
+    duration: n ? t.get('mission_time_s', n - 1) - t.get('mission_time_s', 0) : 0,
+    anomalies: ds.anomalies?.length || 0,
+    suppressed: ds.suppressed?.length || 0,
+    events: ds.summary?.totalEvents || 0,
+    redlineProfileId: ds.redlineProfileId || null,
+    format: ds.format || null,
+    derived: ds.derived?.applied || [],
+    quality: ds.quality?.status || null,
+    detectors: ds.summary?.detectors || [],
+    live: ds.live || null,
+    isDefault: ds.id === defaultId,
+    createdAt: ds.createdAt,
+  };
+}
+
+function deleteDataset(id) {
+  const existed = datasets.delete(id);
+  if (id === defaultId) defaultId = datasets.size ? datasets.keys().next().value : null;
+  if (existed && storage.describe().persistent) {
+    storage.remove('datasets', id);
+    storage.remove('tables', id);
+  }
+  return existed;
+}
+
+/**
+ * Write a dataset to storage (a no-op with the memory driver, and while a live session is still growing)
+ */
+function saveDataset(ds) {
+  /* A re-analysis that finishes after its dataset was deleted must not write it back */
+  if (!storage.describe().persistent || ds.live?.status === 'live' || datasets.get(ds.id) !== ds) return false;
+  if (savedRevisions.get(ds.table) !== ds.table.revision) {
+    storage.put('tables', ds.id, ds.table);
+    savedRevisions.set(ds.table, ds.table.revision);
+  }
+  const { table, runningStats, preview, stats, ...meta } = ds;
+  storage.put('datasets', ds.id, meta);
+  return true;
+}
+
+/**
+ * Load every stored dataset into the registry, oldest first so the default stays the same.
+ * Returns the restored records; running stats, preview and stats are left for the caller.
+ */
+function restoreDatasets() {
+  if (!storage.describe().persistent) return [];
+  const restored = [];
+  for (const meta of storage.list('datasets').sort((a, b) => a.createdAt.localeCompare(b.createdAt))) {
+    if (datasets.has(meta.id)) continue;
+    const stored = storage.get('tables', meta.id);
+    if (!stored) { console.warn(`  [data] Stored dataset ${meta.id} has no table; skipped`); continue; }
+    const table = TelemetryTable.fromJSON(stored);
+    savedRevisions.set(table, table.revision);
+    restored.push(addDataset(meta.filename, table, meta));
+  }
+  return restored;
+}
+
+module.exports = {
+  addDataset,
+  getDataset,
+  getAllDatasets,
+  getDefaultId,
+  listDatasets,
+  describeDataset,
+  deleteDataset,
+  saveDataset,
+  restoreDatasets,
+};
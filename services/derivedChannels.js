@@ -0,0 +1,142 @@
+/**
+ * Derived Channels  -  named formula channels computed from a dataset's columns at runtime
+ * Expressions use the formula language in formulaEngine.js, e.g.
+ *   { name: 'isp_s', expression: 'thrust_lbf / ((oxidizer_flow_rate_gps + fuel_flow_rate_gps) * 0.00220462)', unit: 's' }
+ *
+ * Channels are global: each is added to every dataset that has the columns it reads, in the
+ * order the channels were defined (so a channel may build on an earlier one). Derived columns
+ * behave like any other numeric column: charts, stats, detectors and redline limits see them.
+ * Definitions are saved through services/storage.js and compiled again when read back.
+ */
+
+const formulaEngine = require('./formulaEngine');
+const storage = require('./storage');
+
+const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const channels = new Map();
+let loaded = false;
+
+/* Stored channels are read on first use, so the storage driver is chosen before then */
+function all() {
+  if (!loaded) {
+    loaded = true;
+    for (const c of storage.list('derivedChannels').sort((a, b) => a.createdAt.localeCompare(b.createdAt))) {
+      try {
+        channels.set(c.name, { ...c, compiled: formulaEngine.compile(c.expression) });
+      } catch (e) {
+        console.warn(`  [derived] Skipping stored channel ${c.name}: ${e.message}`);
+      }
+    }
+  }
+  return channels;
+}
+
+/* The stored form of a channel: everything but the compiled expression */
+function save(c) {
+  const { compiled, ...doc } = c;
+  storage.put('derivedChannels', c.name, doc);
+}
+
+function describe(c) {
+  return {
+    name: c.name,
+    expression: c.expression,
+    unit: c.unit,
+    label: c.label,
+    description: c.description,
+    references: c.compiled.references,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+  };
+}
+
+function listChannels() {
+  return [...all().values()].map(describe);
+}
+
+function getChannel(name) {
+  const c = all().get(name);
+  return c ? describe(c) : null;
+}
+
+/* Compile an expression for `name`, refusing self-references and channels defined later */
+function compileFor(name, expression) {
+  const compiled = formulaEngine.compile(expression);
+  if (compiled.references.includes(name)) throw new Error(`${name} cannot refer to itself`);
+  const order = [...all().keys()];
+  const own = order.includes(name) ? order.indexOf(name) : order.length;
+  const later = compiled.references.filter(r => order.indexOf(r) > own);
+  if (later.length) throw new Error(`${name} refers to channels defined after it: ${later.join(', ')}`);
+  return compiled;
+}
+
+/**
+ * Define a channel ({ name, expression, unit?, label?, description? }). Throws on invalid input.
+ */
+function createChannel({ name, expression, unit = '', label, description = '' } = {}) {
+  if (typeof name !== 'string' || !NAME_RE.test(name)) throw new Error('Channel name must be letters, digits and underscores, not starting with a digit');
+  if (name === 'mission_time_s' || Object.hasOwn(formulaEngine.CONSTANTS, name) || formulaEngine.FUNCTIONS.includes(name)) throw new Error(`${name} is a reserved name`);
+  if (all().has(name)) throw new Error(`Derived channel already exists: ${name}`);
+  const compiled = compileFor(name, expression);
+  const now = new Date().toISOString();
+  const channel = { name, expression, compiled, unit: String(unit), label: label || name.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()), description, createdAt: now, updatedAt: now };
+  channels.set(name, channel);
+  save(channel);
+  return describe(channel);
+}
+
+function updateChannel(name, { expression, unit, label, description } = {}) {
+  const channel = all().get(name);
+  if (!channel) return null;
+  if (expression !== undefined) {
+    channel.compiled = compileFor(name, expression);
+    channel.expression = expression;
+  }
+  if (unit !== undefined) channel.unit = String(unit);
+  if (label) channel.label = String(label);
+  if (description !== undefined) channel.description = description;
+  channel.updatedAt = new Date().toISOString();
+  save(channel);
+  return describe(channel);
+}
+
+function deleteChannel(name) {
+  if (!all().has(name)) return false;
+  const users = [...channels.values()].filter(c => c.compiled.references.includes(name)).map(c => c.name);
+  if (users.length) throw new Error(`${name} is used by ${users.join(', ')}`);
+  channels.delete(name);
+  storage.remove('derivedChannels', name);
+  return true;
+}
+
+/**
+ * Recompute every channel on a table. `previous` lists the derived columns added last time,
+ * which are dropped first. A channel whose name is already a source column, or whose inputs
+ * are missing, is skipped. Returns { applied: [names], skipped: [{ name, reason }] }.
+ */
+function applyChannels(table, previous = []) {
+  for (const name of previous) table.dropColumn(name);
+  const applied = [], skipped = [];
+  for (const c of all().values()) {
+    if (table.column(c.name)) { skipped.push({ name: c.name, reason: 'a source column has this name' }); continue; }
+    const missing = c.compiled.references.filter(r => !table.column(r));
+    if (missing.length) { skipped.push({ name: c.name, reason: `missing columns: ${missing.join(', ')}` }); continue; }
+    try {
+      table.setNumericColumn(c.name, formulaEngine.evaluate(c.compiled, table));
+      applied.push(c.name);
+    } catch (e) {
+      skipped.push({ name: c.name, reason: e.message });
+    }
+  }
+  return { applied, skipped };
+}
+
+module.exports = {
+  listChannels,
+  getChannel,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  applyChannels,
+};
@@ -0,0 +1,97 @@
+/**
+ * Detection Config  -  per-dataset overrides for the anomaly detection run
+ *
+ * {
+ *   detectors:     ['zscore', 'redline', ...]    subset to run (null = every enabled detector)
+ *   parameters:    { zscore: { Z: 3.5 }, sustained: { WIN: 30, SIG: 2.5 } }
+ *   clustering:    { TIME_WIN: 10 }              seconds grouping anomalies into one event
+ *   baseline:      'phase' | 'rolling' | 'global'
+ *   rollingWindow: 30                            rolling baseline length in seconds
+ * }
+ * Every key is optional; anything left out uses the detector registry defaults.
+ */
+
+const detectorRegistry = require('./detectorRegistry');
+
+const BASELINES = ['phase', 'rolling', 'global'];
+const DEFAULT_TIME_WIN = 10;
+const DEFAULT_ROLLING_WINDOW = 30;
+
+/**
+ * Validate a config (object or JSON string) and strip unknown keys. Throws on invalid input.
+ */
+function normaliseConfig(input) {
+  if (input === undefined || input === null || input === '') return {};
+  let cfg = input;
+  if (typeof cfg === 'string') {
+    try { cfg = JSON.parse(cfg); } catch { throw new Error('Detection config must be valid JSON'); }
+  }
+  if (typeof cfg !== 'object' || Array.isArray(cfg)) throw new Error('Detection config must be an object');
+
+  const out = {};
+  if (cfg.detectors !== undefined && cfg.detectors !== null) {
+    out.detectors = detectorRegistry.parseDetectorList(cfg.detectors) || [];
+    detectorRegistry.resolveDetectors(out.detectors);
+  }
+  if (cfg.parameters !== undefined) {
+    if (!cfg.parameters || typeof cfg.parameters !== 'object') throw new Error('parameters must be an object keyed by detector name');
+    out.parameters = {};
+    for (const [name, params] of Object.entries(cfg.parameters)) {
+      const err = detectorRegistry.validateParameters(name, params);
+      if (err) throw new Error(err);
+      if (Object.keys(params).length) out.parameters[name] = { ...params };
+    }
+  }
+  if (cfg.clustering?.TIME_WIN !== undefined) {
+    const tw = cfg.clustering.TIME_WIN;
+    if (typeof tw !== 'number' || !isFinite(tw) || tw < 0) throw new Error('clustering.TIME_WIN must be a non-negative number');
+    out.clustering = { TIME_WIN: tw };
+  }
+  if (cfg.baseline !== undefined && cfg.baseline !== null) {
+    if (!BASELINES.includes(cfg.baseline)) throw new Error(`baseline must be one of ${BASELINES.join(', ')}`);
+    out.baseline = cfg.baseline;
+  }
+  if (cfg.rollingWindow !== undefined) {
+    if (typeof cfg.rollingWindow !== 'number' || !(cfg.rollingWindow > 0)) throw new Error('rollingWindow must be a positive number');
+    out.rollingWindow = cfg.rollingWindow;
+  }
+  return out;
+}
+
+/**
+ * AnomalyDetector options for a config
+ */
+function detectorOptions(config = {}) {
+  return {
+    detectors: config.detectors || null,
+    detectorParams: config.parameters || {},
+    clusterWindow: config.clustering?.TIME_WIN ?? DEFAULT_TIME_WIN,
+    baseline: config.baseline || null,
+    rollingWindow: config.rollingWindow || DEFAULT_ROLLING_WINDOW,
+  };
+}
+
+/**
+ * Fully resolved config (overrides merged onto registry defaults) for display and export.
+ * `summary` supplies what the last run actually used (detector list, baseline mode).
+ */
+function effectiveConfig(config = {}, summary = null) {
+  const parameters = {};
+  for (const d of detectorRegistry.listDetectors()) {
+    parameters[d.name] = { ...d.parameters, ...(config.parameters?.[d.name] || {}) };
+  }
+  return {
+    detectors: summary?.detectors || config.detectors || detectorRegistry.resolveDetectors(null).map(d => d.name),
+    parameters,
+    clustering: { TIME_WIN: config.clustering?.TIME_WIN ?? DEFAULT_TIME_WIN },
+    baseline: summary?.baseline || config.baseline || null,
+    rollingWindow: config.rollingWindow || DEFAULT_ROLLING_WINDOW,
+  };
+}
+
+module.exports = {
+  BASELINES,
+  normaliseConfig,
+  detectorOptions,
+  effectiveConfig,
+};
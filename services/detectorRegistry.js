@@ -0,0 +1,148 @@
+/**
+ * Detector Registry  -  anomaly detectors AnomalyDetector can run
+ * New detectors are added with registerDetector() instead of editing AnomalyDetector.
+ *
+ * A detector: {
+ *   name         unique id used in ?detectors= lists
+ *   label        display name
+ *   description  one-line summary
+ *   parameters   tunable settings with their default values, e.g. { Z: 3.0 }
+ *   enabled      run when no explicit subset is requested (default true)
+ *   detect(ctx, data, params)  returns an array of anomalies
+ * }
+ * ctx is the running AnomalyDetector (stats, redlines, baselines, and the rows as typed
+ * columns: ctx.times and ctx.columns[param], NaN where a row has no value); params are the
+ * detector's parameters merged with any per-run overrides.
+ *
+ * Settings changed with updateDetector() (enabled, default parameters) are saved through
+ * services/storage.js and applied to the detector of that name whenever it is registered.
+ */
+
+const storage = require('./storage');
+
+const detectors = new Map();
+const settings = new Map();   // name -> { name, enabled, parameters } saved by updateDetector()
+let loaded = false;
+
+/* Stored settings are read on first use, so the storage driver is chosen before then */
+function all() {
+  if (!loaded) {
+    loaded = true;
+    for (const s of storage.list('detectorSettings')) settings.set(s.name, s);
+    for (const d of detectors.values()) applySettings(d);
+  }
+  return detectors;
+}
+
+/* Saved settings for a detector, keeping only parameters it still has */
+function applySettings(d) {
+  const s = settings.get(d.name);
+  if (!s) return;
+  for (const [key, value] of Object.entries(s.parameters || {})) if (key in d.parameters) d.parameters[key] = value;
+  if (typeof s.enabled === 'boolean') d.enabled = s.enabled;
+}
+
+/**
+ * Register (or replace) a detector; throws on an invalid definition
+ */
+function registerDetector(def) {
+  if (!def || typeof def.name !== 'string' || !def.name) throw new Error('Detector name is required');
+  if (typeof def.detect !== 'function') throw new Error(`Detector ${def.name} needs a detect() function`);
+  const detector = {
+    name: def.name,
+    label: def.label || def.name,
+    description: def.description || '',
+    parameters: { ...(def.parameters || {}) },
+    enabled: def.enabled !== false,
+    builtIn: !!def.builtIn,
+    detect: def.detect,
+  };
+  detectors.set(detector.name, detector);
+  if (loaded) applySettings(detector);
+  return detector;
+}
+
+function unregisterDetector(name) {
+  return detectors.delete(name);
+}
+
+function getDetector(name) {
+  return all().get(name) || null;
+}
+
+/**
+ * Public listing (no functions) for /api/detectors
+ */
+function listDetectors() {
+  return [...all().values()].map(d => ({
+    name: d.name,
+    label: d.label,
+    description: d.description,
+    parameters: d.parameters,
+    enabled: d.enabled,
+    builtIn: d.builtIn,
+  }));
+}
+
+/**
+ * Validate parameter values for a detector; returns an error string or null
+ */
+function validateParameters(name, parameters) {
+  const d = all().get(name);
+  if (!d) return `Unknown detector: ${name}`;
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) return `parameters for ${name} must be an object`;
+  for (const [key, value] of Object.entries(parameters)) {
+    if (!(key in d.parameters)) return `Unknown parameter for ${name}: ${key}`;
+    if (typeof value !== 'number' || !isFinite(value) || value <= 0) return `Parameter ${key} must be a positive number`;
+  }
+  return null;
+}
+
+/**
+ * Change a detector's enabled flag and/or default parameters. Throws on unknown parameters.
+ */
+function updateDetector(name, { enabled, parameters } = {}) {
+  const d = all().get(name);
+  if (!d) return null;
+  if (parameters !== undefined) {
+    const err = validateParameters(name, parameters);
+    if (err) throw new Error(err);
+    Object.assign(d.parameters, parameters);
+  }
+  if (enabled !== undefined) d.enabled = !!enabled;
+  const saved = { name, enabled: d.enabled, parameters: { ...d.parameters } };
+  settings.set(name, saved);
+  storage.put('detectorSettings', name, saved);
+  return d;
+}
+
+/**
+ * Detectors to run: the named subset (in registry order), or every enabled detector.
+ * Throws when a requested name is not registered.
+ */
+function resolveDetectors(names) {
+  if (!names) return [...all().values()].filter(d => d.enabled);
+  const unknown = names.filter(n => !all().has(n));
+  if (unknown.length) throw new Error(`Unknown detector: ${unknown.join(', ')}`);
+  return [...all().values()].filter(d => names.includes(d.name));
+}
+
+/**
+ * Parse a detector subset from a query/form value ("a,b" or ["a","b"]); null means "defaults"
+ */
+function parseDetectorList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(s => String(s).trim()).filter(Boolean);
+}
+
+module.exports = {
+  registerDetector,
+  unregisterDetector,
+  getDetector,
+  listDetectors,
+  updateDetector,
+  validateParameters,
+  resolveDetectors,
+  parseDetectorList,
+};
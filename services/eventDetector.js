@@ -0,0 +1,211 @@
+/**
+ * Mission Event Detector
+ * Finds ascent milestones in the telemetry itself instead of assuming CRS-16 timings:
+ *   - Max Q            peak of dynamic_pressure_pa
+ *   - Throttle bucket  Q-driven dip in acceleration around Max Q
+ *   - MECO             sharp acceleration drop
+ *   - Stage separation acceleration reaching the coast floor after MECO
+ *   - SES-1            re-acceleration after the coast
+ *
+ * Acceleration comes from acceleration_ms2, or is derived from velocity_ms when absent.
+ * Every event carries a confidence in [0, 1].
+ */
+
+const { medianStep } = require('./timeSeries');
+
+const EVENT_LABELS = {
+  throttle_down_start: 'Throttle Down',
+  maxq:                'Max Q',
+  throttle_down_end:   'Throttle Up',
+  meco:                'MECO',
+  stage_sep:           'Stage Sep',
+  ses1:                'SES-1',
+};
+
+class EventDetector {
+  /**
+   * Detect mission events; returns { key: { time, label, confidence, source } }
+   */
+  static detect(data) {
+    const rows = data.filter(r => typeof r.mission_time_s === 'number');
+    const events = {};
+    if (rows.length < 10) return events;
+
+    const t = rows.map(r => r.mission_time_s);
+    const dt = medianStep(t) ?? 1;
+    const perSec = Math.max(1, Math.round(1 / dt));
+
+    const maxq = EventDetector._detectMaxQ(rows, t);
+    if (maxq) events.maxq = maxq;
+
+    const acc = EventDetector._accelerationSeries(rows, perSec);
+    if (acc) {
+      const meco = EventDetector._detectMeco(acc, t, perSec);
+      if (meco) {
+        events.meco = meco.event;
+        const sep = EventDetector._detectStageSep(acc, t, meco);
+        if (sep) events.stage_sep = sep;
+        const ses = EventDetector._detectSes(acc, t, perSec, meco);
+        if (ses) events.ses1 = ses;
+      }
+      if (maxq) {
+        const bucket = EventDetector._detectThrottleBucket(acc, t, maxq.time, meco?.event.time);
+        if (bucket) Object.assign(events, bucket);
+      }
+    }
+
+    for (const [key, ev] of Object.entries(events)) {
+      ev.label = EVENT_LABELS[key];
+      ev.confidence = +Math.max(0, Math.min(1, ev.confidence)).toFixed(2);
+      ev.source = 'detected';
+    }
+    return events;
+  }
+
+  /**
+   * Flatten detected events to { key: time } for alignment and descriptions
+   */
+  static toTimes(events) {
+    return Object.fromEntries(Object.entries(events || {}).map(([k, e]) => [k, e.time]));
+  }
+
+  static _detectMaxQ(rows, t) {
+    const q = rows.map(r => r.dynamic_pressure_pa);
+    let best = -1;
+    for (let i = 0; i < q.length; i++) {
+      if (typeof q[i] === 'number' && (best < 0 || q[i] > q[best])) best = i;
+    }
+    if (best < 0 || q[best] <= 0) return null;
+    /* A peak at the very edge of the record is probably truncated */
+    const edge = Math.max(2, Math.floor(q.length * 0.02));
+    const ends = [q[0], q[q.length - 1]].filter(v => typeof v === 'number');
+    const prominence = (q[best] - Math.max(...ends, 0)) / q[best];
+    const onEdge = best < edge || best > q.length - 1 - edge;
+    return { time: t[best], value: q[best], confidence: onEdge ? prominence * 0.4 : prominence };
+  }
+
+  /* Smoothed acceleration, from the acceleration column or d(velocity)/dt over ~1 s */
+  static _accelerationSeries(rows, perSec) {
+    let raw;
+    if (rows.some(r => typeof r.acceleration_ms2 === 'number')) {
+      raw = rows.map(r => (typeof r.acceleration_ms2 === 'number' ? r.acceleration_ms2 : null));
+    } else if (rows.some(r => typeof r.velocity_ms === 'number')) {
+      const h = perSec;
+      raw = rows.map((_, i) => {
+        const a = rows[Math.max(0, i - h)], b = rows[Math.min(rows.length - 1, i + h)];
+        const span = b.mission_time_s - a.mission_time_s;
+        if (span <= 0 || typeof a.velocity_ms !== 'number' || typeof b.velocity_ms !== 'number') return null;
+        return (b.velocity_ms - a.velocity_ms) / span;
+      });
+    } else {
+      return null;
+    }
+    const half = Math.floor(perSec / 2);
+    if (!half) return raw;
+    return raw.map((_, i) => {
+      let s = 0, n = 0;
+      for (let j = Math.max(0, i - half); j <= Math.min(raw.length - 1, i + half); j++) {
+        if (raw[j] !== null) { s += raw[j]; n++; }
+      }
+      return n ? s / n : null;
+    });
+  }
+
+  /* MECO: the first major acceleration drop over ~3 s (SECO can be larger); time is the midpoint crossing */
+  static _detectMeco(acc, t, perSec) {
+    const span = 3 * perSec;
+    const drops = acc.map((a, i) => (i + span < acc.length && a !== null && acc[i + span] !== null ? a - acc[i + span] : 0));
+    const largest = drops.reduce((m, d) => (d > m ? d : m), 0);
+    if (largest <= 0) return null;
+    let start = drops.findIndex(d => d >= largest * 0.6);
+    for (let i = start; i < Math.min(drops.length, start + span); i++) if (drops[i] > drops[start]) start = i;
+
+    /* Walk back to the local peak so the drop is measured from full thrust */
+    while (start > 0 && acc[start - 1] !== null && acc[start - 1] >= acc[start]) start--;
+    const peak = acc[start];
+    let floorIdx = start;
+    for (let i = start; i < acc.length && t[i] <= t[start] + 20; i++) {
+      if (acc[i] !== null && acc[i] < acc[floorIdx]) floorIdx = i;
+    }
+    const floor = acc[floorIdx];
+    if (peak <= 0 || peak - floor < peak * 0.5) return null;
+
+    const mid = floor + (peak - floor) / 2;
+    let idx = start;
+    while (idx < floorIdx && (acc[idx] === null || acc[idx] > mid)) idx++;
+    return {
+      event: { time: t[idx], confidence: (peak - floor) / peak },
+      peak, floor, startIdx: start, floorIdx,
+    };
+  }
+
+  /* Stage separation: acceleration falls to ~10% of full thrust after MECO */
+  static _detectStageSep(acc, t, meco) {
+    const threshold = meco.floor + (meco.peak - meco.floor) * 0.1;
+    for (let i = meco.startIdx; i <= meco.floorIdx; i++) {
+      if (acc[i] !== null && acc[i] <= threshold && t[i] > meco.event.time) {
+        return { time: t[i], confidence: meco.event.confidence * 0.6 };
+      }
+    }
+    return null;
+  }
+
+  /* SES-1: acceleration climbs halfway back to the next sustained level after the coast floor */
+  static _detectSes(acc, t, perSec, meco) {
+    const tFloor = t[meco.floorIdx];
+    const window = [];
+    for (let i = meco.floorIdx; i < acc.length && t[i] <= tFloor + 30; i++) {
+      if (t[i] >= tFloor + 5 && acc[i] !== null) window.push(acc[i]);
+    }
+    if (!window.length) return null;
+    window.sort((a, b) => a - b);
+    const level = window[Math.floor(window.length / 2)];
+    const rise = level - meco.floor;
+    if (rise <= 0.5) return null;
+
+    const target = meco.floor + rise / 2;
+    for (let i = meco.floorIdx; i < acc.length; i++) {
+      if (acc[i] === null || acc[i] < target) continue;
+      /* Must be sustained for ~2 s, not a transient */
+      let sustained = true;
+      for (let j = i; j < Math.min(acc.length, i + 2 * perSec); j++) {
+        if (acc[j] !== null && acc[j] < target) { sustained = false; break; }
+      }
+      if (sustained) return { time: t[i], confidence: Math.min(1, rise / (0.2 * meco.peak)) };
+    }
+    return null;
+  }
+
+  /* Throttle bucket: acceleration dip near Max Q bounded by the steepest fall and recovery */
+  static _detectThrottleBucket(acc, t, tMaxq, tMeco) {
+    const lo = tMaxq - 20, hi = Math.min(tMaxq + 20, tMeco ?? Infinity);
+    let minIdx = -1;
+    for (let i = 0; i < acc.length; i++) {
+      if (t[i] < lo || t[i] > hi || acc[i] === null) continue;
+      if (minIdx < 0 || acc[i] < acc[minIdx]) minIdx = i;
+    }
+    if (minIdx < 0) return null;
+
+    let before = -Infinity;
+    for (let i = 0; i < minIdx; i++) if (t[i] >= t[minIdx] - 20 && acc[i] !== null) before = Math.max(before, acc[i]);
+    const depth = before - acc[minIdx];
+    if (!isFinite(depth) || depth < before * 0.03) return null;
+
+    let fallIdx = -1, fall = 0, riseIdx = -1, rise = 0;
+    for (let i = 1; i < acc.length; i++) {
+      if (acc[i] === null || acc[i - 1] === null) continue;
+      const d = (acc[i] - acc[i - 1]) / ((t[i] - t[i - 1]) || 1);
+      if (t[i] >= t[minIdx] - 20 && i <= minIdx && d < fall) { fall = d; fallIdx = i; }
+      if (i > minIdx && t[i] <= t[minIdx] + 25 && (tMeco === undefined || t[i] < tMeco) && d > rise) { rise = d; riseIdx = i; }
+    }
+    if (fallIdx < 0 || riseIdx < 0) return null;
+
+    const confidence = depth / (before * 0.1);
+    return {
+      throttle_down_start: { time: t[fallIdx], confidence },
+      throttle_down_end:   { time: t[riseIdx], confidence },
+    };
+  }
+}
+
+module.exports = { EventDetector, EVENT_LABELS };
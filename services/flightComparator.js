@@ -0,0 +1,134 @@
+/**
+ * Flight Comparator
+ * Aligns two telemetry datasets on mission time (optionally shifted so a
+ * chosen mission event lines up) and reports per-parameter differences:
+ *   - sample-by-sample deltas
+ *   - RMS difference
+ *   - max divergence
+ *   - regions where the divergence exceeds a tolerance
+ */
+
+const CSVParser = require('./csvParser');
+
+class FlightComparator {
+  /**
+   * Compare `target` against `reference` (both arrays of row objects).
+   * options:
+   *   params        parameters to compare (default: numeric columns present in both)
+   *   offset        seconds added to target time to find the matching reference time
+   *   tolerance     divergence threshold as a fraction of the reference span (default 0.05)
+   *   startTime / endTime   target time window
+   *   maxPoints     max samples returned per series for plotting
+   */
+  static compare(target, reference, options = {}) {
+    const offset = options.offset || 0;
+    const tolerance = options.tolerance ?? 0.05;
+    const maxPoints = options.maxPoints || 500;
+
+    const ref = reference.filter(r => typeof r.mission_time_s === 'number');
+    const refTimes = ref.map(r => r.mission_time_s);
+    const rows = target.filter(r =>
+      typeof r.mission_time_s === 'number' &&
+      (options.startTime == null || r.mission_time_s >= options.startTime) &&
+      (options.endTime == null || r.mission_time_s <= options.endTime)
+    );
+
+    const params = options.params?.length
+      ? options.params
+      : FlightComparator.commonParams(target, reference);
+
+    /* Only target samples whose shifted time falls inside the reference record */
+    const refStart = refTimes[0], refEnd = refTimes[refTimes.length - 1];
+    const overlap = rows.filter(r => r.mission_time_s + offset >= refStart && r.mission_time_s + offset <= refEnd);
+
+    const result = {
+      offset,
+      tolerance,
+      overlap: overlap.length ? { start: overlap[0].mission_time_s, end: overlap[overlap.length - 1].mission_time_s, samples: overlap.length } : null,
+      parameters: {},
+    };
+    if (!overlap.length) return result;
+
+    const step = Math.max(1, Math.ceil(overlap.length / maxPoints));
+
+    for (const param of params) {
+      const refVals = ref.map(r => r[param]).filter(v => typeof v === 'number' && !isNaN(v));
+      if (!refVals.length) continue;
+      let refMin = Infinity, refMax = -Infinity;
+      for (const v of refVals) { if (v < refMin) refMin = v; if (v > refMax) refMax = v; }
+      const absTol = (refMax - refMin) * tolerance;
+
+      const series = [];
+      const regions = [];
+      let sumSq = 0, sum = 0, n = 0;
+      let maxDiv = null;
+      let region = null;
+
+      for (let i = 0; i < overlap.length; i++) {
+        const t = overlap[i].mission_time_s;
+        const a = overlap[i][param];
+        const b = FlightComparator._interpolate(ref, refTimes, t + offset, param);
+        if (typeof a !== 'number' || b === null) continue;
+
+        const delta = a - b;
+        sumSq += delta * delta;
+        sum += delta;
+        n++;
+        if (!maxDiv || Math.abs(delta) > Math.abs(maxDiv.delta)) {
+          maxDiv = { delta: +delta.toFixed(4), missionTime: t, value: a, referenceValue: +b.toFixed(4) };
+        }
+
+        if (absTol > 0 && Math.abs(delta) > absTol) {
+          if (!region) region = { start: t, end: t, peakDelta: delta };
+          region.end = t;
+          if (Math.abs(delta) > Math.abs(region.peakDelta)) region.peakDelta = delta;
+        } else if (region) {
+          regions.push(region);
+          region = null;
+        }
+
+        if (i % step === 0) series.push({ t, target: a, reference: +b.toFixed(4), delta: +delta.toFixed(4) });
+      }
+      if (region) regions.push(region);
+      if (!n) continue;
+
+      result.parameters[param] = {
+        samples: n,
+        meanDelta: +(sum / n).toFixed(4),
+        rms: +Math.sqrt(sumSq / n).toFixed(4),
+        maxDivergence: maxDiv,
+        toleranceAbs: +absTol.toFixed(4),
+        divergentRegions: regions.map(r => ({ start: r.start, end: r.end, peakDelta: +r.peakDelta.toFixed(4) })),
+        series,
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Numeric parameters present in both datasets (mission_time_s excluded)
+   */
+  static commonParams(a, b) {
+    if (!a.length || !b.length) return [];
+    return CSVParser.getColumns(a).filter(k =>
+      k !== 'mission_time_s' && typeof a[0][k] === 'number' && typeof b[0][k] === 'number'
+    );
+  }
+
+  /* Linear interpolation of `param` at time t (times must be ascending) */
+  static _interpolate(rows, times, t, param) {
+    let lo = 0, hi = times.length - 1;
+    if (t < times[lo] || t > times[hi]) return null;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= t) lo = mid; else hi = mid;
+    }
+    const a = rows[lo][param], b = rows[hi][param];
+    if (typeof a !== 'number' || typeof b !== 'number') return typeof a === 'number' ? a : null;
+    const span = times[hi] - times[lo];
+    if (span <= 0) return a;
+    return a + (b - a) * ((t - times[lo]) / span);
+  }
+}
+
+module.exports = FlightComparator;
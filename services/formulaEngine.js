@@ -0,0 +1,351 @@
+/**
+ * Formula Engine  -  a small, safe expression language for derived telemetry channels
+ *
+ * Expressions are parsed into a tree and evaluated column-at-a-time over a TelemetryTable;
+ * nothing is passed to eval or Function, and only the operators and functions below exist.
+ *
+ *   thrust_lbf / ((oxidizer_flow_rate_gps + fuel_flow_rate_gps) * 0.00220462)
+ *   derivative(velocity_ms)            movavg(acceleration_ms2, 2)
+ *   lookup(mach_number, [0, 1, 2], [0.2, 0.6, 0.3])
+ *
+ * Operators: + - * / % ^, comparisons (< <= > >= == !=) and && || ! giving 1 or 0.
+ * Identifiers name numeric columns; names that are not plain words can be written `like this`.
+ * Constants: pi, g0 (standard gravity, m/s²).
+ * Series functions work along mission_time_s:
+ *   derivative(x)          per-second backward difference (holds the last value across gaps)
+ *   integral(x)            cumulative trapezoidal integral from the first row
+ *   movavg(x, seconds)     trailing moving average over a time window
+ *   lookup(x, [xs], [ys])  linear interpolation in a table, clamped at both ends
+ */
+
+const MAX_LENGTH = 1000;
+const MAX_DEPTH = 50;
+
+/* Name tables are looked up with Object.hasOwn so that 'constructor', '__proto__' etc. are not found on the prototype */
+const CONSTANTS = { pi: Math.PI, g0: 9.80665 };
+
+/* Element-wise functions: [min args, max args, implementation] */
+const ELEMENTWISE = {
+  abs: [1, 1, Math.abs],
+  sqrt: [1, 1, Math.sqrt],
+  exp: [1, 1, Math.exp],
+  log: [1, 1, Math.log],
+  log10: [1, 1, Math.log10],
+  sin: [1, 1, Math.sin],
+  cos: [1, 1, Math.cos],
+  tan: [1, 1, Math.tan],
+  asin: [1, 1, Math.asin],
+  acos: [1, 1, Math.acos],
+  atan: [1, 1, Math.atan],
+  atan2: [2, 2, Math.atan2],
+  pow: [2, 2, Math.pow],
+  hypot: [1, Infinity, Math.hypot],
+  min: [1, Infinity, Math.min],
+  max: [1, Infinity, Math.max],
+  clamp: [3, 3, (x, lo, hi) => Math.min(hi, Math.max(lo, x))],
+  if: [3, 3, (c, a, b) => (c ? a : b)],
+};
+
+const SERIES = { derivative: 1, integral: 1, movavg: 2, lookup: 3 };
+
+/* ---------------- Parsing ---------------- */
+
+const TOKEN_RE = /(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|`([^`]+)`|(<=|>=|==|!=|&&|\|\||[-+*/%^()<>!,[\]])/y;
+
+function tokenize(src) {
+  const tokens = [];
+  let pos = 0;
+  for (;;) {
+    while (/\s/.test(src[pos] || '')) pos++;
+    if (pos >= src.length) return tokens;
+    TOKEN_RE.lastIndex = pos;
+    const m = TOKEN_RE.exec(src);
+    if (!m) throw new Error(`Unexpected character '${src[pos]}' at position ${pos + 1}`);
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: parseFloat(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: 'id', value: m[2] });
+    else if (m[3] !== undefined) tokens.push({ type: 'id', value: m[3], quoted: true });
+    else tokens.push({ type: 'op', value: m[4] });
+    pos = TOKEN_RE.lastIndex;
+  }
+}
+
+/**
+ * Parse an expression into a tree. Throws with a readable message on syntax errors,
+ * unknown functions and wrong argument counts.
+ */
+function parse(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) throw new Error('Expression is required');
+  if (expression.length > MAX_LENGTH) throw new Error(`Expression is longer than ${MAX_LENGTH} characters`);
+  const tokens = tokenize(expression);
+  let i = 0, depth = 0;
+
+  const peek = () => tokens[i];
+  const isOp = v => tokens[i]?.type === 'op' && tokens[i].value === v;
+  const expect = v => {
+    if (!isOp(v)) throw new Error(`Expected '${v}'${tokens[i] ? ` but found '${tokens[i].value}'` : ' at end of expression'}`);
+    i++;
+  };
+  const nest = fn => {
+    if (++depth > MAX_DEPTH) throw new Error('Expression is nested too deeply');
+    const node = fn();
+    depth--;
+    return node;
+  };
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (peek()?.type === 'op' && ops.includes(peek().value)) {
+      const op = tokens[i++].value;
+      left = { type: 'bin', op, left, right: next() };
+    }
+    return left;
+  };
+
+  const unary = () => nest(() => {
+    if (isOp('-') || isOp('+') || isOp('!')) {
+      const op = tokens[i++].value;
+      return { type: 'unary', op, arg: unary() };
+    }
+    return power();
+  });
+  const power = () => {
+    const base = primary();
+    if (isOp('^')) { i++; return { type: 'bin', op: '^', left: base, right: unary() }; }
+    return base;
+  };
+  const mul = binary(unary, ['*', '/', '%']);
+  const add = binary(mul, ['+', '-']);
+  const cmp = binary(add, ['<', '<=', '>', '>=', '==', '!=']);
+  const and = binary(cmp, ['&&']);
+  const or = binary(and, ['||']);
+  const expr = () => nest(or);
+
+  function primary() {
+    const t = tokens[i++];
+    if (!t) throw new Error('Unexpected end of expression');
+    if (t.type === 'num') return { type: 'num', value: t.value };
+    if (t.type === 'op' && t.value === '(') {
+      const node = expr();
+      expect(')');
+      return node;
+    }
+    if (t.type === 'op' && t.value === '[') {
+      const values = [];
+      if (!isOp(']')) {
+        do {
+          const neg = isOp('-') ? (i++, -1) : 1;
+          const n = tokens[i++];
+          if (n?.type !== 'num') throw new Error('Lists may only contain numbers');
+          values.push(neg * n.value);
+        } while (isOp(',') && ++i);
+      }
+      expect(']');
+      return { type: 'list', values };
+    }
+    if (t.type === 'id') {
+      if (!t.quoted && isOp('(')) {
+        i++;
+        const args = [];
+        if (!isOp(')')) {
+          do { args.push(expr()); } while (isOp(',') && ++i);
+        }
+        expect(')');
+        return checkCall({ type: 'call', name: t.value, args });
+      }
+      if (!t.quoted && Object.hasOwn(CONSTANTS, t.value)) return { type: 'num', value: CONSTANTS[t.value] };
+      return { type: 'col', name: t.value };
+    }
+    throw new Error(`Unexpected '${t.value}'`);
+  }
+
+  const tree = expr();
+  if (i < tokens.length) throw new Error(`Unexpected '${tokens[i].value}'`);
+  checkLists(tree, false);
+  return tree;
+}
+
+function checkCall(node) {
+  const { name, args } = node;
+  if (Object.hasOwn(ELEMENTWISE, name)) {
+    const [lo, hi] = ELEMENTWISE[name];
+    if (args.length < lo || args.length > hi) throw new Error(`${name}() takes ${lo === hi ? lo : `${lo} or more`} argument${hi === 1 ? '' : 's'}`);
+    return node;
+  }
+  if (!Object.hasOwn(SERIES, name)) throw new Error(`Unknown function: ${name}()`);
+  if (args.length !== SERIES[name]) throw new Error(`${name}() takes ${SERIES[name]} argument${SERIES[name] === 1 ? '' : 's'}`);
+  if (name === 'movavg' && !(args[1].type === 'num' && args[1].value > 0)) throw new Error('movavg() window must be a positive number of seconds');
+  if (name === 'lookup') {
+    const [, xs, ys] = args;
+    if (xs.type !== 'list' || ys.type !== 'list') throw new Error('lookup() needs [x values] and [y values] lists');
+    if (xs.values.length < 2 || xs.values.length !== ys.values.length) throw new Error('lookup() lists must have the same length (at least 2)');
+    if (xs.values.some((x, k) => k && x <= xs.values[k - 1])) throw new Error('lookup() x values must be increasing');
+  }
+  return node;
+}
+
+/* Lists are only meaningful as lookup() tables */
+function checkLists(node, allowed) {
+  if (node.type === 'list' && !allowed) throw new Error('Lists can only be used as lookup() tables');
+  if (node.type === 'unary') checkLists(node.arg, false);
+  if (node.type === 'bin') { checkLists(node.left, false); checkLists(node.right, false); }
+  if (node.type === 'call') node.args.forEach((a, k) => checkLists(a, node.name === 'lookup' && k > 0));
+}
+
+/**
+ * Column names an expression reads
+ */
+function references(tree) {
+  const out = new Set();
+  const walk = n => {
+    if (n.type === 'col') out.add(n.name);
+    else if (n.type === 'unary') walk(n.arg);
+    else if (n.type === 'bin') { walk(n.left); walk(n.right); }
+    else if (n.type === 'call') n.args.forEach(walk);
+  };
+  walk(tree);
+  return [...out];
+}
+
+/**
+ * Parse and validate an expression: { expression, tree, references }
+ */
+function compile(expression) {
+  const tree = parse(expression);
+  return { expression, tree, references: references(tree) };
+}
+
+/* ---------------- Evaluation ---------------- */
+
+const BINARY = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '^': (a, b) => a ** b,
+  '<': (a, b) => +(a < b),
+  '<=': (a, b) => +(a <= b),
+  '>': (a, b) => +(a > b),
+  '>=': (a, b) => +(a >= b),
+  '==': (a, b) => +(a === b),
+  '!=': (a, b) => +(a !== b),
+  '&&': (a, b) => +(!!a && !!b),
+  '||': (a, b) => +(!!a || !!b),
+};
+
+/**
+ * Evaluate a compiled expression over a table. Returns a Float64Array with one value per row
+ * (NaN where an input is missing or the result is undefined).
+ */
+function evaluate(compiled, table) {
+  const n = table.length;
+  const time = table.numeric('mission_time_s');
+
+  const series = v => (typeof v === 'number' ? new Float64Array(n).fill(v) : v);
+  const map = (args, fn) => {
+    if (args.every(a => typeof a === 'number')) return fn(...args);
+    const out = new Float64Array(n);
+    const vals = new Array(args.length);
+    for (let r = 0; r < n; r++) {
+      for (let k = 0; k < args.length; k++) vals[k] = typeof args[k] === 'number' ? args[k] : args[k][r];
+      out[r] = fn(...vals);
+    }
+    return out;
+  };
+
+  const ev = node => {
+    switch (node.type) {
+      case 'num': return node.value;
+      case 'col': {
+        const col = table.column(node.name);
+        if (!col) throw new Error(`Unknown column: ${node.name}`);
+        if (col.kind !== 'numeric') throw new Error(`Column ${node.name} is not numeric`);
+        return table.numeric(node.name);
+      }
+      case 'unary': {
+        const fn = node.op === '-' ? a => -a : node.op === '+' ? a => a : a => +!a;
+        return map([ev(node.arg)], fn);
+      }
+      case 'bin': return map([ev(node.left), ev(node.right)], BINARY[node.op]);
+      case 'call': {
+        if (Object.hasOwn(ELEMENTWISE, node.name)) return map(node.args.map(ev), ELEMENTWISE[node.name][2]);
+        if (!time) throw new Error(`${node.name}() needs a mission_time_s column`);
+        const x = series(ev(node.args[0]));
+        if (node.name === 'derivative') return derivative(x, time);
+        if (node.name === 'integral') return integral(x, time);
+        if (node.name === 'movavg') return movingAverage(x, time, node.args[1].value);
+        return lookup(x, node.args[1].values, node.args[2].values);
+      }
+    }
+    throw new Error(`Cannot evaluate ${node.type}`);
+  };
+
+  return series(ev(compiled.tree));
+}
+
+/* Backward difference per second, as scripts/downloadSpaceXData.js derives jerk and rates */
+function derivative(x, t) {
+  const out = new Float64Array(x.length);
+  let last = 0, prev = -1;
+  for (let i = 0; i < x.length; i++) {
+    if (isNaN(x[i]) || isNaN(t[i])) { out[i] = NaN; continue; }
+    if (prev >= 0) {
+      const dt = t[i] - t[prev];
+      if (dt > 0) last = (x[i] - x[prev]) / dt;
+    }
+    out[i] = last;
+    prev = i;
+  }
+  return out;
+}
+
+function integral(x, t) {
+  const out = new Float64Array(x.length);
+  let sum = 0, prev = -1;
+  for (let i = 0; i < x.length; i++) {
+    if (isNaN(x[i]) || isNaN(t[i])) { out[i] = NaN; continue; }
+    if (prev >= 0) sum += (x[i] + x[prev]) / 2 * (t[i] - t[prev]);
+    out[i] = sum;
+    prev = i;
+  }
+  return out;
+}
+
+/* Mean of the valid samples in (t - window, t] */
+function movingAverage(x, t, window) {
+  const out = new Float64Array(x.length);
+  let lo = 0, sum = 0, count = 0;
+  for (let i = 0; i < x.length; i++) {
+    if (!isNaN(x[i])) { sum += x[i]; count++; }
+    while (lo < i && t[i] - t[lo] >= window) {
+      if (!isNaN(x[lo])) { sum -= x[lo]; count--; }
+      lo++;
+    }
+    out[i] = count && !isNaN(x[i]) ? sum / count : NaN;
+  }
+  return out;
+}
+
+function lookup(x, xs, ys) {
+  const out = new Float64Array(x.length);
+  const last = xs.length - 1;
+  for (let i = 0; i < x.length; i++) {
+    const v = x[i];
+    if (isNaN(v)) { out[i] = NaN; continue; }
+    if (v <= xs[0]) { out[i] = ys[0]; continue; }
+    if (v >= xs[last]) { out[i] = ys[last]; continue; }
+    let k = 1;
+    while (xs[k] < v) k++;
+    out[i] = ys[k - 1] + (ys[k] - ys[k - 1]) * (v - xs[k - 1]) / (xs[k] - xs[k - 1]);
+  }
+  return out;
+}
+
+module.exports = {
+  CONSTANTS,
+  FUNCTIONS: [...Object.keys(ELEMENTWISE), ...Object.keys(SERIES)],
+  parse,
+  compile,
+  references,
+  evaluate,
+};
@@ -1,148 +1,85 @@
 /**
- * Google Gemini AI Service - with persistent chat history
+ * Google Gemini AI Service  -  tool-calling flight data analyst (LLM provider 'gemini')
+ * The prompt describes the loaded dataset; the model fetches samples, window stats and
+ * anomalies itself through the tools in analystTools.js. Chat history is kept by the caller.
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const db = require('./database');
+const { TOOLS, runTool } = require('./analystTools');
+const { MAX_TOOL_ROUNDS, buildSystemPrompt, splitChart } = require('./analystPrompt');
 
 class GeminiService {
-  constructor(apiKey) {
+  constructor({ apiKey, model = 'gemini-2.5-flash' }) {
     this.genAI = new GoogleGenerativeAI(apiKey);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    this.chatHistory = []; // In-memory fallback
+    this.modelName = model;
   }
 
-  _buildContext(telemetryStats, anomalySummary) {
-    return `You are an expert aerospace engineer and flight data analyst AI assistant embedded in a Rocket Data Logger & Analyzer application. You analyze SpaceX Falcon 9 CRS-16 launch telemetry and help engineers understand anomalies and flight behaviour.
-
-CURRENT DATASET:
-- Source: SpaceX CRS-16 mission (Falcon 9 Block 5, ISS resupply)
-- Orbit: ISS  |  Landing: RTLS  |  Payload: 2573 kg
-- Sample rate: 1 Hz  |  Duration: ~528 seconds
-- Parameters: velocity (m/s), altitude (km), vertical/horizontal velocity, acceleration (m/s2),
-  downrange distance (km), flight angle (deg), dynamic pressure Q (Pa),
-  jerk (m/s3), altitude rate, velocity rate, angle rate, Mach number
-
-KEY MISSION EVENTS:
-- Throttle-down: T+48 s to T+68 s
-- Max Q: T+54 s
-- MECO: T+145 s
-- SES-1 (Stage 2 ignition): T+156 s
-
-ANOMALY SUMMARY:
-${JSON.stringify(anomalySummary, null, 2)}
-
-STATISTICS:
-${JSON.stringify(telemetryStats, null, 2)}
-
-RULES:
-1. Answer questions about this flight data, anomalies, and vehicle behaviour.
-2. Use proper aerospace terminology and SI units.
-3. When asked to visualise, return a JSON chart config inside <chart> tags:
-   <chart>{"type":"line","params":["velocity_ms"],"timeRange":[0,150],"title":"Velocity","highlightAnomalies":true}</chart>
-4. Reference anomaly event IDs (EVT-XXX) when relevant.
-5. Always provide a comprehensive text response alongside any chart requests.
-6. Be concise and technical.`;
-  }
-
-  /**
-   * Get or load chat history from database
-   */
-  _getSessionHistory(sessionId) {
-    try {
-      return db.getChatHistory(sessionId, 50);
-    } catch (error) {
-      console.error('  [gemini] Error loading chat history:', error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Save message to database
-   */
-  _saveToDB(sessionId, role, content, chartRequest = null) {
-    try {
-      db.addChatMessage(sessionId, role, content, chartRequest);
-    } catch (error) {
-      console.error('  [gemini] Error saving message to database:', error.message);
-    }
+  /* Earlier turns as Gemini chat history; it must open with a user turn */
+  _history(messages) {
+    const turns = messages
+      .filter(m => m.content)
+      .map(m => ({ role: m.role === 'User' ? 'user' : 'model', parts: [{ text: m.content }] }));
+    while (turns.length && turns[0].role !== 'user') turns.shift();
+    return turns;
   }
 
   /**
-   * Chat with context - persists to database
+   * Answer a message about the dataset in ctx (routes/api.js getDataContext), calling the
+   * analyst tools as the model asks for them. history is the session's earlier messages.
+   * The reply is streamed: onText(piece) gets each text chunk and onTool(call) each tool call as
+   * they happen; aborting signal stops generation and returns what was written with cancelled: true.
+   * Returns { text, chartRequest, toolCalls: [{ name, args, summary }], cancelled? }.
    */
-  async chat(message, telemetryStats, anomalySummary, sessionId = 'default') {
+  async chat(message, ctx, history = [], { onText, onTool, signal } = {}) {
+    let raw = '';
+    const toolCalls = [];
     try {
-      const ctx = this._buildContext(telemetryStats, anomalySummary);
-      
-      // Load conversation history from database
-      const sessionHistory = this._getSessionHistory(sessionId);
-      const historyText = sessionHistory
-        .map(h => `${h.role}: ${h.content}`)
-        .join('\n');
-
-      const prompt = `${ctx}\n\nHISTORY:\n${historyText}\n\nUSER: ${message}\n\nRespond technically with a comprehensive text response. If the user asks for a chart include a <chart>{...}</chart> JSON block. Always provide both detailed analysis text AND the chart request (if applicable).`;
-
-      const result = await this.model.generateContent(prompt);
-      const response = result.response.text();
-
-      // Save user message to database
-      this._saveToDB(sessionId, 'User', message);
-
-      // Parse chart from response
-      const chartMatch = response.match(/<chart>([\s\S]*?)<\/chart>/);
-      let chartRequest = null;
-      let cleanResponse = response;
-      
-      if (chartMatch) {
-        try { 
-          chartRequest = JSON.parse(chartMatch[1]);
-        } catch (_) {
-          console.warn('  [gemini] Failed to parse chart JSON');
+      const model = this.genAI.getGenerativeModel({
+        model: this.modelName,
+        systemInstruction: buildSystemPrompt(ctx),
+        tools: [{ functionDeclarations: TOOLS }],
+      });
+      const chat = model.startChat({ history: this._history(history) });
+
+      /* One model turn, streamed; text from earlier turns is kept as its own paragraph */
+      const send = async content => {
+        const result = await chat.sendMessageStream(content, { signal });
+        let sep = raw && !raw.endsWith('\n') ? '\n\n' : '';
+        for await (const chunk of result.stream) {
+          const piece = chunk.text();
+          if (!piece) continue;
+          raw += sep + piece;
+          onText?.(sep + piece);
+          sep = '';
         }
-        cleanResponse = response.replace(/<chart>[\s\S]*?<\/chart>/, '').trim();
-      }
+        return result.response;
+      };
 
-      // Save assistant message with chart to database
-      this._saveToDB(sessionId, 'Assistant', cleanResponse, chartRequest);
+      let response = await send(message);
+      for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+        const calls = response.functionCalls();
+        if (!calls?.length) break;
+        const responses = calls.map(call => {
+          const { result: output, summary } = runTool(ctx, call.name, call.args);
+          const entry = { name: call.name, args: call.args || {}, summary };
+          toolCalls.push(entry);
+          onTool?.(entry);
+          return { functionResponse: { name: call.name, response: output } };
+        });
+        response = await send(responses);
+      }
 
-      return { 
-        text: cleanResponse, 
-        chartRequest,
-        sessionId,
-        persistedToDB: true
-      };
+      return { ...splitChart(raw), toolCalls };
     } catch (error) {
+      if (signal?.aborted) return { ...splitChart(raw), toolCalls, cancelled: true };
       console.error('Gemini API Error:', error.message);
-      return { 
-        text: `AI Service Error: ${error.message}. Check your GEMINI_API_KEY.`, 
+      return {
+        text: `AI Service Error: ${error.message}. Check your Gemini API key.`,
         chartRequest: null,
-        sessionId,
-        persistedToDB: false
+        toolCalls,
       };
     }
   }
-
-  /**
-   * Reset chat history in database
-   */
-  resetChat(sessionId = 'default') {
-    try {
-      db.clearChatHistory(sessionId);
-      console.log(`  [gemini] Chat history cleared for session: ${sessionId}`);
-      return true;
-    } catch (error) {
-      console.error('  [gemini] Error resetting chat:', error.message);
-      return false;
-    }
-  }
-
-  /**
-   * Get chat history for a session
-   */
-  getHistory(sessionId = 'default') {
-    return this._getSessionHistory(sessionId);
-  }
 }
 
 module.exports = GeminiService;
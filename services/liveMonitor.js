@@ -0,0 +1,90 @@
+/**
+ * Live Monitor  -  incremental redline and rate-of-change checks for telemetry arriving in frames
+ *
+ * Extends AnomalyDetector so anomalies read exactly like the post-flight ones (same builders,
+ * same summary and event clustering). Only the checks that make sense one sample at a time run:
+ *   - redline         every new value against the profile limits
+ *   - rate-of-change  per-second rate against MULT x the average |rate| seen so far; nothing is
+ *                     flagged until MIN_RATES rates have been seen, and steps longer than
+ *                     GAP_FACTOR x the sample step are skipped like the batch detector does
+ * Redline anomalies carry onset: true on the first sample of an excursion so clients can alert
+ * once rather than on every sample. The full detector suite runs when the session ends.
+ */
+
+const { AnomalyDetector } = require('./anomalyDetector');
+const { resolveDetectors } = require('./detectorRegistry');
+const { medianStep } = require('./timeSeries');
+
+const MIN_RATES = 20;
+const STEP_SAMPLES = 50;
+
+class LiveMonitor extends AnomalyDetector {
+  /**
+   * options as AnomalyDetector (redlines, detectors, detectorParams, clusterWindow)
+   */
+  constructor(options = {}) {
+    super([], options);
+    const selected = resolveDetectors(this.detectorNames);
+    const rate = selected.find(d => d.name === 'rate-of-change');
+    this.checkRedlines = selected.some(d => d.name === 'redline');
+    this.rateParams = rate ? { ...rate.parameters, ...(this.detectorParams[rate.name] || {}) } : null;
+    this.detectorsRun = [this.checkRedlines && 'redline', rate && 'rate-of-change'].filter(Boolean);
+    this.stepTimes = [];   // the first STEP_SAMPLES + 1 sample times
+    this.sampleStep = null;
+    this.params = {};   // param -> { prev, prevTime, rateSum, rateCount, inViolation }
+  }
+
+  /**
+   * Check row i (a plain row object) against the rows seen before it; returns new anomalies
+   */
+  check(row, i) {
+    const t = row.mission_time_s;
+    const out = [];
+    if (this.stepTimes.length <= STEP_SAMPLES) {
+      this.stepTimes.push(t);
+      this.sampleStep = medianStep(this.stepTimes);
+    }
+
+    for (const [param, lim] of Object.entries(this.redlines)) {
+      const v = row[param];
+      if (typeof v !== 'number' || isNaN(v)) continue;
+      const state = this.params[param] ||= { prev: null, prevTime: null, rateSum: 0, rateCount: 0, inViolation: false };
+
+      if (this.checkRedlines) {
+        const a = this._redlineViolation(param, lim, row, i);
+        if (a) out.push({ ...a, detector: 'redline', onset: !state.inViolation });
+        state.inViolation = !!a;
+      }
+
+      if (this.rateParams && state.prev !== null && this.sampleStep) {
+        const dt = t - state.prevTime;
+        if (dt > 0 && dt <= this.sampleStep * this.rateParams.GAP_FACTOR) {
+          const roc = Math.abs((v - state.prev) / dt);
+          if (state.rateCount >= MIN_RATES) {
+            const avg = state.rateSum / state.rateCount;
+            const threshold = avg * this.rateParams.MULT;
+            if (threshold > 0 && roc > threshold) out.push({ ...this._rapidChange(param, lim, state.prev, row, i, dt, threshold, avg), detector: 'rate-of-change' });
+          }
+          state.rateSum += roc;
+          state.rateCount++;
+        }
+      }
+      if (!(state.prevTime !== null && t <= state.prevTime)) {
+        state.prev = v;
+        state.prevTime = t;
+      }
+    }
+
+    this._assignIds(out);
+    for (const a of out) this.anomalies.push(a);
+    return out;
+  }
+
+  /* Summary in the post-flight shape, re-clustering the anomalies seen so far */
+  getSummary() {
+    this._clusterAnomalies();
+    return super.getSummary();
+  }
+}
+
+module.exports = LiveMonitor;
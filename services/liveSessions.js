@@ -0,0 +1,189 @@
+/**
+ * Live Sessions  -  datasets that grow while telemetry frames arrive
+ *
+ * A session is a registry dataset with a `live` record. Frames are JSON rows with a numeric
+ * mission_time_s that never goes backwards; each accepted frame is appended to the dataset's
+ * table, checked by a LiveMonitor and passed to subscribers (the SSE stream route) as
+ * `samples` and `anomalies` messages. Summary and stats are refreshed at most once a second.
+ *
+ * Derived channels, data quality and the full detector suite run once, when the session ends.
+ */
+
+const registry = require('./datasetRegistry');
+const redlineProfiles = require('./redlineProfiles');
+const detectionConfig = require('./detectionConfig');
+const CSVParser = require('./csvParser');
+const TelemetryTable = require('./telemetryTable');
+const LiveMonitor = require('./liveMonitor');
+const anomalyReviews = require('./anomalyReviews');
+const { cellValue } = require('./telemetryIngest');
+
+const MAX_FRAMES = 5000;            // per request
+const SUMMARY_INTERVAL_MS = 1000;
+
+const sessions = new Map();         // dataset id -> { monitor, acc, listeners, profileFixed, summarisedAt, timer }
+
+function newMonitor(ds) {
+  const profile = redlineProfiles.getProfile(ds.redlineProfileId) || redlineProfiles.getProfile();
+  ds.redlineProfileId = profile.id;
+  return new LiveMonitor({ redlines: profile.limits, ...detectionConfig.detectorOptions(ds.detectionConfig) });
+}
+
+/**
+ * Open a session ({ name?, redlineProfileId?, detectionConfig? }) and return its dataset.
+ * Without a profile, the one matching the first frame's columns is used. Throws on invalid input.
+ */
+function startSession({ name, redlineProfileId = null, detectionConfig: config } = {}) {
+  if (redlineProfileId && !redlineProfiles.getProfile(redlineProfileId)) throw new Error(`Redline profile not found: ${redlineProfileId}`);
+  const cfg = detectionConfig.normaliseConfig(config);
+  const startedAt = new Date().toISOString();
+  const ds = registry.addDataset(name || `live-${startedAt.slice(0, 19).replace(/:/g, '')}`, new TelemetryTable(['mission_time_s']), {
+    redlineProfileId,
+    detectionConfig: cfg,
+    format: { format: 'live', gzip: false },
+    live: { status: 'live', startedAt, endedAt: null, frames: 0, rejected: 0 },
+  });
+  const session = { acc: CSVParser.createAccumulator(), listeners: new Set(), profileFixed: !!redlineProfileId, summarisedAt: 0, timer: null };
+  session.monitor = newMonitor(ds);
+  sessions.set(ds.id, session);
+  ds.runningStats = session.acc.runningStats;
+  ds.preview = session.acc.preview;
+  ds.anomalies = session.monitor.anomalies;
+  summarise(ds, session);
+  return ds;
+}
+
+function getSession(id) {
+  return sessions.has(id) ? registry.getDataset(id) : null;
+}
+
+function listSessions() {
+  return [...sessions.keys()].map(id => registry.describeDataset(registry.getDataset(id)));
+}
+
+/* Reason a frame cannot be appended after time `last`, or null */
+function frameError(frame, last) {
+  if (!frame || typeof frame !== 'object' || Array.isArray(frame)) return 'frame must be an object';
+  const t = cellValue(frame.mission_time_s);
+  if (typeof t !== 'number' || !Number.isFinite(t)) return 'mission_time_s must be a number';
+  if (t < last) return `mission_time_s ${t} is before the last sample (${last})`;
+  return null;
+}
+
+/**
+ * Append frames (one object or an array) to a live session.
+ * Returns { accepted, rejected: [{ index, reason }], anomalies, records }, or null for an unknown session.
+ */
+function appendFrames(id, frames) {
+  const session = sessions.get(id);
+  const ds = registry.getDataset(id);
+  if (!session || !ds) return null;
+  if (ds.live.status !== 'live') throw new Error('Live session has ended');
+  const list = Array.isArray(frames) ? frames : [frames];
+  if (list.length > MAX_FRAMES) throw new Error(`At most ${MAX_FRAMES} frames per request`);
+
+  const table = ds.table;
+  const samples = [], found = [], rejected = [];
+  let last = table.length ? table.get('mission_time_s', table.length - 1) : -Infinity;
+  list.forEach((frame, index) => {
+    const reason = frameError(frame, last);
+    if (reason) { rejected.push({ index, reason }); return; }
+    if (!session.profileFixed) {
+      ds.redlineProfileId = redlineProfiles.matchProfile(Object.keys(frame));
+      session.monitor = newMonitor(ds);
+      ds.anomalies = session.monitor.anomalies;
+      session.profileFixed = true;
+    }
+    const row = {};
+    for (const [k, v] of Object.entries(frame)) row[k] = cellValue(v);
+    table.append(row);
+    const i = table.length - 1;
+    CSVParser.accumulate(table, i, session.acc);
+    const sample = table.row(i);
+    samples.push(sample);
+    /* Like the batch detectors, negative mission times (pre-launch) are not checked */
+    if (sample.mission_time_s >= 0) found.push(...session.monitor.check(sample, i));
+    last = sample.mission_time_s;
+  });
+
+  ds.live.frames += samples.length;
+  ds.live.rejected += rejected.length;
+  scheduleSummary(ds, session);
+  if (samples.length) emit(session, 'samples', { rows: samples, records: table.length });
+  if (found.length) emit(session, 'anomalies', { anomalies: found, total: ds.anomalies.length });
+  return { accepted: samples.length, rejected, anomalies: found.length, records: table.length };
+}
+
+function summarise(ds, session) {
+  session.summarisedAt = Date.now();
+  ds.summary = session.monitor.getSummary();
+  anomalyReviews.annotate(ds);
+  ds.stats = CSVParser.getTableStats(ds.table, ds.runningStats);
+}
+
+/* Refresh summary and stats now, or once the interval has passed if they were refreshed recently */
+function scheduleSummary(ds, session) {
+  if (session.timer) return;
+  const wait = session.summarisedAt + SUMMARY_INTERVAL_MS - Date.now();
+  if (wait <= 0) return summarise(ds, session);
+  session.timer = setTimeout(() => {
+    session.timer = null;
+    if (sessions.has(ds.id)) summarise(ds, session);
+  }, wait);
+  session.timer.unref();
+}
+
+/**
+ * Subscribe to a session's messages: listener(event, data) for samples, anomalies and end.
+ * Returns an unsubscribe function, or null for an unknown session.
+ */
+function subscribe(id, listener) {
+  const session = sessions.get(id);
+  if (!session) return null;
+  session.listeners.add(listener);
+  return () => session.listeners.delete(listener);
+}
+
+function emit(session, event, data) {
+  for (const listener of session.listeners) listener(event, data);
+}
+
+/**
+ * Stop accepting frames. `finalise(ds)` runs the post-flight analysis before subscribers
+ * get the `end` message. Returns the dataset, or null for an unknown session.
+ */
+function endSession(id, finalise) {
+  const session = sessions.get(id);
+  const ds = registry.getDataset(id);
+  if (!session || !ds) return null;
+  if (ds.live.status !== 'live') throw new Error('Live session has ended');
+  clearTimeout(session.timer);
+  ds.live.status = 'ended';
+  ds.live.endedAt = new Date().toISOString();
+  if (finalise) finalise(ds);
+  else summarise(ds, session);
+  emit(session, 'end', registry.describeDataset(ds));
+  session.listeners.clear();
+  sessions.delete(id);
+  return ds;
+}
+
+/* Close a session whose dataset is being deleted */
+function discardSession(id) {
+  const session = sessions.get(id);
+  if (!session) return false;
+  clearTimeout(session.timer);
+  emit(session, 'end', { id, deleted: true });
+  return sessions.delete(id);
+}
+
+module.exports = {
+  MAX_FRAMES,
+  startSession,
+  getSession,
+  listSessions,
+  appendFrames,
+  subscribe,
+  endSession,
+  discardSession,
+};
@@ -0,0 +1,138 @@
+/**
+ * LLM Providers  -  which model answers the chat
+ *
+ * A provider service has one method, the contract GeminiService set:
+ *   chat(message, ctx, history, { onText, onTool, signal })
+ *     ->  Promise<{ text, chartRequest, toolCalls: [{ name, args, summary }], cancelled? }>
+ * where ctx is routes/api.js getDataContext() and history the session's earlier messages.
+ * Replies stream through onText(piece) / onTool(call); aborting signal ends them early.
+ *
+ *   gemini  Google Gemini (needs an API key)
+ *   openai  any OpenAI-compatible /chat/completions endpoint, e.g. a locally hosted model
+ *   mock    deterministic offline stand-in (services/mockLlmService.js)
+ *
+ * The selection { provider, model, baseUrl } is chosen in Settings and saved through
+ * services/storage.js ('settings' collection); until then LLM_PROVIDER, LLM_MODEL and
+ * LLM_BASE_URL apply. Each provider has its own encrypted credential: db.getApiKey(<provider>),
+ * falling back to GEMINI_API_KEY / OPENAI_API_KEY from .env.
+ */
+
+const storage = require('./storage');
+const db = require('./database');
+const GeminiService = require('./geminiService');
+const OpenAICompatService = require('./openaiCompatService');
+const MockLlmService = require('./mockLlmService');
+
+const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    defaultModel: 'gemini-2.5-flash',
+    usesKey: true, needsKey: true, usesBaseUrl: false,
+    envKey: 'GEMINI_API_KEY',
+    create: opts => new GeminiService(opts),
+  },
+  openai: {
+    label: 'OpenAI-compatible endpoint',
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    usesKey: true, needsKey: false, usesBaseUrl: true,
+    envKey: 'OPENAI_API_KEY',
+    create: opts => new OpenAICompatService(opts),
+  },
+  mock: {
+    label: 'Mock (deterministic, offline)',
+    defaultModel: 'mock-1',
+    usesKey: false, needsKey: false, usesBaseUrl: false,
+    create: opts => new MockLlmService(opts),
+  },
+};
+
+const PLACEHOLDER_KEYS = ['YOUR_GEMINI_API_KEY_HERE', 'YOUR_OPENAI_API_KEY_HERE'];
+const MAX_MODEL = 200;
+
+function getProvider(name) {
+  return PROVIDERS[name] || null;
+}
+
+/* Stored selection, else the environment's, else Gemini with its default model */
+function getSettings() {
+  const stored = storage.get('settings', 'llm');
+  const provider = stored?.provider || (getProvider(process.env.LLM_PROVIDER) ? process.env.LLM_PROVIDER : 'gemini');
+  const def = PROVIDERS[provider];
+  return {
+    provider,
+    model: stored?.model || (stored ? null : process.env.LLM_MODEL) || def.defaultModel,
+    baseUrl: def.usesBaseUrl ? (stored?.baseUrl || (stored ? null : process.env.LLM_BASE_URL) || def.defaultBaseUrl) : null,
+  };
+}
+
+/**
+ * Select a provider ({ provider, model?, baseUrl? }); blank model/baseUrl mean the defaults.
+ * Throws on invalid input.
+ */
+function saveSettings({ provider, model, baseUrl } = {}) {
+  const def = getProvider(provider);
+  if (!def) throw new Error(`Unknown provider: ${provider} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  if (model !== undefined && model !== null && (typeof model !== 'string' || model.length > MAX_MODEL)) throw new Error(`model must be a string of at most ${MAX_MODEL} characters`);
+  let url = null;
+  if (def.usesBaseUrl && baseUrl) {
+    try { url = new URL(baseUrl); } catch (_) { throw new Error('baseUrl must be a URL, e.g. http://localhost:11434/v1'); }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('baseUrl must be an http(s) URL');
+  }
+  storage.put('settings', 'llm', {
+    provider,
+    model: model?.trim() || null,
+    baseUrl: url ? url.href.replace(/\/+$/, '') : null,
+    updatedAt: new Date().toISOString(),
+  });
+  return getSettings();
+}
+
+/* Credential for a provider: stored key, else its .env variable */
+function apiKeyFor(name) {
+  const def = getProvider(name);
+  if (!def?.usesKey) return null;
+  const envKey = process.env[def.envKey];
+  return db.getApiKey(name) || (envKey && !PLACEHOLDER_KEYS.includes(envKey) ? envKey : null);
+}
+
+/**
+ * Public listing for Settings (no functions, no keys)
+ */
+function listProviders() {
+  return Object.entries(PROVIDERS).map(([name, p]) => {
+    const envKey = p.usesKey && process.env[p.envKey];
+    return {
+      name,
+      label: p.label,
+      defaultModel: p.defaultModel,
+      defaultBaseUrl: p.defaultBaseUrl || null,
+      usesKey: p.usesKey,
+      needsKey: p.needsKey,
+      usesBaseUrl: p.usesBaseUrl,
+      keyConfigured: p.usesKey ? !!(db.getApiKeyStatus(name) || (envKey && !PLACEHOLDER_KEYS.includes(envKey))) : false,
+    };
+  });
+}
+
+/**
+ * Service for the selected provider: { name, model, service }, or { name, model, service: null, reason }
+ * when it cannot run (no key for a provider that needs one).
+ */
+function createProvider() {
+  const { provider: name, model, baseUrl } = getSettings();
+  const def = PROVIDERS[name];
+  const apiKey = apiKeyFor(name);
+  if (def.needsKey && !apiKey) return { name, model, service: null, reason: `No ${def.label} API key` };
+  return { name, model, service: def.create({ apiKey, model, baseUrl }) };
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  getSettings,
+  saveSettings,
+  apiKeyFor,
+  listProviders,
+  createProvider,
+};
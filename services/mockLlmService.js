@@ -0,0 +1,66 @@
+/**
+ * Mock AI Service  -  deterministic stand-in for an LLM (provider 'mock')
+ * Needs no key or network, and answers the same message the same way every time, so the chat
+ * flow (history, tool calls, chart requests, persistence) can be exercised in tests and demos.
+ *
+ *   - every column named in the message gets a window_stats call, and a chart of those columns
+ *   - "T+a" ... "T+b" in the message narrows the window
+ *   - a message mentioning anomalies gets a list_anomalies call (first 5)
+ * The reply is streamed word by word, with the chart as a <chart> block like a real model's.
+ */
+
+const { runTool } = require('./analystTools');
+const { splitChart } = require('./analystPrompt');
+
+const STREAM_DELAY_MS = 15;   // per word, so streaming and cancelling can be watched
+
+class MockLlmService {
+  constructor({ model = 'mock-1' } = {}) {
+    this.modelName = model;
+  }
+
+  async chat(message, ctx, history = [], { onText, onTool, signal } = {}) {
+    const toolCalls = [];
+    const call = (name, args) => {
+      const { result, summary } = runTool(ctx, name, args);
+      toolCalls.push({ name, args, summary });
+      onTool?.(toolCalls[toolCalls.length - 1]);
+      return result;
+    };
+    const lines = [`**[${this.modelName}]** ${history.length} earlier messages in this session.`];
+    let chartRequest = null;
+
+    const columns = (ctx.table?.columns || []).filter(c => c !== 'mission_time_s' && message.toLowerCase().includes(c.toLowerCase()));
+    const times = [...message.matchAll(/T\+\s*(\d+(?:\.\d+)?)/gi)].map(m => Number(m[1]));
+    const window = times.length >= 2 ? { startTime: Math.min(...times), endTime: Math.max(...times) } : {};
+
+    if (columns.length) {
+      const { stats = {}, error } = call('window_stats', { params: columns, ...window });
+      if (error) lines.push(`Error: ${error}`);
+      for (const [p, s] of Object.entries(stats)) {
+        lines.push(s.count ? `- ${p}: min ${s.min} (T+${s.minAt}), max ${s.max} (T+${s.maxAt}), mean ${s.mean}` : `- ${p}: no numeric samples`);
+      }
+      chartRequest = { type: 'line', params: columns, title: columns.join(', '), highlightAnomalies: true };
+      if (window.startTime !== undefined) chartRequest.timeRange = [window.startTime, window.endTime];
+    }
+    if (/anomal/i.test(message)) {
+      const { total = 0, anomalies = [] } = call('list_anomalies', { ...window, limit: 5 });
+      lines.push(`${total} anomalies${anomalies.length ? `; first ${anomalies.length}:` : '.'}`);
+      for (const a of anomalies) lines.push(`- ${a.id} ${a.severity} T+${a.missionTime} ${a.type} on ${a.parameter}`);
+    }
+    if (lines.length === 1) lines.push('Name a column or ask about anomalies for a tool-backed answer.');
+
+    if (chartRequest) lines.push(`<chart>${JSON.stringify(chartRequest)}</chart>`);
+
+    let raw = '';
+    for (const piece of lines.join('\n').match(/\S+\s*/g)) {
+      if (signal?.aborted) return { ...splitChart(raw), toolCalls, cancelled: true };
+      raw += piece;
+      onText?.(piece);
+      await new Promise(resolve => setTimeout(resolve, STREAM_DELAY_MS));
+    }
+    return { ...splitChart(raw), toolCalls };
+  }
+}
+
+module.exports = MockLlmService;
@@ -0,0 +1,469 @@
+/**
+ * Offline Analyst  -  answers questions about the loaded dataset without an LLM
+ * routes/chatbot.js uses it whenever no AI provider can run. A question is read for
+ *   columns  column name, label or a common synonym ("speed", "mach", "height")
+ *   events   mission events by label ("MECO", "Max Q", "stage separation")
+ *   window   "between T+100 and T+150", "from 100 to 150 s", "after T+60", "before MECO", "around Max Q"
+ * and answered by the first matching intent: anomalies, compare, extreme (max/min/peak/when),
+ * stats, value at a time, events, a plain column, overview, else help.
+ *
+ * Figures come from the analyst tools (analystTools.js), so the transcript shows the same tool
+ * calls an LLM provider would make. Returns { text, chartRequest, toolCalls } like a provider.
+ */
+
+const { runTool } = require('./analystTools');
+const { EVENT_LABELS } = require('./eventDetector');
+
+const AROUND_S = 10;        // "around MECO" means ±10 s
+const COMPARE_SPAN_S = 30;  // "before and after MECO" compares 30 s either side
+const CHART_PAD_S = 30;     // context shown either side of a single moment
+const MAX_LISTED = 15;      // anomaly rows written out in full
+
+/* Extra names for columns and events, beyond their own names and labels */
+const COLUMN_SYNONYMS = {
+  speed: 'velocity_ms',
+  height: 'altitude_km',
+  pitch: 'angle_deg',
+  mach: 'mach_number',
+  accel: 'acceleration_ms2',
+  'g load': 'acceleration_ms2',
+  downrange: 'downrange_distance_km',
+};
+const EVENT_SYNONYMS = {
+  'max-q': 'maxq',
+  maxq: 'maxq',
+  'max dynamic pressure': 'maxq',
+  'main engine cutoff': 'meco',
+  'main engine cut-off': 'meco',
+  'stage separation': 'stage_sep',
+  staging: 'stage_sep',
+  ses1: 'ses1',
+  'second engine start': 'ses1',
+  'throttle bucket': 'throttle_bucket',
+};
+/* Names for the stretch between two mission events; "during the throttle bucket" means all of it */
+const EVENT_SPANS = {
+  throttle_bucket: { label: 'Throttle Bucket', from: 'throttle_down_start', to: 'throttle_down_end' },
+};
+
+const SEVERITIES = ['CRITICAL', 'WARNING', 'CAUTION'];
+
+/* "T+145", "145 s", "145" or an event placeholder "@meco" / "the @meco" */
+const REF = String.raw`(?:the\s+)?(@\w+|t\s*\+\s*-?\d+(?:\.\d+)?|-?\d+(?:\.\d+)?)(?:\s*(?:s|secs?|seconds)\b)?`;
+const RANGE_RE = new RegExp(String.raw`(?:between|from)\s+${REF}\s*(?:and|to|-|–|until)\s*${REF}`, 'g');
+const TPLUS_RANGE_RE = new RegExp(String.raw`(t\s*\+\s*-?\d+(?:\.\d+)?)(?:\s*s)?\s*(?:-|–|to)\s*${REF}`, 'g');
+const AFTER_RE = new RegExp(String.raw`\b(?:after|since|from)\s+${REF}`);
+const BEFORE_RE = new RegExp(String.raw`\b(?:before|until|till|prior to|up to)\s+${REF}`);
+const AROUND_RE = new RegExp(String.raw`\b(?:around|near|during|about)\s+${REF}`);
+const AT_RE = new RegExp(String.raw`\bat\s+${REF}`);
+
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const fmt = v => (typeof v === 'number' && Number.isFinite(v) ? String(+v.toPrecision(5)) : '-');
+
+/* ---------------- reading the question ---------------- */
+
+function labelOf(ctx, c) {
+  return ctx.redlines[c]?.label || c.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+function unitOf(ctx, c) {
+  const u = ctx.redlines[c]?.unit;
+  return u ? ` ${u}` : '';
+}
+
+/* [alias, value] pairs, longest alias first so "velocity rate" wins over "velocity" */
+function columnAliases(ctx) {
+  const numeric = new Set(ctx.table.numericColumns());
+  const pairs = [];
+  for (const c of ctx.table.columns) {
+    if (c === 'mission_time_s' || !numeric.has(c)) continue;
+    const words = c.split('_');
+    pairs.push([c.toLowerCase(), c], [words.join(' ').toLowerCase(), c]);
+    if (words.length > 1) pairs.push([words.slice(0, -1).join(' ').toLowerCase(), c]);
+    const label = ctx.redlines[c]?.label;
+    if (label) pairs.push([label.replace(/\s*\(.*?\)/g, '').toLowerCase(), c]);
+  }
+  for (const [alias, c] of Object.entries(COLUMN_SYNONYMS)) if (numeric.has(c)) pairs.push([alias, c]);
+  return pairs.sort((a, b) => b[0].length - a[0].length);
+}
+
+function eventAliases() {
+  const pairs = Object.entries(EVENT_LABELS).map(([key, label]) => [label.toLowerCase(), key]);
+  for (const key of Object.keys(EVENT_LABELS)) pairs.push([key.replace(/_/g, ' '), key]);
+  pairs.push(...Object.entries(EVENT_SYNONYMS));
+  return pairs.sort((a, b) => b[0].length - a[0].length);
+}
+
+/*
+ * Lower-case the question and replace event names with @key placeholders, so "max q" is not
+ * read as "max" and times can refer to events. Returns { text, events: [keys in order] }.
+ */
+function markEvents(message) {
+  let text = ` ${message.toLowerCase()} `;
+  const events = [];
+  for (const [alias, key] of eventAliases()) {
+    const re = new RegExp(String.raw`(^|[^\w@])${escapeRe(alias)}(?![\w])`, 'g');
+    text = text.replace(re, (_, pre) => {
+      if (!events.includes(key)) events.push(key);
+      return `${pre}@${key}`;
+    });
+  }
+  return { text, events };
+}
+
+/* Columns named in the question, in the order they appear */
+function findColumns(ctx, text) {
+  let rest = text.replace(/@\w+/g, ' ');
+  const found = [];
+  for (const [alias, c] of columnAliases(ctx)) {
+    const re = new RegExp(String.raw`(^|[^\w])${escapeRe(alias)}(?=[^\w]|$)`, 'g');
+    rest = rest.replace(re, (m, pre, offset) => {
+      found.push({ c, at: offset });
+      return pre + ' '.repeat(m.length - pre.length);
+    });
+  }
+  return [...new Set(found.sort((a, b) => a.at - b.at).map(f => f.c))];
+}
+
+function detectedEvent(ctx, key) {
+  const ev = ctx.missionEvents[key];
+  if (!ev) throw new Error(`${EVENT_LABELS[key] || key} was not detected in this dataset.`);
+  return ev;
+}
+
+/*
+ * Mission-time span { start, end, label? } of a reference: one instant for a time or an event,
+ * start to end for an EVENT_SPANS name. Throws for an event this dataset did not detect.
+ */
+function refSpan(ctx, ref) {
+  if (!ref.startsWith('@')) {
+    const t = Number(ref.replace(/^t\s*\+\s*/, ''));
+    return { start: t, end: t };
+  }
+  const key = ref.slice(1);
+  const pair = EVENT_SPANS[key];
+  if (pair) return { start: detectedEvent(ctx, pair.from).time, end: detectedEvent(ctx, pair.to).time, label: pair.label };
+  const ev = detectedEvent(ctx, key);
+  return { start: ev.time, end: ev.time, label: ev.label };
+}
+
+/*
+ * Time window of the question: { startTime?, endTime?, at?, ranges: [{ startTime, endTime }] }.
+ * ranges holds every explicit range, for "compare ... T+0-60 and T+100-160".
+ */
+function findWindow(ctx, text) {
+  const ranges = [];
+  for (const re of [RANGE_RE, TPLUS_RANGE_RE]) {
+    for (const m of text.matchAll(re)) {
+      /* "from T+100 to T+150" matches both patterns */
+      if (ranges.some(r => m.index >= r.index && m.index < r.end)) continue;
+      const a = refSpan(ctx, m[1]).start, b = refSpan(ctx, m[2]).end;
+      ranges.push({ startTime: Math.min(a, b), endTime: Math.max(a, b), index: m.index, end: m.index + m[0].length });
+    }
+  }
+  ranges.sort((x, y) => x.index - y.index);
+  if (ranges.length) return { startTime: ranges[0].startTime, endTime: ranges[0].endTime, ranges };
+
+  const win = { ranges };
+  const around = text.match(AROUND_RE);
+  if (around) {
+    const { start, end } = refSpan(ctx, around[1]);
+    if (end > start) return { ...win, startTime: start, endTime: end };
+    return { ...win, startTime: start - AROUND_S, endTime: start + AROUND_S, around: start };
+  }
+  const after = text.match(AFTER_RE), before = text.match(BEFORE_RE);
+  if (after) win.startTime = refSpan(ctx, after[1]).end;
+  if (before) win.endTime = refSpan(ctx, before[1]).start;
+  const at = text.match(AT_RE);
+  if (at && !after && !before) win.at = refSpan(ctx, at[1]).start;
+  return win;
+}
+
+function describeWindow(w) {
+  if (w.around !== undefined) return ` around T+${fmt(w.around)} s`;
+  if (w.startTime !== undefined && w.endTime !== undefined) return ` between T+${fmt(w.startTime)} and T+${fmt(w.endTime)} s`;
+  if (w.startTime !== undefined) return ` after T+${fmt(w.startTime)} s`;
+  if (w.endTime !== undefined) return ` before T+${fmt(w.endTime)} s`;
+  return ' over the whole record';
+}
+
+const span = w => ({
+  ...(w.startTime !== undefined ? { startTime: w.startTime } : {}),
+  ...(w.endTime !== undefined ? { endTime: w.endTime } : {}),
+});
+
+function chart(params, title, timeRange) {
+  return {
+    type: 'line',
+    params,
+    title,
+    ...(timeRange ? { timeRange: timeRange.map(t => +fmt(t)) } : {}),
+    highlightAnomalies: true,
+  };
+}
+
+/* Chart range clipped to the record; no chart when the window holds no data */
+function fitChart(ctx, chartRequest) {
+  if (!chartRequest?.timeRange) return chartRequest;
+  const { table } = ctx;
+  const lo = Math.max(chartRequest.timeRange[0], table.get('mission_time_s', 0));
+  const hi = Math.min(chartRequest.timeRange[1], table.get('mission_time_s', table.length - 1));
+  return lo <= hi ? { ...chartRequest, timeRange: [lo, hi] } : null;
+}
+
+function chartRange(ctx, w) {
+  if (w.startTime === undefined && w.endTime === undefined) return null;
+  const { table } = ctx;
+  return [w.startTime ?? table.get('mission_time_s', 0), w.endTime ?? table.get('mission_time_s', table.length - 1)];
+}
+
+/* ---------------- answers ---------------- */
+
+function anomaliesAnswer(ctx, q, run) {
+  if (!ctx.summary) return { text: 'Anomaly detection has not run on this dataset yet.' };
+  const severity = SEVERITIES.find(s => q.text.includes(s.toLowerCase()));
+  const types = [...new Set([...ctx.anomalies, ...ctx.suppressed].map(a => a.type))];
+  const type = types.find(t => q.text.includes(t.toLowerCase())) || (/redline/.test(q.text) ? 'Redline Violation' : undefined);
+  const event = q.text.match(/evt-\d+/)?.[0].toUpperCase();
+  const includeSuppressed = /suppress/.test(q.text);
+  const base = { ...span(q.window), severity, type, event, includeSuppressed: includeSuppressed || undefined };
+  Object.keys(base).forEach(k => base[k] === undefined && delete base[k]);
+
+  /* One call per named column; list_anomalies filters on a single parameter */
+  const results = q.columns.length
+    ? q.columns.map(parameter => run('list_anomalies', { ...base, parameter }))
+    : [run('list_anomalies', base)];
+  const error = results.find(r => r.error)?.error;
+  if (error) return { text: `Could not list anomalies: ${error}` };
+  const total = results.reduce((n, r) => n + r.total, 0);
+  const list = results.flatMap(r => r.anomalies).sort((a, b) => a.missionTime - b.missionTime);
+
+  const filters = [
+    severity, type && `"${type}"`, 'anomalies',
+    q.columns.length && `on ${q.columns.map(c => labelOf(ctx, c)).join(', ')}`,
+    event && `in ${event}`,
+  ].filter(Boolean).join(' ');
+  const lines = [`## Anomalies`, '', `**${total}** ${filters}${describeWindow(q.window)}${includeSuppressed ? ', suppressed ones included' : ''}.`];
+
+  const filtered = Object.keys(base).length > 0 || q.columns.length > 0;
+  if (!filtered) {
+    const s = ctx.summary;
+    lines.push('', `**By severity:** CRITICAL ${s.bySeverity.CRITICAL}, WARNING ${s.bySeverity.WARNING}, CAUTION ${s.bySeverity.CAUTION} in ${s.totalEvents} events`);
+    lines.push('', '**By type:**', ...Object.entries(s.byType).map(([k, v]) => `- ${k}: ${v}`));
+    lines.push('', '**Most affected:**', ...Object.entries(s.byParameter).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([k, v]) => `- ${k}: ${v}`));
+  }
+  if (list.length) {
+    lines.push('', '| ID | Time | Severity | Type | Parameter | Value |', '|---|---|---|---|---|---|');
+    for (const a of list.slice(0, MAX_LISTED)) {
+      lines.push(`| ${a.id}${a.event ? ` (${a.event})` : ''} | T+${fmt(a.missionTime)} s | ${a.severity} | ${a.type} | ${a.parameter} | ${fmt(a.value)} ${a.unit} |`);
+    }
+    if (total > MAX_LISTED) lines.push('', `…and ${total - MAX_LISTED} more. Narrow it down by severity, parameter or time window.`);
+  }
+
+  let params = q.columns;
+  if (!params.length) {
+    const counts = {};
+    for (const a of list) counts[a.parameter] = (counts[a.parameter] || 0) + 1;
+    params = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 2).map(([p]) => p);
+  }
+  let range = chartRange(ctx, q.window);
+  if (!range && list.length && filtered) range = [list[0].missionTime - AROUND_S, list[list.length - 1].missionTime + AROUND_S];
+  return {
+    text: lines.join('\n'),
+    chartRequest: params.length ? chart(params, filters.charAt(0).toUpperCase() + filters.slice(1), range) : null,
+  };
+}
+
+function compareAnswer(ctx, q, run) {
+  let a, b, how;
+  if (q.window.ranges.length >= 2) {
+    [a, b] = q.window.ranges;
+    how = `T+${fmt(a.startTime)}–${fmt(a.endTime)} s vs T+${fmt(b.startTime)}–${fmt(b.endTime)} s`;
+  } else {
+    const pivotRef = q.text.match(new RegExp(String.raw`before and after\s+${REF}`)) || q.text.match(new RegExp(String.raw`(?:before|after|around|at)\s+${REF}`));
+    const key = pivotRef?.[1] || (q.events[0] && `@${q.events[0]}`);
+    if (!key) return { text: 'Compare what? Name two windows ("compare velocity between T+0 and T+60 and between T+100 and T+160") or an event ("compare velocity before and after MECO").' };
+    const pivot = refSpan(ctx, key);
+    a = { startTime: pivot.start - COMPARE_SPAN_S, endTime: pivot.start };
+    b = { startTime: pivot.end, endTime: pivot.end + COMPARE_SPAN_S };
+    const when = pivot.end > pivot.start ? `T+${fmt(pivot.start)}–${fmt(pivot.end)} s` : `T+${fmt(pivot.start)} s`;
+    how = `${COMPARE_SPAN_S} s before vs ${COMPARE_SPAN_S} s after ${pivot.label ? `${pivot.label} (${when})` : when}`;
+  }
+  const res = run('compare_windows', { params: q.columns, a: span(a), b: span(b) });
+  if (res.error) return { text: `Could not compare: ${res.error}` };
+
+  const lines = [`## Comparison: ${how}`, '', '| Parameter | Mean A | Mean B | Δ mean | Min A → B | Max A → B |', '|---|---|---|---|---|---|'];
+  for (const [p, r] of Object.entries(res.comparison)) {
+    const u = unitOf(ctx, p);
+    if (!r.a.count || !r.b.count) { lines.push(`| ${labelOf(ctx, p)} | ${r.a.count ? fmt(r.a.mean) : 'no data'} | ${r.b.count ? fmt(r.b.mean) : 'no data'} | - | - | - |`); continue; }
+    const pct = r.a.mean ? ` (${r.change.mean >= 0 ? '+' : ''}${fmt((r.change.mean / Math.abs(r.a.mean)) * 100)} %)` : '';
+    lines.push(`| ${labelOf(ctx, p)} | ${fmt(r.a.mean)}${u} | ${fmt(r.b.mean)}${u} | ${r.change.mean >= 0 ? '+' : ''}${fmt(r.change.mean)}${u}${pct} | ${fmt(r.a.min)} → ${fmt(r.b.min)} | ${fmt(r.a.max)} → ${fmt(r.b.max)} |`);
+  }
+  lines.push('', `Window A: ${res.a.rows} samples, window B: ${res.b.rows} samples.`);
+  const lo = Math.min(a.startTime, b.startTime), hi = Math.max(a.endTime, b.endTime);
+  return { text: lines.join('\n'), chartRequest: chart(q.columns, `${q.columns.map(c => labelOf(ctx, c)).join(', ')} - ${how}`, [lo, hi]) };
+}
+
+function extremeAnswer(ctx, q, run) {
+  const wantMin = /\b(min|minimum|lowest|smallest|least|bottom(ed)?)\b/.test(q.text);
+  const wantMax = /\b(max|maximum|peak(ed|s)?|highest|largest|greatest|most|top(ped)?)\b/.test(q.text);
+  const res = run('window_stats', { params: q.columns, ...span(q.window) });
+  if (res.error) return { text: `Could not compute: ${res.error}` };
+
+  const lines = [`## ${wantMin && !wantMax ? 'Minimum' : wantMax && !wantMin ? 'Maximum' : 'Extremes'}${describeWindow(q.window)}`, ''];
+  const times = [];
+  for (const [p, s] of Object.entries(res.stats)) {
+    const u = unitOf(ctx, p);
+    if (!s.count) { lines.push(`- **${labelOf(ctx, p)}**: no numeric samples in this window`); continue; }
+    if (wantMax || !wantMin) { lines.push(`- **${labelOf(ctx, p)}** peaked at **${fmt(s.max)}${u}** at **T+${fmt(s.maxAt)} s**`); times.push(s.maxAt); }
+    if (wantMin || !wantMax) { lines.push(`- **${labelOf(ctx, p)}** was lowest at **${fmt(s.min)}${u}** at **T+${fmt(s.minAt)} s**`); times.push(s.minAt); }
+  }
+  const near = times.length && nearestEvent(ctx, times[0]);
+  if (near) lines.push('', `Nearest mission event: ${near.label} at T+${fmt(near.time)} s (${fmt(Math.abs(times[0] - near.time))} s ${times[0] >= near.time ? 'after' : 'before'}).`);
+  lines.push('', `Window: ${res.window.rows} samples${res.window.rows ? `, T+${fmt(res.window.startTime)}–${fmt(res.window.endTime)} s` : ''}.`);
+
+  const range = chartRange(ctx, q.window) || (times.length ? [Math.min(...times) - CHART_PAD_S, Math.max(...times) + CHART_PAD_S] : null);
+  return { text: lines.join('\n'), chartRequest: chart(q.columns, q.columns.map(c => labelOf(ctx, c)).join(', '), range) };
+}
+
+function statsAnswer(ctx, q, run) {
+  const res = run('window_stats', { params: q.columns, ...span(q.window) });
+  if (res.error) return { text: `Could not compute: ${res.error}` };
+  const lines = [`## Statistics${describeWindow(q.window)}`, '', '| Parameter | Min | Max | Mean | Std | First → Last |', '|---|---|---|---|---|---|'];
+  for (const [p, s] of Object.entries(res.stats)) {
+    const u = unitOf(ctx, p);
+    if (!s.count) { lines.push(`| ${labelOf(ctx, p)} | - | - | - | - | no data |`); continue; }
+    lines.push(`| ${labelOf(ctx, p)} | ${fmt(s.min)}${u} (T+${fmt(s.minAt)}) | ${fmt(s.max)}${u} (T+${fmt(s.maxAt)}) | ${fmt(s.mean)}${u} | ${fmt(s.std)} | ${fmt(s.first)} → ${fmt(s.last)} |`);
+  }
+  lines.push('', `${res.window.rows} samples${res.window.rows ? `, T+${fmt(res.window.startTime)}–${fmt(res.window.endTime)} s` : ''}.`);
+  return { text: lines.join('\n'), chartRequest: chart(q.columns, q.columns.map(c => labelOf(ctx, c)).join(', '), chartRange(ctx, q.window)) };
+}
+
+function valueAnswer(ctx, q, run) {
+  const { table } = ctx;
+  const t = q.window.at;
+  const i = Math.min(table.lowerBound(t), table.length - 1);
+  const at = table.get('mission_time_s', i);
+  const res = run('get_samples', { params: q.columns, startTime: at, endTime: at, maxPoints: 1 });
+  if (res.error) return { text: `Could not read samples: ${res.error}` };
+  const row = res.rows[0] || {};
+  const lines = [`## Values at T+${fmt(at)} s${at !== t ? ` (first sample at or after T+${fmt(t)} s)` : ''}`, ''];
+  for (const p of q.columns) lines.push(`- **${labelOf(ctx, p)}**: ${fmt(row[p])}${unitOf(ctx, p)}`);
+  return { text: lines.join('\n'), chartRequest: chart(q.columns, q.columns.map(c => labelOf(ctx, c)).join(', '), [at - CHART_PAD_S, at + CHART_PAD_S]) };
+}
+
+function eventsAnswer(ctx, q, run) {
+  const all = Object.entries(ctx.missionEvents).sort((a, b) => a[1].time - b[1].time);
+  const keys = [...new Set(q.events.flatMap(k => (EVENT_SPANS[k] ? [EVENT_SPANS[k].from, EVENT_SPANS[k].to] : [k])))];
+  if (!keys.length) {
+    if (!all.length) return { text: 'No mission events were detected in this dataset.' };
+    const lines = ['## Mission Events', '', '| Event | Time | Confidence |', '|---|---|---|', ...all.map(([, e]) => `| ${e.label} | T+${fmt(e.time)} s | ${e.confidence ?? '-'} |`)];
+    const params = ['velocity_ms', 'altitude_km'].filter(c => ctx.table.column(c));
+    return { text: lines.join('\n'), chartRequest: params.length ? chart(params, 'Mission timeline') : null };
+  }
+  const lines = [];
+  let first = null;
+  for (const key of keys) {
+    const e = ctx.missionEvents[key];
+    if (!e) { lines.push(`- **${EVENT_LABELS[key] || key}** was not detected in this dataset.`); continue; }
+    first ??= e;
+    lines.push(`- **${e.label}** at **T+${fmt(e.time)} s** (confidence ${e.confidence ?? '-'}${e.source && e.source !== 'detected' ? `, ${e.source}` : ''})`);
+  }
+  if (!first) return { text: lines.join('\n') };
+
+  /* "what happened at Max Q": what was flagged around it; for a span such as the throttle bucket, during it */
+  const pair = EVENT_SPANS[q.events[0]];
+  const focus = pair && ctx.missionEvents[pair.from] && ctx.missionEvents[pair.to]
+    ? { start: ctx.missionEvents[pair.from].time, end: ctx.missionEvents[pair.to].time, pad: 0, label: pair.label }
+    : { start: first.time, end: first.time, pad: AROUND_S, label: first.label };
+  const around = { startTime: focus.start - focus.pad, endTime: focus.end + focus.pad };
+  const res = run('list_anomalies', { ...around, limit: MAX_LISTED });
+  if (!res.error && ctx.summary) {
+    const where = focus.pad ? `within ±${AROUND_S} s of ${focus.label}` : `during the ${focus.label} (T+${fmt(focus.start)}–${fmt(focus.end)} s)`;
+    lines.push('', `**${res.total}** anomalies ${where}${res.total ? ':' : '.'}`);
+    for (const a of res.anomalies) lines.push(`- T+${fmt(a.missionTime)} s ${a.severity} ${a.type} on ${a.parameter}${a.event ? ` (${a.event})` : ''}`);
+    if (res.total > res.anomalies.length) lines.push(`- …and ${res.total - res.anomalies.length} more`);
+  }
+  let params = q.columns;
+  if (!params.length) {
+    const counts = {};
+    for (const a of res.anomalies || []) counts[a.parameter] = (counts[a.parameter] || 0) + 1;
+    params = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 2).map(([p]) => p);
+  }
+  if (!params.length) params = ['velocity_ms'].filter(c => ctx.table.column(c));
+  return {
+    text: `## ${keys.map(k => ctx.missionEvents[k]?.label || EVENT_LABELS[k] || k).join(', ')}\n\n${lines.join('\n')}`,
+    chartRequest: params.length ? chart(params, `Around ${focus.label}`, [focus.start - CHART_PAD_S, focus.end + CHART_PAD_S]) : null,
+  };
+}
+
+function nearestEvent(ctx, t) {
+  let best = null;
+  for (const e of Object.values(ctx.missionEvents)) if (!best || Math.abs(e.time - t) < Math.abs(best.time - t)) best = e;
+  return best && Math.abs(best.time - t) <= COMPARE_SPAN_S ? best : null;
+}
+
+function overview(ctx) {
+  const { info, table, summary: s } = ctx;
+  const t0 = table.get('mission_time_s', 0), t1 = table.get('mission_time_s', table.length - 1);
+  const events = Object.values(ctx.missionEvents).sort((a, b) => a.time - b.time).map(e => `${e.label} T+${fmt(e.time)} s`).join(', ');
+  return `## ${info.filename}
+
+**Records:** ${info.records} from T+${fmt(t0)} to T+${fmt(t1)} s
+**Columns:** ${table.numericColumns().filter(c => c !== 'mission_time_s').length} numeric
+**Mission events:** ${events || 'none detected'}
+${s ? `**Anomalies:** ${s.totalAnomalies} in ${s.totalEvents} events (CRITICAL ${s.bySeverity.CRITICAL}, WARNING ${s.bySeverity.WARNING}, CAUTION ${s.bySeverity.CAUTION})` : '**Anomalies:** not analysed'}
+
+${HELP}`;
+}
+
+const HELP = `I answer questions by computing over the loaded telemetry. Try:
+- "max acceleration between T+100 and T+150"
+- "when did dynamic pressure peak"
+- "list CRITICAL anomalies on mach_number"
+- "compare velocity before and after MECO"
+- "average altitude after T+200"
+- "velocity at T+60"
+- "what happened around Max Q"
+
+> This is the offline analyst. Choose an AI provider in Settings for free-form analysis.`;
+
+/**
+ * Answer a question about the dataset in ctx (routes/api.js getDataContext()).
+ * Returns { text, chartRequest, toolCalls }.
+ */
+function answer(message, ctx = {}) {
+  const toolCalls = [];
+  const run = (name, args) => {
+    const { result, summary } = runTool(ctx, name, args);
+    toolCalls.push({ name, args, summary });
+    return result;
+  };
+  const done = ({ text, chartRequest = null }) => ({ text, chartRequest: ctx.table?.length ? fitChart(ctx, chartRequest) : null, toolCalls });
+  if (!ctx.table) return done({ text: 'No dataset is loaded yet. Upload telemetry on the Upload page, then ask me about it.' });
+
+  let q;
+  try {
+    const { text, events } = markEvents(String(message));
+    q = { text, events, columns: findColumns(ctx, text), window: findWindow(ctx, text) };
+  } catch (e) {
+    return done({ text: e.message });
+  }
+  const needColumn = what => done({ text: `Which parameter should I ${what}? For example "${what} velocity${what === 'compare' ? ' before and after MECO' : ''}". Available: ${ctx.table.numericColumns().filter(c => c !== 'mission_time_s').join(', ')}.` });
+
+  try {
+    if (/anomal|issue|problem|alert|violation|fault/.test(q.text)) return done(anomaliesAnswer(ctx, q, run));
+    if (/\b(compare|comparison|versus|vs\.?|difference|differ|change)\b/.test(q.text)) return q.columns.length ? done(compareAnswer(ctx, q, run)) : needColumn('compare');
+    if (/\b(max|maximum|min|minimum|peak(ed|s)?|highest|lowest|largest|smallest|greatest|least|top(ped)?|bottom(ed)?)\b/.test(q.text)) return q.columns.length ? done(extremeAnswer(ctx, q, run)) : needColumn('find the peak of');
+    if (/\b(mean|average|avg|std|deviation|stats|statistics|range|spread)\b/.test(q.text)) return q.columns.length ? done(statsAnswer(ctx, q, run)) : needColumn('summarise');
+    if (q.window.at !== undefined && q.columns.length) return done(valueAnswer(ctx, q, run));
+    if (q.events.length || /\b(events?|timeline|milestones?)\b/.test(q.text)) return done(eventsAnswer(ctx, q, run));
+    if (q.columns.length) return done(statsAnswer(ctx, q, run));
+    if (/\b(overview|summary|summarise|summarize|hello|hi|hey)\b/.test(q.text)) return done({ text: overview(ctx) });
+  } catch (e) {
+    return done({ text: e.message });
+  }
+  return done({ text: HELP });
+}
+
+module.exports = { answer };
@@ -0,0 +1,135 @@
+/**
+ * OpenAI-compatible AI Service  -  the analyst over any /chat/completions endpoint (LLM provider 'openai')
+ * Works with api.openai.com and with locally hosted models behind an OpenAI-style server
+ * (llama.cpp server, Ollama, vLLM, LM Studio ...); point baseUrl at e.g. http://localhost:11434/v1.
+ * The endpoint must support function calling ("tools") for the analyst tools to be used.
+ */
+
+const { TOOLS, runTool } = require('./analystTools');
+const { MAX_TOOL_ROUNDS, buildSystemPrompt, splitChart } = require('./analystPrompt');
+
+const REQUEST_TIMEOUT_MS = 120000;
+
+class OpenAICompatService {
+  constructor({ apiKey = null, model, baseUrl = 'https://api.openai.com/v1' }) {
+    this.apiKey = apiKey;
+    this.modelName = model;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  /* Earlier turns as chat messages */
+  _history(messages) {
+    return messages
+      .filter(m => m.content)
+      .map(m => ({ role: m.role === 'User' ? 'user' : 'assistant', content: m.content }));
+  }
+
+  /*
+   * One streamed completion; returns the assembled assistant message. Text chunks go to onText.
+   * An endpoint that ignores stream: true and answers with plain JSON works too.
+   */
+  async _complete(messages, { onText, signal } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error(`No reply within ${REQUEST_TIMEOUT_MS / 1000} s`)), REQUEST_TIMEOUT_MS);
+    const cancel = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', cancel, { once: true });
+    try {
+      const res = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: this.modelName, messages, tools: TOOLS.map(fn => ({ type: 'function', function: fn })), stream: true }),
+        signal: controller.signal,
+      });
+      if (!res.ok || !/event-stream/.test(res.headers.get('content-type') || '')) {
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(body.error?.message || body.error || `${res.status} ${res.statusText}`);
+        const message = body.choices?.[0]?.message;
+        if (!message) throw new Error('Endpoint returned no choices');
+        if (message.content) onText?.(message.content);
+        return message;
+      }
+
+      const message = { role: 'assistant', content: '', tool_calls: [] };
+      const decoder = new TextDecoder();
+      let buf = '';
+      for await (const bytes of res.body) {
+        buf += decoder.decode(bytes, { stream: true });
+        let nl;
+        while ((nl = buf.indexOf('\n')) >= 0) {
+          const line = buf.slice(0, nl).trim();
+          buf = buf.slice(nl + 1);
+          if (!line.startsWith('data:') || line === 'data: [DONE]') continue;
+          const delta = JSON.parse(line.slice(5)).choices?.[0]?.delta || {};
+          if (delta.content) {
+            message.content += delta.content;
+            onText?.(delta.content);
+          }
+          /* Tool calls arrive in fragments keyed by index: id and name once, arguments piecewise */
+          for (const part of delta.tool_calls || []) {
+            const call = message.tool_calls[part.index ?? 0] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+            if (part.id) call.id = part.id;
+            if (part.function?.name) call.function.name += part.function.name;
+            if (part.function?.arguments) call.function.arguments += part.function.arguments;
+          }
+        }
+      }
+      if (!message.tool_calls.length) delete message.tool_calls;
+      return message;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Same contract as GeminiService.chat(): streams through onText/onTool, stops on signal,
+   * returns { text, chartRequest, toolCalls, cancelled? }
+   */
+  async chat(message, ctx, history = [], { onText, onTool, signal } = {}) {
+    let raw = '';
+    let sep = '';   // text from an earlier turn is kept as its own paragraph
+    const toolCalls = [];
+    const text = piece => {
+      raw += sep + piece;
+      onText?.(sep + piece);
+      sep = '';
+    };
+    try {
+      const messages = [
+        { role: 'system', content: buildSystemPrompt(ctx) },
+        ...this._history(history),
+        { role: 'user', content: message },
+      ];
+
+      let reply = await this._complete(messages, { onText: text, signal });
+      for (let round = 0; round < MAX_TOOL_ROUNDS && reply.tool_calls?.length; round++) {
+        messages.push(reply);
+        for (const call of reply.tool_calls) {
+          let args = {};
+          try { args = JSON.parse(call.function.arguments || '{}'); } catch (_) { /* reported by the tool as missing arguments */ }
+          const { result, summary } = runTool(ctx, call.function.name, args);
+          const entry = { name: call.function.name, args, summary };
+          toolCalls.push(entry);
+          onTool?.(entry);
+          messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+        }
+        sep = raw && !raw.endsWith('\n') ? '\n\n' : '';
+        reply = await this._complete(messages, { onText: text, signal });
+      }
+
+      return { ...splitChart(raw), toolCalls };
+    } catch (error) {
+      if (signal?.aborted) return { ...splitChart(raw), toolCalls, cancelled: true };
+      console.error('OpenAI-compatible API Error:', error.message);
+      return {
+        text: `AI Service Error: ${error.message}. Check the endpoint URL, model and API key in Settings.`,
+        chartRequest: null,
+        toolCalls,
+      };
+    }
+  }
+}
+
+module.exports = OpenAICompatService;
@@ -0,0 +1,144 @@
+/**
+ * Oscillation Detector  -  narrow-band peaks (POGO, combustion instability, cavitation)
+ * Registered with the detector registry like any third-party detector.
+ *
+ * Each parameter is split into 50%-overlapping segments of NFFT samples. A segment is
+ * flagged when a spectral peak is both narrow (RATIO above its neighbouring bins) and
+ * emerging (RATIO above the same bin's median level across the whole record).
+ * Consecutive flagged segments at the same frequency become one anomaly. Tones smaller
+ * than the sample resolution (quantisation steps) or 0.1% of the parameter's range are ignored.
+ */
+
+const SpectrumAnalyzer = require('./spectrumAnalyzer');
+const { medianStep } = require('./timeSeries');
+const { registerDetector } = require('./detectorRegistry');
+
+function detectOscillations(ctx, data, { RATIO, NFFT, MIN_FREQ }) {
+  const out = [];
+  for (const param of Object.keys(ctx.stats)) {
+    /* Rows with a value, as indices into the detector's typed columns */
+    const col = ctx.columns[param];
+    const rows = [];
+    for (let i = 0; i < col.length; i++) if (!isNaN(col[i])) rows.push(i);
+    const nfft = SpectrumAnalyzer.segmentLength(rows.length, NFFT);
+    if (!nfft) continue;
+    const times = rows.map(i => ctx.times[i]);
+    const values = rows.map(i => col[i]);
+    /* A parameter with a value on every row has the detector's own sample step */
+    const fs = 1 / (rows.length === col.length ? ctx.sampleStep : (medianStep(times) ?? 1));
+    const minBin = Math.max(2, Math.ceil(MIN_FREQ * nfft / fs));
+    const minAmplitude = Math.max(sampleResolution(values), (ctx.stats[param].max - ctx.stats[param].min) * 0.001);
+
+    const segments = [];
+    for (let start = 0; start + nfft <= values.length; start += nfft / 2) {
+      segments.push({ start, power: SpectrumAnalyzer.segmentPower(values, start, nfft, fs) });
+    }
+    if (segments.length < 3) continue;
+
+    /* Typical level of each bin over the record: the median of its column of segment powers */
+    const bins = nfft / 2 + 1, n = segments.length;
+    const levels = new Float64Array(bins * n);
+    segments.forEach((s, j) => { for (let k = 0; k < bins; k++) levels[k * n + j] = s.power[k]; });
+    const typical = [];
+    for (let k = 0; k < bins; k++) typical.push(select(levels.subarray(k * n, (k + 1) * n), Math.floor(n / 2)));
+
+    /* Strongest qualifying peak per segment */
+    const hits = [];
+    for (const seg of segments) {
+      let best = null;
+      for (let k = minBin; k < nfft / 2; k++) {
+        const p = seg.power[k];
+        if (p < seg.power[k - 1] || p < seg.power[k + 1]) continue;
+        /* Emergence first: it rules out most bins without sorting their neighbours */
+        if (typical[k] <= 0) continue;
+        const emergence = p / typical[k];
+        if (emergence < RATIO || (best && emergence <= best.emergence)) continue;
+        const floor = SpectrumAnalyzer.localFloor(seg.power, k);
+        if (floor > 0 && p / floor >= RATIO) best = { k, p, emergence };
+      }
+      if (best) hits.push({ ...best, seg });
+    }
+
+    /* Merge overlapping segments that share a frequency (within two bins) */
+    const groups = [];
+    for (const h of hits) {
+      const g = groups[groups.length - 1];
+      if (g && h.seg.start <= g.end && Math.abs(h.k - g.peak.k) <= 2) {
+        g.end = h.seg.start + nfft;
+        if (h.emergence > g.peak.emergence) g.peak = h;
+      } else {
+        groups.push({ start: h.seg.start, end: h.seg.start + nfft, peak: h });
+      }
+    }
+
+    const lim = ctx.redlines[param];
+    for (const g of groups) {
+      const { k, p, emergence, seg } = g.peak;
+      const freq = k * fs / nfft;
+      const db = 10 * Math.log10(emergence);
+      /* Sinusoid amplitude from a Hann-windowed PSD bin */
+      const amplitude = Math.sqrt(3 * p * fs / nfft);
+      if (amplitude < minAmplitude) continue;
+      const mid = seg.start + nfft / 2;
+      const startTime = times[g.start], endTime = times[Math.min(g.end, times.length) - 1];
+      out.push({
+        type: 'Oscillation',
+        severity: db >= 30 ? 'CRITICAL' : db >= 20 ? 'WARNING' : 'CAUTION',
+        parameter: param,
+        paramLabel: lim?.label || param,
+        value: +amplitude.toPrecision(3),
+        frequency: +freq.toFixed(3),
+        powerRatioDb: +db.toFixed(1),
+        startTime,
+        endTime,
+        unit: lim?.unit || '',
+        missionTime: times[mid],
+        index: rows[mid],
+        description: `Narrow-band oscillation in ${lim?.label || param} at ${freq.toFixed(2)} Hz (+${db.toFixed(1)} dB over baseline, ~${+amplitude.toPrecision(3)} ${lim?.unit || ''} amplitude) from T+${startTime}s to T+${endTime}s`,
+      });
+    }
+  }
+  return out;
+}
+
+/* k-th smallest value of a (reordered in place); quickselect, since sorting every bin is slow on long records */
+function select(a, k) {
+  let lo = 0, hi = a.length - 1;
+  while (lo < hi) {
+    const pivot = a[(lo + hi) >> 1];
+    let i = lo, j = hi;
+    while (i <= j) {
+      while (a[i] < pivot) i++;
+      while (a[j] > pivot) j--;
+      if (i <= j) {
+        const t = a[i]; a[i] = a[j]; a[j] = t;
+        i++; j--;
+      }
+    }
+    if (k <= j) hi = j;
+    else if (k >= i) lo = i;
+    else return a[k];
+  }
+  return a[k];
+}
+
+/* Smallest non-zero step between consecutive samples */
+function sampleResolution(values) {
+  let q = Infinity;
+  for (let i = 1; i < values.length; i++) {
+    const d = Math.abs(values[i] - values[i - 1]);
+    if (d > 1e-12 && d < q) q = d;
+  }
+  return isFinite(q) ? q : 0;
+}
+
+registerDetector({
+  name: 'oscillation',
+  label: 'Oscillation',
+  description: 'Narrow-band spectral peaks RATIO times above their surroundings and the record baseline',
+  parameters: { RATIO: 20, NFFT: 64, MIN_FREQ: 0.2 },
+  builtIn: true,
+  detect: detectOscillations,
+});
+
+module.exports = { detectOscillations };
@@ -0,0 +1,128 @@
+/**
+ * Packet Definitions  -  named CCSDS packet layouts (APID -> fields) used to decode binary uploads
+ * The layout format is documented in ccsdsParser.js. Definitions are validated when saved, and
+ * saved ones are kept through services/storage.js.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const CCSDSParser = require('./ccsdsParser');
+
+const DEFAULT_DEFINITION_ID = 'crs16-recorder';
+
+/* Layout written by scripts/generatePackets.js: navigation, aero and rate packets per sample */
+const CRS16_RECORDER = {
+  name: 'CRS-16 Flight Recorder',
+  description: 'Synthetic CCSDS packets produced by scripts/generatePackets.js',
+  byteOrder: 'big',
+  time: { field: 'met' },
+  packets: [
+    {
+      apid: 100,
+      name: 'NAV',
+      fields: [
+        { name: 'met', type: 'u32', scale: 0.001 },
+        { name: 'velocity_ms', type: 'f32' },
+        { name: 'altitude_km', type: 'f32' },
+        { name: 'velocity_y_ms', type: 'f32' },
+        { name: 'velocity_x_ms', type: 'f32' },
+        { name: 'acceleration_ms2', type: 'f32' },
+        { name: 'downrange_distance_km', type: 'f32' },
+        { name: 'angle_deg', type: 'f32' },
+        { name: 'flight_phase', type: 'u8', enum: { 0: 'LIFTOFF', 1: 'POWERED_ASCENT', 2: 'THROTTLE_DOWN', 3: 'MECO', 4: 'COAST', 5: 'STAGE2_BURN' } },
+      ],
+    },
+    {
+      apid: 101,
+      name: 'AERO',
+      fields: [
+        { name: 'met', type: 'u32', scale: 0.001 },
+        { name: 'dynamic_pressure_pa', type: 'f32' },
+        { name: 'mach_number', type: 'u32', scale: 0.0001 },
+      ],
+    },
+    {
+      apid: 102,
+      name: 'RATES',
+      fields: [
+        { name: 'met', type: 'u32', scale: 0.001 },
+        { name: 'jerk_ms3', type: 'f32' },
+        { name: 'altitude_rate_kms', type: 'f32' },
+        { name: 'velocity_rate_ms2', type: 'f32' },
+        { name: 'angle_rate_degs', type: 'f32' },
+      ],
+    },
+  ],
+};
+
+const definitions = new Map();
+let loaded = false;
+
+function store(id, def, builtIn) {
+  CCSDSParser.normaliseDefinition(def);
+  const now = new Date().toISOString();
+  const entry = { id, name: def.name || 'Packet definition', description: def.description || '', definition: def, builtIn, createdAt: now };
+  definitions.set(id, entry);
+  return entry;
+}
+
+store(DEFAULT_DEFINITION_ID, CRS16_RECORDER, true);
+
+/* Stored definitions are read on first use, so the storage driver is chosen before then */
+function all() {
+  if (!loaded) {
+    loaded = true;
+    for (const d of storage.list('packetDefinitions').sort((a, b) => a.createdAt.localeCompare(b.createdAt))) definitions.set(d.id, d);
+  }
+  return definitions;
+}
+
+function listDefinitions() {
+  return [...all().values()].map(d => ({
+    id: d.id,
+    name: d.name,
+    description: d.description,
+    apids: d.definition.packets.map(p => ({ apid: p.apid, name: p.name || `APID ${p.apid}`, fields: p.fields.length })),
+    builtIn: d.builtIn,
+    createdAt: d.createdAt,
+  }));
+}
+
+function getDefinition(id) {
+  return all().get(id || DEFAULT_DEFINITION_ID) || null;
+}
+
+/**
+ * Save a definition (object or JSON string). Throws on invalid layouts.
+ */
+function createDefinition(input) {
+  let def = input;
+  if (typeof def === 'string') {
+    try { def = JSON.parse(def); } catch { throw new Error('Packet definition must be valid JSON'); }
+  }
+  if (!def || typeof def !== 'object' || Array.isArray(def)) throw new Error('Packet definition must be an object');
+  if (!Array.isArray(def.packets)) {
+    def = { ...def, packets: Object.entries(def.packets || {}).map(([apid, p]) => ({ apid: Number(apid), ...p })) };
+  }
+  const entry = store(uuidv4(), def, false);
+  all().set(entry.id, entry);
+  storage.put('packetDefinitions', entry.id, entry);
+  return entry;
+}
+
+function deleteDefinition(id) {
+  const d = all().get(id);
+  if (!d) return false;
+  if (d.builtIn) throw new Error('Built-in packet definitions cannot be deleted');
+  definitions.delete(id);
+  storage.remove('packetDefinitions', id);
+  return true;
+}
+
+module.exports = {
+  DEFAULT_DEFINITION_ID,
+  listDefinitions,
+  getDefinition,
+  createDefinition,
+  deleteDefinition,
+};
@@ -0,0 +1,176 @@
+/**
+ * Redline Profiles  -  named sets of parameter limits used by AnomalyDetector
+ * Profiles can be created, edited, imported and exported as JSON.
+ *
+ * A limit entry: { min, max, unit, label, phases? }
+ *   phases (optional) restricts the check to rows whose flight_phase / test_phase is listed.
+ *
+ * Created profiles, and edits to the built-in ones, are saved through services/storage.js so
+ * datasets analysed with them keep their limits across restarts.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const { REDLINE_LIMITS } = require('./anomalyDetector');
+
+const EXPORT_FORMAT = 'rocket-dla-redline-profile';
+const DEFAULT_PROFILE_ID = 'falcon9-ascent';
+
+/* Static-fire limits for the LOX/RP-1 engine test data from scripts/generateData.js */
+const ENGINE_TEST_LIMITS = {
+  chamber_pressure_psi:        { min: 1350,   max: 1500,   unit: 'psi', label: 'Chamber Pressure', phases: ['MAINSTAGE'] },
+  oxidizer_inlet_pressure_psi: { min: 1580,   max: 1720,   unit: 'psi', label: 'Oxidizer Inlet Pressure', phases: ['MAINSTAGE'] },
+  fuel_inlet_pressure_psi:     { min: 1450,   max: 1590,   unit: 'psi', label: 'Fuel Inlet Pressure', phases: ['MAINSTAGE'] },
+  combustion_temp_F:           { min: 5600,   max: 6100,   unit: 'F',   label: 'Combustion Temperature', phases: ['MAINSTAGE'] },
+  nozzle_exit_temp_F:          { min: 2650,   max: 2950,   unit: 'F',   label: 'Nozzle Exit Temperature', phases: ['MAINSTAGE'] },
+  thrust_lbf:                  { min: 185000, max: 195000, unit: 'lbf', label: 'Thrust', phases: ['MAINSTAGE'] },
+  oxidizer_flow_rate_gps:      { min: 545,    max: 575,    unit: 'g/s', label: 'Oxidizer Flow Rate', phases: ['MAINSTAGE'] },
+  fuel_flow_rate_gps:          { min: 232,    max: 248,    unit: 'g/s', label: 'Fuel Flow Rate', phases: ['MAINSTAGE'] },
+  turbopump_rpm:               { min: 35000,  max: 37000,  unit: 'rpm', label: 'Turbopump Speed', phases: ['MAINSTAGE'] },
+  vibration_g:                 { min: 0,      max: 4.0,    unit: 'g',   label: 'Vibration' },
+  coolant_inlet_temp_F:        { min: 65,     max: 85,     unit: 'F',   label: 'Coolant Inlet Temperature', phases: ['MAINSTAGE'] },
+  coolant_outlet_temp_F:       { min: 320,    max: 390,    unit: 'F',   label: 'Coolant Outlet Temperature', phases: ['MAINSTAGE'] },
+  injector_pressure_drop_psi:  { min: 260,    max: 300,    unit: 'psi', label: 'Injector Pressure Drop', phases: ['MAINSTAGE'] },
+  nozzle_exit_pressure_psi:    { min: 12,     max: 17,     unit: 'psi', label: 'Nozzle Exit Pressure', phases: ['MAINSTAGE'] },
+  o_f_ratio:                   { min: 2.2,    max: 2.5,    unit: '',    label: 'O/F Ratio', phases: ['MAINSTAGE'] },
+};
+
+const profiles = new Map();
+let loaded = false;
+
+function seed(id, name, description, limits) {
+  const now = new Date().toISOString();
+  profiles.set(id, { id, name, description, limits: JSON.parse(JSON.stringify(limits)), builtIn: true, createdAt: now, updatedAt: now });
+}
+
+seed(DEFAULT_PROFILE_ID, 'Falcon 9 Ascent', 'SpaceX CRS-16 ascent trajectory limits', REDLINE_LIMITS);
+seed('engine-test', 'LOX/RP-1 Engine Test', 'Static-fire limits for the generated engine test data', ENGINE_TEST_LIMITS);
+
+/* Stored profiles are read on first use (replacing the built-in seeds they edit), so the storage driver is chosen before then */
+function all() {
+  if (!loaded) {
+    loaded = true;
+    for (const p of storage.list('redlineProfiles').sort((a, b) => a.createdAt.localeCompare(b.createdAt))) profiles.set(p.id, p);
+  }
+  return profiles;
+}
+
+/**
+ * Validate a limits object; returns an error string or null
+ */
+function validateLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) return 'limits must be an object keyed by parameter name';
+  for (const [param, lim] of Object.entries(limits)) {
+    if (!lim || typeof lim !== 'object') return `limit for ${param} must be an object`;
+    if (typeof lim.min !== 'number' || typeof lim.max !== 'number') return `limit for ${param} needs numeric min and max`;
+    if (lim.min > lim.max) return `limit for ${param} has min greater than max`;
+    if (lim.phases !== undefined && !Array.isArray(lim.phases)) return `phases for ${param} must be an array`;
+  }
+  return null;
+}
+
+/* Fill in label/unit (from the previous limits, then the defaults) so descriptions always read well */
+function normaliseLimits(limits, previous = {}) {
+  const out = {};
+  for (const [param, lim] of Object.entries(limits)) {
+    const known = previous[param] || REDLINE_LIMITS[param];
+    out[param] = {
+      min: lim.min,
+      max: lim.max,
+      unit: lim.unit ?? known?.unit ?? '',
+      label: lim.label || known?.label || param.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+      ...(lim.phases ? { phases: lim.phases.map(String) } : {}),
+    };
+  }
+  return out;
+}
+
+function listProfiles() {
+  return [...all().values()].map(p => ({
+    id: p.id,
+    name: p.name,
+    description: p.description,
+    parameters: Object.keys(p.limits),
+    builtIn: p.builtIn,
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt,
+  }));
+}
+
+function getProfile(id) {
+  return all().get(id || DEFAULT_PROFILE_ID) || null;
+}
+
+/**
+ * Create a profile (also used for JSON import). Throws on invalid input.
+ */
+function createProfile({ name, description = '', limits }) {
+  if (!name || typeof name !== 'string') throw new Error('Profile name is required');
+  const err = validateLimits(limits);
+  if (err) throw new Error(err);
+  const now = new Date().toISOString();
+  const profile = { id: uuidv4(), name: name.trim(), description, limits: normaliseLimits(limits), builtIn: false, createdAt: now, updatedAt: now };
+  all().set(profile.id, profile);
+  storage.put('redlineProfiles', profile.id, profile);
+  return profile;
+}
+
+function updateProfile(id, { name, description, limits }) {
+  const profile = all().get(id);
+  if (!profile) return null;
+  if (limits !== undefined) {
+    const err = validateLimits(limits);
+    if (err) throw new Error(err);
+    profile.limits = normaliseLimits(limits, profile.limits);
+  }
+  if (name) profile.name = String(name).trim();
+  if (description !== undefined) profile.description = description;
+  profile.updatedAt = new Date().toISOString();
+  storage.put('redlineProfiles', id, profile);
+  return profile;
+}
+
+function deleteProfile(id) {
+  const profile = all().get(id);
+  if (!profile) return false;
+  if (profile.builtIn) throw new Error('Built-in profiles cannot be deleted');
+  profiles.delete(id);
+  storage.remove('redlineProfiles', id);
+  return true;
+}
+
+function exportProfile(id) {
+  const p = all().get(id);
+  if (!p) return null;
+  return { format: EXPORT_FORMAT, version: 1, name: p.name, description: p.description, limits: p.limits };
+}
+
+function importProfile(json) {
+  if (json.format && json.format !== EXPORT_FORMAT) throw new Error(`Unsupported profile format: ${json.format}`);
+  return createProfile(json);
+}
+
+/**
+ * Pick the profile whose parameters best cover the dataset's columns
+ */
+function matchProfile(columns) {
+  let best = DEFAULT_PROFILE_ID, bestHits = 0;
+  for (const p of all().values()) {
+    const hits = Object.keys(p.limits).filter(k => columns.includes(k)).length;
+    if (hits > bestHits) { best = p.id; bestHits = hits; }
+  }
+  return best;
+}
+
+module.exports = {
+  DEFAULT_PROFILE_ID,
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  exportProfile,
+  importProfile,
+  matchProfile,
+  validateLimits,
+};
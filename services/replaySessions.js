@@ -0,0 +1,126 @@
+/**
+ * Flight Replay  -  server-driven playback clock for a recorded dataset
+ *
+ * There is one replay per dataset, so every browser viewing it follows the same clock. The
+ * server owns the clock (mission-time position, speed, playing / paused) and broadcasts its
+ * state to subscribers on every change and every TICK_MS while playing; browsers show the
+ * samples and anomalies up to the position from the data they already hold.
+ *
+ * State: { datasetId, status: 'playing' | 'paused' | 'ended' | 'stopped', speed, position, start, end }
+ */
+
+const MIN_SPEED = 0.5;
+const MAX_SPEED = 50;
+const TICK_MS = 250;
+const STATUSES = ['playing', 'paused'];
+
+const replays = new Map();      // dataset id -> { status, speed, anchorPosition, anchorWall, start, end, timer, updatedAt }
+const subscribers = new Map();  // dataset id -> Set of listener(state)
+
+/* Clock position: the anchor plus the wall time since, scaled by speed */
+function positionOf(r) {
+  if (r.status !== 'playing') return r.anchorPosition;
+  return Math.min(r.end, r.anchorPosition + ((Date.now() - r.anchorWall) / 1000) * r.speed);
+}
+
+function getReplay(id) {
+  const r = replays.get(id);
+  if (!r) return { datasetId: id, status: 'stopped' };
+  return {
+    datasetId: id,
+    status: r.status,
+    speed: r.speed,
+    position: +positionOf(r).toFixed(3),
+    start: r.start,
+    end: r.end,
+    updatedAt: r.updatedAt,
+  };
+}
+
+/**
+ * Start or change a dataset's replay: { status?: 'playing' | 'paused', speed?, position? }.
+ * `range` is the dataset's { start, end } mission time. Playing a finished replay starts it over.
+ * Returns the new state; throws on invalid input.
+ */
+function updateReplay(id, range, { status, speed, position } = {}) {
+  if (status !== undefined && !STATUSES.includes(status)) throw new Error(`status must be one of ${STATUSES.join(', ')}`);
+  if (speed !== undefined && (typeof speed !== 'number' || !(speed >= MIN_SPEED && speed <= MAX_SPEED))) throw new Error(`speed must be between ${MIN_SPEED} and ${MAX_SPEED}`);
+  if (position !== undefined && (typeof position !== 'number' || !Number.isFinite(position))) throw new Error('position must be a number');
+
+  let r = replays.get(id);
+  if (!r) {
+    r = { status: 'paused', speed: 1, anchorPosition: range.start, anchorWall: Date.now(), timer: null };
+    replays.set(id, r);
+  }
+  r.anchorPosition = positionOf(r);
+  r.anchorWall = Date.now();
+  r.start = range.start;
+  r.end = range.end;
+  if (position !== undefined) r.anchorPosition = Math.min(range.end, Math.max(range.start, position));
+  if (speed !== undefined) r.speed = speed;
+  if (status) r.status = status;
+  else if (r.status === 'ended' && r.anchorPosition < r.end) r.status = 'paused';
+  if (r.status === 'playing' && r.anchorPosition >= r.end) r.anchorPosition = r.start;
+  r.updatedAt = new Date().toISOString();
+
+  clearInterval(r.timer);
+  r.timer = null;
+  if (r.status === 'playing') {
+    r.timer = setInterval(() => tick(id, r), TICK_MS);
+    r.timer.unref();
+  }
+  broadcast(id);
+  return getReplay(id);
+}
+
+function tick(id, r) {
+  if (positionOf(r) >= r.end) {
+    r.anchorPosition = r.end;
+    r.status = 'ended';
+    r.updatedAt = new Date().toISOString();
+    clearInterval(r.timer);
+    r.timer = null;
+  }
+  broadcast(id);
+}
+
+/* Stop a replay; subscribers get { status: 'stopped' } and go back to the whole dataset */
+function stopReplay(id) {
+  const r = replays.get(id);
+  if (!r) return false;
+  clearInterval(r.timer);
+  replays.delete(id);
+  broadcast(id);
+  return true;
+}
+
+/**
+ * Follow a dataset's replay clock, whether or not a replay is running yet.
+ * listener(state) is called on every change; returns an unsubscribe function.
+ */
+function subscribe(id, listener) {
+  if (!subscribers.has(id)) subscribers.set(id, new Set());
+  const set = subscribers.get(id);
+  set.add(listener);
+  return () => {
+    set.delete(listener);
+    if (!set.size) subscribers.delete(id);
+  };
+}
+
+function broadcast(id) {
+  const listeners = subscribers.get(id);
+  if (!listeners) return;
+  const state = getReplay(id);
+  for (const listener of listeners) listener(state);
+}
+
+module.exports = {
+  MIN_SPEED,
+  MAX_SPEED,
+  TICK_MS,
+  getReplay,
+  updateReplay,
+  stopReplay,
+  subscribe,
+};
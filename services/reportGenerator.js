@@ -0,0 +1,313 @@
+/**
+ * Report Generator  -  self-contained HTML flight anomaly report
+ *
+ * Sections: dataset metadata, data-quality notes, parameter statistics with redline status,
+ * mission events, and every anomaly event with inline SVG charts zoomed around it (mission
+ * events drawn as markers). Styles are inline and there are no external assets, so the file
+ * can be archived or mailed as is; the print styles keep each event on one page for "Save as PDF".
+ * An AI-written narrative can be added from the active LLM provider (services/llmProviders.js).
+ */
+
+const llm = require('./llmProviders');
+
+const ZOOM_PADDING_S = 30;       // context either side of an event, as in the anomaly chart modal
+const MAX_CHART_PARAMS = 3;      // charts per event, for the parameters with the most anomalies
+const MAX_CHART_POINTS = 300;
+const MAX_EVENT_ROWS = 25;       // anomalies listed per event before "... and N more"
+const UNSURE_CONFIDENCE = 0.6;   // mission events below this are marked "?" like the dashboard
+
+const SEVERITY_COLORS = { CRITICAL: '#ef4444', WARNING: '#f59e0b', CAUTION: '#0ea5e9' };
+const W = 720, H = 220, M = { top: 32, right: 16, bottom: 30, left: 62 };
+const LABEL_GAP = 80;            // closer mission-event markers get their labels on a second row
+
+const NARRATIVE_PROMPT = 'Write the narrative section of a post-test flight anomaly report for this dataset. '
+  + 'In 3-5 short paragraphs cover: how the flight went overall, the most significant anomaly events '
+  + '(with mission times and what the data shows around them), redline exceedances, and data-quality caveats. '
+  + 'Use the tools to check the data. Plain prose for engineers; no charts.';
+
+const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const fmt = v => (typeof v === 'number' && Number.isFinite(v) ? v.toLocaleString('en-US', { maximumFractionDigits: 2 }) : v ?? '–');
+
+/* Axis ticks: about n round numbers covering [lo, hi] */
+function ticks(lo, hi, n) {
+  const raw = (hi - lo) / n;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw) || raw;
+  const out = [];
+  for (let v = Math.ceil(lo / step) * step; v <= hi + step * 1e-9; v += step) out.push(+v.toPrecision(12));
+  return out;
+}
+
+/*
+ * Line chart of one parameter over [t0, t1] as an SVG string: the event span shaded, its
+ * anomalies as dots coloured by severity, redlines within range and mission events as markers
+ */
+function svgChart(table, param, { t0, t1, span, anomalies, missionEvents, limit, label, unit }) {
+  const lo = table.lowerBound(t0), hi = table.upperBound(t1);
+  const col = table.column(param);
+  const step = Math.max(1, Math.ceil((hi - lo) / MAX_CHART_POINTS));
+  const points = [];
+  for (let i = lo; i < hi; i += step) {
+    points.push({ t: table.get('mission_time_s', i), v: col.isNumber(i) ? col.values[i] : null });
+  }
+  const values = points.map(p => p.v).filter(v => v !== null).concat(anomalies.map(a => a.value).filter(Number.isFinite));
+  if (!values.length) return `<p class="muted">No ${esc(label)} samples between T+${fmt(t0)}s and T+${fmt(t1)}s.</p>`;
+
+  let yMin = Math.min(...values), yMax = Math.max(...values);
+  if (yMin === yMax) { yMin -= 1; yMax += 1; }
+  const pad = (yMax - yMin) * 0.08;
+  yMin -= pad; yMax += pad;
+  const x = t => M.left + ((t - t0) / (t1 - t0 || 1)) * (W - M.left - M.right);
+  const y = v => H - M.bottom - ((v - yMin) / (yMax - yMin)) * (H - M.top - M.bottom);
+  const parts = [];
+
+  /* Event span, at least 2px wide so single-sample events show */
+  const sx = x(span.startTime), ex = x(span.endTime);
+  parts.push(`<rect x="${(ex - sx < 2 ? sx - 1 : sx).toFixed(1)}" y="${M.top}" width="${Math.max(2, ex - sx).toFixed(1)}" height="${H - M.top - M.bottom}" fill="rgba(239,68,68,.10)"/>`);
+
+  /* Grid and axes */
+  for (const v of ticks(yMin, yMax, 4)) {
+    parts.push(`<line x1="${M.left}" x2="${W - M.right}" y1="${y(v).toFixed(1)}" y2="${y(v).toFixed(1)}" stroke="#e2e8f0"/>`);
+    parts.push(`<text x="${M.left - 6}" y="${(y(v) + 3).toFixed(1)}" text-anchor="end">${fmt(v)}</text>`);
+  }
+  for (const t of ticks(t0, t1, 6)) {
+    parts.push(`<text x="${x(t).toFixed(1)}" y="${H - M.bottom + 14}" text-anchor="middle">${fmt(t)}</text>`);
+  }
+  parts.push(`<line x1="${M.left}" x2="${W - M.right}" y1="${H - M.bottom}" y2="${H - M.bottom}" stroke="#94a3b8"/>`);
+  parts.push(`<text x="${(M.left + W - M.right) / 2}" y="${H - 4}" text-anchor="middle">Mission Time (s)</text>`);
+  parts.push(`<text x="12" y="${(M.top + H - M.bottom) / 2}" text-anchor="middle" transform="rotate(-90 12 ${(M.top + H - M.bottom) / 2})">${esc(unit || label)}</text>`);
+
+  /* Redlines that fall inside the plotted range */
+  for (const [side, v] of [['low', limit?.min], ['high', limit?.max]]) {
+    if (typeof v !== 'number' || v < yMin || v > yMax) continue;
+    parts.push(`<line x1="${M.left}" x2="${W - M.right}" y1="${y(v).toFixed(1)}" y2="${y(v).toFixed(1)}" stroke="#ef4444" stroke-dasharray="6 3"/>`);
+    parts.push(`<text x="${W - M.right - 4}" y="${(y(v) - 4).toFixed(1)}" text-anchor="end" fill="#ef4444">redline ${side} ${fmt(v)}</text>`);
+  }
+
+  /* Mission events, labels alternating rows when markers are close */
+  const marks = Object.values(missionEvents || {}).filter(ev => typeof ev.time === 'number' && ev.time >= t0 && ev.time <= t1).sort((a, b) => a.time - b.time);
+  let lastX = -Infinity, row = 0;
+  for (const ev of marks) {
+    const unsure = ev.confidence < UNSURE_CONFIDENCE;
+    row = x(ev.time) - lastX < LABEL_GAP ? 1 - row : 0;
+    lastX = x(ev.time);
+    parts.push(`<line x1="${lastX.toFixed(1)}" x2="${lastX.toFixed(1)}" y1="${M.top}" y2="${H - M.bottom}" stroke="${unsure ? '#94a3b8' : '#64748b'}" stroke-dasharray="5 3"/>`);
+    parts.push(`<text x="${(lastX + 3).toFixed(1)}" y="${M.top - 6 + row * 14}" fill="#475569">${esc(ev.label)}${unsure ? '?' : ''}</text>`);
+  }
+
+  /* The trace, broken where samples are missing */
+  let d = '', pen = false;
+  for (const p of points) {
+    if (p.v === null) { pen = false; continue; }
+    d += `${pen ? 'L' : 'M'}${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`;
+    pen = true;
+  }
+  parts.push(`<path d="${d}" fill="none" stroke="#0284c7" stroke-width="1.5"/>`);
+
+  for (const a of anomalies) {
+    if (!Number.isFinite(a.value) || a.missionTime < t0 || a.missionTime > t1) continue;
+    parts.push(`<circle cx="${x(a.missionTime).toFixed(1)}" cy="${y(a.value).toFixed(1)}" r="3.5" fill="${SEVERITY_COLORS[a.severity] || '#0ea5e9'}" stroke="#fff"><title>${esc(a.description)}</title></circle>`);
+  }
+
+  return `<svg class="chart" viewBox="0 0 ${W} ${H}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="${esc(label)} around the event">`
+    + `<text x="${M.left}" y="12" font-weight="600" fill="#0f172a">${esc(label)}${unit ? ` (${esc(unit)})` : ''}</text>${parts.join('')}</svg>`;
+}
+
+/* Parameters to chart for an event: those with the most anomalies, or the first numeric column for whole-row gaps */
+function chartParams(table, ev) {
+  const counts = new Map();
+  for (const a of ev.anomalies) {
+    if (a.parameter && a.parameter !== 'mission_time_s' && table.column(a.parameter)?.kind === 'numeric') {
+      counts.set(a.parameter, (counts.get(a.parameter) || 0) + 1);
+    }
+  }
+  const params = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([p]) => p).slice(0, MAX_CHART_PARAMS);
+  if (!params.length) {
+    const first = table.numericColumns().find(c => c !== 'mission_time_s');
+    if (first) params.push(first);
+  }
+  return params;
+}
+
+/* Minimal markdown for the narrative: paragraphs, "- " lists, **bold** and `code` */
+function renderNarrative(text) {
+  const inline = s => esc(s).replace(/\*\*(.+?)\*\*/g, '<b>$1</b>').replace(/`([^`]+)`/g, '<code>$1</code>');
+  return text.trim().split(/\n\s*\n/).map(block => {
+    const lines = block.split('\n');
+    if (lines.every(l => /^\s*[-*] /.test(l))) return `<ul>${lines.map(l => `<li>${inline(l.replace(/^\s*[-*] /, ''))}</li>`).join('')}</ul>`;
+    const heading = block.match(/^#{1,6}\s+(.*)$/);
+    if (heading && lines.length === 1) return `<h3>${inline(heading[1])}</h3>`;
+    return `<p>${lines.map(inline).join('<br>')}</p>`;
+  }).join('');
+}
+
+/**
+ * Ask the active LLM provider for the narrative, given a data context (routes/api.js
+ * getDataContext). Returns { text, provider, model }, or { error } when no provider is usable.
+ */
+async function writeNarrative(ctx) {
+  const provider = llm.createProvider();
+  if (!provider.service) return { error: provider.reason };
+  const reply = await provider.service.chat(NARRATIVE_PROMPT, ctx, []);
+  if (!reply.text?.trim()) return { error: 'The AI provider returned an empty narrative' };
+  return { text: reply.text, provider: llm.getProvider(provider.name).label, model: provider.model };
+}
+
+function metadataSection(ds, { profile }) {
+  const t = ds.table, n = t.length, s = ds.summary || {}, q = ds.quality || {};
+  const rows = [
+    ['File', ds.filename],
+    ['Dataset ID', ds.id],
+    ['Format', ds.format || 'csv'],
+    ['Records', fmt(n)],
+    ['Columns', t.columns.length],
+    ['Mission time', n ? `T+${fmt(t.get('mission_time_s', 0))}s to T+${fmt(t.get('mission_time_s', n - 1))}s` : '–'],
+    ['Sample rate', q.time?.sampleRate ? `${q.time.sampleRate} Hz` : '–'],
+    ['Derived channels', ds.derived?.applied?.length ? ds.derived.applied.join(', ') : 'none'],
+    ['Redline profile', profile ? `${profile.name} (${profile.id})` : '–'],
+    ['Detectors', (s.detectors || []).join(', ') || '–'],
+    ['Baseline', s.baseline || '–'],
+    ['Uploaded', ds.createdAt || '–'],
+  ];
+  const sev = s.bySeverity || {};
+  return `<section><h2>Dataset</h2>
+    <table class="meta">${rows.map(([k, v]) => `<tr><th>${esc(k)}</th><td>${esc(v)}</td></tr>`).join('')}</table>
+    <div class="kpis">
+      <div><b>${fmt(s.totalAnomalies || 0)}</b>anomalies</div>
+      <div><b>${fmt(s.totalEvents || 0)}</b>events</div>
+      <div class="crit"><b>${fmt(sev.CRITICAL || 0)}</b>critical</div>
+      <div class="warn"><b>${fmt(sev.WARNING || 0)}</b>warning</div>
+      <div class="caut"><b>${fmt(sev.CAUTION || 0)}</b>caution</div>
+      <div><b>${fmt(s.suppressed?.total || 0)}</b>suppressed</div>
+    </div></section>`;
+}
+
+function qualitySection(q) {
+  if (!q) return '<section><h2>Data Quality</h2><p class="muted">No data-quality report for this dataset.</p></section>';
+  const t = q.time || {};
+  const notes = [
+    `${fmt(q.rows)} rows, ${q.columns.length} columns`,
+    t.sampleRate ? `sample rate ${t.sampleRate} Hz, jitter ${(t.jitter.cv * 100).toFixed(1)}%` : null,
+    `${t.duplicates || 0} duplicate and ${t.outOfOrder || 0} out-of-order timestamps`,
+  ].filter(Boolean);
+  return `<section><h2>Data Quality <span class="status ${esc(q.status)}">${esc(q.status)}</span></h2>
+    <p>${esc(notes.join('; '))}.</p>
+    ${q.issues.length
+    ? `<table><thead><tr><th>Severity</th><th>Column</th><th>Note</th></tr></thead><tbody>${q.issues.map(i => `<tr><td><span class="q-sev ${esc(i.severity)}">${esc(i.severity)}</span></td><td class="mono">${esc(i.column || '')}</td><td>${esc(i.message)}</td></tr>`).join('')}</tbody></table>`
+    : '<p class="muted">No issues found.</p>'}</section>`;
+}
+
+/* The dashboard's parameter statistics table (renderStatsTable), plus a redline summary */
+function statsSection(ds, { columns, redlines }) {
+  const stats = Object.values(ds.stats || {});
+  let exceeded = 0;
+  const body = stats.map(s => {
+    const rl = redlines[s.parameter];
+    const status = rl && (s.min < rl.min || s.max > rl.max) ? 'EXCEEDED' : 'OK';
+    if (status === 'EXCEEDED') exceeded++;
+    return `<tr><td><b>${esc(columns[s.parameter]?.label || s.parameter)}</b></td>
+      <td class="mono">${fmt(s.min)}</td><td class="mono">${fmt(s.max)}</td><td class="mono">${fmt(s.mean)}</td><td class="mono">${fmt(s.std)}</td><td class="mono">${fmt(s.median)}</td>
+      <td class="mono">${rl ? fmt(rl.min) : '–'}</td><td class="mono">${rl ? fmt(rl.max) : '–'}</td>
+      <td class="${status === 'OK' ? 'ok' : 'crit'}">${status}</td></tr>`;
+  }).join('');
+  const limited = stats.filter(s => redlines[s.parameter]).length;
+  const violations = (ds.anomalies || []).filter(a => a.type === 'Redline Violation');
+  const redlineNote = exceeded
+    ? `${exceeded} of ${limited} parameters with redlines exceeded them (${violations.length} redline violation anomalies).`
+    : `All ${limited} parameters with redlines stayed within limits.`;
+  return `<section><h2>Parameter Statistics &amp; Redlines</h2>
+    <p class="${exceeded ? 'crit' : 'ok'}">${esc(redlineNote)}</p>
+    <table><thead><tr><th>Parameter</th><th>Min</th><th>Max</th><th>Mean</th><th>Std Dev</th><th>Median</th><th>Limit Low</th><th>Limit High</th><th>Status</th></tr></thead>
+    <tbody>${body}</tbody></table></section>`;
+}
+
+function missionEventsSection(missionEvents) {
+  const list = Object.values(missionEvents || {}).filter(e => typeof e.time === 'number').sort((a, b) => a.time - b.time);
+  if (!list.length) return '<section><h2>Mission Events</h2><p class="muted">No mission events detected.</p></section>';
+  return `<section><h2>Mission Events</h2>
+    <table><thead><tr><th>Event</th><th>Mission time</th><th>Confidence</th><th>Source</th></tr></thead>
+    <tbody>${list.map(e => `<tr><td>${esc(e.label)}${e.confidence < UNSURE_CONFIDENCE ? '?' : ''}</td><td class="mono">T+${fmt(e.time)}s</td><td class="mono">${typeof e.confidence === 'number' ? `${Math.round(e.confidence * 100)}%` : '–'}</td><td>${esc(e.source || '')}</td></tr>`).join('')}</tbody></table></section>`;
+}
+
+function eventSection(ds, ev, { columns, redlines }) {
+  const table = ds.table;
+  const t0 = Math.max(table.length ? table.get('mission_time_s', 0) : 0, ev.startTime - ZOOM_PADDING_S);
+  const t1 = ev.endTime + ZOOM_PADDING_S;
+  const charts = chartParams(table, ev).map(p => svgChart(table, p, {
+    t0, t1, span: ev, missionEvents: ds.missionEvents, limit: redlines[p],
+    anomalies: ev.anomalies.filter(a => a.parameter === p),
+    label: columns[p]?.label || p, unit: columns[p]?.unit || '',
+  })).join('');
+  const rows = ev.anomalies.slice(0, MAX_EVENT_ROWS).map(a => `<tr>
+    <td class="mono">T+${fmt(a.missionTime)}s</td><td><span class="sev ${esc(a.severity)}">${esc(a.severity)}</span></td>
+    <td>${esc(a.type)}</td><td>${esc(a.paramLabel || a.parameter)}</td><td>${esc(a.description)}</td></tr>`).join('');
+  const more = ev.anomalies.length - MAX_EVENT_ROWS;
+  const review = ev.reviewState && ev.reviewState !== 'open'
+    ? ` &middot; review: ${esc(ev.reviewState)}${ev.reviewAssignee ? ` (${esc(ev.reviewAssignee)})` : ''}` : '';
+  const span = ev.startTime === ev.endTime ? `T+${fmt(ev.startTime)}s` : `T+${fmt(ev.startTime)}s to T+${fmt(ev.endTime)}s`;
+  return `<article class="event">
+    <h3><span class="sev ${esc(ev.severity)}">${esc(ev.severity)}</span> ${esc(ev.id)} &middot; ${span}</h3>
+    <p class="muted">${ev.count} anomal${ev.count === 1 ? 'y' : 'ies'} &middot; ${esc(ev.anomalyTypes.join(', '))} &middot; ${esc(ev.affectedParams.join(', '))}${review}</p>
+    ${charts}
+    <table><thead><tr><th>Time</th><th>Severity</th><th>Type</th><th>Parameter</th><th>Description</th></tr></thead>
+    <tbody>${rows}${more > 0 ? `<tr><td colspan="5" class="muted">... and ${more} more</td></tr>` : ''}</tbody></table></article>`;
+}
+
+const STYLE = `
+body{font:13px/1.5 -apple-system,"Segoe UI",Roboto,Helvetica,Arial,sans-serif;color:#0f172a;margin:0;background:#f8fafc}
+main{max-width:900px;margin:0 auto;padding:32px 24px;background:#fff}
+h1{font-size:22px;margin:0 0 4px}h2{font-size:16px;border-bottom:2px solid #e2e8f0;padding-bottom:4px;margin:28px 0 10px}h3{font-size:14px;margin:0 0 4px}
+table{width:100%;border-collapse:collapse;margin:8px 0;font-size:12px}th,td{text-align:left;padding:4px 8px;border-bottom:1px solid #e2e8f0;vertical-align:top}th{background:#f1f5f9;font-weight:600}
+table.meta th{width:160px;background:none;color:#475569}
+.mono{font-family:ui-monospace,Menlo,Consolas,monospace;white-space:nowrap}.muted{color:#64748b}
+.ok{color:#16a34a;font-weight:600}.crit{color:#dc2626;font-weight:600}.warn{color:#d97706}.caut{color:#0284c7}
+.kpis{display:flex;gap:10px;flex-wrap:wrap;margin-top:12px}.kpis div{flex:1;min-width:90px;border:1px solid #e2e8f0;border-radius:8px;padding:8px 10px;color:#475569}.kpis b{display:block;font-size:20px;color:inherit}
+.sev,.status,.q-sev{display:inline-block;padding:1px 7px;border-radius:10px;font-size:11px;font-weight:600;color:#fff;background:#64748b}
+.sev.CRITICAL,.status.error,.q-sev.error{background:#ef4444}.sev.WARNING,.status.warning,.q-sev.warning{background:#f59e0b}.sev.CAUTION,.q-sev.info{background:#0ea5e9}.status.ok{background:#16a34a}
+.event{border:1px solid #e2e8f0;border-radius:8px;padding:12px 14px;margin:14px 0}
+.chart{width:100%;height:auto;display:block;margin:8px 0;font-size:10px;fill:#475569}
+.narrative{background:#f8fafc;border-left:3px solid #0284c7;padding:4px 14px}
+footer{margin-top:32px;color:#94a3b8;font-size:11px}
+@media print{body{background:#fff}main{padding:0;max-width:none}.event,tr,.chart{break-inside:avoid}h2{break-after:avoid}.events-start{break-before:page}}
+@page{margin:14mm}`;
+
+/**
+ * Build the report for a dataset. options:
+ *   columns    { name: { label, unit } } as served by GET /api/telemetry/columns
+ *   redlines   limits the dataset was analysed with
+ *   profile    the redline profile
+ *   narrative  { text, provider, model } or { error } from writeNarrative(), or null to leave it out
+ *   print      open the browser's print dialog on load (save as PDF)
+ * Returns the HTML document as a string.
+ */
+function generate(ds, { columns = {}, redlines = {}, profile = null, narrative = null, print = false } = {}) {
+  const events = ds.summary?.events || [];
+  const generatedAt = new Date().toISOString();
+  let narrativeHtml = '';
+  if (narrative?.text) {
+    narrativeHtml = `<section><h2>Summary</h2><div class="narrative">${renderNarrative(narrative.text)}</div>
+      <p class="muted">Written by ${esc(narrative.provider)}${narrative.model ? ` (${esc(narrative.model)})` : ''}; check it against the data below.</p></section>`;
+  } else if (narrative?.error) {
+    narrativeHtml = `<section><h2>Summary</h2><p class="muted">No AI narrative: ${esc(narrative.error)}.</p></section>`;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Flight Anomaly Report  -  ${esc(ds.filename)}</title><style>${STYLE}</style></head>
+<body><main>
+<h1>Flight Anomaly Report</h1>
+<p class="muted">${esc(ds.filename)} &middot; generated ${esc(generatedAt)}</p>
+${narrativeHtml}
+${metadataSection(ds, { profile })}
+${qualitySection(ds.quality)}
+${statsSection(ds, { columns, redlines })}
+${missionEventsSection(ds.missionEvents)}
+<section class="events-start"><h2>Anomaly Events (${events.length})</h2>
+<p class="muted">Each chart shows &plusmn;${ZOOM_PADDING_S} s around the event (shaded), its anomalies as dots coloured by severity, redlines in red and mission events as dashed markers.</p>
+${events.length ? events.map(ev => eventSection(ds, ev, { columns, redlines })).join('\n') : '<p class="muted">No anomaly events detected.</p>'}
+</section>
+<footer>Rocket Data Logger &amp; Analyzer &middot; dataset ${esc(ds.id)}</footer>
+</main>${print ? '<script>window.addEventListener(\'load\', () => window.print());</script>' : ''}</body></html>`;
+}
+
+module.exports = { generate, writeNarrative };
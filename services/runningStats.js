@@ -0,0 +1,51 @@
+/**
+ * Running Stats  -  single-pass helpers for streaming ingestion
+ *   - RunningStats    count / min / max / mean / std updated one value at a time (Welford)
+ *   - PreviewSampler  evenly spaced row indices kept while rows stream in, for chart previews
+ */
+
+class RunningStats {
+  constructor() {
+    this.count = 0;
+    this.mean = 0;
+    this.m2 = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  push(v) {
+    this.count++;
+    const d = v - this.mean;
+    this.mean += d / this.count;
+    this.m2 += d * (v - this.mean);
+    if (v < this.min) this.min = v;
+    if (v > this.max) this.max = v;
+  }
+
+  get std() {
+    return this.count ? Math.sqrt(this.m2 / this.count) : 0;
+  }
+}
+
+/**
+ * Keeps every `stride`-th row index. When the buffer fills, every other index is dropped
+ * and the stride doubles, so memory stays bounded however long the file is.
+ */
+class PreviewSampler {
+  constructor(maxPoints = 2000) {
+    this.maxPoints = maxPoints;
+    this.stride = 1;
+    this.indices = [];
+  }
+
+  push(i) {
+    if (i % this.stride !== 0) return;
+    this.indices.push(i);
+    if (this.indices.length >= this.maxPoints) {
+      this.indices = this.indices.filter((_, k) => k % 2 === 0);
+      this.stride *= 2;
+    }
+  }
+}
+
+module.exports = { RunningStats, PreviewSampler };
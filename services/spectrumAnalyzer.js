@@ -0,0 +1,210 @@
+/**
+ * Spectrum Analyzer  -  frequency-domain view of a telemetry parameter
+ *   - power spectral density (Welch: Hann-windowed, 50% overlapping segments)
+ *   - spectrogram (short-time PSD over mission time)
+ *   - narrow-band peak search
+ *
+ * Samples are assumed evenly spaced at the median step. Anything above the Nyquist
+ * frequency (half the sample rate) shows up aliased, e.g. a 12 Hz tone sampled at 10 Hz
+ * appears at 2 Hz.
+ *
+ * Segments are normally 16-256 samples with several averaged, which takes at least 64 samples.
+ * Shorter windows, down to MIN_SAMPLES, get the largest power-of-two segment that fits: fewer
+ * segments (one at worst) are averaged, so the PSD is noisier and coarser.
+ */
+
+const { medianStep } = require('./timeSeries');
+
+const MIN_SAMPLES = 8;
+
+/* Hann windows and FFT twiddle factors by length; long records reuse them for thousands of segments */
+const hannWindows = new Map();
+const twiddles = new Map();
+
+function hannWindow(nfft) {
+  let win = hannWindows.get(nfft);
+  if (!win) {
+    const w = new Float64Array(nfft);
+    let wss = 0;
+    for (let i = 0; i < nfft; i++) {
+      w[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (nfft - 1));
+      wss += w[i] * w[i];
+    }
+    hannWindows.set(nfft, win = { w, wss });
+  }
+  return win;
+}
+
+/* cos / sin of the butterfly angles for one FFT stage of length len */
+function twiddle(len) {
+  let tw = twiddles.get(len);
+  if (!tw) {
+    const ang = -2 * Math.PI / len;
+    tw = { cos: new Float64Array(len / 2), sin: new Float64Array(len / 2) };
+    for (let j = 0; j < len / 2; j++) {
+      tw.cos[j] = Math.cos(ang * j);
+      tw.sin[j] = Math.sin(ang * j);
+    }
+    twiddles.set(len, tw);
+  }
+  return tw;
+}
+
+class SpectrumAnalyzer {
+  /**
+   * Analyse one parameter. options: startTime, endTime, nfft (segment length, power of two)
+   * Returns null when there are fewer than MIN_SAMPLES numeric samples.
+   */
+  static analyse(data, param, options = {}) {
+    const rows = data.filter(r =>
+      typeof r.mission_time_s === 'number' && typeof r[param] === 'number' && !isNaN(r[param]) &&
+      (options.startTime == null || r.mission_time_s >= options.startTime) &&
+      (options.endTime == null || r.mission_time_s <= options.endTime)
+    );
+    const times = rows.map(r => r.mission_time_s);
+    const values = rows.map(r => r[param]);
+    let nfft = SpectrumAnalyzer.segmentLength(values.length, options.nfft);
+    if (!nfft && values.length >= MIN_SAMPLES) {
+      /* Too short for the usual averaging: the largest power of two that fits */
+      nfft = 2 ** Math.floor(Math.log2(Math.min(values.length, Math.max(options.nfft || Infinity, MIN_SAMPLES))));
+    }
+    if (!nfft) return null;
+
+    const sampleRate = 1 / (medianStep(times) ?? 1);
+    const psd = SpectrumAnalyzer.welch(values, sampleRate, nfft);
+    return {
+      param,
+      samples: values.length,
+      startTime: times[0],
+      endTime: times[times.length - 1],
+      sampleRate: +sampleRate.toFixed(4),
+      nyquist: +(sampleRate / 2).toFixed(4),
+      nfft,
+      resolution: +(sampleRate / nfft).toFixed(5),
+      psd,
+      spectrogram: SpectrumAnalyzer.spectrogram(times, values, sampleRate, nfft),
+      peaks: SpectrumAnalyzer.findPeaks(psd.frequencies, psd.power),
+    };
+  }
+
+  /* Largest power of two <= requested (default 256) that still leaves ~7 overlapping segments */
+  static segmentLength(samples, requested) {
+    let n = 1;
+    const cap = Math.min(requested || 256, Math.floor(samples / 4));
+    while (n * 2 <= cap) n *= 2;
+    return n >= 16 ? n : 0;
+  }
+
+  /**
+   * Welch PSD; power in units^2/Hz for frequencies 0..nyquist
+   */
+  static welch(values, sampleRate, nfft) {
+    const step = nfft / 2;
+    const power = new Float64Array(nfft / 2 + 1);
+    let segments = 0;
+    for (let start = 0; start + nfft <= values.length; start += step) {
+      const p = SpectrumAnalyzer.segmentPower(values, start, nfft, sampleRate);
+      for (let k = 0; k < power.length; k++) power[k] += p[k];
+      segments++;
+    }
+    return {
+      frequencies: Array.from(power, (_, k) => +(k * sampleRate / nfft).toFixed(5)),
+      power: Array.from(power, v => v / segments),
+      segments,
+    };
+  }
+
+  /**
+   * Short-time PSD; power in dB so quiet and loud segments share a colour scale
+   */
+  static spectrogram(times, values, sampleRate, nfft, maxColumns = 120) {
+    const hop = Math.max(nfft / 2, Math.ceil((values.length - nfft) / maxColumns));
+    const out = { times: [], frequencies: [], power: [] };
+    for (let k = 0; k <= nfft / 2; k++) out.frequencies.push(+(k * sampleRate / nfft).toFixed(5));
+    for (let start = 0; start + nfft <= values.length; start += hop) {
+      const p = SpectrumAnalyzer.segmentPower(values, start, nfft, sampleRate);
+      out.times.push(times[start + nfft / 2]);
+      out.power.push(Array.from(p, v => +(10 * Math.log10(v + 1e-12)).toFixed(2)));
+    }
+    return out;
+  }
+
+  /**
+   * One-sided PSD of values[start .. start+nfft) after removing the mean and applying a Hann window
+   */
+  static segmentPower(values, start, nfft, sampleRate) {
+    const re = new Float64Array(nfft), im = new Float64Array(nfft);
+    let mean = 0;
+    for (let i = 0; i < nfft; i++) mean += values[start + i];
+    mean /= nfft;
+    const { w, wss } = hannWindow(nfft);
+    for (let i = 0; i < nfft; i++) re[i] = (values[start + i] - mean) * w[i];
+    SpectrumAnalyzer.fft(re, im);
+    const half = nfft / 2;
+    const p = new Float64Array(half + 1);
+    for (let k = 0; k <= half; k++) {
+      const scale = k === 0 || k === half ? 1 : 2;
+      p[k] = scale * (re[k] * re[k] + im[k] * im[k]) / (sampleRate * wss);
+    }
+    return p;
+  }
+
+  /* In-place iterative radix-2 FFT (length must be a power of two) */
+  static fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+      const tw = twiddle(len);
+      for (let i = 0; i < n; i += len) {
+        for (let j = 0; j < len / 2; j++) {
+          const wr = tw.cos[j], wi = tw.sin[j];
+          const a = i + j, b = a + len / 2;
+          const xr = re[b] * wr - im[b] * wi, xi = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - xr; im[b] = im[a] - xi;
+          re[a] += xr; im[a] += xi;
+        }
+      }
+    }
+  }
+
+  /**
+   * Narrow-band peaks: local maxima standing `minRatio` times above the median level of
+   * the bins a few resolution steps either side (so broadband humps do not count).
+   */
+  static findPeaks(frequencies, power, { minRatio = 10, minFrequency = 0, limit = 5 } = {}) {
+    const peaks = [];
+    for (let k = 2; k < power.length - 1; k++) {
+      if (frequencies[k] < minFrequency) continue;
+      if (power[k] < power[k - 1] || power[k] < power[k + 1]) continue;
+      const floor = SpectrumAnalyzer.localFloor(power, k);
+      if (floor <= 0) continue;
+      const ratio = power[k] / floor;
+      if (ratio >= minRatio) peaks.push({ frequency: frequencies[k], power: power[k], ratioDb: +(10 * Math.log10(ratio)).toFixed(1), bin: k });
+    }
+    return peaks.sort((a, b) => b.ratioDb - a.ratioDb).slice(0, limit);
+  }
+
+  /* Median power of bins 3..8 away from k (outside the Hann main lobe) */
+  static localFloor(power, k) {
+    const side = [];
+    for (let d = 3; d <= 8; d++) {
+      if (k - d >= 1) side.push(power[k - d]);
+      if (k + d < power.length) side.push(power[k + d]);
+    }
+    if (!side.length) return 0;
+    side.sort((a, b) => a - b);
+    return side[Math.floor(side.length / 2)];
+  }
+}
+
+SpectrumAnalyzer.MIN_SAMPLES = MIN_SAMPLES;
+
+module.exports = SpectrumAnalyzer;
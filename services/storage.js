@@ -0,0 +1,143 @@
+/**
+ * Storage  -  pluggable document store behind the database and the dataset registry
+ *
+ * Documents are JSON-serialisable objects kept in named collections and addressed by ID.
+ * Drivers:
+ *   memory  Maps in this process; nothing survives a restart (the serverless default)
+ *   file    one JSON file per document under STORAGE_DIR (default data/store), written
+ *           to a temporary file and renamed so a crash never leaves half a document
+ *
+ * STORAGE_DRIVER selects the driver; without it, file is used locally and memory on Vercel.
+ * Calls are synchronous, like the in-memory store they replace.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'store');
+
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.label = 'In-Memory';
+    this.persistent = false;
+    this.collections = new Map();
+  }
+
+  _collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new Map());
+    return this.collections.get(name);
+  }
+
+  /* Documents are copied in and out so callers cannot change stored state by mutation */
+  get(collection, id) {
+    const doc = this._collection(collection).get(id);
+    return doc === undefined ? null : structuredClone(doc);
+  }
+
+  put(collection, id, doc) {
+    this._collection(collection).set(id, structuredClone(doc));
+  }
+
+  remove(collection, id) {
+    return this._collection(collection).delete(id);
+  }
+
+  list(collection) {
+    return [...this._collection(collection).values()].map(doc => structuredClone(doc));
+  }
+}
+
+class FileStore {
+  constructor(dir = DEFAULT_DIR) {
+    this.name = 'file';
+    this.label = 'JSON files on disk';
+    this.persistent = true;
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  _dir(collection) {
+    const dir = path.join(this.dir, collection);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  _file(collection, id) {
+    return path.join(this._dir(collection), `${encodeURIComponent(id)}.json`);
+  }
+
+  _read(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`  [storage] Skipping unreadable document ${file}: ${e.message}`);
+      return null;
+    }
+  }
+
+  get(collection, id) {
+    return this._read(this._file(collection, id));
+  }
+
+  put(collection, id, doc) {
+    const file = this._file(collection, id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(doc));
+    fs.renameSync(tmp, file);
+  }
+
+  remove(collection, id) {
+    try {
+      fs.unlinkSync(this._file(collection, id));
+      return true;
+    } catch (e) {
+      if (e.code === 'ENOENT') return false;
+      throw e;
+    }
+  }
+
+  list(collection) {
+    const dir = this._dir(collection);
+    return fs.readdirSync(dir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => this._read(path.join(dir, f)))
+      .filter(Boolean);
+  }
+}
+
+const DRIVERS = { memory: MemoryStore, file: FileStore };
+
+let store = null;
+
+/**
+ * Select the driver ({ driver?, dir? }, defaulting to STORAGE_DRIVER / STORAGE_DIR).
+ * Throws on an unknown driver. Returns the store.
+ */
+function init({ driver = process.env.STORAGE_DRIVER, dir = process.env.STORAGE_DIR } = {}) {
+  const name = driver || (process.env.VERCEL ? 'memory' : 'file');
+  const Driver = DRIVERS[name];
+  if (!Driver) throw new Error(`Unknown storage driver: ${name} (expected ${Object.keys(DRIVERS).join(' or ')})`);
+  store = name === 'file' ? new Driver(dir || DEFAULT_DIR) : new Driver();
+  return store;
+}
+
+function current() {
+  return store || init();
+}
+
+/* { driver, label, persistent, location } for status displays */
+function describe() {
+  const s = current();
+  return { driver: s.name, label: s.label, persistent: s.persistent, location: s.dir || null };
+}
+
+module.exports = {
+  DRIVERS: Object.keys(DRIVERS),
+  init,
+  describe,
+  get: (collection, id) => current().get(collection, id),
+  put: (collection, id, doc) => current().put(collection, id, doc),
+  remove: (collection, id) => current().remove(collection, id),
+  list: collection => current().list(collection),
+};
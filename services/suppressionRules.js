@@ -0,0 +1,140 @@
+/**
+ * Suppression Rules  -  known behaviour that should not be reported as anomalous
+ * e.g. "ignore Rapid Change on acceleration_ms2 within ±3 s of MECO":
+ *   { name, detector: 'rate-of-change', parameter: 'acceleration_ms2', event: 'meco', window: 3 }
+ *
+ * Every condition a rule sets must hold for it to match:
+ *   detector            detector name (or its label, e.g. 'Rapid Change')
+ *   parameter           column the anomaly is on
+ *   event + window      within ±window seconds (default 3) of a detected mission event
+ *   phase               flight_phase / test_phase at the anomaly
+ *   startTime, endTime  mission-time range
+ *
+ * Rules are global and are applied after AnomalyDetector.detectAll(); matching anomalies are
+ * set aside with `suppressed: { ruleId, ruleName }` instead of being dropped. They are saved
+ * through services/storage.js like the datasets they apply to.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const { getDetector, listDetectors } = require('./detectorRegistry');
+const { EVENT_LABELS } = require('./eventDetector');
+
+const DEFAULT_WINDOW = 3;
+
+const rules = new Map();
+let loaded = false;
+
+/* Stored rules are read on first use, so the storage driver is chosen before then */
+function all() {
+  if (!loaded) {
+    loaded = true;
+    for (const r of storage.list('suppressionRules').sort((a, b) => a.createdAt.localeCompare(b.createdAt))) rules.set(r.id, r);
+  }
+  return rules;
+}
+
+function listRules() {
+  return [...all().values()];
+}
+
+function getRule(id) {
+  return all().get(id) || null;
+}
+
+/* Normalise and check a rule's fields; throws on invalid input */
+function validate({ name, detector, parameter, event, window, phase, startTime, endTime, reason, enabled }) {
+  if (typeof name !== 'string' || !name.trim()) throw new Error('Rule name is required');
+  const rule = { name: name.trim(), detector: null, parameter: null, event: null, window: null, phase: null, startTime: null, endTime: null, reason: typeof reason === 'string' ? reason.trim() : '', enabled: enabled !== false };
+
+  if (detector) {
+    const d = getDetector(detector) || listDetectors().find(x => x.label.toLowerCase() === String(detector).toLowerCase());
+    if (!d) throw new Error(`Detector not found: ${detector}`);
+    rule.detector = d.name;
+  }
+  if (parameter) {
+    if (typeof parameter !== 'string') throw new Error('parameter must be a column name');
+    rule.parameter = parameter;
+  }
+  if (event) {
+    const key = Object.keys(EVENT_LABELS).find(k => k === event || EVENT_LABELS[k].toLowerCase() === String(event).toLowerCase());
+    if (!key) throw new Error(`Unknown mission event: ${event} (expected one of ${Object.keys(EVENT_LABELS).join(', ')})`);
+    rule.event = key;
+    rule.window = window === undefined || window === null ? DEFAULT_WINDOW : Number(window);
+    if (!(rule.window >= 0)) throw new Error('window must be a number of seconds, 0 or more');
+  }
+  if (phase) {
+    if (typeof phase !== 'string') throw new Error('phase must be a phase name');
+    rule.phase = phase;
+  }
+  for (const k of ['startTime', 'endTime']) {
+    const v = { startTime, endTime }[k];
+    if (v === undefined || v === null || v === '') continue;
+    if (!Number.isFinite(Number(v))) throw new Error(`${k} must be a number`);
+    rule[k] = Number(v);
+  }
+  if (rule.startTime !== null && rule.endTime !== null && rule.endTime < rule.startTime) throw new Error('endTime must not be before startTime');
+  if (!rule.detector && !rule.parameter && !rule.event && !rule.phase && rule.startTime === null && rule.endTime === null) {
+    throw new Error('A rule needs at least one condition (detector, parameter, event, phase or time range)');
+  }
+  return rule;
+}
+
+/**
+ * Create a rule. Throws on invalid input.
+ */
+function createRule(input = {}) {
+  const now = new Date().toISOString();
+  const rule = { id: uuidv4(), ...validate(input), createdAt: now, updatedAt: now };
+  all().set(rule.id, rule);
+  storage.put('suppressionRules', rule.id, rule);
+  return rule;
+}
+
+/**
+ * Replace a rule's fields (omitted fields keep their values). Returns null when not found.
+ */
+function updateRule(id, changes = {}) {
+  const existing = getRule(id);
+  if (!existing) return null;
+  const rule = { id, ...validate({ ...existing, ...changes }), createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+  rules.set(id, rule);
+  storage.put('suppressionRules', id, rule);
+  return rule;
+}
+
+function deleteRule(id) {
+  if (!all().delete(id)) return false;
+  storage.remove('suppressionRules', id);
+  return true;
+}
+
+/**
+ * Matcher for AnomalyDetector.suppress(): returns a => { ruleId, ruleName } | null.
+ * ctx.eventTimes is { event key: mission time }; ctx.phaseAt(t) gives the phase at a time.
+ */
+function matcher({ eventTimes = {}, phaseAt = () => null } = {}) {
+  const active = listRules().filter(r => r.enabled);
+  return a => {
+    for (const r of active) {
+      const t = a.missionTime;
+      if (r.detector && a.detector !== r.detector) continue;
+      if (r.parameter && a.parameter !== r.parameter) continue;
+      if (r.startTime !== null && t < r.startTime) continue;
+      if (r.endTime !== null && t > r.endTime) continue;
+      if (r.event && !(typeof eventTimes[r.event] === 'number' && Math.abs(t - eventTimes[r.event]) <= r.window)) continue;
+      if (r.phase && phaseAt(t) !== r.phase) continue;
+      return { ruleId: r.id, ruleName: r.name };
+    }
+    return null;
+  };
+}
+
+module.exports = {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  matcher,
+};
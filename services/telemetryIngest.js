@@ -0,0 +1,223 @@
+/**
+ * Telemetry Ingest  -  reads any supported telemetry file into a TelemetryTable
+ * The format is detected from the content, not the file name:
+ *   - csv / tsv / semicolon   delimited text with a header row (delimiter picked from the header)
+ *   - json                    columnar JSON as published by shahar603/Telemetry-Data
+ *                             ({ "time": [...], "velocity": [...], ... }) or an array of row objects
+ *   - jsonl                   one JSON object per line (JSON Lines / NDJSON)
+ *   - ccsds                   binary CCSDS space packets, decoded with a packet definition (ccsdsParser.js)
+ * Any of these may be gzip-compressed.
+ *
+ * Every parser yields the same cells CSVParser does: numbers, NaN, null for blanks, text.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const CSVParser = require('./csvParser');
+const CCSDSParser = require('./ccsdsParser');
+const TelemetryTable = require('./telemetryTable');
+
+const SNIFF_BYTES = 64 * 1024;
+const DELIMITERS = { csv: ',', tsv: '\t', semicolon: ';' };
+
+/**
+ * Detect the format of a file: { format, gzip }. Throws when the content is not recognised.
+ * With a packet definition, binary content is taken to be CCSDS packets even when it does not
+ * look like them at first sight (e.g. behind a custom sync marker); decoding reports the problem.
+ */
+async function detectFormat(filePath, { packetDefinition = null } = {}) {
+  const head = await readHead(filePath);
+  const gzip = head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b;
+  const buf = gzip ? await readHead(filePath, true) : head;
+  if (isBinary(buf)) {
+    if (packetDefinition || looksLikePackets(buf)) return { format: 'ccsds', gzip };
+    throw new Error('Unrecognised file format (binary content)');
+  }
+  return { format: sniffText(buf.toString('utf8')), gzip };
+}
+
+/* NUL bytes or invalid UTF-8 (a multi-byte character cut off at the end of the sample is fine) */
+function isBinary(buf) {
+  if (buf.includes(0)) return true;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buf, { stream: true });
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+function looksLikePackets(buf) {
+  return CCSDSParser.looksLikePackets(buf) || CCSDSParser.looksLikePackets(buf, CCSDSParser.ATTACHED_SYNC_MARKER);
+}
+
+/* First SNIFF_BYTES of the file as a Buffer (decompressed when `gunzip`) */
+function readHead(filePath, gunzip = false) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0, done = false;
+    const raw = fs.createReadStream(filePath, gunzip ? {} : { end: SNIFF_BYTES - 1 });
+    const stream = gunzip ? raw.pipe(zlib.createGunzip()) : raw;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      raw.destroy();
+      resolve(Buffer.concat(chunks));
+    };
+    stream.on('data', c => {
+      chunks.push(c);
+      size += c.length;
+      if (size >= SNIFF_BYTES) finish();
+    });
+    stream.on('end', finish);
+    stream.on('error', e => (done ? null : reject(e.code === 'Z_DATA_ERROR' ? new Error('Corrupt gzip data') : e)));
+    raw.on('error', reject);
+  });
+}
+
+/**
+ * Format of a text sample: json / jsonl, or the delimiter family of the header line
+ */
+function sniffText(text) {
+  const body = text.replace(/^\uFEFF/, '');
+  if (body.includes('\u0000')) throw new Error('Unrecognised file format (binary content)');
+  const trimmed = body.trimStart();
+  if (!trimmed) throw new Error('File is empty');
+  /* Control characters other than tab in the first line mean this is not a text table */
+  if (/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(trimmed.split(/\r?\n/, 1)[0])) throw new Error('Unrecognised file format (control characters in the header line)');
+
+  if (trimmed[0] === '{' || trimmed[0] === '[') {
+    /* A first line that is a whole object, and not mostly arrays (columnar), means JSON Lines */
+    const firstLine = trimmed.split(/\r?\n/, 1)[0].trim();
+    if (trimmed[0] === '{') {
+      try {
+        const values = Object.values(JSON.parse(firstLine));
+        if (values.filter(Array.isArray).length * 2 < values.length || !values.length) return 'jsonl';
+      } catch { /* multi-line JSON document */ }
+    }
+    return 'json';
+  }
+
+  /* Count each delimiter outside quotes on the header line */
+  const header = trimmed.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = Object.entries(DELIMITERS).map(([fmt, d]) => [fmt, header.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : 'csv';
+}
+
+/**
+ * Read a telemetry file of any supported format.
+ * Resolves to { table, runningStats, preview, bytes, format, gzip } like CSVParser.ingest;
+ * CCSDS files also carry a `packets` decode report. options.packetDefinition is required for them.
+ */
+async function ingestFile(filePath, options = {}) {
+  const { packetDefinition, ...rest } = options;
+  const { format, gzip } = await detectFormat(filePath, { packetDefinition });
+  if (format === 'ccsds' && !packetDefinition) throw new Error('CCSDS space packets detected; choose a packet definition to decode them');
+  const totalBytes = (await fs.promises.stat(filePath)).size;
+  const source = fs.createReadStream(filePath);
+  const input = gzip ? source.pipe(zlib.createGunzip()) : source;
+  const opts = { ...rest, source, totalBytes };
+
+  let result;
+  if (format === 'ccsds') result = await CCSDSParser.ingestStream(input, packetDefinition, opts);
+  else if (DELIMITERS[format]) result = await CSVParser.ingestStream(input, { ...opts, separator: DELIMITERS[format] });
+  else if (format === 'jsonl') result = await ingestJsonLines(input, opts);
+  else result = await ingestJson(input, opts);
+  return { ...result, format, gzip };
+}
+
+/* JSON Lines: one row object per line, streamed */
+function ingestJsonLines(input, { source, totalBytes, onProgress, previewPoints }) {
+  return new Promise((resolve, reject) => {
+    const table = new TelemetryTable();
+    const acc = CSVParser.createAccumulator(previewPoints);
+    let bytes = 0, line = 0, failed = false;
+    source.on('data', chunk => {
+      bytes += chunk.length;
+      if (onProgress) onProgress({ bytes, totalBytes, rows: table.length });
+    });
+    const fail = e => {
+      if (failed) return;
+      failed = true;
+      source.destroy();
+      reject(e);
+    };
+    source.on('error', fail);
+    input.on('error', fail);
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    rl.on('line', text => {
+      line++;
+      if (failed || !text.trim()) return;
+      let obj;
+      try { obj = JSON.parse(text); } catch { return fail(new Error(`Invalid JSON on line ${line}`)); }
+      if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return fail(new Error(`Line ${line} is not a JSON object`));
+      appendRow(table, obj, acc);
+    });
+    rl.on('close', () => { if (!failed) resolve({ table, ...acc, bytes }); });
+  });
+}
+
+/* Whole-document JSON: columnar ({ key: [values] }) or an array of row objects */
+async function ingestJson(input, { source, totalBytes, onProgress, previewPoints }) {
+  let bytes = 0;
+  const chunks = [];
+  await new Promise((resolve, reject) => {
+    source.on('data', chunk => {
+      bytes += chunk.length;
+      if (onProgress) onProgress({ bytes, totalBytes, rows: 0 });
+    });
+    input.on('data', chunk => chunks.push(chunk));
+    input.on('end', resolve);
+    input.on('error', reject);
+    source.on('error', reject);
+  });
+  let doc;
+  try { doc = JSON.parse(Buffer.concat(chunks).toString('utf8').replace(/^\uFEFF/, '')); } catch (e) { throw new Error(`Invalid JSON: ${e.message}`); }
+
+  const table = new TelemetryTable();
+  const acc = CSVParser.createAccumulator(previewPoints);
+  if (Array.isArray(doc)) {
+    doc.forEach((row, i) => {
+      if (!row || typeof row !== 'object' || Array.isArray(row)) throw new Error(`Item ${i} is not a JSON object`);
+      appendRow(table, row, acc);
+    });
+  } else if (doc && typeof doc === 'object') {
+    /* Columnar: every array-valued key is a column; scalar keys (metadata) are skipped */
+    const keys = Object.keys(doc).filter(k => Array.isArray(doc[k]));
+    if (!keys.length) throw new Error('JSON object has no array-valued columns');
+    const n = Math.max(...keys.map(k => doc[k].length));
+    for (const k of keys) table.addColumn(k);
+    for (let i = 0; i < n; i++) {
+      table.append(keys.map(k => cellValue(doc[k][i])));
+      CSVParser.accumulate(table, table.length - 1, acc);
+    }
+  } else {
+    throw new Error('JSON document must be an object of columns or an array of rows');
+  }
+  return { table, ...acc, bytes };
+}
+
+function appendRow(table, obj, acc) {
+  const row = {};
+  for (const [k, v] of Object.entries(obj)) row[k] = cellValue(v);
+  table.append(row);
+  CSVParser.accumulate(table, table.length - 1, acc);
+}
+
+/* JSON value -> the cell CSVParser would produce for the same text */
+function cellValue(v) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === 'number') return v;
+  if (typeof v === 'string') return CSVParser.parseValue(v);
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+}
+
+module.exports = {
+  detectFormat,
+  sniffText,
+  ingestFile,
+  cellValue,
+};
@@ -0,0 +1,403 @@
+/**
+ * Telemetry Table  -  columnar storage for ingested telemetry
+ * One growable typed array per column instead of one object per row:
+ *   - numeric columns   Float64Array values, plus a Uint8Array of cell flags once a
+ *                       column holds a blank, NaN or stray text cell
+ *   - text columns      dictionary-encoded (Uint32Array codes into a list of distinct values)
+ * A column's kind is decided by its first non-blank cell, as CSVParser.getNumericColumns does.
+ *
+ * Code written against arrays of row objects reads the table through rowViews(): light
+ * objects that hold only a row index and read their fields from the columns on access.
+ */
+
+const INITIAL_CAPACITY = 1024;
+
+/* Cell flags for numeric columns */
+const VALUE = 0, BLANK = 1, NAN = 2, TEXT = 3;
+
+/* Row index held by a row view */
+const ROW = Symbol('row');
+
+class Column {
+  constructor(name, length = 0) {
+    this.name = name;
+    this.kind = null;           // 'numeric' | 'text' once a non-blank cell is seen
+    this.length = length;
+    this.leadingBlanks = length;
+    this.values = null;
+    this.flags = null;
+    this.other = null;          // row -> text cell inside a numeric column
+    this.codes = null;
+    this.dict = null;
+    this.lookup = null;
+  }
+
+  push(v) {
+    if (this.kind === null) {
+      if (v === null || v === undefined) { this.length++; this.leadingBlanks++; return; }
+      this._init(typeof v === 'number' ? 'numeric' : 'text');
+    }
+    const i = this.length++;
+    this._ensure(this.length);
+    if (this.kind === 'text') {
+      this.codes[i] = v === null || v === undefined ? 0 : this._code(v);
+      return;
+    }
+    if (typeof v === 'number' && !isNaN(v)) {
+      this.values[i] = v;
+      if (this.flags) this.flags[i] = VALUE;
+      return;
+    }
+    this._flag(i, v === null || v === undefined ? BLANK : typeof v === 'number' ? NAN : TEXT);
+    this.values[i] = NaN;
+    if (this.flags[i] === TEXT) this.other.set(i, v);
+  }
+
+  get(i) {
+    if (this.kind === null) return null;
+    if (this.kind === 'text') return this.dict[this.codes[i]];
+    if (!this.flags || this.flags[i] === VALUE) return this.values[i];
+    const f = this.flags[i];
+    return f === BLANK ? null : f === NAN ? NaN : this.other.get(i);
+  }
+
+  /* True when row i holds a usable number */
+  isNumber(i) {
+    return this.kind === 'numeric' && (!this.flags || this.flags[i] === VALUE);
+  }
+
+  _init(kind) {
+    this.kind = kind;
+    const cap = Math.max(INITIAL_CAPACITY, this.length * 2);
+    if (kind === 'text') {
+      this.codes = new Uint32Array(cap);
+      this.dict = [null];
+      this.lookup = new Map();
+    } else {
+      this.values = new Float64Array(cap);
+      if (this.leadingBlanks) {
+        this.values.fill(NaN, 0, this.leadingBlanks);
+        this._flag(0, BLANK);
+        this.flags.fill(BLANK, 0, this.leadingBlanks);
+      }
+    }
+  }
+
+  _flag(i, flag) {
+    if (!this.flags) {
+      this.flags = new Uint8Array(this.values.length);
+      this.other = new Map();
+    }
+    this.flags[i] = flag;
+  }
+
+  _code(v) {
+    let c = this.lookup.get(v);
+    if (c === undefined) {
+      c = this.dict.length;
+      this.dict.push(v);
+      this.lookup.set(v, c);
+    }
+    return c;
+  }
+
+  /* Copy under another name; numeric values become value * scale + offset */
+  clone(name, scale = 1, offset = 0) {
+    const c = new Column(name, this.length);
+    c.kind = this.kind;
+    c.leadingBlanks = this.leadingBlanks;
+    if (this.kind === 'text') {
+      c.codes = this.codes.slice(0, this.length);
+      c.dict = [...this.dict];
+      c.lookup = new Map(this.lookup);
+    } else if (this.kind === 'numeric') {
+      c.values = this.values.slice(0, this.length);
+      if (scale !== 1 || offset !== 0) for (let i = 0; i < c.values.length; i++) c.values[i] = c.values[i] * scale + offset;
+      if (this.flags) {
+        c.flags = this.flags.slice(0, this.length);
+        c.other = new Map(this.other);
+      }
+    }
+    return c;
+  }
+
+  /* Copy with rows reordered: row k of the copy is row order[k] of this column */
+  permute(order) {
+    const c = this.clone(this.name);
+    const n = order.length;
+    if (this.kind === 'text') {
+      for (let k = 0; k < n; k++) c.codes[k] = this.codes[order[k]];
+    } else if (this.kind === 'numeric') {
+      for (let k = 0; k < n; k++) c.values[k] = this.values[order[k]];
+      if (this.flags) {
+        c.other = new Map();
+        for (let k = 0; k < n; k++) {
+          c.flags[k] = this.flags[order[k]];
+          if (c.flags[k] === TEXT) c.other.set(k, this.other.get(order[k]));
+        }
+      }
+    }
+    return c;
+  }
+
+  /* Plain object for storage: typed arrays as base64, trimmed to the column length */
+  toJSON() {
+    const b64 = (arr, bytes) => arr ? Buffer.from(arr.buffer, arr.byteOffset, this.length * bytes).toString('base64') : null;
+    return {
+      name: this.name,
+      kind: this.kind,
+      length: this.length,
+      leadingBlanks: this.leadingBlanks,
+      values: this.kind === 'numeric' ? b64(this.values, 8) : null,
+      flags: this.kind === 'numeric' ? b64(this.flags, 1) : null,
+      other: this.other ? [...this.other] : null,
+      codes: this.kind === 'text' ? b64(this.codes, 4) : null,
+      dict: this.dict,
+    };
+  }
+
+  static fromJSON(json) {
+    const c = new Column(json.name, json.length);
+    c.kind = json.kind;
+    c.leadingBlanks = json.leadingBlanks;
+    /* Copy out of the decoded buffer so the arrays are aligned and growable */
+    const decode = (b64, Type) => new Type(new Uint8Array(Buffer.from(b64, 'base64')).buffer);
+    if (json.kind === 'numeric') {
+      c.values = decode(json.values, Float64Array);
+      if (json.flags) {
+        c.flags = decode(json.flags, Uint8Array);
+        c.other = new Map(json.other || []);
+      }
+    } else if (json.kind === 'text') {
+      c.codes = decode(json.codes, Uint32Array);
+      c.dict = json.dict;
+      c.lookup = new Map(json.dict.map((v, i) => [v, i]).slice(1));
+    }
+    return c;
+  }
+
+  _ensure(n) {
+    const arr = this.kind === 'text' ? this.codes : this.values;
+    if (n <= arr.length) return;
+    const cap = Math.max(n, arr.length * 2);
+    const grow = (old, Type) => { const a = new Type(cap); a.set(old); return a; };
+    if (this.kind === 'text') this.codes = grow(this.codes, Uint32Array);
+    else {
+      this.values = grow(this.values, Float64Array);
+      if (this.flags) this.flags = grow(this.flags, Uint8Array);
+    }
+  }
+}
+
+class TelemetryTable {
+  constructor(columns = []) {
+    this.columns = [];
+    this.length = 0;
+    this._cols = new Map();
+    this._views = null;
+    this.revision = 0;          // bumped on every change, so storage can skip unchanged tables
+    for (const c of columns) this.addColumn(c);
+  }
+
+  addColumn(name) {
+    if (this._cols.has(name)) return this._cols.get(name);
+    const col = new Column(name, this.length);
+    this._cols.set(name, col);
+    this.columns.push(name);
+    this._views = null;
+    this.revision++;
+    return col;
+  }
+
+  /**
+   * Append one row, given as an array in column order or an object keyed by column
+   */
+  append(row) {
+    if (Array.isArray(row)) {
+      for (let c = 0; c < this.columns.length; c++) this._cols.get(this.columns[c]).push(row[c]);
+    } else {
+      for (const name of Object.keys(row)) if (!this._cols.has(name)) this.addColumn(name);
+      for (const name of this.columns) this._cols.get(name).push(row[name]);
+    }
+    this.length++;
+    this.revision++;
+    if (this._views) this._views.push(this._makeView(this.length - 1));
+  }
+
+  /**
+   * Add or replace a numeric column from a Float64Array of row values (NaN and ±Infinity read as blank)
+   */
+  setNumericColumn(name, values) {
+    const col = new Column(name, this.length);
+    col.leadingBlanks = 0;
+    col._init('numeric');
+    col.values.set(values.subarray(0, this.length));
+    for (let i = 0; i < this.length; i++) {
+      if (Number.isFinite(col.values[i])) continue;
+      col.values[i] = NaN;
+      col._flag(i, BLANK);
+    }
+    if (!this._cols.has(name)) this.columns.push(name);
+    this._cols.set(name, col);
+    this._views = null;
+    this.revision++;
+    return col;
+  }
+
+  dropColumn(name) {
+    if (!this._cols.delete(name)) return false;
+    this.columns.splice(this.columns.indexOf(name), 1);
+    this._views = null;
+    this.revision++;
+    return true;
+  }
+
+  column(name) {
+    return this._cols.get(name) || null;
+  }
+
+  get(name, i) {
+    const col = this._cols.get(name);
+    return col ? col.get(i) : undefined;
+  }
+
+  /**
+   * Numeric column as a Float64Array (blank / NaN / text cells read as NaN)
+   */
+  numeric(name) {
+    const col = this._cols.get(name);
+    if (!col || col.kind !== 'numeric') return null;
+    return col.values.subarray(0, this.length);
+  }
+
+  /* Numeric columns other than mission_time_s */
+  numericColumns() {
+    return this.columns.filter(c => c !== 'mission_time_s' && this._cols.get(c).kind === 'numeric');
+  }
+
+  /* Plain object for row i */
+  row(i) {
+    const out = {};
+    for (const name of this.columns) out[name] = this._cols.get(name).get(i);
+    return out;
+  }
+
+  /**
+   * Copy with the rows in mission_time_s order (stable; rows without a time go last), or this
+   * table when they already are. Time windows and the detectors rely on that order.
+   */
+  sortedByTime() {
+    const time = this._cols.get('mission_time_s');
+    if (!time || time.kind !== 'numeric') return this;
+    const key = i => (time.isNumber(i) ? time.values[i] : Infinity);
+    const order = Array.from({ length: this.length }, (_, i) => i).sort((a, b) => key(a) - key(b) || a - b);
+    if (order.every((r, k) => r === k)) return this;
+    const out = new TelemetryTable();
+    out.length = this.length;
+    for (const name of this.columns) {
+      out._cols.set(name, this._cols.get(name).permute(order));
+      out.columns.push(name);
+    }
+    return out;
+  }
+
+  /**
+   * First row index with mission_time_s >= t (rows assumed in time order, see sortedByTime)
+   */
+  lowerBound(t) {
+    const times = this.numeric('mission_time_s');
+    let lo = 0, hi = this.length;
+    if (!times) return 0;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] < t) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  /* First row index with mission_time_s > t */
+  upperBound(t) {
+    const times = this.numeric('mission_time_s');
+    let lo = 0, hi = this.length;
+    if (!times) return this.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= t) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Array of row views over the table. Views read like plain rows (r.altitude_km,
+   * JSON.stringify) but are not own-keyed, so column lists come from `.columns`
+   * on the returned array (see CSVParser.getColumns).
+   */
+  rowViews() {
+    if (!this._views) {
+      this._View = this._buildViewClass();
+      this._views = new Array(this.length);
+      for (let i = 0; i < this.length; i++) this._views[i] = this._makeView(i);
+      Object.defineProperty(this._views, 'columns', { get: () => this.columns });
+    }
+    return this._views;
+  }
+
+  _buildViewClass() {
+    const table = this;
+    class RowView {
+      constructor(i) { this[ROW] = i; }
+      toJSON() { return table.row(this[ROW]); }
+    }
+    for (const name of this.columns) {
+      const col = this._cols.get(name);
+      Object.defineProperty(RowView.prototype, name, { get() { return col.get(this[ROW]); }, enumerable: true });
+    }
+    return RowView;
+  }
+
+  _makeView(i) {
+    return new this._View(i);
+  }
+
+  /**
+   * New table from columns of this one: [{ source, target, scale?, offset? }] in output order.
+   * Used to rename, unit-convert or drop columns without going through rows.
+   */
+  remap(spec) {
+    const out = new TelemetryTable();
+    out.length = this.length;
+    for (const s of spec) {
+      const src = this._cols.get(s.source);
+      if (!src) throw new Error(`Unknown column: ${s.source}`);
+      out._cols.set(s.target, src.clone(s.target, s.scale ?? 1, s.offset ?? 0));
+      out.columns.push(s.target);
+    }
+    return out;
+  }
+
+  toJSON() {
+    return { length: this.length, columns: this.columns.map(name => this._cols.get(name).toJSON()) };
+  }
+
+  /* Table from toJSON() output */
+  static fromJSON(json) {
+    const table = new TelemetryTable();
+    table.length = json.length;
+    for (const c of json.columns) {
+      table._cols.set(c.name, Column.fromJSON(c));
+      table.columns.push(c.name);
+    }
+    return table;
+  }
+
+  /**
+   * Build a table from an array of plain row objects
+   */
+  static fromRows(rows) {
+    const table = new TelemetryTable(rows.length ? Object.keys(rows[0]) : []);
+    for (const r of rows) table.append(r);
+    return table;
+  }
+}
+
+module.exports = TelemetryTable;
@@ -0,0 +1,19 @@
+/**
+ * Time Series  -  helpers shared by everything that reads mission_time_s
+ *   - medianStep  nominal sample step of a record (median of the positive time deltas)
+ */
+
+/**
+ * Median of the positive steps between consecutive times (array or typed array); repeated and
+ * backwards times are skipped. Returns null when there is no positive step.
+ */
+function medianStep(times) {
+  const d = [];
+  for (let i = 1; i < times.length; i++) if (times[i] > times[i - 1]) d.push(times[i] - times[i - 1]);
+  if (!d.length) return null;
+  /* A typed array sorts numerically without a comparator, which matters on long records */
+  const sorted = Float64Array.from(d).sort();
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+module.exports = { medianStep };
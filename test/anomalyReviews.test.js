@@ -0,0 +1,79 @@
+/**
+ * Anomaly Reviews tests  -  event reviews follow their anomalies when suppression or
+ * re-clustering gives the event a new key. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const anomalyReviews = require('../services/anomalyReviews');
+
+const anomaly = (id, missionTime) => ({ id: `ANM-${id}`, missionTime });
+const event = (n, anomalies) => ({ id: `EVT-${String(n).padStart(3, '0')}`, key: anomalies[0].id.replace('ANM-', 'EVT-'), anomalies });
+
+/* Replace the findings as a detection or suppression run would, then annotate as storeFindings does */
+function rerun(ds, events) {
+  ds.anomalies = events.flatMap(ev => ev.anomalies);
+  ds.summary = { events };
+  anomalyReviews.annotate(ds);
+}
+
+function dataset() {
+  const ds = { reviews: {} };
+  rerun(ds, [event(1, [anomaly('a', 10), anomaly('b', 12), anomaly('c', 15)]), event(2, [anomaly('d', 40)])]);
+  return ds;
+}
+
+test('keeps an event review on the event when its earliest anomaly is suppressed', () => {
+  const ds = dataset();
+  anomalyReviews.updateReview(ds, 'EVT-001', { state: 'acknowledged', assignee: 'gnc' });
+  anomalyReviews.addComment(ds, 'EVT-001', { text: 'Expected at throttle-down' });
+
+  rerun(ds, [event(1, [anomaly('b', 12), anomaly('c', 15)]), event(2, [anomaly('d', 40)])]);
+  const [ev] = ds.summary.events;
+  assert.equal(ev.key, 'EVT-b');
+  assert.equal(ev.reviewState, 'acknowledged');
+  assert.equal(ev.review.comments[0].text, 'Expected at throttle-down');
+  assert.deepEqual(Object.keys(ds.reviews), ['EVT-b']);
+  assert.deepEqual(ds.reviews['EVT-b'].anomalies, ['ANM-b', 'ANM-c']);
+  assert.equal(ds.anomalies[1].reviewAssignee, 'gnc');
+  assert.equal(anomalyReviews.listReviews(ds)[0].present, true);
+});
+
+test('moves an event review to the new cluster holding most of its anomalies', () => {
+  const ds = dataset();
+  anomalyReviews.updateReview(ds, 'EVT-a', { state: 'root-caused' });
+
+  /* A shorter cluster window splits the event: a alone, then b and c */
+  rerun(ds, [event(1, [anomaly('x', 5)]), event(2, [anomaly('b', 12), anomaly('c', 15)]), event(3, [anomaly('d', 40)])]);
+  assert.deepEqual(ds.summary.events.map(ev => ev.reviewState), ['open', 'root-caused', 'open']);
+  assert.equal(ds.reviews['EVT-b'].id, 'EVT-b');
+});
+
+test('does not take over an event that has a review of its own', () => {
+  const ds = dataset();
+  anomalyReviews.updateReview(ds, 'EVT-001', { state: 'acknowledged' });
+  anomalyReviews.updateReview(ds, 'EVT-002', { state: 'false-positive' });
+
+  /* The clusters merge under the second event's key */
+  rerun(ds, [event(1, [anomaly('d', 9), anomaly('a', 10), anomaly('b', 12)])]);
+  assert.equal(ds.summary.events[0].reviewState, 'false-positive');
+  assert.deepEqual(anomalyReviews.listReviews(ds).map(r => [r.id, r.present]), [['EVT-a', false], ['EVT-d', true]]);
+});
+
+test('carries over reviews saved before member anomalies were recorded', () => {
+  const ds = dataset();
+  ds.reviews['EVT-a'] = { id: 'EVT-a', kind: 'event', state: 'acknowledged', assignee: null, comments: [] };
+
+  rerun(ds, [event(1, [anomaly('z', 8), anomaly('a', 10), anomaly('b', 12)]), event(2, [anomaly('d', 40)])]);
+  assert.equal(ds.summary.events[0].key, 'EVT-z');
+  assert.equal(ds.summary.events[0].reviewState, 'acknowledged');
+});
+
+test('leaves a review absent when none of its anomalies is found any more', () => {
+  const ds = dataset();
+  anomalyReviews.updateReview(ds, 'EVT-002', { state: 'acknowledged' });
+
+  rerun(ds, [event(1, [anomaly('a', 10), anomaly('b', 12), anomaly('c', 15)])]);
+  assert.deepEqual(anomalyReviews.listReviews(ds).map(r => [r.id, r.present]), [['EVT-d', false]]);
+  assert.equal(ds.summary.events[0].reviewState, 'open');
+});
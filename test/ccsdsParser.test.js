@@ -0,0 +1,195 @@
+/**
+ * CCSDS Parser tests  -  packets are encoded here from a small definition, so no fixture files
+ * are needed. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const CCSDSParser = require('../services/ccsdsParser');
+
+const DEFINITION = {
+  name: 'Test recorder',
+  time: { field: 'met' },
+  packets: [
+    {
+      apid: 10,
+      name: 'NAV',
+      fields: [
+        { name: 'met', type: 'u32', scale: 0.001 },
+        { name: 'velocity_ms', type: 'f32' },
+        { name: 'temp_c', type: 'i16', scale: 0.1, bias: -40 },
+        { name: 'flight_phase', type: 'u8', enum: { 0: 'PAD', 1: 'ASCENT' } },
+      ],
+    },
+    {
+      apid: 11,
+      name: 'AERO',
+      fields: [
+        { name: 'met', type: 'u32', scale: 0.001 },
+        { name: 'mach_number', type: 'u16', scale: 0.01 },
+      ],
+    },
+  ],
+};
+
+/* One unsegmented telemetry packet: primary header, then the data field */
+function packet(apid, seq, data, version = 0) {
+  const header = Buffer.alloc(6);
+  header.writeUInt16BE((version << 13) | (apid & 0x7ff), 0);
+  header.writeUInt16BE(0xc000 | (seq & 0x3fff), 2);
+  header.writeUInt16BE(data.length - 1, 4);
+  return Buffer.concat([header, data]);
+}
+
+function nav(seq, i) {
+  const data = Buffer.alloc(11);
+  data.writeUInt32BE(i * 100, 0);
+  data.writeFloatBE(100.5 + i, 4);
+  data.writeInt16BE(Math.round((20.5 + i + 40) / 0.1), 8);
+  data.writeUInt8(i < 5 ? 0 : 1, 10);
+  return packet(10, seq, data);
+}
+
+function aero(seq, i) {
+  const data = Buffer.alloc(6);
+  data.writeUInt32BE(i * 100, 0);
+  data.writeUInt16BE(i * 37, 4);
+  return packet(11, seq, data);
+}
+
+/* The row each NAV + AERO pair decodes to */
+function expectedRow(i) {
+  return {
+    mission_time_s: +(i * 0.1).toFixed(9),
+    velocity_ms: 100.5 + i,
+    temp_c: 20.5 + i,
+    flight_phase: i < 5 ? 'PAD' : 'ASCENT',
+    mach_number: +(i * 0.37).toPrecision(15),
+  };
+}
+
+/* Samples 0..n-1 as NAV and AERO packets, with sequence counts starting at `seq` */
+function stream(n, { seq = 0 } = {}) {
+  const out = [];
+  for (let i = 0; i < n; i++) out.push(nav(seq + i, i), aero(seq + i, i));
+  return out;
+}
+
+/* Decode packets fed as the given chunks (one chunk per buffer unless chunkSize is set) */
+function decode(buffers, { definition = DEFINITION, chunkSize } = {}) {
+  const all = Buffer.concat(buffers);
+  const chunks = [];
+  if (chunkSize) for (let p = 0; p < all.length; p += chunkSize) chunks.push(all.subarray(p, p + chunkSize));
+  else chunks.push(all);
+  return CCSDSParser.ingestStream(Readable.from(chunks), definition);
+}
+
+function rows(table) {
+  return Array.from({ length: table.length }, (_, i) => table.row(i));
+}
+
+test('decodes fields and merges packets sharing a timestamp into one row', async () => {
+  const { table, packets } = await decode(stream(10));
+  assert.deepEqual(rows(table), Array.from({ length: 10 }, (_, i) => expectedRow(i)));
+  assert.equal(packets.total, 20);
+  assert.deepEqual(packets.byApid, {
+    10: { name: 'NAV', packets: 10, sequenceGaps: 0 },
+    11: { name: 'AERO', packets: 10, sequenceGaps: 0 },
+  });
+  assert.equal(packets.sequenceGaps, 0);
+  assert.equal(packets.trailingBytes, 0);
+});
+
+test('decodes the same rows when packets are split across chunks', async () => {
+  const whole = await decode(stream(10));
+  const split = await decode(stream(10), { chunkSize: 7 });
+  assert.deepEqual(rows(split.table), rows(whole.table));
+});
+
+test('counts sequence-count gaps per APID', async () => {
+  const packets = stream(10).filter((_, k) => k !== 6 && k !== 11 && k !== 15);  // NAV 3, AERO 5 and 7
+  const { table, packets: report } = await decode(packets);
+  assert.equal(report.sequenceGaps, 3);
+  assert.equal(report.byApid[10].sequenceGaps, 1);
+  assert.equal(report.byApid[11].sequenceGaps, 2);
+  assert.equal(table.length, 10);
+  assert.equal(table.row(3).velocity_ms, null);
+  assert.equal(table.row(5).mach_number, null);
+});
+
+test('treats the wrap from 16383 to 0 as consecutive', async () => {
+  const { packets } = await decode(stream(4, { seq: 16382 }));
+  assert.equal(packets.sequenceGaps, 0);
+});
+
+test('reads packets behind the attached sync marker without it being declared', async () => {
+  const marker = CCSDSParser.ATTACHED_SYNC_MARKER;
+  const { table, packets } = await decode(stream(10).map(p => Buffer.concat([marker, p])));
+  assert.deepEqual(rows(table), rows((await decode(stream(10))).table));
+  assert.equal(packets.total, 20);
+});
+
+test('reads a declared sync marker and rejects a stream where it is missing', async () => {
+  const definition = { ...DEFINITION, syncMarker: 'FAF320' };
+  const marker = Buffer.from('FAF320', 'hex');
+  const { table } = await decode(stream(5).map(p => Buffer.concat([marker, p])), { definition });
+  assert.equal(table.length, 5);
+  await assert.rejects(decode(stream(5), { definition }), /Sync marker not found at byte 0/);
+});
+
+test('leaves a truncated trailing packet out and reports its bytes', async () => {
+  const cut = nav(10, 10).subarray(0, 9);
+  const { table, packets } = await decode([...stream(10), cut]);
+  assert.equal(table.length, 10);
+  assert.deepEqual(table.row(9), expectedRow(9));
+  assert.equal(packets.total, 20);
+  assert.equal(packets.trailingBytes, 9);
+});
+
+test('counts unknown APIDs and idle packets without decoding them', async () => {
+  const unknown = packet(99, 0, Buffer.alloc(4, 0xff));
+  const idle = packet(0x7ff, 0, Buffer.alloc(2));
+  const [first, ...rest] = stream(5);
+  const { table, packets } = await decode([first, unknown, ...rest, unknown, idle]);
+  assert.deepEqual(rows(table), Array.from({ length: 5 }, (_, i) => expectedRow(i)));
+  assert.deepEqual(packets.unknownApids, { 99: 2 });
+  assert.equal(packets.idle, 1);
+  assert.equal(packets.total, 13);
+});
+
+test('rejects data that is not a CCSDS packet stream', async () => {
+  await assert.rejects(decode([nav(0, 0), packet(10, 1, Buffer.alloc(11), 3)]), /Not a CCSDS packet at byte 17 \(version 3\)/);
+});
+
+test('extracts bit fields given as a low-order mask and a shift', async () => {
+  const definition = {
+    time: { field: 'met' },
+    packets: [{
+      apid: 12,
+      fields: [
+        { name: 'met', type: 'u32' },
+        { name: 'engines_lit', type: 'u8', byteOffset: 4, mask: 0x0f },
+        { name: 'flight_phase', type: 'u8', byteOffset: 4, mask: 0x07, shift: 4, enum: { 1: 'ASCENT' } },
+        { name: 'abort_armed', type: 'u8', byteOffset: 4, mask: 0x01, shift: 7 },
+        { name: 'trim_high', type: 'i16', byteOffset: 5, mask: 0xff, shift: 8 },
+      ],
+    }],
+  };
+  const data = Buffer.alloc(7);
+  data.writeUInt32BE(3, 0);
+  data.writeUInt8(0b1001_1001, 4);
+  data.writeInt16BE(-2, 5);   // 0xfffe
+  const { table } = await decode([packet(12, 0, data)], { definition });
+  assert.deepEqual(table.row(0), { mission_time_s: 3, engines_lit: 9, flight_phase: 'ASCENT', abort_armed: 1, trim_high: 0xff });
+});
+
+test('rejects masks that are not a run of low-order bits, and fields that do not fit', () => {
+  const check = field => () => CCSDSParser.normaliseDefinition({ time: { step: 1 }, packets: [{ apid: 1, fields: [field] }] });
+  assert.throws(check({ name: 'valves', type: 'u8', mask: 0xf0 }), /mask must be contiguous low-order bits .* \(write 0xf0 as mask 0xf with shift 4\)/);
+  assert.throws(check({ name: 'valves', type: 'u8', mask: 0b101 }), /mask must be contiguous low-order bits such as 0x0f, with shift giving their position$/);
+  assert.throws(check({ name: 'valves', type: 'u8', mask: 0x0f, shift: 5 }), /reach past bit 7 of a u8/);
+  assert.throws(check({ name: 'valves', type: 'u8', shift: 2 }), /has a shift but no mask/);
+  assert.throws(check({ name: 'valves', type: 'f32', mask: 1 }), /only apply to integer types/);
+  assert.doesNotThrow(check({ name: 'valves', type: 'u8', mask: 0x0f, shift: 4 }));
+});
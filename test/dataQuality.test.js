@@ -0,0 +1,22 @@
+/**
+ * Data Quality tests  -  time-column checks on parsed rows. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DataQuality = require('../services/dataQuality');
+
+const rows = times => times.map((t, i) => ({ mission_time_s: t, velocity_ms: i }));
+
+test('reports out-of-order timestamps', () => {
+  const report = DataQuality.assess(rows([0, 1, 3, 2, 4]));
+  assert.equal(report.time.outOfOrder, 1);
+  assert.deepEqual(report.time.examples, [{ row: 4, issue: 'out of order', time: 2 }]);
+  assert.equal(report.status, 'error');
+});
+
+test('reports duplicate timestamps without calling them out of order', () => {
+  const report = DataQuality.assess(rows([0, 1, 1, 2]));
+  assert.equal(report.time.duplicates, 1);
+  assert.equal(report.time.outOfOrder, 0);
+});
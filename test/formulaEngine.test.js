@@ -0,0 +1,64 @@
+/**
+ * Formula Engine tests  -  parsing limits and checks, names that only exist on Object.prototype,
+ * and how blank cells flow through evaluation. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TelemetryTable = require('../services/telemetryTable');
+const formulaEngine = require('../services/formulaEngine');
+
+const TABLE = TelemetryTable.fromRows([
+  { mission_time_s: 0, velocity_ms: 0, mach_number: 0.5, flight_phase: 'LIFTOFF' },
+  { mission_time_s: 1, velocity_ms: 10, mach_number: null, flight_phase: 'ASCENT' },
+  { mission_time_s: 2, velocity_ms: 30, mach_number: 1.5, flight_phase: 'ASCENT' },
+  { mission_time_s: 3, velocity_ms: null, mach_number: 2.5, flight_phase: 'ASCENT' },
+]);
+
+const run = expression => Array.from(formulaEngine.evaluate(formulaEngine.compile(expression), TABLE));
+
+test('evaluates arithmetic, constants and element-wise functions per row', () => {
+  assert.deepEqual(run('velocity_ms * 2 + 1').slice(0, 3), [1, 21, 61]);
+  assert.deepEqual(run('max(velocity_ms, 15)').slice(0, 3), [15, 15, 30]);
+  assert.equal(run('g0')[0], 9.80665);
+});
+
+test('does not resolve names through Object.prototype', () => {
+  for (const name of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+    assert.throws(() => formulaEngine.compile(`${name}(1)`), new RegExp(`Unknown function: ${name}\\(\\)`));
+    assert.deepEqual(formulaEngine.compile(name).references, [name], `${name} is read as a column, not a constant`);
+    assert.throws(() => run(name), new RegExp(`Unknown column: ${name}`));
+  }
+});
+
+test('rejects expressions that are too long or nested too deeply', () => {
+  assert.throws(() => formulaEngine.compile(`${'velocity_ms + '.repeat(80)}1`), /longer than 1000 characters/);
+  assert.throws(() => formulaEngine.compile(`${'('.repeat(60)}1${')'.repeat(60)}`), /nested too deeply/);
+  assert.throws(() => formulaEngine.compile(`${'-'.repeat(60)}1`), /nested too deeply/);
+  assert.doesNotThrow(() => formulaEngine.compile(`${'('.repeat(20)}1${')'.repeat(20)}`));
+});
+
+test('checks movavg() and lookup() arguments', () => {
+  assert.throws(() => formulaEngine.compile('movavg(velocity_ms)'), /movavg\(\) takes 2 arguments/);
+  assert.throws(() => formulaEngine.compile('movavg(velocity_ms, 0)'), /window must be a positive number/);
+  assert.throws(() => formulaEngine.compile('movavg(velocity_ms, mach_number)'), /window must be a positive number/);
+  assert.throws(() => formulaEngine.compile('lookup(mach_number, 1, 2)'), /needs \[x values\] and \[y values\] lists/);
+  assert.throws(() => formulaEngine.compile('lookup(mach_number, [0, 1], [1])'), /same length \(at least 2\)/);
+  assert.throws(() => formulaEngine.compile('lookup(mach_number, [1, 0], [1, 2])'), /x values must be increasing/);
+  assert.throws(() => formulaEngine.compile('[1, 2] + 1'), /only be used as lookup\(\) tables/);
+  assert.deepEqual(run('lookup(mach_number, [0, 1, 2], [0.2, 0.6, 0.3])').map(v => +v.toFixed(6)), [0.4, NaN, 0.45, 0.3]);
+});
+
+test('blank cells give NaN in the result without breaking the series functions', () => {
+  assert.deepEqual(run('mach_number + 1'), [1.5, NaN, 2.5, 3.5]);
+  assert.deepEqual(run('derivative(velocity_ms)'), [0, 10, 20, NaN]);
+  assert.deepEqual(run('integral(velocity_ms)'), [0, 5, 25, NaN]);
+  /* The blank row is skipped: the next derivative spans both seconds */
+  assert.deepEqual(run('derivative(mach_number)'), [0, NaN, 0.5, 1]);
+  assert.deepEqual(run('movavg(mach_number, 10)'), [0.5, NaN, 1, 1.5]);
+});
+
+test('reports unknown and text columns when evaluated', () => {
+  assert.throws(() => run('thrust_lbf * 2'), /Unknown column: thrust_lbf/);
+  assert.throws(() => run('flight_phase + 1'), /Column flight_phase is not numeric/);
+});
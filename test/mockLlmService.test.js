@@ -0,0 +1,78 @@
+/**
+ * Mock LLM Service tests  -  tool calls, chart requests, streaming and cancellation against a
+ * small in-memory dataset. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TelemetryTable = require('../services/telemetryTable');
+const MockLlmService = require('../services/mockLlmService');
+
+function context() {
+  const table = new TelemetryTable(['mission_time_s', 'velocity_ms', 'altitude_km']);
+  for (let t = 0; t < 10; t++) table.append({ mission_time_s: t, velocity_ms: t * 10, altitude_km: t / 2 });
+  const anomalies = [
+    { id: 'ANM-b', missionTime: 7, severity: 'WARNING', type: 'Rapid Change', parameter: 'velocity_ms', value: 70 },
+    { id: 'ANM-a', missionTime: 3, severity: 'CRITICAL', type: 'Redline Violation', parameter: 'altitude_km', value: 1.5 },
+  ];
+  return { table, anomalies, suppressed: [], summary: { events: [] } };
+}
+
+test('answers a column question with window_stats over the named window and a chart', async () => {
+  const tools = [];
+  const streamed = [];
+  const reply = await new MockLlmService().chat('How does velocity_ms change from T+2 to T+5?', context(), [], {
+    onTool: t => tools.push(t),
+    onText: piece => streamed.push(piece),
+  });
+  assert.deepEqual(reply.toolCalls.map(t => [t.name, t.args]), [['window_stats', { params: ['velocity_ms'], startTime: 2, endTime: 5 }]]);
+  assert.deepEqual(tools, reply.toolCalls);
+  assert.match(reply.text, /- velocity_ms: min 20 \(T\+2\), max 50 \(T\+5\), mean 35/);
+  assert.deepEqual(reply.chartRequest, { type: 'line', params: ['velocity_ms'], title: 'velocity_ms', highlightAnomalies: true, timeRange: [2, 5] });
+  assert.doesNotMatch(reply.text, /<chart>/);
+  assert.match(streamed.join(''), /<chart>.*<\/chart>$/);
+});
+
+test('lists anomalies in mission-time order when asked about them', async () => {
+  const reply = await new MockLlmService().chat('Any anomalies?', context());
+  assert.deepEqual(reply.toolCalls.map(t => [t.name, t.args]), [['list_anomalies', { limit: 5 }]]);
+  assert.match(reply.text, /2 anomalies; first 2:\n- ANM-a CRITICAL T\+3 Redline Violation on altitude_km\n- ANM-b WARNING T\+7 Rapid Change on velocity_ms/);
+  assert.equal(reply.chartRequest, null);
+});
+
+test('gives the same reply to the same message', async () => {
+  const llm = new MockLlmService();
+  const first = await llm.chat('altitude_km and anomalies', context());
+  const second = await llm.chat('altitude_km and anomalies', context());
+  assert.deepEqual(second, first);
+});
+
+test('names the model and history length, and hints when nothing matches', async () => {
+  const reply = await new MockLlmService({ model: 'mock-test' }).chat('hello', context(), [{ role: 'user' }, { role: 'assistant' }]);
+  assert.match(reply.text, /^\*\*\[mock-test\]\*\* 2 earlier messages in this session\./);
+  assert.match(reply.text, /Name a column or ask about anomalies/);
+  assert.deepEqual(reply.toolCalls, []);
+  assert.equal(reply.chartRequest, null);
+});
+
+test('reports a tool error when there is no dataset', async () => {
+  const reply = await new MockLlmService().chat('anomalies please', { table: null });
+  assert.equal(reply.toolCalls[0].summary, 'no dataset loaded');
+  assert.match(reply.text, /0 anomalies\./);
+});
+
+test('stops streaming once the signal is aborted', async () => {
+  const controller = new AbortController();
+  const pieces = [];
+  const reply = await new MockLlmService().chat('velocity_ms', context(), [], {
+    signal: controller.signal,
+    onText: piece => {
+      pieces.push(piece);
+      if (pieces.length === 3) controller.abort();
+    },
+  });
+  assert.equal(reply.cancelled, true);
+  assert.equal(pieces.length, 3);
+  assert.equal(reply.text, pieces.join(''));
+  assert.equal(reply.chartRequest, null);
+});
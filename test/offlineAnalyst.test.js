@@ -0,0 +1,94 @@
+/**
+ * Offline Analyst tests  -  questions about a small synthetic flight are routed to the right
+ * intent, windows and events are read from the wording, and the figures come from tool calls.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TelemetryTable = require('../services/telemetryTable');
+const { answer } = require('../services/offlineAnalyst');
+
+/* 0-200 s at 1 Hz: velocity climbs 10 m/s per second until MECO at T+150, then holds */
+function context() {
+  const table = new TelemetryTable(['mission_time_s', 'velocity_ms', 'altitude_km']);
+  for (let t = 0; t <= 200; t++) table.append({ mission_time_s: t, velocity_ms: Math.min(t, 150) * 10, altitude_km: t / 2 });
+  const anomalies = [
+    { id: 'ANM-1', missionTime: 62, severity: 'WARNING', type: 'Rapid Change', parameter: 'velocity_ms', value: 620, unit: 'm/s' },
+    { id: 'ANM-2', missionTime: 151, severity: 'CRITICAL', type: 'Redline Violation', parameter: 'altitude_km', value: 75.5, unit: 'km' },
+  ];
+  return {
+    table,
+    anomalies,
+    suppressed: [],
+    summary: {
+      totalAnomalies: 2,
+      totalEvents: 2,
+      bySeverity: { CRITICAL: 1, WARNING: 1, CAUTION: 0 },
+      byType: { 'Rapid Change': 1, 'Redline Violation': 1 },
+      byParameter: { velocity_ms: 1, altitude_km: 1 },
+      events: [],
+    },
+    missionEvents: {
+      maxq: { time: 60, label: 'Max Q', confidence: 0.9, source: 'detected' },
+      meco: { time: 150, label: 'MECO', confidence: 0.95, source: 'detected' },
+    },
+    redlines: { velocity_ms: { label: 'Velocity', unit: 'm/s' }, altitude_km: { label: 'Altitude', unit: 'km' } },
+    info: { filename: 'synthetic.csv', records: 201 },
+  };
+}
+
+const calls = reply => reply.toolCalls.map(t => [t.name, t.args]);
+
+test('finds the peak of a column named by synonym inside a T+ window', () => {
+  const reply = answer('max speed between T+100 and T+120', context());
+  assert.deepEqual(calls(reply), [['window_stats', { params: ['velocity_ms'], startTime: 100, endTime: 120 }]]);
+  assert.match(reply.text, /## Maximum between T\+100 and T\+120 s/);
+  assert.match(reply.text, /\*\*Velocity\*\* peaked at \*\*1200 m\/s\*\* at \*\*T\+120 s\*\*/);
+  assert.deepEqual(reply.chartRequest.timeRange, [100, 120]);
+});
+
+test('lists anomalies filtered by severity and parameter', () => {
+  const reply = answer('any critical anomalies on altitude?', context());
+  assert.deepEqual(calls(reply), [['list_anomalies', { severity: 'CRITICAL', parameter: 'altitude_km' }]]);
+  assert.match(reply.text, /\*\*1\*\* CRITICAL anomalies on Altitude over the whole record\./);
+  assert.match(reply.text, /\| ANM-2 \| T\+151 s \| CRITICAL \| Redline Violation \| altitude_km \| 75\.5 km \|/);
+  assert.doesNotMatch(reply.text, /ANM-1/);
+});
+
+test('compares a column before and after a mission event', () => {
+  const reply = answer('compare velocity before and after MECO', context());
+  assert.deepEqual(calls(reply), [['compare_windows', { params: ['velocity_ms'], a: { startTime: 120, endTime: 150 }, b: { startTime: 150, endTime: 180 } }]]);
+  assert.match(reply.text, /## Comparison: 30 s before vs 30 s after MECO \(T\+150 s\)/);
+  assert.deepEqual(reply.chartRequest.timeRange, [120, 180]);
+});
+
+test('reads a value at a time', () => {
+  const reply = answer('altitude at T+40', context());
+  assert.deepEqual(calls(reply), [['get_samples', { params: ['altitude_km'], startTime: 40, endTime: 40, maxPoints: 1 }]]);
+  assert.match(reply.text, /## Values at T\+40 s\n\n- \*\*Altitude\*\*: 20 km/);
+});
+
+test('does not read "max q" as a request for a maximum', () => {
+  const reply = answer('what happened around max q', context());
+  assert.match(reply.text, /^## Max Q/);
+  assert.match(reply.text, /\*\*1\*\* anomalies within ±10 s of Max Q:\n- T\+62 s WARNING Rapid Change on velocity_ms/);
+  assert.deepEqual(reply.chartRequest.params, ['velocity_ms']);
+});
+
+test('says so when a named event was not detected', () => {
+  const reply = answer('velocity after stage separation', context());
+  assert.equal(reply.text, 'Stage Sep was not detected in this dataset.');
+  assert.deepEqual(reply.toolCalls, []);
+});
+
+test('asks for a parameter when an intent needs one', () => {
+  const reply = answer('what was the average?', context());
+  assert.match(reply.text, /^Which parameter should I summarise\? .* Available: velocity_ms, altitude_km\./);
+  assert.deepEqual(reply.toolCalls, []);
+});
+
+test('answers without a dataset and falls back to help', () => {
+  assert.match(answer('max velocity', {}).text, /^No dataset is loaded yet/);
+  assert.match(answer('tell me a joke', context()).text, /^I answer questions by computing over the loaded telemetry/);
+});
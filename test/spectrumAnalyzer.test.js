@@ -0,0 +1,38 @@
+/**
+ * Spectrum Analyzer tests  -  segment lengths for long and short windows, and the tone a PSD
+ * peak lands on. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SpectrumAnalyzer = require('../services/spectrumAnalyzer');
+
+/* n samples at 10 Hz of a 2.5 Hz tone */
+function rows(n) {
+  return Array.from({ length: n }, (_, i) => ({ mission_time_s: i / 10, pc_psi: Math.sin(2 * Math.PI * 2.5 * i / 10) }));
+}
+
+test('averages several segments once the window has 64 samples or more', () => {
+  const long = SpectrumAnalyzer.analyse(rows(2000), 'pc_psi');
+  assert.equal(long.nfft, 256);
+  assert.equal(long.psd.segments, 14);
+  assert.equal(SpectrumAnalyzer.analyse(rows(64), 'pc_psi').nfft, 16);
+  const peak = long.psd.frequencies[long.psd.power.indexOf(Math.max(...long.psd.power))];
+  assert.equal(peak, 2.5);
+});
+
+test('falls back to the largest power of two that fits for windows under 64 samples', () => {
+  for (const [samples, nfft, segments] of [[63, 32, 2], [32, 32, 1], [20, 16, 1], [8, 8, 1]]) {
+    const out = SpectrumAnalyzer.analyse(rows(samples), 'pc_psi');
+    assert.deepEqual([out.nfft, out.psd.segments], [nfft, segments], `${samples} samples`);
+    assert.equal(out.psd.frequencies.length, nfft / 2 + 1);
+    assert.equal(out.spectrogram.times.length, segments);
+  }
+  assert.equal(SpectrumAnalyzer.analyse(rows(40), 'pc_psi', { nfft: 512 }).nfft, 32);
+});
+
+test('returns null below MIN_SAMPLES', () => {
+  assert.equal(SpectrumAnalyzer.MIN_SAMPLES, 8);
+  assert.equal(SpectrumAnalyzer.analyse(rows(7), 'pc_psi'), null);
+  assert.equal(SpectrumAnalyzer.analyse(rows(100), 'pc_psi', { startTime: 2, endTime: 2.5 }), null);
+});
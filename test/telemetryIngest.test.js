@@ -0,0 +1,74 @@
+/**
+ * Telemetry Ingest tests  -  the same three rows written in each supported format are detected
+ * from their content and read into the same table. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const telemetryIngest = require('../services/telemetryIngest');
+
+const ROWS = [
+  { mission_time_s: 0, altitude_km: 0.1, flight_phase: 'LIFTOFF' },
+  { mission_time_s: 0.5, altitude_km: 0.25, flight_phase: 'ASCENT' },
+  { mission_time_s: 1, altitude_km: 0.5, flight_phase: 'ASCENT' },
+];
+const COLUMNS = Object.keys(ROWS[0]);
+
+const delimited = d => [COLUMNS.join(d), ...ROWS.map(r => COLUMNS.map(c => r[c]).join(d))].join('\n') + '\n';
+
+let dir;
+test.before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-test-')); });
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function write(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+async function ingest(name, content) {
+  const result = await telemetryIngest.ingestFile(write(name, content));
+  const { table } = result;
+  return { ...result, rows: Array.from({ length: table.length }, (_, i) => table.row(i)) };
+}
+
+const FORMATS = {
+  csv: delimited(','),
+  tsv: delimited('\t'),
+  semicolon: delimited(';'),
+  json: JSON.stringify(Object.fromEntries(COLUMNS.map(c => [c, ROWS.map(r => r[c])]))),
+  jsonl: ROWS.map(r => JSON.stringify(r)).join('\n') + '\n',
+};
+
+for (const [format, content] of Object.entries(FORMATS)) {
+  test(`detects and reads ${format}`, async () => {
+    const out = await ingest(`upload.${format}`, content);
+    assert.equal(out.format, format);
+    assert.equal(out.gzip, false);
+    assert.deepEqual(out.table.columns, COLUMNS);
+    assert.deepEqual(out.rows, ROWS);
+  });
+}
+
+test('reads JSON given as an array of row objects', async () => {
+  const out = await ingest('rows.json', JSON.stringify(ROWS, null, 2));
+  assert.equal(out.format, 'json');
+  assert.deepEqual(out.rows, ROWS);
+});
+
+test('detects gzip around any format', async () => {
+  for (const format of ['csv', 'jsonl']) {
+    const out = await ingest(`upload.${format}.gz`, zlib.gzipSync(FORMATS[format]));
+    assert.equal(out.format, format);
+    assert.equal(out.gzip, true);
+    assert.deepEqual(out.rows, ROWS);
+  }
+});
+
+test('rejects binary content', async () => {
+  await assert.rejects(telemetryIngest.detectFormat(write('blob.bin', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 3]))), /binary content/);
+});
@@ -0,0 +1,40 @@
+/**
+ * Telemetry Table tests  -  putting rows in mission-time order. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TelemetryTable = require('../services/telemetryTable');
+
+function table(times) {
+  return TelemetryTable.fromRows(times.map((t, i) => ({ mission_time_s: t, velocity_ms: i, phase: `p${i}` })));
+}
+
+const rows = t => Array.from({ length: t.length }, (_, i) => t.row(i));
+
+test('sorts rows by mission time, keeping the file order of equal times', () => {
+  const sorted = table([3, 1, 2, 1, 0]).sortedByTime();
+  assert.deepEqual(rows(sorted).map(r => [r.mission_time_s, r.velocity_ms, r.phase]), [[0, 4, 'p4'], [1, 1, 'p1'], [1, 3, 'p3'], [2, 2, 'p2'], [3, 0, 'p0']]);
+  assert.equal(sorted.lowerBound(1), 1);
+  assert.equal(sorted.upperBound(1), 3);
+});
+
+test('puts rows without a usable time last and keeps blank and text cells', () => {
+  const t = TelemetryTable.fromRows([
+    { mission_time_s: 2, velocity_ms: 'ERR' },
+    { mission_time_s: null, velocity_ms: 5 },
+    { mission_time_s: 1, velocity_ms: null },
+    { mission_time_s: 0, velocity_ms: 7 },
+  ]);
+  assert.deepEqual(rows(t.sortedByTime()), [
+    { mission_time_s: 0, velocity_ms: 7 },
+    { mission_time_s: 1, velocity_ms: null },
+    { mission_time_s: 2, velocity_ms: 'ERR' },
+    { mission_time_s: null, velocity_ms: 5 },
+  ]);
+});
+
+test('returns the same table when rows are already in order', () => {
+  const t = table([0, 1, 1, 2]);
+  assert.equal(t.sortedByTime(), t);
+});
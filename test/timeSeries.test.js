@@ -0,0 +1,19 @@
+/**
+ * Time Series tests  -  the nominal sample step shared by the detectors, spectrum analyzer,
+ * live monitor and analyst prompt. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { medianStep } = require('../services/timeSeries');
+
+test('takes the median of the positive steps, skipping repeated and backwards times', () => {
+  assert.equal(medianStep([0, 0.1, 0.2, 0.2, 0.1, 0.3, 1.3, 1.4]), 0.1);
+  assert.equal(medianStep(Float64Array.from([0, 2, 4, 5, 7])), 2);
+});
+
+test('returns null when there is no positive step', () => {
+  assert.equal(medianStep([]), null);
+  assert.equal(medianStep([5]), null);
+  assert.equal(medianStep([3, 3, 2]), null);
+});